@@ -1,5 +1,6 @@
 import { Pool } from 'pg';
 import dotenv from 'dotenv';
+import { executerApresCommit } from './services/transactions.js';
 
 dotenv.config();
 
@@ -21,4 +22,24 @@ pool.query('SELECT NOW()')
     process.exit(1);
   });
 
-export default pool;
\ No newline at end of file
+// Exécute fn(client) dans une transaction : COMMIT si tout passe, ROLLBACK sinon.
+// Les actions différées par apresCommit (services/transactions.js) ne s'exécutent qu'après le COMMIT.
+export const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  client.actionsApresCommit = [];
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    executerApresCommit(client);
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    delete client.actionsApresCommit;
+    client.release();
+  }
+};
+
+export default pool;
@@ -0,0 +1,57 @@
+import { Router } from 'express';
+import pool from '../db.js';
+import dotenv from 'dotenv';
+import { autoriser } from '../middleware/auth.js';
+import { ROLES_STAFF } from '../services/auth.js';
+import { ENTITES_AUDIT } from '../services/audit.js';
+import { filtreAudit, listerPagine } from '../services/listes.js';
+
+dotenv.config();
+
+const auditRouter = Router();
+
+// Middleware async pour gérer les erreurs
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// ===== READ - Journal global (admin) =====
+// Filtres : entite, action, entite_id, utilisateur_id, date_action_du, date_action_au ; page/limit ou cursor
+auditRouter.get('/', autoriser('admin'), asyncHandler(async (req, res) => {
+  const filtre = filtreAudit(req.query);
+  if (filtre.erreur) return res.status(400).json({ error: filtre.erreur });
+
+  const liste = await listerPagine(pool, {
+    select: 'a.*, u.nom as utilisateur_nom',
+    from: 'journal_audit a',
+    jointures: ' LEFT JOIN utilisateurs u ON a.utilisateur_id = u.id',
+    filtre,
+    query: req.query
+  });
+  if (liste.erreur) return res.status(400).json({ error: liste.erreur });
+
+  res.json(liste);
+}));
+
+// ===== READ - Historique d'une réservation, d'un colis, d'un créneau ou d'un client =====
+// L'historique reste consultable après la suppression de l'entité
+auditRouter.get('/:entite/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { entite, id } = req.params;
+  if (!ENTITES_AUDIT.includes(entite)) {
+    return res.status(400).json({ error: `Entité invalide. Doit être: ${ENTITES_AUDIT.join(', ')}` });
+  }
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query(
+    `SELECT a.*, u.nom as utilisateur_nom
+     FROM journal_audit a
+     LEFT JOIN utilisateurs u ON a.utilisateur_id = u.id
+     WHERE a.entite = $1 AND a.entite_id = $2
+     ORDER BY a.date_action ASC, a.id ASC`,
+    [entite, id]
+  );
+
+  res.json({ entite, entite_id: parseInt(id), data: result.rows });
+}));
+
+export default auditRouter;
@@ -0,0 +1,96 @@
+import { Router } from 'express';
+import pool from '../db.js';
+import dotenv from 'dotenv';
+import {
+  hasherMotDePasse,
+  verifierMotDePasse,
+  genererJetonAcces,
+  creerJetonRafraichissement,
+  consommerJetonRafraichissement,
+  revoquerJetonRafraichissement,
+  utilisateurPublic
+} from '../services/auth.js';
+import { autoriser } from '../middleware/auth.js';
+import { valider } from '../services/validation.js';
+import { SCHEMA_INSCRIPTION, SCHEMA_CONNEXION } from '../services/schemas.js';
+
+dotenv.config();
+
+const authRouter = Router();
+
+// Middleware async pour gérer les erreurs
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// Réponse commune aux connexions et rafraîchissements
+const emettreJetons = async (utilisateur) => ({
+  accessToken: genererJetonAcces(utilisateur),
+  refreshToken: await creerJetonRafraichissement(pool, utilisateur.id),
+  utilisateur: utilisateurPublic(utilisateur)
+});
+
+// ===== INSCRIPTION - Compte client (rôle public) =====
+authRouter.post('/inscription', asyncHandler(async (req, res) => {
+  // email mis en minuscules par la validation
+  const { email, nom, mot_de_passe } = valider(SCHEMA_INSCRIPTION, req.body);
+
+  const existant = await pool.query('SELECT id FROM utilisateurs WHERE email = $1', [email]);
+  if (existant.rows.length > 0) return res.status(409).json({ error: 'Un compte existe déjà avec cet email' });
+
+  const result = await pool.query(
+    `INSERT INTO utilisateurs (email, nom, mot_de_passe_hash, role)
+     VALUES ($1, $2, $3, 'public')
+     RETURNING *`,
+    [email, nom, await hasherMotDePasse(mot_de_passe)]
+  );
+
+  res.status(201).json(await emettreJetons(result.rows[0]));
+}));
+
+// ===== LOGIN - Connexion par email et mot de passe =====
+authRouter.post('/login', asyncHandler(async (req, res) => {
+  const { email, mot_de_passe } = valider(SCHEMA_CONNEXION, req.body);
+
+  const result = await pool.query('SELECT * FROM utilisateurs WHERE email = $1', [email]);
+  const utilisateur = result.rows[0];
+
+  // Même message pour un email inconnu et un mauvais mot de passe
+  if (!utilisateur || !(await verifierMotDePasse(mot_de_passe, utilisateur.mot_de_passe_hash))) {
+    return res.status(401).json({ error: 'Identifiants invalides' });
+  }
+  if (!utilisateur.actif) return res.status(403).json({ error: 'Compte désactivé' });
+
+  await pool.query('UPDATE utilisateurs SET derniere_connexion = NOW() WHERE id = $1', [utilisateur.id]);
+
+  res.json(await emettreJetons(utilisateur));
+}));
+
+// ===== REFRESH - Nouveau jeton d'accès (rotation du jeton de rafraîchissement) =====
+authRouter.post('/refresh', asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.status(400).json({ error: 'Jeton de rafraîchissement requis' });
+
+  const utilisateur = await consommerJetonRafraichissement(pool, refreshToken);
+  if (!utilisateur) return res.status(401).json({ error: 'Jeton de rafraîchissement invalide ou expiré' });
+
+  res.json(await emettreJetons(utilisateur));
+}));
+
+// ===== LOGOUT - Révocation du jeton de rafraîchissement =====
+authRouter.post('/logout', asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  if (refreshToken) await revoquerJetonRafraichissement(pool, refreshToken);
+
+  res.json({ message: 'Déconnecté' });
+}));
+
+// ===== ME - Utilisateur connecté =====
+authRouter.get('/me', autoriser(), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT * FROM utilisateurs WHERE id = $1', [req.utilisateur.id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+
+  res.json(utilisateurPublic(result.rows[0]));
+}));
+
+export default authRouter;
@@ -0,0 +1,242 @@
+import { Router } from 'express';
+import pool, { withTransaction } from '../db.js';
+import dotenv from 'dotenv';
+import { autoriser } from '../middleware/auth.js';
+import { ROLES_STAFF } from '../services/auth.js';
+import {
+  cleTelephone,
+  cleEmail,
+  clientEnConflit,
+  fusionnerClients,
+  profilClient
+} from '../services/clients.js';
+import { journaliser, auteurRequete } from '../services/audit.js';
+import { valider } from '../services/validation.js';
+import { SCHEMA_CLIENT, SCHEMA_ADRESSE_CLIENT } from '../services/schemas.js';
+import { filtreClients, listerPagine } from '../services/listes.js';
+
+dotenv.config();
+
+const clientsRouter = Router();
+
+// Middleware async pour gérer les erreurs
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+const MAX_FUSION = 50;
+
+const messageConflit = (autre) =>
+  `Téléphone ou email déjà utilisé par le client #${autre.id} (${[autre.prenom, autre.nom].filter(Boolean).join(' ')}) : fusionner les fiches`;
+
+// Enregistre les champs d'une fiche client validée (clés normalisées recalculées)
+const ecrireClient = (client, valeurs, id = null) => {
+  const champs = Object.keys(valeurs);
+  if ('telephone' in valeurs) champs.push('telephone_normalise');
+  if ('email' in valeurs) champs.push('email_normalise');
+  const donnees = {
+    ...valeurs,
+    telephone_normalise: cleTelephone(valeurs.telephone),
+    email_normalise: cleEmail(valeurs.email)
+  };
+  const params = champs.map(c => donnees[c]);
+
+  if (!id) {
+    return client.query(
+      `INSERT INTO clients (${champs.join(', ')}) VALUES (${champs.map((c, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+      params
+    );
+  }
+  params.push(id);
+  return client.query(
+    `UPDATE clients SET ${champs.map((c, i) => `${c} = $${i + 1}`).join(', ')}, date_modification = NOW()
+     WHERE id = $${params.length} RETURNING *`,
+    params
+  );
+};
+
+// ===== READ - Annuaire des clients =====
+// search (nom, prénom, email, téléphone), email, date_creation_du/_au ; page/limit ou cursor
+clientsRouter.get('/', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const filtre = filtreClients(req.query);
+  if (filtre.erreur) return res.status(400).json({ error: filtre.erreur });
+
+  const liste = await listerPagine(pool, {
+    select: 'cl.*',
+    from: 'clients cl',
+    filtre,
+    query: req.query
+  });
+  if (liste.erreur) return res.status(400).json({ error: liste.erreur });
+
+  res.json(liste);
+}));
+
+// ===== DOUBLONS - Fiches au même nom (sans accents ni ponctuation), candidates à la fusion =====
+clientsRouter.get('/doublons', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  const result = await pool.query(
+    `SELECT normaliser_recherche(prenom, nom) as nom_normalise, COUNT(*)::int as nombre,
+            json_agg(json_build_object('id', id, 'nom', nom, 'prenom', prenom, 'telephone', telephone, 'email', email)
+                     ORDER BY id) as clients
+     FROM clients
+     GROUP BY normaliser_recherche(prenom, nom)
+     HAVING COUNT(*) > 1
+     ORDER BY nombre DESC, nom_normalise
+     LIMIT $1`,
+    [limit]
+  );
+
+  res.json({ data: result.rows });
+}));
+
+// ===== CREATE - Ajouter un client =====
+clientsRouter.post('/', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const valeurs = valider(SCHEMA_CLIENT, req.body);
+
+  const reponse = await withTransaction(async (client) => {
+    const autre = await clientEnConflit(client, valeurs);
+    if (autre) return { status: 409, body: { error: messageConflit(autre), client_id: autre.id } };
+
+    const result = await ecrireClient(client, valeurs);
+    await journaliser(client, auteurRequete(req), { entite: 'clients', entite_id: result.rows[0].id, action: 'creation', apres: result.rows[0] });
+    return { status: 201, body: result.rows[0] };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// ===== READ - Profil : fiche, carnet d'adresses, historique des colis et voyages, valeur client =====
+clientsRouter.get('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const profil = await profilClient(pool, id);
+  if (!profil) return res.status(404).json({ error: 'Client non trouvé' });
+
+  res.json(profil);
+}));
+
+// ===== UPDATE - Fiche complète (PUT) ou partielle (PATCH) =====
+const modifierClient = (mode) => asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+  if (mode === 'modification' && (!req.body || Object.keys(req.body).length === 0)) {
+    return res.status(400).json({ error: 'Aucun champ à modifier' });
+  }
+
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM clients WHERE id = $1 FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Client non trouvé' } };
+
+    const valeurs = valider(SCHEMA_CLIENT, req.body, { mode, actuel: actuel.rows[0] });
+    if (Object.keys(valeurs).length === 0) return { status: 400, body: { error: 'Aucun champ valide à modifier' } };
+
+    const autre = await clientEnConflit(client, { ...actuel.rows[0], ...valeurs }, actuel.rows[0].id);
+    if (autre) return { status: 409, body: { error: messageConflit(autre), client_id: autre.id } };
+
+    const result = await ecrireClient(client, valeurs, id);
+    await journaliser(client, auteurRequete(req), {
+      entite: 'clients', entite_id: result.rows[0].id, action: 'modification', avant: actuel.rows[0], apres: result.rows[0]
+    });
+    return { status: 200, body: result.rows[0] };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+});
+
+clientsRouter.put('/:id', autoriser(...ROLES_STAFF), modifierClient('remplacement'));
+clientsRouter.patch('/:id', autoriser(...ROLES_STAFF), modifierClient('modification'));
+
+// ===== FUSION - Doublons repris par ce client { client_ids: [...] } =====
+clientsRouter.post('/:id/fusionner', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const { client_ids: ids } = req.body || {};
+  if (!Array.isArray(ids) || ids.length === 0) return res.status(400).json({ error: 'Liste client_ids requise' });
+  if (ids.length > MAX_FUSION) return res.status(400).json({ error: `Au plus ${MAX_FUSION} clients par fusion` });
+  if (ids.some(i => !Number.isInteger(Number(i)) || Number(i) <= 0)) {
+    return res.status(400).json({ error: 'client_ids doit contenir des IDs valides' });
+  }
+
+  const reponse = await withTransaction(async (client) => {
+    const { client: fiche, fusionnes, erreur, status } = await fusionnerClients(client, auteurRequete(req), id, ids);
+    if (erreur) return { status, body: { error: erreur } };
+
+    return { status: 200, body: { client: fiche, fusionnes } };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// ===== CARNET D'ADRESSES - Destinataires enregistrés, les plus utilisés d'abord =====
+clientsRouter.get('/:id/adresses', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const existe = await pool.query('SELECT id FROM clients WHERE id = $1', [id]);
+  if (existe.rows.length === 0) return res.status(404).json({ error: 'Client non trouvé' });
+
+  const result = await pool.query(
+    'SELECT * FROM adresses_clients WHERE client_id = $1 ORDER BY utilisations DESC, derniere_utilisation DESC NULLS LAST, id',
+    [id]
+  );
+  res.json({ client_id: parseInt(id), data: result.rows });
+}));
+
+clientsRouter.post('/:id/adresses', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const { libelle, nom, telephone, adresse } = valider(SCHEMA_ADRESSE_CLIENT, req.body);
+
+  const existe = await pool.query('SELECT id FROM clients WHERE id = $1', [id]);
+  if (existe.rows.length === 0) return res.status(404).json({ error: 'Client non trouvé' });
+
+  const result = await pool.query(
+    `INSERT INTO adresses_clients (client_id, libelle, nom, telephone, telephone_normalise, adresse)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (client_id, telephone_normalise) DO NOTHING
+     RETURNING *`,
+    [id, libelle, nom, telephone, cleTelephone(telephone), adresse]
+  );
+  if (result.rows.length === 0) return res.status(409).json({ error: 'Ce destinataire est déjà dans le carnet d\'adresses' });
+
+  res.status(201).json(result.rows[0]);
+}));
+
+clientsRouter.put('/:id/adresses/:adresseId', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id, adresseId } = req.params;
+  if (!id || isNaN(parseInt(id)) || !adresseId || isNaN(parseInt(adresseId))) return res.status(400).json({ error: 'ID invalide' });
+
+  const { libelle, nom, telephone, adresse } = valider(SCHEMA_ADRESSE_CLIENT, req.body, { mode: 'remplacement' });
+
+  const doublon = await pool.query(
+    'SELECT id FROM adresses_clients WHERE client_id = $1 AND telephone_normalise = $2 AND id <> $3',
+    [id, cleTelephone(telephone), adresseId]
+  );
+  if (doublon.rows.length > 0) return res.status(409).json({ error: 'Ce destinataire est déjà dans le carnet d\'adresses' });
+
+  const result = await pool.query(
+    `UPDATE adresses_clients SET libelle = $1, nom = $2, telephone = $3, telephone_normalise = $4, adresse = $5
+     WHERE id = $6 AND client_id = $7 RETURNING *`,
+    [libelle, nom, telephone, cleTelephone(telephone), adresse, adresseId, id]
+  );
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Adresse non trouvée' });
+
+  res.json(result.rows[0]);
+}));
+
+clientsRouter.delete('/:id/adresses/:adresseId', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id, adresseId } = req.params;
+  if (!id || isNaN(parseInt(id)) || !adresseId || isNaN(parseInt(adresseId))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query('DELETE FROM adresses_clients WHERE id = $1 AND client_id = $2 RETURNING *', [adresseId, id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Adresse non trouvée' });
+
+  res.json({ message: 'Adresse supprimée du carnet', deletedAdresse: result.rows[0] });
+}));
+
+export default clientsRouter;
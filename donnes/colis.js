@@ -1,6 +1,29 @@
 import { Router } from 'express';
-import pool from '../db.js';
+import pool, { withTransaction } from '../db.js';
 import dotenv from 'dotenv';
+import { autoriser } from '../middleware/auth.js';
+import { ROLES_STAFF } from '../services/auth.js';
+import {
+  STATUTS_COLIS,
+  transitionAutorisee,
+  messageTransitionInvalide,
+  enregistrerEvenement
+} from '../services/suiviColis.js';
+import { verifierCapaciteCreneau, actualiserStatutCreneaux, STATUTS_HORS_CAPACITE } from '../services/capaciteCreneaux.js';
+import { calculerDevis } from '../services/tarification.js';
+import { creerColis } from '../services/colis.js';
+import { valider } from '../services/validation.js';
+import { SCHEMA_COLIS, CHAMPS_CREATION_COLIS, CHAMPS_MODIFIABLES_COLIS } from '../services/schemas.js';
+import { ValidationError } from '../services/erreurs.js';
+import { journaliser, auteurRequete } from '../services/audit.js';
+import { mettreALaCorbeille, sortirDeLaCorbeille } from '../services/corbeille.js';
+import { filtreColis, listerPagine } from '../services/listes.js';
+import { exporterRequete, FORMATS_EXPORT, COLONNES_EXPORT } from '../services/export.js';
+import { lireCsv, importerCsv } from '../services/importCsv.js';
+import { corpsCsv } from '../middleware/csv.js';
+import { envoyerEtiquetteColis } from '../services/pdf/etiquette.js';
+import { COLONNES_PAIEMENT } from '../services/paiements.js';
+import { lierColis } from '../services/clients.js';
 
 dotenv.config();
 
@@ -11,10 +34,14 @@ const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Le colis change-t-il de créneau ou de poids ? (contrôle de capacité à refaire)
+const affectationModifiee = (actuel, cible) =>
+  parseInt(cible.creneau_id) !== actuel.creneau_id || parseFloat(cible.poids) !== parseFloat(actuel.poids);
+
 // ===== COUNT - Nombre total de colis =====
-colisRouter.get('/count', asyncHandler(async (req, res) => {
+colisRouter.get('/count', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   try {
-    const result = await pool.query('SELECT COUNT(*) FROM colis');
+    const result = await pool.query('SELECT COUNT(*) FROM colis WHERE supprime_le IS NULL');
     res.json({ count: parseInt(result.rows[0].count) });
   } catch (error) {
     console.error('Error counting colis:', error);
@@ -24,173 +51,133 @@ colisRouter.get('/count', asyncHandler(async (req, res) => {
 
 // ===== CREATE - Ajouter un colis =====
 colisRouter.post('/', asyncHandler(async (req, res) => {
-  const {
-    creneau_id,
-    nom_expediteur,
-    telephone_expediteur,
-    adresse_expediteur,
-    nom_destinataire,
-    telephone_destinataire,
-    adresse_destinataire,
-    type_colis,
-    poids,
-    description,
-    valeur_declaree,
-    assurance,
-    methode_paiement
-  } = req.body;
-
-  // Validation des champs obligatoires
-  const requiredFields = ['nom_expediteur', 'telephone_expediteur', 'adresse_expediteur', 
-                         'nom_destinataire', 'telephone_destinataire', 'adresse_destinataire', 'poids'];
-  for (let field of requiredFields) {
-    if (!req.body[field]) {
-      return res.status(400).json({ error: `Champ obligatoire manquant: ${field}` });
-    }
-  }
+  const donnees = valider(SCHEMA_COLIS, req.body, { champs: CHAMPS_CREATION_COLIS });
 
-  // Validation du type de colis
-  const validPackageTypes = ['document', 'vetements', 'electronique', 'nourriture', 'autre'];
-  if (type_colis && !validPackageTypes.includes(type_colis)) {
-    return res.status(400).json({ error: 'Type de colis invalide' });
-  }
+  // Contrôle de capacité, création du colis et premier événement de suivi dans la même transaction
+  const reponse = await withTransaction(async (client) => {
+    const { colis, erreur } = await creerColis(client, donnees);
+    if (erreur) return { status: 400, body: { error: erreur } };
 
-  // Validation de la méthode de paiement
-  const validPaymentMethods = ['especes', 'carte', 'virement', 'mobile'];
-  if (methode_paiement && !validPaymentMethods.includes(methode_paiement)) {
-    return res.status(400).json({ error: 'Méthode de paiement invalide' });
-  }
+    await journaliser(client, auteurRequete(req), { entite: 'colis', entite_id: colis.id, action: 'creation', apres: colis });
+    return { status: 201, body: colis };
+  });
 
-  // Validation du poids positif
-  if (poids <= 0) {
-    return res.status(400).json({ error: 'Le poids doit être supérieur à 0' });
-  }
+  res.status(reponse.status).json(reponse.body);
+}));
 
-  // Vérifier la capacité du créneau si spécifié
-  if (creneau_id) {
-    const creneauResult = await pool.query(
-      `SELECT ce.capacite_max, COUNT(c.id) as current_usage 
-       FROM creneaux_expedition ce 
-       LEFT JOIN colis c ON ce.id = c.creneau_id 
-       WHERE ce.id = $1 
-       GROUP BY ce.id`,
-      [creneau_id]
-    );
-    
-    if (creneauResult.rows.length === 0) {
-      return res.status(400).json({ error: 'Créneau spécifié introuvable' });
-    }
-    
-    const { capacite_max, current_usage } = creneauResult.rows[0];
-    if (current_usage >= capacite_max) {
-      return res.status(400).json({ error: 'Le créneau a atteint sa capacité maximale' });
-    }
+// ===== DEVIS - Prix d'un colis avant réservation =====
+colisRouter.post('/devis', asyncHandler(async (req, res) => {
+  const demande = valider(SCHEMA_COLIS, req.body, {
+    champs: ['creneau_id', 'poids', 'type_colis', 'valeur_declaree', 'assurance', 'code_promo']
+  });
+  if (!demande.creneau_id) {
+    throw new ValidationError([{ champ: 'creneau_id', code: 'requis', message: 'creneau_id est obligatoire' }]);
   }
+  const { creneau_id, poids } = demande;
 
-  // Générer un numéro de suivi unique
-  const numero_suivi = 'COL' + Date.now() + Math.random().toString(36).substr(2, 9).toUpperCase();
+  const creneauResult = await pool.query('SELECT * FROM creneaux_expedition WHERE id = $1 AND supprime_le IS NULL', [creneau_id]);
+  if (creneauResult.rows.length === 0) return res.status(404).json({ error: 'Créneau spécifié introuvable' });
 
-  const result = await pool.query(
-    `INSERT INTO colis 
-    (creneau_id, numero_suivi, nom_expediteur, telephone_expediteur, adresse_expediteur, 
-     nom_destinataire, telephone_destinataire, adresse_destinataire, type_colis, poids, 
-     description, valeur_declaree, assurance, methode_paiement)
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) 
-    RETURNING *`,
-    [
-      creneau_id,
-      numero_suivi,
-      nom_expediteur,
-      telephone_expediteur,
-      adresse_expediteur,
-      nom_destinataire,
-      telephone_destinataire,
-      adresse_destinataire,
-      type_colis || 'document',
-      poids,
-      description,
-      valeur_declaree || 0,
-      assurance || false,
-      methode_paiement || 'especes'
-    ]
-  );
+  const creneau = creneauResult.rows[0];
+  if (parseFloat(poids) > parseFloat(creneau.poids_max_colis)) {
+    return res.status(400).json({ error: `Le poids du colis (${poids} kg) dépasse le maximum autorisé par colis pour ce créneau (${creneau.poids_max_colis} kg)` });
+  }
 
-  res.status(201).json(result.rows[0]);
+  const { devis, erreur } = await calculerDevis(pool, creneau, demande);
+  if (erreur) return res.status(400).json({ error: erreur });
+
+  res.json(devis);
 }));
 
 // ===== READ - Tous les colis =====
-colisRouter.get('/', asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, search, statut, sortBy = 'id', order = 'DESC' } = req.query;
-  const pageNum = Math.max(1, parseInt(page));
-  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-  const offset = (pageNum - 1) * limitNum;
-
-  const allowedSortColumns = ['id', 'nom_expediteur', 'nom_destinataire', 'date_creation', 'statut', 'poids'];
-  const sortColumn = allowedSortColumns.includes(sortBy) ? sortBy : 'id';
-  const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
-
-  let query = `
-    SELECT c.*, ce.lieu_depart, ce.destination, ce.heure_depart, ce.date_expedition
-    FROM colis c
-    LEFT JOIN creneaux_expedition ce ON c.creneau_id = ce.id
-  `;
-  let countQuery = 'SELECT COUNT(*) FROM colis c';
-  const params = [];
-  let whereConditions = [];
-
-  if (search) {
-    whereConditions.push('(c.nom_expediteur ILIKE $1 OR c.nom_destinataire ILIKE $1 OR c.numero_suivi ILIKE $1)');
-    params.push(`%${search}%`);
-  }
+colisRouter.get('/', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const filtre = filtreColis(req.query);
+  if (filtre.erreur) return res.status(400).json({ error: filtre.erreur });
+
+  const liste = await listerPagine(pool, {
+    select: `c.*, ce.lieu_depart, ce.destination, ce.heure_depart, ce.date_expedition, ${COLONNES_PAIEMENT.colis}`,
+    from: 'colis c LEFT JOIN creneaux_expedition ce ON c.creneau_id = ce.id',
+    filtre,
+    query: req.query
+  });
+  if (liste.erreur) return res.status(400).json({ error: liste.erreur });
 
-  if (statut) {
-    const validStatus = ['en_attente', 'en_transit', 'livre'];
-    if (validStatus.includes(statut)) {
-      whereConditions.push(`c.statut = $${params.length + 1}`);
-      params.push(statut);
-    }
-  }
+  res.json(liste);
+}));
 
-  if (whereConditions.length > 0) {
-    const whereClause = ' WHERE ' + whereConditions.join(' AND ');
-    query += whereClause;
-    countQuery += whereClause;
+// ===== EXPORT - Colis filtrés en CSV ou XLSX (mêmes filtres que la liste, sans pagination) =====
+colisRouter.get('/export', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { format = 'csv' } = req.query;
+  if (!FORMATS_EXPORT.includes(format)) return res.status(400).json({ error: 'Format invalide. Doit être: csv ou xlsx' });
+
+  const { whereClause, params, orderClause, erreur } = filtreColis(req.query);
+  if (erreur) return res.status(400).json({ error: erreur });
+
+  await exporterRequete(res, {
+    texte: `SELECT c.*, ce.lieu_depart, ce.destination, ce.date_expedition, ${COLONNES_PAIEMENT.colis}
+            FROM colis c
+            LEFT JOIN creneaux_expedition ce ON c.creneau_id = ce.id${whereClause}${orderClause}`,
+    params,
+    colonnes: COLONNES_EXPORT.colis,
+    format,
+    nom: 'colis'
+  });
+}));
+
+// ===== IMPORT - Colis depuis un CSV (?dry_run=true pour valider sans rien créer) =====
+colisRouter.post('/import', autoriser(...ROLES_STAFF), corpsCsv, asyncHandler(async (req, res) => {
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ error: 'Fichier CSV attendu (Content-Type: text/csv)' });
   }
 
-  query += ` ORDER BY c.${sortColumn} ${sortOrder} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-  params.push(limitNum, offset);
+  const { lignes, erreur } = lireCsv(req.body);
+  if (erreur) return res.status(400).json({ error: erreur });
+  if (lignes.length === 0) return res.status(400).json({ error: 'Aucune ligne à importer' });
 
-  const [result, countResult] = await Promise.all([
-    pool.query(query, params),
-    pool.query(countQuery, params.slice(0, -2)) // Remove limit and offset for count
-  ]);
+  // Mêmes règles que POST / : validation, capacité du créneau, tarification, premier événement
+  const rapport = await importerCsv(lignes, async (client, ligne) => {
+    const donnees = valider(SCHEMA_COLIS, ligne, { champs: CHAMPS_CREATION_COLIS });
 
-  const total = parseInt(countResult.rows[0].count);
-  const totalPages = Math.ceil(total / limitNum);
+    const { colis, erreur } = await creerColis(client, donnees);
+    if (erreur) return { erreur };
 
-  res.json({
-    data: result.rows,
-    pagination: {
-      page: pageNum,
-      limit: limitNum,
-      total,
-      totalPages,
-      hasNext: pageNum < totalPages,
-      hasPrev: pageNum > 1
-    }
+    await journaliser(client, auteurRequete(req), { entite: 'colis', entite_id: colis.id, action: 'creation', apres: colis });
+    return { cree: { id: colis.id, numero_suivi: colis.numero_suivi } };
+  }, { simulation: req.query.dry_run === 'true' });
+
+  if (rapport.simulation) return res.json(rapport);
+  if (rapport.erreurs.length > 0) {
+    return res.status(400).json({ error: `Import annulé: ${rapport.erreurs.length} ligne(s) en erreur`, ...rapport });
+  }
+  res.status(201).json(rapport);
+}));
+
+// ===== CORBEILLE - Colis supprimés (mêmes filtres et pagination que la liste) =====
+colisRouter.get('/corbeille', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const filtre = filtreColis(req.query, { corbeille: true });
+  if (filtre.erreur) return res.status(400).json({ error: filtre.erreur });
+
+  const liste = await listerPagine(pool, {
+    select: 'c.*, ce.lieu_depart, ce.destination, ce.heure_depart, ce.date_expedition',
+    from: 'colis c LEFT JOIN creneaux_expedition ce ON c.creneau_id = ce.id',
+    filtre,
+    query: req.query
   });
+  if (liste.erreur) return res.status(400).json({ error: liste.erreur });
+
+  res.json(liste);
 }));
 
 // ===== READ - Un colis par ID =====
-colisRouter.get('/:id', asyncHandler(async (req, res) => {
+colisRouter.get('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   const { id } = req.params;
   if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
 
   const result = await pool.query(
-    `SELECT c.*, ce.lieu_depart, ce.destination, ce.heure_depart, ce.date_expedition
+    `SELECT c.*, ce.lieu_depart, ce.destination, ce.heure_depart, ce.date_expedition, ${COLONNES_PAIEMENT.colis}
      FROM colis c
      LEFT JOIN creneaux_expedition ce ON c.creneau_id = ce.id
-     WHERE c.id = $1`,
+     WHERE c.id = $1 AND c.supprime_le IS NULL`,
     [id]
   );
   
@@ -199,6 +186,24 @@ colisRouter.get('/:id', asyncHandler(async (req, res) => {
   res.json(result.rows[0]);
 }));
 
+// ===== PDF - Étiquette d'expédition (code-barres et QR du numéro de suivi) =====
+colisRouter.get('/:id/etiquette', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query(
+    `SELECT c.*, ce.lieu_depart, ce.destination, ce.heure_depart, ce.date_expedition
+     FROM colis c
+     LEFT JOIN creneaux_expedition ce ON c.creneau_id = ce.id
+     WHERE c.id = $1 AND c.supprime_le IS NULL`,
+    [id]
+  );
+
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Colis non trouvé' });
+
+  await envoyerEtiquetteColis(res, result.rows[0]);
+}));
+
 // ===== READ - Un colis par numéro de suivi =====
 colisRouter.get('/suivi/:numero_suivi', asyncHandler(async (req, res) => {
   const { numero_suivi } = req.params;
@@ -208,7 +213,7 @@ colisRouter.get('/suivi/:numero_suivi', asyncHandler(async (req, res) => {
     `SELECT c.*, ce.lieu_depart, ce.destination, ce.heure_depart, ce.date_expedition
      FROM colis c
      LEFT JOIN creneaux_expedition ce ON c.creneau_id = ce.id
-     WHERE c.numero_suivi = $1`,
+     WHERE c.numero_suivi = $1 AND c.supprime_le IS NULL`,
     [numero_suivi]
   );
   
@@ -217,142 +222,272 @@ colisRouter.get('/suivi/:numero_suivi', asyncHandler(async (req, res) => {
   res.json(result.rows[0]);
 }));
 
+// ===== READ - Historique de suivi d'un colis =====
+colisRouter.get('/suivi/:numero_suivi/historique', asyncHandler(async (req, res) => {
+  const { numero_suivi } = req.params;
+
+  const colisResult = await pool.query(
+    `SELECT c.id, c.numero_suivi, c.statut, ce.lieu_depart, ce.destination, ce.date_expedition
+     FROM colis c
+     LEFT JOIN creneaux_expedition ce ON c.creneau_id = ce.id
+     WHERE c.numero_suivi = $1 AND c.supprime_le IS NULL`,
+    [numero_suivi]
+  );
+
+  if (colisResult.rows.length === 0) return res.status(404).json({ error: 'Colis non trouvé' });
+
+  const colis = colisResult.rows[0];
+  const evenementsResult = await pool.query(
+    `SELECT id, statut, statut_precedent, lieu, commentaire, date_evenement
+     FROM colis_evenements
+     WHERE colis_id = $1
+     ORDER BY date_evenement ASC, id ASC`,
+    [colis.id]
+  );
+
+  const evenements = evenementsResult.rows;
+  const dernier = evenements[evenements.length - 1];
+  const dernierLieu = [...evenements].reverse().find(e => e.lieu);
+
+  res.json({
+    numero_suivi: colis.numero_suivi,
+    statut: colis.statut,
+    depuis: dernier ? dernier.date_evenement : null,
+    lieu_actuel: dernierLieu ? dernierLieu.lieu : null,
+    lieu_depart: colis.lieu_depart,
+    destination: colis.destination,
+    date_expedition: colis.date_expedition,
+    evenements
+  });
+}));
+
 // ===== UPDATE - Modifier un colis complet =====
-colisRouter.put('/:id', asyncHandler(async (req, res) => {
+colisRouter.put('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const updates = req.body;
 
   if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
-  
-  // Validation des champs obligatoires
-  const requiredFields = ['nom_expediteur', 'telephone_expediteur', 'adresse_expediteur', 
-                         'nom_destinataire', 'telephone_destinataire', 'adresse_destinataire', 'poids'];
-  for (let field of requiredFields) {
-    if (!updates[field]) return res.status(400).json({ error: `Champ obligatoire manquant: ${field}` });
-  }
 
-  // Validation du type de colis
-  const validPackageTypes = ['document', 'vetements', 'electronique', 'nourriture', 'autre'];
-  if (updates.type_colis && !validPackageTypes.includes(updates.type_colis)) {
-    return res.status(400).json({ error: 'Type de colis invalide' });
-  }
+  const valeurs = valider(SCHEMA_COLIS, updates, { mode: 'remplacement', champs: CHAMPS_MODIFIABLES_COLIS });
 
-  // Validation de la méthode de paiement
-  const validPaymentMethods = ['especes', 'carte', 'virement', 'mobile'];
-  if (updates.methode_paiement && !validPaymentMethods.includes(updates.methode_paiement)) {
-    return res.status(400).json({ error: 'Méthode de paiement invalide' });
-  }
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM colis WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Colis non trouvé' } };
 
-  // Validation du poids positif
-  if (updates.poids <= 0) {
-    return res.status(400).json({ error: 'Le poids doit être supérieur à 0' });
-  }
+    // Sans statut fourni, le statut actuel est conservé
+    const statutPrecedent = actuel.rows[0].statut;
+    const nouveauStatut = valeurs.statut || statutPrecedent;
+    if (nouveauStatut !== statutPrecedent && !transitionAutorisee(statutPrecedent, nouveauStatut)) {
+      return { status: 409, body: { error: messageTransitionInvalide(statutPrecedent, nouveauStatut) } };
+    }
 
-  // Validation du statut
-  const validStatus = ['en_attente', 'en_transit', 'livre'];
-  if (updates.statut && !validStatus.includes(updates.statut)) {
-    return res.status(400).json({ error: 'Statut invalide' });
-  }
+    // Changement de créneau ou de poids : mêmes contrôles de capacité qu'à la création
+    if (valeurs.creneau_id && affectationModifiee(actuel.rows[0], valeurs)) {
+      const { erreur } = await verifierCapaciteCreneau(client, valeurs.creneau_id, valeurs.poids, id);
+      if (erreur) return { status: 400, body: { error: erreur } };
+    }
 
-  const result = await pool.query(
-    `UPDATE colis SET
-    creneau_id = $1, nom_expediteur = $2, telephone_expediteur = $3, adresse_expediteur = $4, 
-    nom_destinataire = $5, telephone_destinataire = $6, adresse_destinataire = $7, 
-    type_colis = $8, poids = $9, description = $10, valeur_declaree = $11, 
-    assurance = $12, methode_paiement = $13, statut = $14
-    WHERE id = $15 RETURNING *`,
-    [
-      updates.creneau_id,
-      updates.nom_expediteur,
-      updates.telephone_expediteur,
-      updates.adresse_expediteur,
-      updates.nom_destinataire,
-      updates.telephone_destinataire,
-      updates.adresse_destinataire,
-      updates.type_colis,
-      updates.poids,
-      updates.description,
-      updates.valeur_declaree,
-      updates.assurance,
-      updates.methode_paiement,
-      updates.statut || 'en_attente',
-      id
-    ]
-  );
+    const result = await client.query(
+      `UPDATE colis SET
+      creneau_id = $1, nom_expediteur = $2, telephone_expediteur = $3, adresse_expediteur = $4, 
+      nom_destinataire = $5, telephone_destinataire = $6, adresse_destinataire = $7, 
+      type_colis = $8, poids = $9, description = $10, valeur_declaree = $11, 
+      assurance = $12, methode_paiement = $13, statut = $14
+      WHERE id = $15 RETURNING *`,
+      [
+        valeurs.creneau_id,
+        valeurs.nom_expediteur,
+        valeurs.telephone_expediteur,
+        valeurs.adresse_expediteur,
+        valeurs.nom_destinataire,
+        valeurs.telephone_destinataire,
+        valeurs.adresse_destinataire,
+        valeurs.type_colis,
+        valeurs.poids,
+        valeurs.description,
+        valeurs.valeur_declaree,
+        valeurs.assurance,
+        valeurs.methode_paiement,
+        nouveauStatut,
+        id
+      ]
+    );
 
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Colis non trouvé' });
+    if (nouveauStatut !== statutPrecedent) {
+      await enregistrerEvenement(client, {
+        colis_id: result.rows[0].id,
+        statut: nouveauStatut,
+        statut_precedent: statutPrecedent,
+        lieu: updates.lieu,
+        commentaire: updates.commentaire
+      });
+    }
 
-  res.json(result.rows[0]);
+    // Ancien et nouveau créneau : une place a pu se libérer ou se remplir
+    await actualiserStatutCreneaux(client, [actuel.rows[0].creneau_id, result.rows[0].creneau_id]);
+    // Expéditeur ou destinataire corrigé : rattachement au bon client
+    const colis = await lierColis(client, result.rows[0]);
+    await journaliser(client, auteurRequete(req), {
+      entite: 'colis', entite_id: colis.id, action: 'modification', avant: actuel.rows[0], apres: colis
+    });
+    return { status: 200, body: colis };
+  });
+
+  res.status(reponse.status).json(reponse.body);
 }));
 
 // ===== PATCH - Modification partielle =====
-colisRouter.patch('/:id', asyncHandler(async (req, res) => {
+colisRouter.patch('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const updates = req.body;
   
   if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
   if (!updates || Object.keys(updates).length === 0) return res.status(400).json({ error: 'Aucun champ à modifier' });
 
-  const allowedFields = ['creneau_id', 'nom_expediteur', 'telephone_expediteur', 'adresse_expediteur', 
-                        'nom_destinataire', 'telephone_destinataire', 'adresse_destinataire', 
-                        'type_colis', 'poids', 'description', 'valeur_declaree', 
-                        'assurance', 'methode_paiement', 'statut'];
-  const fieldsToUpdate = Object.keys(updates).filter(f => allowedFields.includes(f));
-  
+  const valeurs = valider(SCHEMA_COLIS, updates, { mode: 'modification', champs: CHAMPS_MODIFIABLES_COLIS });
+  const fieldsToUpdate = Object.keys(valeurs);
+
   if (fieldsToUpdate.length === 0) return res.status(400).json({ error: 'Aucun champ valide à modifier' });
 
-  // Validation spécifique si type_colis est modifié
-  if (updates.type_colis) {
-    const validPackageTypes = ['document', 'vetements', 'electronique', 'nourriture', 'autre'];
-    if (!validPackageTypes.includes(updates.type_colis)) {
-      return res.status(400).json({ error: 'Type de colis invalide' });
+  const setClause = fieldsToUpdate.map((f, i) => `${f} = $${i + 1}`).join(', ');
+  const values = fieldsToUpdate.map(f => valeurs[f]);
+  values.push(id);
+
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM colis WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Colis non trouvé' } };
+
+    const statutPrecedent = actuel.rows[0].statut;
+    const changementStatut = valeurs.statut && valeurs.statut !== statutPrecedent;
+    if (changementStatut && !transitionAutorisee(statutPrecedent, valeurs.statut)) {
+      return { status: 409, body: { error: messageTransitionInvalide(statutPrecedent, valeurs.statut) } };
     }
-  }
 
-  // Validation spécifique si methode_paiement est modifié
-  if (updates.methode_paiement) {
-    const validPaymentMethods = ['especes', 'carte', 'virement', 'mobile'];
-    if (!validPaymentMethods.includes(updates.methode_paiement)) {
-      return res.status(400).json({ error: 'Méthode de paiement invalide' });
+    // Changement de créneau ou de poids : mêmes contrôles de capacité qu'à la création
+    const cible = {
+      creneau_id: 'creneau_id' in valeurs ? valeurs.creneau_id : actuel.rows[0].creneau_id,
+      poids: 'poids' in valeurs ? valeurs.poids : actuel.rows[0].poids
+    };
+    if (cible.creneau_id && affectationModifiee(actuel.rows[0], cible)) {
+      const { erreur } = await verifierCapaciteCreneau(client, cible.creneau_id, cible.poids, id);
+      if (erreur) return { status: 400, body: { error: erreur } };
     }
-  }
 
-  // Validation spécifique si poids est modifié
-  if (updates.poids && updates.poids <= 0) {
-    return res.status(400).json({ error: 'Le poids doit être supérieur à 0' });
-  }
+    const result = await client.query(
+      `UPDATE colis SET ${setClause} WHERE id = $${values.length} RETURNING *`,
+      values
+    );
 
-  // Validation spécifique si statut est modifié
-  if (updates.statut) {
-    const validStatus = ['en_attente', 'en_transit', 'livre'];
-    if (!validStatus.includes(updates.statut)) {
-      return res.status(400).json({ error: 'Statut invalide' });
+    if (changementStatut) {
+      await enregistrerEvenement(client, {
+        colis_id: result.rows[0].id,
+        statut: valeurs.statut,
+        statut_precedent: statutPrecedent,
+        lieu: updates.lieu,
+        commentaire: updates.commentaire
+      });
     }
-  }
 
-  const setClause = fieldsToUpdate.map((f, i) => `${f} = $${i + 1}`).join(', ');
-  const values = fieldsToUpdate.map(f => updates[f]);
-  values.push(id);
+    // Ancien et nouveau créneau : une place a pu se libérer ou se remplir
+    await actualiserStatutCreneaux(client, [actuel.rows[0].creneau_id, result.rows[0].creneau_id]);
+    // Expéditeur ou destinataire corrigé : rattachement au bon client
+    const colis = await lierColis(client, result.rows[0]);
+    await journaliser(client, auteurRequete(req), {
+      entite: 'colis', entite_id: colis.id, action: 'modification', avant: actuel.rows[0], apres: colis
+    });
+    return { status: 200, body: colis };
+  });
 
-  const result = await pool.query(
-    `UPDATE colis SET ${setClause} WHERE id = $${values.length} RETURNING *`,
-    values
-  );
+  res.status(reponse.status).json(reponse.body);
+}));
 
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Colis non trouvé' });
+// ===== EVENEMENT - Changement de statut avec lieu et commentaire =====
+colisRouter.post('/:id/evenements', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { statut, lieu, commentaire } = req.body;
 
-  res.json(result.rows[0]);
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+  if (!statut) return res.status(400).json({ error: 'Champ obligatoire manquant: statut' });
+  if (!STATUTS_COLIS.includes(statut)) return res.status(400).json({ error: 'Statut invalide' });
+
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM colis WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Colis non trouvé' } };
+
+    // Un événement au même statut sert de point de passage (nouveau lieu, commentaire)
+    const statutPrecedent = actuel.rows[0].statut;
+    if (statut !== statutPrecedent && !transitionAutorisee(statutPrecedent, statut)) {
+      return { status: 409, body: { error: messageTransitionInvalide(statutPrecedent, statut) } };
+    }
+
+    const result = await client.query(
+      'UPDATE colis SET statut = $1 WHERE id = $2 RETURNING *',
+      [statut, id]
+    );
+    const evenement = await enregistrerEvenement(client, {
+      colis_id: result.rows[0].id,
+      statut,
+      statut_precedent: statutPrecedent,
+      lieu,
+      commentaire
+    });
+
+    // Un colis annulé ou retourné libère sa place
+    await actualiserStatutCreneaux(client, [result.rows[0].creneau_id]);
+    await journaliser(client, auteurRequete(req), {
+      entite: 'colis', entite_id: result.rows[0].id, action: 'modification', avant: actuel.rows[0], apres: result.rows[0]
+    });
+    return { status: 201, body: { colis: result.rows[0], evenement } };
+  });
+
+  res.status(reponse.status).json(reponse.body);
 }));
 
-// ===== DELETE - Supprimer un colis =====
-colisRouter.delete('/:id', asyncHandler(async (req, res) => {
+// ===== DELETE - Mettre un colis à la corbeille (purgé après la durée de rétention) =====
+colisRouter.delete('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   const { id } = req.params;
   if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
 
-  const result = await pool.query('DELETE FROM colis WHERE id = $1 RETURNING *', [id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Colis non trouvé' });
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM colis WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Colis non trouvé' } };
+
+    const colis = await mettreALaCorbeille(client, 'colis', id, req.utilisateur.id);
+    await actualiserStatutCreneaux(client, [colis.creneau_id]);
+    await journaliser(client, auteurRequete(req), {
+      entite: 'colis', entite_id: colis.id, action: 'suppression', avant: actuel.rows[0], apres: colis
+    });
+    return { status: 200, body: { message: 'Colis mis à la corbeille', deletedColis: colis } };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// ===== RESTAURER - Sortir un colis de la corbeille =====
+colisRouter.post('/:id/restaurer', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM colis WHERE id = $1 AND supprime_le IS NOT NULL FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Colis non trouvé dans la corbeille' } };
+
+    // Le créneau a pu se remplir ou être supprimé entre-temps : mêmes contrôles qu'à la création
+    const { creneau_id, poids, statut } = actuel.rows[0];
+    if (creneau_id && !STATUTS_HORS_CAPACITE.includes(statut)) {
+      const { erreur } = await verifierCapaciteCreneau(client, creneau_id, poids, id);
+      if (erreur) return { status: 409, body: { error: `Restauration impossible: ${erreur}` } };
+    }
+
+    const colis = await sortirDeLaCorbeille(client, 'colis', id);
+    await actualiserStatutCreneaux(client, [colis.creneau_id]);
+    await journaliser(client, auteurRequete(req), {
+      entite: 'colis', entite_id: colis.id, action: 'restauration', avant: actuel.rows[0], apres: colis
+    });
+    return { status: 200, body: colis };
+  });
 
-  res.json({ message: 'Colis supprimé', deletedColis: result.rows[0] });
+  res.status(reponse.status).json(reponse.body);
 }));
 
 export default colisRouter;
\ No newline at end of file
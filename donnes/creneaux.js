@@ -1,6 +1,33 @@
 import { Router } from 'express';
-import pool from '../db.js';
+import pool, { withTransaction } from '../db.js';
 import dotenv from 'dotenv';
+import { autoriser } from '../middleware/auth.js';
+import { ROLES_STAFF } from '../services/auth.js';
+import {
+  JOINTURE_COLIS_ACTIFS,
+  COLONNES_OCCUPATION,
+  STATUTS_HORS_CAPACITE,
+  verifierLimitesCreneau,
+  actualiserStatutCreneaux
+} from '../services/capaciteCreneaux.js';
+import { envoyerManifesteCreneau } from '../services/pdf/manifesteCreneau.js';
+import { creerCreneau, transitionCreneauAutorisee, messageTransitionCreneau } from '../services/creneaux.js';
+import {
+  executerOperationCreneau,
+  changerStatutCreneau,
+  annulerCreneau,
+  reaffecterColis,
+  OPERATIONS_CRENEAU,
+  MAX_COLIS_LOT
+} from '../services/operationsCreneaux.js';
+import { valider } from '../services/validation.js';
+import { SCHEMA_CRENEAU, SCHEMA_ANNULATION_CRENEAU } from '../services/schemas.js';
+import { journaliser, auteurRequete } from '../services/audit.js';
+import { mettreALaCorbeille, sortirDeLaCorbeille } from '../services/corbeille.js';
+import { filtreCreneaux, listerPagine } from '../services/listes.js';
+import { exporterRequete, FORMATS_EXPORT, COLONNES_EXPORT } from '../services/export.js';
+import { lireCsv, importerCsv } from '../services/importCsv.js';
+import { corpsCsv } from '../middleware/csv.js';
 
 dotenv.config();
 
@@ -11,10 +38,19 @@ const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Liste colis_ids du corps des opérations en masse : tableau d'entiers sans doublon
+const lireIdsColis = (body) => {
+  const { colis_ids: ids } = body || {};
+  if (!Array.isArray(ids) || ids.length === 0) return { erreur: 'Liste colis_ids requise' };
+  if (ids.length > MAX_COLIS_LOT) return { erreur: `Au plus ${MAX_COLIS_LOT} colis par opération` };
+  if (ids.some(id => !Number.isInteger(Number(id)) || Number(id) <= 0)) return { erreur: 'colis_ids doit contenir des IDs valides' };
+  return { ids: [...new Set(ids.map(Number))] };
+};
+
 // ===== COUNT - Nombre total de créneaux =====
-creneauxRouter.get('/count', asyncHandler(async (req, res) => {
+creneauxRouter.get('/count', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   try {
-    const result = await pool.query('SELECT COUNT(*) FROM creneaux_expedition');
+    const result = await pool.query('SELECT COUNT(*) FROM creneaux_expedition WHERE supprime_le IS NULL');
     res.json({ count: parseInt(result.rows[0].count) });
   } catch (error) {
     console.error('Error counting creneaux:', error);
@@ -23,122 +59,130 @@ creneauxRouter.get('/count', asyncHandler(async (req, res) => {
 }));
 
 // ===== CREATE - Ajouter un créneau =====
-creneauxRouter.post('/', asyncHandler(async (req, res) => {
-  const {
-    heure_depart,
-    lieu_depart,
-    destination,
-    capacite_max,
-    frais_par_kg,
-    poids_max_colis,
-    type_transport,
-    date_expedition
-  } = req.body;
-
-  // Validation des champs obligatoires
-  const requiredFields = ['heure_depart', 'lieu_depart', 'destination', 'capacite_max', 'frais_par_kg', 'poids_max_colis', 'date_expedition'];
-  for (let field of requiredFields) {
-    if (!req.body[field]) {
-      return res.status(400).json({ error: `Champ obligatoire manquant: ${field}` });
-    }
-  }
+creneauxRouter.post('/', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const donnees = valider(SCHEMA_CRENEAU, req.body);
+
+  const creneau = await withTransaction(async (client) => {
+    const creneau = await creerCreneau(client, donnees);
+    await journaliser(client, auteurRequete(req), { entite: 'creneaux', entite_id: creneau.id, action: 'creation', apres: creneau });
+    return creneau;
+  });
+
+  res.status(201).json(creneau);
+}));
+
+// ===== READ - Tous les créneaux =====
+creneauxRouter.get('/', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const filtre = filtreCreneaux(req.query);
+  if (filtre.erreur) return res.status(400).json({ error: filtre.erreur });
+
+  const liste = await listerPagine(pool, {
+    select: `ce.*, ${COLONNES_OCCUPATION}`,
+    from: 'creneaux_expedition ce',
+    jointures: `\n       ${JOINTURE_COLIS_ACTIFS}`,
+    groupBy: '\n       GROUP BY ce.id',
+    filtre,
+    query: req.query
+  });
+  if (liste.erreur) return res.status(400).json({ error: liste.erreur });
+
+  res.json(liste);
+}));
+
+// ===== EXPORT - Créneaux filtrés en CSV ou XLSX (mêmes filtres que la liste, sans pagination) =====
+creneauxRouter.get('/export', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { format = 'csv' } = req.query;
+  if (!FORMATS_EXPORT.includes(format)) return res.status(400).json({ error: 'Format invalide. Doit être: csv ou xlsx' });
+
+  const { whereClause, params, orderClause, erreur } = filtreCreneaux(req.query);
+  if (erreur) return res.status(400).json({ error: erreur });
+
+  await exporterRequete(res, {
+    texte: `SELECT ce.*, ${COLONNES_OCCUPATION}
+            FROM creneaux_expedition ce
+            ${JOINTURE_COLIS_ACTIFS}${whereClause}
+            GROUP BY ce.id${orderClause}`,
+    params,
+    colonnes: COLONNES_EXPORT.creneaux,
+    format,
+    nom: 'creneaux'
+  });
+}));
 
-  // Validation du type de transport
-  const validTransportTypes = ['standard', 'express', 'prioritaire'];
-  if (type_transport && !validTransportTypes.includes(type_transport)) {
-    return res.status(400).json({ error: 'Type de transport invalide. Doit être: standard, express ou prioritaire' });
+// ===== IMPORT - Créneaux depuis un CSV (?dry_run=true pour valider sans rien créer) =====
+creneauxRouter.post('/import', autoriser(...ROLES_STAFF), corpsCsv, asyncHandler(async (req, res) => {
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ error: 'Fichier CSV attendu (Content-Type: text/csv)' });
   }
 
-  // Validation des nombres positifs
-  if (capacite_max <= 0 || frais_par_kg <= 0 || poids_max_colis <= 0) {
-    return res.status(400).json({ error: 'La capacité, les frais et le poids maximum doivent être supérieurs à 0' });
+  const { lignes, erreur } = lireCsv(req.body);
+  if (erreur) return res.status(400).json({ error: erreur });
+  if (lignes.length === 0) return res.status(400).json({ error: 'Aucune ligne à importer' });
+
+  // Mêmes règles que POST /
+  const rapport = await importerCsv(lignes, async (client, ligne) => {
+    const creneau = await creerCreneau(client, valider(SCHEMA_CRENEAU, ligne));
+    await journaliser(client, auteurRequete(req), { entite: 'creneaux', entite_id: creneau.id, action: 'creation', apres: creneau });
+    return { cree: { id: creneau.id } };
+  }, { simulation: req.query.dry_run === 'true' });
+
+  if (rapport.simulation) return res.json(rapport);
+  if (rapport.erreurs.length > 0) {
+    return res.status(400).json({ error: `Import annulé: ${rapport.erreurs.length} ligne(s) en erreur`, ...rapport });
   }
+  res.status(201).json(rapport);
+}));
 
-  const result = await pool.query(
-    `INSERT INTO creneaux_expedition 
-    (heure_depart, lieu_depart, destination, capacite_max, frais_par_kg, poids_max_colis, type_transport, date_expedition)
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
-    RETURNING *`,
-    [
-      heure_depart,
-      lieu_depart,
-      destination,
-      capacite_max,
-      frais_par_kg,
-      poids_max_colis,
-      type_transport || 'standard',
-      date_expedition
-    ]
-  );
+// ===== CORBEILLE - Créneaux supprimés (mêmes filtres et pagination que la liste) =====
+creneauxRouter.get('/corbeille', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const filtre = filtreCreneaux(req.query, { corbeille: true });
+  if (filtre.erreur) return res.status(400).json({ error: filtre.erreur });
 
-  res.status(201).json(result.rows[0]);
+  const liste = await listerPagine(pool, { select: 'ce.*', from: 'creneaux_expedition ce', filtre, query: req.query });
+  if (liste.erreur) return res.status(400).json({ error: liste.erreur });
+
+  res.json(liste);
 }));
 
-// ===== READ - Tous les créneaux =====
-creneauxRouter.get('/', asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, search, sortBy = 'id', order = 'DESC' } = req.query;
-  const pageNum = Math.max(1, parseInt(page));
-  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-  const offset = (pageNum - 1) * limitNum;
-
-  const allowedSortColumns = ['id', 'lieu_depart', 'destination', 'date_expedition', 'heure_depart', 'date_creation'];
-  const sortColumn = allowedSortColumns.includes(sortBy) ? sortBy : 'id';
-  const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
-
-  let query = `
-    SELECT ce.*, 
-           COUNT(c.id) as nombre_colis_actuels,
-           (ce.capacite_max - COUNT(c.id)) as places_restantes
-    FROM creneaux_expedition ce
-    LEFT JOIN colis c ON ce.id = c.creneau_id
-  `;
-  let countQuery = 'SELECT COUNT(*) FROM creneaux_expedition';
+// ===== PUBLIC - Créneaux ouverts à venir (choix du créneau sur le site) =====
+// Filtres : lieu_depart, destination. Ni occupation ni données internes : seulement de quoi choisir.
+creneauxRouter.get('/disponibles', asyncHandler(async (req, res) => {
+  const { lieu_depart, destination } = req.query;
   const params = [];
-  const groupBy = ' GROUP BY ce.id';
+  const whereConditions = [`ce.statut = 'ouvert'`, 'ce.date_expedition >= CURRENT_DATE', 'ce.supprime_le IS NULL'];
 
-  if (search) {
-    const searchCondition = ' WHERE ce.lieu_depart ILIKE $1 OR ce.destination ILIKE $1';
-    query += searchCondition;
-    countQuery += searchCondition;
-    params.push(`%${search}%`);
+  if (lieu_depart) {
+    params.push(String(lieu_depart));
+    whereConditions.push(`ce.lieu_depart ILIKE $${params.length}`);
+  }
+  if (destination) {
+    params.push(String(destination));
+    whereConditions.push(`ce.destination ILIKE $${params.length}`);
   }
 
-  query += groupBy + ` ORDER BY ce.${sortColumn} ${sortOrder} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-  params.push(limitNum, offset);
-
-  const [result, countResult] = await Promise.all([
-    pool.query(query, params),
-    pool.query(countQuery, search ? [`%${search}%`] : [])
-  ]);
-
-  const total = parseInt(countResult.rows[0].count);
-  const totalPages = Math.ceil(total / limitNum);
-
-  res.json({
-    data: result.rows,
-    pagination: {
-      page: pageNum,
-      limit: limitNum,
-      total,
-      totalPages,
-      hasNext: pageNum < totalPages,
-      hasPrev: pageNum > 1
-    }
-  });
+  const result = await pool.query(
+    `SELECT ce.id, ce.lieu_depart, ce.destination, ce.date_expedition, ce.heure_depart, ce.type_transport,
+            ce.frais_par_kg, ce.poids_max_colis
+     FROM creneaux_expedition ce
+     WHERE ${whereConditions.join(' AND ')}
+     ORDER BY ce.date_expedition, ce.heure_depart, ce.id
+     LIMIT 100`,
+    params
+  );
+
+  res.json({ data: result.rows });
 }));
 
 // ===== READ - Un créneau par ID =====
-creneauxRouter.get('/:id', asyncHandler(async (req, res) => {
+creneauxRouter.get('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   const { id } = req.params;
   if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
 
   const result = await pool.query(
-    `SELECT ce.*, 
-            COUNT(c.id) as nombre_colis_actuels,
-            (ce.capacite_max - COUNT(c.id)) as places_restantes
+    `SELECT ce.*, ${COLONNES_OCCUPATION}
      FROM creneaux_expedition ce
-     LEFT JOIN colis c ON ce.id = c.creneau_id
-     WHERE ce.id = $1
+     ${JOINTURE_COLIS_ACTIFS}
+     WHERE ce.id = $1 AND ce.supprime_le IS NULL
      GROUP BY ce.id`,
     [id]
   );
@@ -148,111 +192,322 @@ creneauxRouter.get('/:id', asyncHandler(async (req, res) => {
   res.json(result.rows[0]);
 }));
 
-// ===== UPDATE - Modifier un créneau complet =====
-creneauxRouter.put('/:id', asyncHandler(async (req, res) => {
+// ===== PDF - Manifeste de chargement (colis actifs du créneau) =====
+creneauxRouter.get('/:id/manifeste', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const updates = req.body;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const creneauResult = await pool.query('SELECT * FROM creneaux_expedition WHERE id = $1 AND supprime_le IS NULL', [id]);
+  if (creneauResult.rows.length === 0) return res.status(404).json({ error: 'Créneau non trouvé' });
+
+  const colisResult = await pool.query(
+    `SELECT * FROM colis
+     WHERE creneau_id = $1 AND statut <> ALL($2) AND supprime_le IS NULL
+     ORDER BY nom_destinataire, id`,
+    [id, STATUTS_HORS_CAPACITE]
+  );
+
+  await envoyerManifesteCreneau(res, creneauResult.rows[0], colisResult.rows);
+}));
 
+// ===== DEPART / ARRIVEE - Statut du créneau et de tous ses colis en une transaction =====
+// Au départ les colis arrive_agence passent en_transit, à l'arrivée les colis en_transit ou en_douane
+// passent arrive_agence. Les colis jamais déposés en agence sont signalés dans non_enregistres.
+for (const operation of Object.keys(OPERATIONS_CRENEAU)) {
+  creneauxRouter.post(`/:id/${operation}`, autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+    const reponse = await withTransaction(async (client) => {
+      const actuel = await client.query('SELECT * FROM creneaux_expedition WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+      if (actuel.rows.length === 0) return { status: 404, body: { error: 'Créneau non trouvé' } };
+
+      const { statut } = OPERATIONS_CRENEAU[operation];
+      if (!transitionCreneauAutorisee(actuel.rows[0].statut, statut)) {
+        return { status: 409, body: { error: messageTransitionCreneau(actuel.rows[0].statut, statut) } };
+      }
+
+      const rapport = await executerOperationCreneau(client, auteurRequete(req), actuel.rows[0], operation, {
+        commentaire: req.body?.commentaire
+      });
+      return { status: 200, body: rapport };
+    });
+
+    res.status(reponse.status).json(reponse.body);
+  }));
+}
+
+// ===== CLOTURER / ROUVRIR - Fermer un créneau aux nouveaux colis avant son départ, ou le rouvrir =====
+const CHANGEMENTS_STATUT = { cloturer: 'cloture', rouvrir: 'ouvert' };
+
+for (const [action, statut] of Object.entries(CHANGEMENTS_STATUT)) {
+  creneauxRouter.post(`/:id/${action}`, autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+    const reponse = await withTransaction(async (client) => {
+      const actuel = await client.query('SELECT * FROM creneaux_expedition WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+      if (actuel.rows.length === 0) return { status: 404, body: { error: 'Créneau non trouvé' } };
+
+      if (!transitionCreneauAutorisee(actuel.rows[0].statut, statut)) {
+        return { status: 409, body: { error: messageTransitionCreneau(actuel.rows[0].statut, statut) } };
+      }
+
+      const creneau = await changerStatutCreneau(client, auteurRequete(req), actuel.rows[0], statut);
+      return { status: 200, body: creneau };
+    });
+
+    res.status(reponse.status).json(reponse.body);
+  }));
+}
+
+// ===== ANNULER - Annuler un créneau et reporter ses colis sur le prochain créneau ouvert de l'itinéraire =====
+// Rapport : colis déplacés, colis sans place (restés sur le créneau annulé) et expéditeurs à prévenir
+creneauxRouter.post('/:id/annuler', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
   if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
-  
-  // Validation des champs obligatoires
-  const requiredFields = ['heure_depart', 'lieu_depart', 'destination', 'capacite_max', 'frais_par_kg', 'poids_max_colis', 'date_expedition'];
-  for (let field of requiredFields) {
-    if (!updates[field]) return res.status(400).json({ error: `Champ obligatoire manquant: ${field}` });
-  }
 
-  // Validation du type de transport
-  const validTransportTypes = ['standard', 'express', 'prioritaire'];
-  if (updates.type_transport && !validTransportTypes.includes(updates.type_transport)) {
-    return res.status(400).json({ error: 'Type de transport invalide. Doit être: standard, express ou prioritaire' });
-  }
+  const options = valider(SCHEMA_ANNULATION_CRENEAU, req.body || {});
 
-  // Validation des nombres positifs
-  if (updates.capacite_max <= 0 || updates.frais_par_kg <= 0 || updates.poids_max_colis <= 0) {
-    return res.status(400).json({ error: 'La capacité, les frais et le poids maximum doivent être supérieurs à 0' });
-  }
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM creneaux_expedition WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Créneau non trouvé' } };
 
-  const result = await pool.query(
-    `UPDATE creneaux_expedition SET
-    heure_depart = $1, lieu_depart = $2, destination = $3, capacite_max = $4, 
-    frais_par_kg = $5, poids_max_colis = $6, type_transport = $7, date_expedition = $8
-    WHERE id = $9 RETURNING *`,
-    [
-      updates.heure_depart,
-      updates.lieu_depart,
-      updates.destination,
-      updates.capacite_max,
-      updates.frais_par_kg,
-      updates.poids_max_colis,
-      updates.type_transport,
-      updates.date_expedition,
-      id
-    ]
-  );
+    if (!transitionCreneauAutorisee(actuel.rows[0].statut, 'annule')) {
+      return { status: 409, body: { error: messageTransitionCreneau(actuel.rows[0].statut, 'annule') } };
+    }
 
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Créneau non trouvé' });
+    const rapport = await annulerCreneau(client, auteurRequete(req), actuel.rows[0], options);
+    return { status: 200, body: rapport };
+  });
 
-  res.json(result.rows[0]);
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// ===== AFFECTER - Rattacher des colis au créneau (contrôle de capacité, tout ou rien) =====
+creneauxRouter.post('/:id/colis', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const { ids, erreur } = lireIdsColis(req.body);
+  if (erreur) return res.status(400).json({ error: erreur });
+
+  const reponse = await withTransaction(async (client) => {
+    const creneau = await client.query('SELECT * FROM creneaux_expedition WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+    if (creneau.rows.length === 0) return { status: 404, body: { error: 'Créneau non trouvé' } };
+
+    const rapport = await reaffecterColis(client, auteurRequete(req), ids, { cible: creneau.rows[0] });
+    if (rapport.erreurs) return { status: 400, body: { error: 'Affectation impossible', erreurs: rapport.erreurs } };
+
+    return { status: 200, body: { message: `${rapport.colis.length} colis affecté(s) au créneau`, ...rapport } };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// ===== RETIRER - Détacher des colis du créneau =====
+creneauxRouter.delete('/:id/colis', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const { ids, erreur } = lireIdsColis(req.body);
+  if (erreur) return res.status(400).json({ error: erreur });
+
+  const reponse = await withTransaction(async (client) => {
+    const creneau = await client.query('SELECT * FROM creneaux_expedition WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+    if (creneau.rows.length === 0) return { status: 404, body: { error: 'Créneau non trouvé' } };
+
+    const rapport = await reaffecterColis(client, auteurRequete(req), ids, { source: creneau.rows[0] });
+    if (rapport.erreurs) return { status: 400, body: { error: 'Retrait impossible', erreurs: rapport.erreurs } };
+
+    return { status: 200, body: { message: `${rapport.colis.length} colis retiré(s) du créneau`, colis: rapport.colis } };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// ===== DEPLACER - Transférer des colis vers un autre créneau (contrôle de capacité, tout ou rien) =====
+creneauxRouter.post('/:id/colis/deplacer', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { creneau_cible_id: cibleId } = req.body || {};
+
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+  if (!cibleId || isNaN(parseInt(cibleId))) return res.status(400).json({ error: 'creneau_cible_id invalide' });
+  if (parseInt(cibleId) === parseInt(id)) return res.status(400).json({ error: 'Le créneau cible doit être différent du créneau source' });
+
+  const { ids, erreur } = lireIdsColis(req.body);
+  if (erreur) return res.status(400).json({ error: erreur });
+
+  const reponse = await withTransaction(async (client) => {
+    // Verrouillage dans l'ordre des IDs : deux déplacements croisés ne peuvent pas s'interbloquer
+    const creneaux = await client.query(
+      'SELECT * FROM creneaux_expedition WHERE id = ANY($1::int[]) AND supprime_le IS NULL ORDER BY id FOR UPDATE',
+      [[parseInt(id), parseInt(cibleId)]]
+    );
+    const source = creneaux.rows.find(c => c.id === parseInt(id));
+    const cible = creneaux.rows.find(c => c.id === parseInt(cibleId));
+    if (!source) return { status: 404, body: { error: 'Créneau non trouvé' } };
+    if (!cible) return { status: 404, body: { error: 'Créneau cible non trouvé' } };
+
+    const rapport = await reaffecterColis(client, auteurRequete(req), ids, { source, cible });
+    if (rapport.erreurs) return { status: 400, body: { error: 'Déplacement impossible', erreurs: rapport.erreurs } };
+
+    return { status: 200, body: { message: `${rapport.colis.length} colis déplacé(s) vers le créneau #${cible.id}`, colis: rapport.colis } };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// ===== UPDATE - Modifier un créneau complet =====
+creneauxRouter.put('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const updates = req.body;
+
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+  
+  const reponse = await withTransaction(async (client) => {
+    // Le créneau actuel sert aux règles croisées et laisse passer une date déjà enregistrée
+    const actuel = await client.query('SELECT * FROM creneaux_expedition WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Créneau non trouvé' } };
+
+    const valeurs = valider(SCHEMA_CRENEAU, updates, { mode: 'remplacement', actuel: actuel.rows[0] });
+
+    // Les limites ne peuvent pas descendre sous ce que le créneau transporte déjà
+    const depassement = await verifierLimitesCreneau(client, actuel.rows[0], valeurs);
+    if (depassement) return { status: 409, body: { error: depassement } };
+
+    const result = await client.query(
+      `UPDATE creneaux_expedition SET
+      heure_depart = $1, lieu_depart = $2, destination = $3, capacite_max = $4, 
+      frais_par_kg = $5, poids_max_colis = $6, type_transport = $7, date_expedition = $8,
+      capacite_poids_max = $9
+      WHERE id = $10 RETURNING *`,
+      [
+        valeurs.heure_depart,
+        valeurs.lieu_depart,
+        valeurs.destination,
+        valeurs.capacite_max,
+        valeurs.frais_par_kg,
+        valeurs.poids_max_colis,
+        valeurs.type_transport,
+        valeurs.date_expedition,
+        valeurs.capacite_poids_max,
+        id
+      ]
+    );
+
+    // Une capacité modifiée peut rendre le créneau complet, ou le rouvrir
+    const [actualise] = await actualiserStatutCreneaux(client, [id]);
+    const creneau = actualise || result.rows[0];
+
+    await journaliser(client, auteurRequete(req), {
+      entite: 'creneaux', entite_id: creneau.id, action: 'modification', avant: actuel.rows[0], apres: creneau
+    });
+    return { status: 200, body: creneau };
+  });
+
+  res.status(reponse.status).json(reponse.body);
 }));
 
 // ===== PATCH - Modification partielle =====
-creneauxRouter.patch('/:id', asyncHandler(async (req, res) => {
+creneauxRouter.patch('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const updates = req.body;
   
   if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
   if (!updates || Object.keys(updates).length === 0) return res.status(400).json({ error: 'Aucun champ à modifier' });
 
-  const allowedFields = ['heure_depart', 'lieu_depart', 'destination', 'capacite_max', 
-                        'frais_par_kg', 'poids_max_colis', 'type_transport', 'date_expedition'];
-  const fieldsToUpdate = Object.keys(updates).filter(f => allowedFields.includes(f));
-  
-  if (fieldsToUpdate.length === 0) return res.status(400).json({ error: 'Aucun champ valide à modifier' });
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM creneaux_expedition WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Créneau non trouvé' } };
 
-  // Validation spécifique si type_transport est modifié
-  if (updates.type_transport) {
-    const validTransportTypes = ['standard', 'express', 'prioritaire'];
-    if (!validTransportTypes.includes(updates.type_transport)) {
-      return res.status(400).json({ error: 'Type de transport invalide. Doit être: standard, express ou prioritaire' });
-    }
-  }
+    const valeurs = valider(SCHEMA_CRENEAU, updates, { mode: 'modification', actuel: actuel.rows[0] });
+    const fieldsToUpdate = Object.keys(valeurs);
 
-  // Validation des nombres positifs
-  if ((updates.capacite_max && updates.capacite_max <= 0) ||
-      (updates.frais_par_kg && updates.frais_par_kg <= 0) ||
-      (updates.poids_max_colis && updates.poids_max_colis <= 0)) {
-    return res.status(400).json({ error: 'La capacité, les frais et le poids maximum doivent être supérieurs à 0' });
-  }
+    if (fieldsToUpdate.length === 0) return { status: 400, body: { error: 'Aucun champ valide à modifier' } };
 
-  const setClause = fieldsToUpdate.map((f, i) => `${f} = $${i + 1}`).join(', ');
-  const values = fieldsToUpdate.map(f => updates[f]);
-  values.push(id);
+    const depassement = await verifierLimitesCreneau(client, actuel.rows[0], valeurs);
+    if (depassement) return { status: 409, body: { error: depassement } };
 
-  const result = await pool.query(
-    `UPDATE creneaux_expedition SET ${setClause} WHERE id = $${values.length} RETURNING *`,
-    values
-  );
+    const setClause = fieldsToUpdate.map((f, i) => `${f} = $${i + 1}`).join(', ');
+    const values = fieldsToUpdate.map(f => valeurs[f]);
+    values.push(id);
 
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Créneau non trouvé' });
+    const result = await client.query(
+      `UPDATE creneaux_expedition SET ${setClause} WHERE id = $${values.length} RETURNING *`,
+      values
+    );
 
-  res.json(result.rows[0]);
+    // Une capacité modifiée peut rendre le créneau complet, ou le rouvrir
+    const [actualise] = await actualiserStatutCreneaux(client, [id]);
+    const creneau = actualise || result.rows[0];
+
+    await journaliser(client, auteurRequete(req), {
+      entite: 'creneaux', entite_id: creneau.id, action: 'modification', avant: actuel.rows[0], apres: creneau
+    });
+    return { status: 200, body: creneau };
+  });
+
+  res.status(reponse.status).json(reponse.body);
 }));
 
-// ===== DELETE - Supprimer un créneau =====
-creneauxRouter.delete('/:id', asyncHandler(async (req, res) => {
+// ===== DELETE - Mettre un créneau à la corbeille (purgé après la durée de rétention) =====
+creneauxRouter.delete('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   const { id } = req.params;
   if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
 
-  // Vérifier s'il y a des colis associés
-  const colisResult = await pool.query('SELECT COUNT(*) FROM colis WHERE creneau_id = $1', [id]);
-  if (parseInt(colisResult.rows[0].count) > 0) {
-    return res.status(400).json({ error: 'Impossible de supprimer le créneau: des colis y sont associés' });
-  }
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM creneaux_expedition WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Créneau non trouvé' } };
+
+    // Vérifier s'il y a des colis associés (hors corbeille)
+    const colisResult = await client.query('SELECT COUNT(*) FROM colis WHERE creneau_id = $1 AND supprime_le IS NULL', [id]);
+    if (parseInt(colisResult.rows[0].count) > 0) {
+      return {
+        status: 400,
+        body: { error: 'Impossible de supprimer le créneau: des colis y sont associés (annulez-le pour les reporter)' }
+      };
+    }
 
-  const result = await pool.query('DELETE FROM creneaux_expedition WHERE id = $1 RETURNING *', [id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Créneau non trouvé' });
+    const creneau = await mettreALaCorbeille(client, 'creneaux_expedition', id, req.utilisateur.id);
+    await journaliser(client, auteurRequete(req), {
+      entite: 'creneaux', entite_id: creneau.id, action: 'suppression', avant: actuel.rows[0], apres: creneau
+    });
+    return { status: 200, body: { message: 'Créneau mis à la corbeille', deletedCreneau: creneau } };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// ===== RESTAURER - Sortir un créneau de la corbeille =====
+creneauxRouter.post('/:id/restaurer', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM creneaux_expedition WHERE id = $1 AND supprime_le IS NOT NULL FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Créneau non trouvé dans la corbeille' } };
+
+    // Un planning ne garde qu'un créneau actif par jour : il a pu être régénéré entre-temps
+    const { planning_id, date_expedition } = actuel.rows[0];
+    if (planning_id) {
+      const doublon = await client.query(
+        'SELECT id FROM creneaux_expedition WHERE planning_id = $1 AND date_expedition = $2 AND supprime_le IS NULL',
+        [planning_id, date_expedition]
+      );
+      if (doublon.rows.length > 0) {
+        return { status: 409, body: { error: `Le planning a déjà un créneau ce jour-là (créneau ${doublon.rows[0].id})` } };
+      }
+    }
+
+    const creneau = await sortirDeLaCorbeille(client, 'creneaux_expedition', id);
+    await journaliser(client, auteurRequete(req), {
+      entite: 'creneaux', entite_id: creneau.id, action: 'restauration', avant: actuel.rows[0], apres: creneau
+    });
+    return { status: 200, body: creneau };
+  });
 
-  res.json({ message: 'Créneau supprimé', deletedCreneau: result.rows[0] });
+  res.status(reponse.status).json(reponse.body);
 }));
 
 export default creneauxRouter;
\ No newline at end of file
@@ -0,0 +1,106 @@
+import { Router } from 'express';
+import pool from '../db.js';
+import dotenv from 'dotenv';
+import { autoriser, jetonEnParametre } from '../middleware/auth.js';
+import { ROLES_STAFF } from '../services/auth.js';
+import { abonner } from '../services/tempsReel.js';
+
+dotenv.config();
+
+const evenementsRouter = Router();
+
+// Middleware async pour gérer les erreurs
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// Commentaire envoyé régulièrement : les proxys ne coupent pas un flux silencieux
+const INTERVALLE_PING_MS = 25000;
+const DELAI_RECONNEXION_MS = 5000;
+const MAX_SUJETS = 50;
+// Plus long délai accepté par setTimeout (environ 24 jours)
+const DELAI_MAX_MS = 2 ** 31 - 1;
+
+// Listes (colis, reservations, creneaux, clients), élément (creneau:12) ou numéro de suivi (suivi:COL...)
+const SUJET = /^(colis|reservations|creneaux|clients)$|^(colis|reservation|creneau|client):\d+$|^suivi:[A-Za-z0-9]+$/;
+
+/*
+ * Ouvre la réponse en flux SSE (text/event-stream) abonné aux `sujets`. `formater(evenement)` retourne
+ * les données envoyées (null : événement ignoré), `initial` part en premier (événement « etat »).
+ * Avec `expiration` (ms), le flux se termine à cette date par un événement « expiration » : le client
+ * rouvre le flux avec un nouveau jeton (la reconnexion automatique avec l'ancien échoue en 401).
+ * Un client reconnecté avec Last-Event-ID reçoit d'abord les événements manqués encore en mémoire.
+ * Nécessite un serveur Node permanent (npm start), pas une fonction serverless.
+ */
+const ouvrirFlux = (req, res, { sujets, formater, initial = null, expiration = null }) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Nginx : pas de mise en tampon du flux
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${DELAI_RECONNEXION_MS}\n\n`);
+  if (initial) res.write(`event: etat\ndata: ${JSON.stringify(initial)}\n\n`);
+
+  const envoyer = (evenement) => {
+    const donnees = formater(evenement);
+    if (donnees) res.write(`id: ${evenement.id}\nevent: ${evenement.type}\ndata: ${JSON.stringify(donnees)}\n\n`);
+  };
+
+  const dernier = parseInt(req.get('Last-Event-ID') || req.query.last_event_id);
+  const desabonner = abonner(sujets, envoyer, { depuis: isNaN(dernier) ? null : dernier });
+  const ping = setInterval(() => res.write(': ping\n\n'), INTERVALLE_PING_MS);
+  const fin = expiration
+    ? setTimeout(() => {
+        res.write(`event: expiration\ndata: ${JSON.stringify({ error: 'Jeton expiré' })}\n\n`);
+        res.end();
+      }, Math.min(Math.max(expiration - Date.now(), 0), DELAI_MAX_MS))
+    : null;
+
+  res.on('close', () => {
+    clearInterval(ping);
+    clearTimeout(fin);
+    desabonner();
+  });
+};
+
+// ===== STREAM - Tableau de bord : créations, modifications, suppressions et suivi des colis =====
+// ?sujets=colis,creneau:12,suivi:COL123 (tous les événements sans sujets)
+// Authentification : en-tête Bearer ou ?access_token= (EventSource n'envoie pas d'en-tête) ;
+// le flux est fermé à l'expiration du jeton
+evenementsRouter.get('/', jetonEnParametre, autoriser(...ROLES_STAFF), (req, res) => {
+  const sujets = req.query.sujets
+    ? [...new Set(String(req.query.sujets).split(',').map(s => s.trim()).filter(Boolean))]
+    : [];
+  if (sujets.length > MAX_SUJETS) return res.status(400).json({ error: `Au plus ${MAX_SUJETS} sujets par flux` });
+  const invalides = sujets.filter(s => !SUJET.test(s));
+  if (invalides.length > 0) return res.status(400).json({ error: `Sujet(s) invalide(s): ${invalides.join(', ')}` });
+
+  ouvrirFlux(req, res, {
+    sujets,
+    formater: ({ public: _public, ...evenement }) => evenement,
+    expiration: req.expirationJeton
+  });
+});
+
+// ===== STREAM - Page de suivi publique d'un colis (statut et points de passage, sans données personnelles) =====
+evenementsRouter.get('/suivi/:numero_suivi', asyncHandler(async (req, res) => {
+  const { numero_suivi } = req.params;
+
+  const result = await pool.query(
+    'SELECT numero_suivi, statut FROM colis WHERE numero_suivi = $1 AND supprime_le IS NULL',
+    [numero_suivi]
+  );
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Colis non trouvé' });
+
+  // État courant à l'ouverture : la page n'a pas à recharger le suivi entre deux événements
+  ouvrirFlux(req, res, {
+    sujets: [`suivi:${numero_suivi}`],
+    formater: (evenement) => evenement.public || null,
+    initial: result.rows[0]
+  });
+}));
+
+export default evenementsRouter;
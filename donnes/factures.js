@@ -0,0 +1,117 @@
+import { Router } from 'express';
+import pool, { withTransaction } from '../db.js';
+import dotenv from 'dotenv';
+import { autoriser } from '../middleware/auth.js';
+import { ROLES_STAFF } from '../services/auth.js';
+import { emettreFacture, emettreAvoir } from '../services/factures.js';
+import { auteurRequete } from '../services/audit.js';
+import { valider } from '../services/validation.js';
+import { SCHEMA_FACTURE, SCHEMA_AVOIR } from '../services/schemas.js';
+import { filtreFactures, listerPagine } from '../services/listes.js';
+import { envoyerFacture } from '../services/pdf/facture.js';
+
+dotenv.config();
+
+const facturesRouter = Router();
+
+// Middleware async pour gérer les erreurs
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+const lireFacture = async (id) => {
+  const result = await pool.query(
+    `SELECT f.*, u.nom as utilisateur_nom
+     FROM factures f
+     LEFT JOIN utilisateurs u ON f.utilisateur_id = u.id
+     WHERE f.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+// ===== READ - Factures et avoirs =====
+// Filtres : type, entite, entite_id, date_emission_du/_au, total_ttc_min/_max ; page/limit ou cursor
+facturesRouter.get('/', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const filtre = filtreFactures(req.query);
+  if (filtre.erreur) return res.status(400).json({ error: filtre.erreur });
+
+  const liste = await listerPagine(pool, {
+    select: 'f.id, f.type, f.numero, f.entite, f.entite_id, f.facture_origine_id, f.client, f.total_ht, f.total_taxes, f.total_ttc, f.date_emission',
+    from: 'factures f',
+    filtre,
+    query: req.query
+  });
+  if (liste.erreur) return res.status(400).json({ error: liste.erreur });
+
+  res.json(liste);
+}));
+
+// ===== CREATE - Émission de la facture d'un colis ou d'une réservation =====
+facturesRouter.post('/', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const donnees = valider(SCHEMA_FACTURE, req.body);
+
+  const reponse = await withTransaction(async (client) => {
+    const { facture, erreur, status } = await emettreFacture(client, auteurRequete(req), donnees);
+    if (erreur) return { status, body: { error: erreur } };
+
+    return { status: 201, body: facture };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// ===== CREATE - Avoir (total ou partiel) sur une facture =====
+facturesRouter.post('/:id/avoirs', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const donnees = valider(SCHEMA_AVOIR, req.body);
+
+  const reponse = await withTransaction(async (client) => {
+    const { avoir, erreur, status } = await emettreAvoir(client, auteurRequete(req), id, donnees);
+    if (erreur) return { status, body: { error: erreur } };
+
+    return { status: 201, body: avoir };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// ===== PDF - Facture ou avoir =====
+facturesRouter.get('/:id/pdf', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const document = await lireFacture(id);
+  if (!document) return res.status(404).json({ error: 'Facture non trouvée' });
+
+  const origine = document.facture_origine_id ? await lireFacture(document.facture_origine_id) : null;
+  envoyerFacture(res, document, origine);
+}));
+
+// ===== READ - Une facture (avec ses avoirs) ou un avoir (avec sa facture d'origine) =====
+facturesRouter.get('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const document = await lireFacture(id);
+  if (!document) return res.status(404).json({ error: 'Facture non trouvée' });
+
+  if (document.type === 'avoir') {
+    return res.json({ ...document, facture_origine: await lireFacture(document.facture_origine_id) });
+  }
+
+  const avoirs = await pool.query(
+    'SELECT * FROM factures WHERE facture_origine_id = $1 ORDER BY date_emission, id',
+    [id]
+  );
+  const credite = avoirs.rows.reduce((somme, a) => somme - parseFloat(a.total_ttc), 0);
+  res.json({
+    ...document,
+    avoirs: avoirs.rows,
+    reste_ttc: Math.round((parseFloat(document.total_ttc) - credite) * 100) / 100
+  });
+}));
+
+export default facturesRouter;
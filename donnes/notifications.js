@@ -0,0 +1,115 @@
+import { Router } from 'express';
+import pool from '../db.js';
+import dotenv from 'dotenv';
+import { autoriser } from '../middleware/auth.js';
+import { ROLES_STAFF } from '../services/auth.js';
+import { distribuerNotifications } from '../services/notifications/worker.js';
+
+dotenv.config();
+
+const notificationsRouter = Router();
+
+// Middleware async pour gérer les erreurs
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+const STATUTS_NOTIFICATION = ['en_attente', 'en_cours', 'envoyee', 'echec', 'abandonnee'];
+
+notificationsRouter.use(autoriser(...ROLES_STAFF));
+
+// ===== READ - Toutes les notifications =====
+notificationsRouter.get('/', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, statut, canal, entite, entite_id } = req.query;
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+  const offset = (pageNum - 1) * limitNum;
+
+  const whereConditions = [];
+  const params = [];
+
+  if (statut && STATUTS_NOTIFICATION.includes(statut)) {
+    params.push(statut);
+    whereConditions.push(`statut = $${params.length}`);
+  }
+  if (canal === 'email' || canal === 'sms') {
+    params.push(canal);
+    whereConditions.push(`canal = $${params.length}`);
+  }
+  if (entite) {
+    params.push(entite);
+    whereConditions.push(`entite = $${params.length}`);
+  }
+  if (entite_id && !isNaN(parseInt(entite_id))) {
+    params.push(entite_id);
+    whereConditions.push(`entite_id = $${params.length}`);
+  }
+
+  const whereClause = whereConditions.length > 0 ? ' WHERE ' + whereConditions.join(' AND ') : '';
+
+  const [result, countResult] = await Promise.all([
+    pool.query(
+      `SELECT * FROM notifications${whereClause}
+       ORDER BY id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limitNum, offset]
+    ),
+    pool.query(`SELECT COUNT(*) FROM notifications${whereClause}`, params)
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+  const totalPages = Math.ceil(total / limitNum);
+
+  res.json({
+    data: result.rows,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages,
+      hasNext: pageNum < totalPages,
+      hasPrev: pageNum > 1
+    }
+  });
+}));
+
+// ===== DISTRIBUER - Passage manuel du worker (ou cron HTTP) =====
+notificationsRouter.post('/distribuer', autoriser('admin'), asyncHandler(async (req, res) => {
+  res.json(await distribuerNotifications());
+}));
+
+// ===== READ - Une notification et son journal de distribution =====
+notificationsRouter.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query('SELECT * FROM notifications WHERE id = $1', [id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Notification non trouvée' });
+
+  const journal = await pool.query(
+    'SELECT * FROM notifications_journal WHERE notification_id = $1 ORDER BY date_tentative',
+    [id]
+  );
+
+  res.json({ ...result.rows[0], journal: journal.rows });
+}));
+
+// ===== RENVOYER - Remettre une notification dans la file =====
+notificationsRouter.post('/:id/renvoyer', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query(
+    `UPDATE notifications SET statut = 'en_attente', tentatives = 0, prochaine_tentative = NOW(),
+     derniere_erreur = NULL
+     WHERE id = $1 AND statut <> 'en_cours'
+     RETURNING *`,
+    [id]
+  );
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'Notification non trouvée ou en cours d\'envoi' });
+  }
+
+  res.json(result.rows[0]);
+}));
+
+export default notificationsRouter;
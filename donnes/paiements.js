@@ -0,0 +1,140 @@
+import { Router } from 'express';
+import pool, { withTransaction } from '../db.js';
+import dotenv from 'dotenv';
+import { autoriser } from '../middleware/auth.js';
+import { ROLES_STAFF } from '../services/auth.js';
+import {
+  ENTITES_PAIEMENT,
+  ENTETE_SIGNATURE,
+  enregistrerPaiement,
+  confirmerPaiement,
+  lireElement,
+  listerPaiements,
+  resumeSolde,
+  signatureValide,
+  callbacksConfigures
+} from '../services/paiements.js';
+import { auteurRequete } from '../services/audit.js';
+import { valider } from '../services/validation.js';
+import { SCHEMA_PAIEMENT, SCHEMA_CALLBACK_PAIEMENT } from '../services/schemas.js';
+import { filtrePaiements, listerPagine } from '../services/listes.js';
+import { envoyerRecuPaiement } from '../services/pdf/recu.js';
+
+dotenv.config();
+
+const paiementsRouter = Router();
+
+// Middleware async pour gérer les erreurs
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// ===== READ - Registre des paiements =====
+// Filtres : entite, entite_id, type, methode, statut, date_paiement_du/_au, montant_min/_max ; page/limit ou cursor
+paiementsRouter.get('/', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const filtre = filtrePaiements(req.query);
+  if (filtre.erreur) return res.status(400).json({ error: filtre.erreur });
+
+  const liste = await listerPagine(pool, {
+    select: 'p.*, u.nom as utilisateur_nom',
+    from: 'paiements p',
+    jointures: ' LEFT JOIN utilisateurs u ON p.utilisateur_id = u.id',
+    filtre,
+    query: req.query
+  });
+  if (liste.erreur) return res.status(400).json({ error: liste.erreur });
+
+  res.json(liste);
+}));
+
+// ===== CREATE - Encaissement, remboursement ou paiement en ligne (en_ligne: true) =====
+// Un paiement en ligne reste en_attente avec une reference à transmettre au prestataire
+paiementsRouter.post('/', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const donnees = valider(SCHEMA_PAIEMENT, req.body);
+
+  const reponse = await withTransaction(async (client) => {
+    const { paiement, element, erreur, status } = await enregistrerPaiement(client, auteurRequete(req), donnees, {
+      enAttente: donnees.en_ligne
+    });
+    if (erreur) return { status, body: { error: erreur } };
+
+    return { status: 201, body: { paiement, ...resumeSolde(element) } };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// ===== CALLBACK - Confirmation signée du prestataire (mobile money, carte) =====
+// En-tête X-Signature: sha256=<HMAC du corps brut avec PAIEMENTS_CALLBACK_SECRET>
+// 503 tant que PAIEMENTS_CALLBACK_SECRET n'est pas configuré (signalé au démarrage du serveur)
+paiementsRouter.post('/callback', asyncHandler(async (req, res) => {
+  if (!callbacksConfigures()) {
+    return res.status(503).json({ error: 'Callbacks de paiement non configurés' });
+  }
+  if (!signatureValide(req.corpsBrut, req.get(ENTETE_SIGNATURE))) {
+    return res.status(401).json({ error: 'Signature invalide' });
+  }
+
+  const { reference, statut, transaction_id, montant } = valider(SCHEMA_CALLBACK_PAIEMENT, req.body);
+
+  const resultat = await withTransaction((client) => confirmerPaiement(client, auteurRequete(req), {
+    reference,
+    succes: statut === 'succes',
+    transaction_id,
+    montant
+  }));
+  if (!resultat) return res.status(404).json({ error: 'Référence de paiement inconnue' });
+
+  res.json(resultat);
+}));
+
+// ===== PDF - Reçu d'un paiement validé =====
+paiementsRouter.get('/:id/recu', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query('SELECT * FROM paiements WHERE id = $1', [id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Paiement non trouvé' });
+
+  const paiement = result.rows[0];
+  if (paiement.statut !== 'valide') return res.status(409).json({ error: `Pas de reçu pour un paiement ${paiement.statut}` });
+
+  const element = await lireElement(pool, paiement.entite, paiement.entite_id);
+  if (!element) return res.status(404).json({ error: 'Élément payé introuvable ou supprimé' });
+
+  await envoyerRecuPaiement(res, paiement, element);
+}));
+
+// ===== READ - Solde et registre d'un colis ou d'une réservation =====
+paiementsRouter.get('/:entite/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { entite, id } = req.params;
+  if (!ENTITES_PAIEMENT.includes(entite)) {
+    return res.status(400).json({ error: `Entité invalide. Doit être: ${ENTITES_PAIEMENT.join(', ')}` });
+  }
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const element = await lireElement(pool, entite, id);
+  if (!element) return res.status(404).json({ error: entite === 'colis' ? 'Colis non trouvé' : 'Réservation non trouvée' });
+
+  const paiements = await listerPaiements(pool, entite, id);
+  res.json({ entite, entite_id: element.id, ...resumeSolde(element), paiements });
+}));
+
+// ===== READ - Un paiement par ID =====
+paiementsRouter.get('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query(
+    `SELECT p.*, u.nom as utilisateur_nom
+     FROM paiements p
+     LEFT JOIN utilisateurs u ON p.utilisateur_id = u.id
+     WHERE p.id = $1`,
+    [id]
+  );
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Paiement non trouvé' });
+
+  res.json(result.rows[0]);
+}));
+
+export default paiementsRouter;
@@ -0,0 +1,128 @@
+import { Router } from 'express';
+import pool, { withTransaction } from '../db.js';
+import dotenv from 'dotenv';
+import { autoriser } from '../middleware/auth.js';
+import { ROLES_STAFF } from '../services/auth.js';
+import { verifierDocumentPassager, insererPassager, compterPassagers } from '../services/passagers.js';
+import { valider } from '../services/validation.js';
+import { SCHEMA_PASSAGER } from '../services/schemas.js';
+
+dotenv.config();
+
+// Monté sous /api/reservations/:reservationId/passagers
+const passagersRouter = Router({ mergeParams: true });
+
+// Middleware async pour gérer les erreurs
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+passagersRouter.use(autoriser(...ROLES_STAFF));
+
+// Vérifie l'identifiant de la réservation parente
+passagersRouter.use((req, res, next) => {
+  const { reservationId } = req.params;
+  if (!reservationId || isNaN(parseInt(reservationId))) return res.status(400).json({ error: 'ID de réservation invalide' });
+  next();
+});
+
+// ===== READ - Passagers d'une réservation =====
+passagersRouter.get('/', asyncHandler(async (req, res) => {
+  const { reservationId } = req.params;
+
+  const reservation = await pool.query('SELECT nombre_passagers FROM reservations WHERE id = $1 AND supprime_le IS NULL', [reservationId]);
+  if (reservation.rows.length === 0) return res.status(404).json({ error: 'Réservation non trouvée' });
+
+  const result = await pool.query(
+    'SELECT * FROM passagers WHERE reservation_id = $1 ORDER BY id',
+    [reservationId]
+  );
+
+  res.json({
+    data: result.rows,
+    nombre_passagers: reservation.rows[0].nombre_passagers,
+    places_a_renseigner: reservation.rows[0].nombre_passagers - result.rows.length
+  });
+}));
+
+// ===== CREATE - Ajouter un passager =====
+passagersRouter.post('/', asyncHandler(async (req, res) => {
+  const { reservationId } = req.params;
+  const passager = valider(SCHEMA_PASSAGER, req.body);
+
+  const reponse = await withTransaction(async (client) => {
+    // Le verrou sur la réservation évite de dépasser nombre_passagers avec des ajouts simultanés
+    const reservation = await client.query(
+      'SELECT nombre_passagers, date_depart, statut FROM reservations WHERE id = $1 AND supprime_le IS NULL FOR UPDATE',
+      [reservationId]
+    );
+    if (reservation.rows.length === 0) return { status: 404, body: { error: 'Réservation non trouvée' } };
+
+    const { nombre_passagers, date_depart, statut } = reservation.rows[0];
+    if (statut === 'annulee') return { status: 409, body: { error: 'Réservation annulée' } };
+
+    const erreur = verifierDocumentPassager(passager, date_depart);
+    if (erreur) return { status: 400, body: { error: erreur } };
+
+    if (await compterPassagers(client, reservationId) >= nombre_passagers) {
+      return { status: 409, body: { error: `La réservation compte déjà ${nombre_passagers} passager(s)` } };
+    }
+
+    return { status: 201, body: await insererPassager(client, reservationId, passager) };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// ===== UPDATE - Modifier un passager =====
+passagersRouter.patch('/:id', asyncHandler(async (req, res) => {
+  const { reservationId, id } = req.params;
+  const updates = req.body;
+
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+  if (!updates || Object.keys(updates).length === 0) return res.status(400).json({ error: 'Aucun champ à modifier' });
+
+  const valeurs = valider(SCHEMA_PASSAGER, updates, { mode: 'modification' });
+  const fieldsToUpdate = Object.keys(valeurs);
+
+  if (fieldsToUpdate.length === 0) return res.status(400).json({ error: 'Aucun champ valide à modifier' });
+
+  const actuel = await pool.query(
+    `SELECT p.*, r.date_depart FROM passagers p
+     JOIN reservations r ON p.reservation_id = r.id
+     WHERE p.id = $1 AND p.reservation_id = $2 AND r.supprime_le IS NULL`,
+    [id, reservationId]
+  );
+  if (actuel.rows.length === 0) return res.status(404).json({ error: 'Passager non trouvé' });
+
+  // La pièce d'identité du passager résultant doit rester valide à la date du voyage
+  const erreur = verifierDocumentPassager({ ...actuel.rows[0], ...valeurs }, actuel.rows[0].date_depart);
+  if (erreur) return res.status(400).json({ error: erreur });
+
+  const setClause = fieldsToUpdate.map((f, i) => `${f} = $${i + 1}`).join(', ');
+  const values = fieldsToUpdate.map(f => valeurs[f]);
+  values.push(id);
+
+  const result = await pool.query(
+    `UPDATE passagers SET ${setClause} WHERE id = $${values.length} RETURNING *`,
+    values
+  );
+
+  res.json(result.rows[0]);
+}));
+
+// ===== DELETE - Retirer un passager =====
+passagersRouter.delete('/:id', asyncHandler(async (req, res) => {
+  const { reservationId, id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query(
+    'DELETE FROM passagers WHERE id = $1 AND reservation_id = $2 RETURNING *',
+    [id, reservationId]
+  );
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Passager non trouvé' });
+
+  res.json({ message: 'Passager supprimé', deletedPassager: result.rows[0] });
+}));
+
+export default passagersRouter;
@@ -0,0 +1,361 @@
+import { Router } from 'express';
+import pool, { withTransaction } from '../db.js';
+import dotenv from 'dotenv';
+import { autoriser } from '../middleware/auth.js';
+import { ROLES_STAFF } from '../services/auth.js';
+import {
+  CHAMPS_CRENEAU,
+  SANS_COLIS,
+  genererCreneaux,
+  appliquerException,
+  retirerCreneauxHorsPlanning,
+  retirerCreneauxPlanning
+} from '../services/plannings.js';
+import { JOINTURE_COLIS_ACTIFS, COLONNES_OCCUPATION } from '../services/capaciteCreneaux.js';
+import { journaliser, auteurRequete } from '../services/audit.js';
+import { valider } from '../services/validation.js';
+import { SCHEMA_PLANNING, SCHEMA_EXCEPTION_PLANNING } from '../services/schemas.js';
+
+dotenv.config();
+
+const planningsRouter = Router();
+
+// Middleware async pour gérer les erreurs
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// Nombre de semaines demandé pour une génération, null si invalide
+const lireSemaines = (semaines) => {
+  if (semaines === undefined) return undefined;
+  const n = parseInt(semaines);
+  return n >= 1 && n <= 52 ? n : null;
+};
+
+// Clause SET des valeurs validées (paramètres ajoutés à `params`) : un champ vidé reprend la
+// valeur par défaut de sa colonne (date_debut : aujourd'hui, type_transport : standard...)
+const clauseSet = (valeurs, params) =>
+  Object.keys(valeurs).map(champ => {
+    if (valeurs[champ] === null) return `${champ} = DEFAULT`;
+    params.push(valeurs[champ]);
+    return `${champ} = $${params.length}`;
+  }).join(', ');
+
+planningsRouter.use(autoriser(...ROLES_STAFF));
+
+// ===== CREATE - Ajouter un planning et générer ses créneaux =====
+planningsRouter.post('/', autoriser('admin'), asyncHandler(async (req, res) => {
+  const planning = valider(SCHEMA_PLANNING, req.body);
+
+  const reponse = await withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO plannings_creneaux
+      (nom, lieu_depart, destination, heure_depart, jours_semaine, capacite_max, frais_par_kg,
+       poids_max_colis, capacite_poids_max, type_transport, date_debut, date_fin, actif)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, CURRENT_DATE), $12, $13)
+      RETURNING *`,
+      [
+        planning.nom,
+        planning.lieu_depart,
+        planning.destination,
+        planning.heure_depart,
+        planning.jours_semaine,
+        planning.capacite_max,
+        planning.frais_par_kg,
+        planning.poids_max_colis,
+        planning.capacite_poids_max,
+        planning.type_transport,
+        planning.date_debut,
+        planning.date_fin,
+        planning.actif
+      ]
+    );
+
+    const creneaux = await genererCreneaux(client, auteurRequete(req), { planningId: result.rows[0].id });
+    return { ...result.rows[0], creneaux_generes: creneaux.length };
+  });
+
+  res.status(201).json(reponse);
+}));
+
+// ===== READ - Tous les plannings =====
+planningsRouter.get('/', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, search, actif } = req.query;
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+  const offset = (pageNum - 1) * limitNum;
+
+  const whereConditions = [];
+  const params = [];
+
+  if (search) {
+    params.push(`%${search}%`);
+    whereConditions.push(`(p.nom ILIKE $${params.length} OR p.lieu_depart ILIKE $${params.length} OR p.destination ILIKE $${params.length})`);
+  }
+  if (actif === 'true' || actif === 'false') {
+    params.push(actif === 'true');
+    whereConditions.push(`p.actif = $${params.length}`);
+  }
+
+  const whereClause = whereConditions.length > 0 ? ' WHERE ' + whereConditions.join(' AND ') : '';
+
+  const [result, countResult] = await Promise.all([
+    pool.query(
+      `SELECT p.*,
+              (SELECT COUNT(*)::int FROM creneaux_expedition ce
+               WHERE ce.planning_id = p.id AND ce.date_expedition >= CURRENT_DATE
+                 AND ce.supprime_le IS NULL) as creneaux_a_venir,
+              (SELECT MAX(ce.date_expedition) FROM creneaux_expedition ce
+               WHERE ce.planning_id = p.id) as genere_jusqu_au
+       FROM plannings_creneaux p${whereClause}
+       ORDER BY p.id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limitNum, offset]
+    ),
+    pool.query(`SELECT COUNT(*) FROM plannings_creneaux p${whereClause}`, params)
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+  const totalPages = Math.ceil(total / limitNum);
+
+  res.json({
+    data: result.rows,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages,
+      hasNext: pageNum < totalPages,
+      hasPrev: pageNum > 1
+    }
+  });
+}));
+
+// ===== GENERER - Créneaux de tous les plannings actifs =====
+planningsRouter.post('/generer', autoriser('admin'), asyncHandler(async (req, res) => {
+  const semaines = lireSemaines(req.body?.semaines);
+  if (semaines === null) return res.status(400).json({ error: 'Le nombre de semaines doit être compris entre 1 et 52' });
+
+  const creneaux = await withTransaction((client) => genererCreneaux(client, auteurRequete(req), { semaines }));
+  res.json({ creneaux_generes: creneaux.length, data: creneaux });
+}));
+
+// ===== EXCEPTIONS - Jours fériés et jours sans départ =====
+planningsRouter.get('/exceptions', asyncHandler(async (req, res) => {
+  const { planning_id, a_venir } = req.query;
+
+  const whereConditions = [];
+  const params = [];
+
+  if (planning_id && !isNaN(parseInt(planning_id))) {
+    params.push(planning_id);
+    whereConditions.push(`(e.planning_id = $${params.length} OR e.planning_id IS NULL)`);
+  }
+  if (a_venir === 'true') whereConditions.push('e.date_exception >= CURRENT_DATE');
+
+  const whereClause = whereConditions.length > 0 ? ' WHERE ' + whereConditions.join(' AND ') : '';
+
+  const result = await pool.query(
+    `SELECT e.*, p.nom as planning_nom
+     FROM plannings_creneaux_exceptions e
+     LEFT JOIN plannings_creneaux p ON e.planning_id = p.id${whereClause}
+     ORDER BY e.date_exception ASC`,
+    params
+  );
+
+  res.json({ data: result.rows });
+}));
+
+planningsRouter.post('/exceptions', autoriser('admin'), asyncHandler(async (req, res) => {
+  const { planning_id, date_exception, motif } = valider(SCHEMA_EXCEPTION_PLANNING, req.body);
+
+  const reponse = await withTransaction(async (client) => {
+    if (planning_id) {
+      const planning = await client.query('SELECT id FROM plannings_creneaux WHERE id = $1', [planning_id]);
+      if (planning.rows.length === 0) return { status: 404, body: { error: 'Planning non trouvé' } };
+    }
+
+    const result = await client.query(
+      `INSERT INTO plannings_creneaux_exceptions (planning_id, date_exception, motif)
+       VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [planning_id, date_exception, motif]
+    );
+    if (result.rows.length === 0) return { status: 409, body: { error: 'Cette exception existe déjà' } };
+
+    // Les créneaux déjà générés ce jour-là passent à la corbeille s'ils sont encore vides
+    const supprimes = await appliquerException(client, auteurRequete(req), result.rows[0]);
+    return { status: 201, body: { ...result.rows[0], creneaux_supprimes: supprimes } };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// Les créneaux du jour ne sont pas recréés automatiquement : relancer la génération
+planningsRouter.delete('/exceptions/:id', autoriser('admin'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query('DELETE FROM plannings_creneaux_exceptions WHERE id = $1 RETURNING *', [id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Exception non trouvée' });
+
+  res.json({ message: 'Exception supprimée', deletedException: result.rows[0] });
+}));
+
+// ===== READ - Un planning et ses créneaux à venir =====
+planningsRouter.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query('SELECT * FROM plannings_creneaux WHERE id = $1', [id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Planning non trouvé' });
+
+  const creneaux = await pool.query(
+    `SELECT ce.*, ${COLONNES_OCCUPATION}
+     FROM creneaux_expedition ce
+     ${JOINTURE_COLIS_ACTIFS}
+     WHERE ce.planning_id = $1 AND ce.date_expedition >= CURRENT_DATE AND ce.supprime_le IS NULL
+     GROUP BY ce.id
+     ORDER BY ce.date_expedition ASC`,
+    [id]
+  );
+
+  res.json({ ...result.rows[0], creneaux: creneaux.rows });
+}));
+
+// ===== PATCH - Modifier le modèle (jours, fenêtre, valeurs des prochains créneaux) =====
+planningsRouter.patch('/:id', autoriser('admin'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const updates = req.body;
+
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+  if (!updates || Object.keys(updates).length === 0) return res.status(400).json({ error: 'Aucun champ à modifier' });
+
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM plannings_creneaux WHERE id = $1 FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Planning non trouvé' } };
+
+    // Champs fournis validés, règles croisées vérifiées sur le planning résultant
+    const valeurs = valider(SCHEMA_PLANNING, updates, { mode: 'modification', actuel: actuel.rows[0] });
+    if (Object.keys(valeurs).length === 0) return { status: 400, body: { error: 'Aucun champ valide à modifier' } };
+
+    const params = [];
+    const setClause = clauseSet(valeurs, params);
+    params.push(id);
+
+    const result = await client.query(
+      `UPDATE plannings_creneaux SET ${setClause}, updated_at = NOW() WHERE id = $${params.length} RETURNING *`,
+      params
+    );
+
+    // Les créneaux déjà générés qui ne correspondent plus au planning vont à la corbeille s'ils sont vides
+    const supprimes = await retirerCreneauxHorsPlanning(client, auteurRequete(req), id);
+    return { status: 200, body: { ...result.rows[0], creneaux_supprimes: supprimes } };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// ===== PATCH - Modification groupée des créneaux futurs encore vides =====
+planningsRouter.patch('/:id/creneaux', autoriser('admin'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const updates = req.body;
+
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+  if (!updates || Object.keys(updates).length === 0) return res.status(400).json({ error: 'Aucun champ à modifier' });
+
+  const planning = await pool.query('SELECT * FROM plannings_creneaux WHERE id = $1', [id]);
+  if (planning.rows.length === 0) return res.status(404).json({ error: 'Planning non trouvé' });
+
+  const valeurs = valider(SCHEMA_PLANNING, updates, { mode: 'modification', actuel: planning.rows[0], champs: CHAMPS_CRENEAU });
+  if (Object.keys(valeurs).length === 0) return res.status(400).json({ error: 'Aucun champ valide à modifier' });
+
+  const values = [];
+  const setClause = clauseSet(valeurs, values);
+
+  const reponse = await withTransaction(async (client) => {
+    // État avant modification de chaque créneau, pour le journal
+    const cibles = await client.query(
+      `SELECT ce.* FROM creneaux_expedition ce
+       WHERE ce.planning_id = $1
+         AND ce.date_expedition >= CURRENT_DATE
+         AND ce.supprime_le IS NULL
+         AND ${SANS_COLIS}
+       FOR UPDATE`,
+      [id]
+    );
+    const avantParId = new Map(cibles.rows.map(r => [r.id, r]));
+
+    const result = await client.query(
+      `UPDATE creneaux_expedition SET ${setClause}
+       WHERE id = ANY($${values.length + 1}::int[])
+       RETURNING *`,
+      [...values, [...avantParId.keys()]]
+    );
+
+    const auteur = auteurRequete(req);
+    for (const apres of result.rows) {
+      await journaliser(client, auteur, {
+        entite: 'creneaux', entite_id: apres.id, action: 'modification', avant: avantParId.get(apres.id), apres
+      });
+    }
+
+    // Les créneaux qui ont déjà des colis ne sont pas touchés
+    const ignores = await client.query(
+      `SELECT ce.id FROM creneaux_expedition ce
+       WHERE ce.planning_id = $1 AND ce.date_expedition >= CURRENT_DATE
+         AND ce.supprime_le IS NULL AND NOT ${SANS_COLIS}`,
+      [id]
+    );
+
+    return { modifies: result.rows, ignores: ignores.rows.map(r => r.id) };
+  });
+
+  res.json(reponse);
+}));
+
+// ===== GENERER - Créneaux d'un planning =====
+planningsRouter.post('/:id/generer', autoriser('admin'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const semaines = lireSemaines(req.body?.semaines);
+  if (semaines === null) return res.status(400).json({ error: 'Le nombre de semaines doit être compris entre 1 et 52' });
+
+  const planning = await pool.query('SELECT id, actif FROM plannings_creneaux WHERE id = $1', [id]);
+  if (planning.rows.length === 0) return res.status(404).json({ error: 'Planning non trouvé' });
+  if (!planning.rows[0].actif) return res.status(409).json({ error: 'Planning inactif' });
+
+  const creneaux = await withTransaction((client) =>
+    genererCreneaux(client, auteurRequete(req), { semaines, planningId: parseInt(id) })
+  );
+  res.json({ creneaux_generes: creneaux.length, data: creneaux });
+}));
+
+// ===== DELETE - Supprimer un planning =====
+// Les créneaux futurs vides vont à la corbeille, les autres restent comme créneaux manuels
+planningsRouter.delete('/:id', autoriser('admin'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const reponse = await withTransaction(async (client) => {
+    const planning = await client.query('SELECT id FROM plannings_creneaux WHERE id = $1 FOR UPDATE', [id]);
+    if (planning.rows.length === 0) return { status: 404, body: { error: 'Planning non trouvé' } };
+
+    const supprimes = await retirerCreneauxPlanning(client, auteurRequete(req), id);
+    const result = await client.query('DELETE FROM plannings_creneaux WHERE id = $1 RETURNING *', [id]);
+
+    return {
+      status: 200,
+      body: {
+        message: 'Planning supprimé',
+        deletedPlanning: result.rows[0],
+        creneaux_supprimes: supprimes
+      }
+    };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+export default planningsRouter;
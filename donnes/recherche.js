@@ -0,0 +1,37 @@
+import { Router } from 'express';
+import pool from '../db.js';
+import dotenv from 'dotenv';
+import { autoriser } from '../middleware/auth.js';
+import { ROLES_STAFF } from '../services/auth.js';
+import { rechercher, TYPES_RECHERCHE, LONGUEUR_MIN_RECHERCHE } from '../services/recherche.js';
+
+dotenv.config();
+
+const rechercheRouter = Router();
+
+// Middleware async pour gérer les erreurs
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+rechercheRouter.use(autoriser(...ROLES_STAFF));
+
+// ===== RECHERCHE - Réservations, colis et créneaux en une requête =====
+// ?q=texte&types=reservations,colis,creneaux,clients&limit=10 (résultats par entité, les plus pertinents d'abord)
+rechercheRouter.get('/', asyncHandler(async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (q.length < LONGUEUR_MIN_RECHERCHE) {
+    return res.status(400).json({ error: `Paramètre q requis (${LONGUEUR_MIN_RECHERCHE} caractères minimum)` });
+  }
+
+  const types = req.query.types
+    ? String(req.query.types).split(',').filter(t => TYPES_RECHERCHE.includes(t))
+    : TYPES_RECHERCHE;
+  if (types.length === 0) return res.status(400).json({ error: `Types invalides. Doivent être: ${TYPES_RECHERCHE.join(', ')}` });
+
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+
+  res.json({ q, ...await rechercher(pool, q, { types, limit }) });
+}));
+
+export default rechercheRouter;
@@ -1,6 +1,32 @@
 import { Router } from 'express';
-import pool from '../db.js';
+import pool, { withTransaction } from '../db.js';
 import dotenv from 'dotenv';
+import { autoriser } from '../middleware/auth.js';
+import { ROLES_STAFF } from '../services/auth.js';
+import {
+  transitionAutorisee,
+  messageTransitionInvalide,
+  enregistrerEvenementReservation
+} from '../services/statutsReservation.js';
+import {
+  itineraireVoyage,
+  reserverPlaces,
+  libererPlaces,
+  voyageParti,
+  ajusterPlaces,
+  montantReservation
+} from '../services/inventaireVoyages.js';
+import { verifierDocumentPassager, insererPassager, compterPassagers } from '../services/passagers.js';
+import { ErreurMetier, ValidationError } from '../services/erreurs.js';
+import { analyser, valider, jourIso } from '../services/validation.js';
+import { SCHEMA_RESERVATION, SCHEMA_PASSAGER } from '../services/schemas.js';
+import { journaliser, auteurRequete } from '../services/audit.js';
+import { lierReservation } from '../services/clients.js';
+import { mettreALaCorbeille, sortirDeLaCorbeille } from '../services/corbeille.js';
+import { envoyerBonReservation } from '../services/pdf/bonReservation.js';
+import { filtreReservations, listerPagine } from '../services/listes.js';
+import { COLONNES_PAIEMENT } from '../services/paiements.js';
+import { exporterRequete, FORMATS_EXPORT, COLONNES_EXPORT } from '../services/export.js';
 
 dotenv.config();
 
@@ -11,10 +37,58 @@ const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Action de changement de statut : contrôle de la transition et traçage de l'auteur
+const changerStatut = (nouveauStatut) => asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { motif, commentaire } = req.body || {};
+
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+  if (nouveauStatut === 'annulee' && !motif) {
+    return res.status(400).json({ error: 'Champ obligatoire manquant: motif' });
+  }
+
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM reservations WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Réservation non trouvée' } };
+
+    const statutPrecedent = actuel.rows[0].statut;
+    if (!transitionAutorisee(statutPrecedent, nouveauStatut)) {
+      return { status: 409, body: { error: messageTransitionInvalide(statutPrecedent, nouveauStatut) } };
+    }
+
+    // Une annulation remet les places du voyage en vente, sauf si le voyage est déjà parti
+    const { voyage_id, classe, nombre_passagers } = actuel.rows[0];
+    if (nouveauStatut === 'annulee' && voyage_id && !(await voyageParti(client, voyage_id))) {
+      await libererPlaces(client, voyage_id, classe, nombre_passagers);
+    }
+
+    const result = await client.query(
+      `UPDATE reservations SET statut = $1, statut_modifie_le = NOW(),
+       motif_annulation = COALESCE($2, motif_annulation)
+       WHERE id = $3 RETURNING *`,
+      [nouveauStatut, nouveauStatut === 'annulee' ? motif : null, id]
+    );
+    const evenement = await enregistrerEvenementReservation(client, {
+      reservation_id: result.rows[0].id,
+      statut: nouveauStatut,
+      statut_precedent: statutPrecedent,
+      utilisateur_id: req.utilisateur.id,
+      commentaire: motif || commentaire
+    });
+
+    await journaliser(client, auteurRequete(req), {
+      entite: 'reservations', entite_id: result.rows[0].id, action: 'modification', avant: actuel.rows[0], apres: result.rows[0]
+    });
+    return { status: 200, body: { reservation: result.rows[0], evenement } };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+});
+
 // ===== COUNT - Nombre total de réservations =====
-reservationsRouter.get('/count', asyncHandler(async (req, res) => {
+reservationsRouter.get('/count', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   try {
-    const result = await pool.query('SELECT COUNT(*) FROM reservations');
+    const result = await pool.query('SELECT COUNT(*) FROM reservations WHERE supprime_le IS NULL');
     res.json({ count: parseInt(result.rows[0].count) });
   } catch (error) {
     console.error('Error counting reservations:', error);
@@ -24,222 +98,406 @@ reservationsRouter.get('/count', asyncHandler(async (req, res) => {
 
 // ===== CREATE - Ajouter une réservation =====
 reservationsRouter.post('/', asyncHandler(async (req, res) => {
-  const {
-    destination,
-    nom,
-    prenom,
-    email,
-    telephone,
-    lieu_depart,
-    date_depart,
-    date_retour,
-    nombre_passagers,
-    classe
-  } = req.body;
-
-  // Validation des champs obligatoires
-  if (!destination || !nom || !prenom || !email || !telephone || 
-      !lieu_depart || !date_depart || !nombre_passagers || !classe) {
-    return res.status(400).json({ error: 'Champs obligatoires manquants' });
+  const { passagers } = req.body;
+
+  // Réservation et passagers sont contrôlés ensemble pour renvoyer toutes les erreurs en une fois
+  const { valeurs: reservation, errors } = analyser(SCHEMA_RESERVATION, req.body);
+  const passagersValides = [];
+  if (Array.isArray(passagers)) {
+    passagers.forEach((passager, i) => {
+      const analyse = analyser(SCHEMA_PASSAGER, passager, { prefixe: `passagers[${i}].` });
+      errors.push(...analyse.errors);
+      passagersValides.push(analyse.valeurs);
+    });
   }
+  if (errors.length > 0) throw new ValidationError(errors);
 
-  // Validation de la classe
-  const validClasses = ['Economique', 'Affaires', 'Premiere'];
-  if (!validClasses.includes(classe)) {
-    return res.status(400).json({ error: 'Classe invalide. Doit être: Economique, Affaires ou Premiere' });
-  }
+  const { destination, nom, prenom, email, telephone, lieu_depart, date_depart, date_retour,
+          nombre_passagers, classe, voyage_id } = reservation;
 
-  // Validation du nombre de passagers
-  if (nombre_passagers <= 0) {
-    return res.status(400).json({ error: 'Le nombre de passagers doit être supérieur à 0' });
+  // La liste des passagers, si elle est fournie, doit correspondre à nombre_passagers
+  if (passagers !== undefined && (!Array.isArray(passagers) || passagers.length !== nombre_passagers)) {
+    return res.status(400).json({ error: `La liste des passagers doit contenir ${nombre_passagers} passager(s)` });
   }
 
-  const result = await pool.query(
-    `INSERT INTO reservations 
-    (destination, nom, prenom, email, telephone, lieu_depart, 
-     date_depart, date_retour, nombre_passagers, classe)
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
-    RETURNING *`,
-    [
-      destination, 
-      nom, 
-      prenom,
-      email, 
-      telephone,
-      lieu_depart, 
-      date_depart, 
-      date_retour, 
-      nombre_passagers, 
-      classe
-    ]
-  );
+  // Places, réservation, passagers et premier événement dans la même transaction
+  const reponse = await withTransaction(async (client) => {
+    let itineraire = { destination, lieu_depart, date_depart, date_retour };
+    let montantTotal = null;
+    if (voyage_id) {
+      const { voyage, tarif, erreur } = await reserverPlaces(client, voyage_id, classe, nombre_passagers);
+      if (erreur) return { status: 400, body: { error: erreur } };
+      itineraire = itineraireVoyage(voyage);
+      montantTotal = montantReservation(tarif, nombre_passagers);
+    }
+
+    const result = await client.query(
+      `INSERT INTO reservations 
+      (destination, nom, prenom, email, telephone, lieu_depart, 
+       date_depart, date_retour, nombre_passagers, classe, voyage_id, montant_total)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) 
+      RETURNING *`,
+      [
+        itineraire.destination, 
+        nom, 
+        prenom,
+        email, 
+        telephone,
+        itineraire.lieu_depart, 
+        itineraire.date_depart, 
+        itineraire.date_retour, 
+        nombre_passagers, 
+        classe,
+        voyage_id || null,
+        montantTotal
+      ]
+    );
+
+    // Un passager invalide annule toute la réservation (y compris les places prises)
+    const passagersCrees = [];
+    for (const passager of passagersValides) {
+      const erreur = verifierDocumentPassager(passager, itineraire.date_depart);
+      if (erreur) throw new ErreurMetier(400, erreur);
+      passagersCrees.push(await insererPassager(client, result.rows[0].id, passager));
+    }
+
+    await enregistrerEvenementReservation(client, {
+      reservation_id: result.rows[0].id,
+      statut: result.rows[0].statut,
+      utilisateur_id: req.utilisateur ? req.utilisateur.id : null,
+      commentaire: 'Demande de réservation reçue'
+    });
+
+    // Titulaire retrouvé ou ajouté à l'annuaire des clients
+    const reservation = await lierReservation(client, result.rows[0]);
+    await journaliser(client, auteurRequete(req), {
+      entite: 'reservations', entite_id: reservation.id, action: 'creation', apres: reservation
+    });
+    return { status: 201, body: { ...reservation, passagers: passagersCrees } };
+  });
 
-  res.status(201).json(result.rows[0]);
+  res.status(reponse.status).json(reponse.body);
 }));
 
 // ===== READ - Toutes les réservations =====
-reservationsRouter.get('/', asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, search, sortBy = 'id', order = 'DESC' } = req.query;
-  const pageNum = Math.max(1, parseInt(page));
-  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-  const offset = (pageNum - 1) * limitNum;
-
-  const allowedSortColumns = ['id', 'nom', 'prenom', 'email', 'destination', 'date_depart', 'created_at'];
-  const sortColumn = allowedSortColumns.includes(sortBy) ? sortBy : 'id';
-  const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
-
-  let query = 'SELECT * FROM reservations';
-  let countQuery = 'SELECT COUNT(*) FROM reservations';
+reservationsRouter.get('/', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  // Statut : un ou plusieurs séparés par des virgules (ex: demande,confirmee)
+  const filtre = filtreReservations(req.query);
+  if (filtre.erreur) return res.status(400).json({ error: filtre.erreur });
+
+  const liste = await listerPagine(pool, {
+    select: `r.*, ${COLONNES_PAIEMENT.reservations}`,
+    from: 'reservations r',
+    filtre,
+    query: req.query
+  });
+  if (liste.erreur) return res.status(400).json({ error: liste.erreur });
+
+  res.json(liste);
+}));
+
+// ===== EXPORT - Réservations filtrées en CSV ou XLSX (mêmes filtres que la liste, sans pagination) =====
+reservationsRouter.get('/export', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { format = 'csv' } = req.query;
+  if (!FORMATS_EXPORT.includes(format)) return res.status(400).json({ error: 'Format invalide. Doit être: csv ou xlsx' });
+
+  const { whereClause, params, orderClause, erreur } = filtreReservations(req.query);
+  if (erreur) return res.status(400).json({ error: erreur });
+
+  await exporterRequete(res, {
+    texte: `SELECT r.*, ${COLONNES_PAIEMENT.reservations} FROM reservations r${whereClause}${orderClause}`,
+    params,
+    colonnes: COLONNES_EXPORT.reservations,
+    format,
+    nom: 'reservations'
+  });
+}));
+
+// ===== CORBEILLE - Réservations supprimées (mêmes filtres et pagination que la liste) =====
+reservationsRouter.get('/corbeille', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const filtre = filtreReservations(req.query, { corbeille: true });
+  if (filtre.erreur) return res.status(400).json({ error: filtre.erreur });
+
+  const liste = await listerPagine(pool, { select: 'r.*', from: 'reservations r', filtre, query: req.query });
+  if (liste.erreur) return res.status(400).json({ error: liste.erreur });
+
+  res.json(liste);
+}));
+
+// ===== MANIFESTE - Passagers voyageant à une date sur un itinéraire =====
+reservationsRouter.get('/manifeste', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { date, lieu_depart, destination, voyage_id } = req.query;
+
+  if (!voyage_id && !date) return res.status(400).json({ error: 'Paramètre date ou voyage_id requis' });
+  if (voyage_id && !/^\d+$/.test(voyage_id)) return res.status(400).json({ error: 'Paramètre voyage_id invalide' });
+  const jour = date ? jourIso(date) : null;
+  if (date && !jour) return res.status(400).json({ error: 'Paramètre date invalide (format AAAA-MM-JJ)' });
+
+  // Les réservations annulées ou à la corbeille ne figurent pas au manifeste
+  const whereConditions = [`r.statut <> 'annulee'`, 'r.supprime_le IS NULL'];
   const params = [];
 
-  if (search) {
-    const searchCondition = ' WHERE nom ILIKE $1 OR prenom ILIKE $1 OR email ILIKE $1 OR destination ILIKE $1';
-    query += searchCondition;
-    countQuery += searchCondition;
-    params.push(`%${search}%`);
+  if (voyage_id) {
+    params.push(voyage_id);
+    whereConditions.push(`r.voyage_id = $${params.length}`);
+  }
+  if (jour) {
+    params.push(jour);
+    whereConditions.push(`r.date_depart::date = $${params.length}::date`);
+  }
+  if (lieu_depart) {
+    params.push(lieu_depart);
+    whereConditions.push(`r.lieu_depart ILIKE $${params.length}`);
+  }
+  if (destination) {
+    params.push(destination);
+    whereConditions.push(`r.destination ILIKE $${params.length}`);
   }
 
-  query += ` ORDER BY ${sortColumn} ${sortOrder} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-  params.push(limitNum, offset);
-
-  const [result, countResult] = await Promise.all([
-    pool.query(query, params),
-    pool.query(countQuery, search ? [`%${search}%`] : [])
-  ]);
+  const result = await pool.query(
+    `SELECT p.*, r.id as reservation_id, r.nom as titulaire_nom, r.prenom as titulaire_prenom,
+            r.telephone as titulaire_telephone, r.lieu_depart, r.destination, r.date_depart,
+            r.classe, r.statut as statut_reservation, r.voyage_id
+     FROM passagers p
+     JOIN reservations r ON p.reservation_id = r.id
+     WHERE ${whereConditions.join(' AND ')}
+     ORDER BY r.lieu_depart, r.destination, r.classe, p.nom, p.prenom`,
+    params
+  );
 
-  const total = parseInt(countResult.rows[0].count);
-  const totalPages = Math.ceil(total / limitNum);
+  // Réservations dont tous les passagers ne sont pas encore renseignés
+  const incompletes = await pool.query(
+    `SELECT r.id, r.nom, r.prenom, r.nombre_passagers, COUNT(p.id) as passagers_renseignes
+     FROM reservations r
+     LEFT JOIN passagers p ON p.reservation_id = r.id
+     WHERE ${whereConditions.join(' AND ')}
+     GROUP BY r.id
+     HAVING COUNT(p.id) < r.nombre_passagers`,
+    params
+  );
 
   res.json({
+    total: result.rows.length,
     data: result.rows,
-    pagination: {
-      page: pageNum,
-      limit: limitNum,
-      total,
-      totalPages,
-      hasNext: pageNum < totalPages,
-      hasPrev: pageNum > 1
-    }
+    reservations_incompletes: incompletes.rows
   });
 }));
 
 // ===== READ - Une réservation par ID =====
-reservationsRouter.get('/:id', asyncHandler(async (req, res) => {
+reservationsRouter.get('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   const { id } = req.params;
   if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
 
-  const result = await pool.query('SELECT * FROM reservations WHERE id = $1', [id]);
+  const result = await pool.query(
+    `SELECT r.*, ${COLONNES_PAIEMENT.reservations} FROM reservations r WHERE r.id = $1 AND r.supprime_le IS NULL`,
+    [id]
+  );
   if (result.rows.length === 0) return res.status(404).json({ error: 'Réservation non trouvée' });
 
   res.json(result.rows[0]);
 }));
 
+// ===== READ - Historique des statuts d'une réservation =====
+reservationsRouter.get('/:id/historique', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const reservationResult = await pool.query('SELECT id, statut FROM reservations WHERE id = $1 AND supprime_le IS NULL', [id]);
+  if (reservationResult.rows.length === 0) return res.status(404).json({ error: 'Réservation non trouvée' });
+
+  const result = await pool.query(
+    `SELECT e.*, u.nom as utilisateur_nom, u.email as utilisateur_email
+     FROM reservation_evenements e
+     LEFT JOIN utilisateurs u ON e.utilisateur_id = u.id
+     WHERE e.reservation_id = $1
+     ORDER BY e.date_evenement ASC, e.id ASC`,
+    [id]
+  );
+
+  res.json({ ...reservationResult.rows[0], evenements: result.rows });
+}));
+
+// ===== PDF - Bon de réservation =====
+reservationsRouter.get('/:id/bon', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query('SELECT * FROM reservations WHERE id = $1 AND supprime_le IS NULL', [id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Réservation non trouvée' });
+
+  const passagers = await pool.query('SELECT * FROM passagers WHERE reservation_id = $1 ORDER BY id', [id]);
+
+  await envoyerBonReservation(res, result.rows[0], passagers.rows);
+}));
+
+// ===== ACTIONS - Cycle de vie de la réservation =====
+reservationsRouter.post('/:id/confirmer', autoriser(...ROLES_STAFF), changerStatut('confirmee'));
+reservationsRouter.post('/:id/payer', autoriser(...ROLES_STAFF), changerStatut('payee'));
+reservationsRouter.post('/:id/terminer', autoriser(...ROLES_STAFF), changerStatut('terminee'));
+reservationsRouter.post('/:id/annuler', autoriser(...ROLES_STAFF), changerStatut('annulee'));
+
 // ===== UPDATE - Modifier une réservation complète =====
-reservationsRouter.put('/:id', asyncHandler(async (req, res) => {
+reservationsRouter.put('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const updates = req.body;
 
   if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
   
-  // Validation des champs obligatoires
-  const requiredFields = ['destination', 'nom', 'prenom', 'email', 'telephone', 
-                         'lieu_depart', 'date_depart', 'nombre_passagers', 'classe'];
-  for (let field of requiredFields) {
-    if (!updates[field]) return res.status(400).json({ error: `Champ obligatoire manquant: ${field}` });
-  }
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM reservations WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Réservation non trouvée' } };
+    if (actuel.rows[0].statut === 'annulee') {
+      return { status: 409, body: { error: 'Une réservation annulée ne peut plus être modifiée' } };
+    }
 
-  // Validation de la classe
-  const validClasses = ['Economique', 'Affaires', 'Premiere'];
-  if (!validClasses.includes(updates.classe)) {
-    return res.status(400).json({ error: 'Classe invalide. Doit être: Economique, Affaires ou Premiere' });
-  }
+    // Validation après lecture : une date de départ déjà enregistrée reste acceptée même passée
+    const valeurs = valider(SCHEMA_RESERVATION, updates, { mode: 'remplacement', actuel: actuel.rows[0] });
 
-  // Validation du nombre de passagers
-  if (updates.nombre_passagers <= 0) {
-    return res.status(400).json({ error: 'Le nombre de passagers doit être supérieur à 0' });
-  }
-
-  const result = await pool.query(
-    `UPDATE reservations SET
-    destination = $1, nom = $2, prenom = $3, email = $4, telephone = $5, 
-    lieu_depart = $6, date_depart = $7, date_retour = $8, 
-    nombre_passagers = $9, classe = $10
-    WHERE id = $11 RETURNING *`,
-    [
-      updates.destination,
-      updates.nom,
-      updates.prenom,
-      updates.email,
-      updates.telephone,
-      updates.lieu_depart,
-      updates.date_depart,
-      updates.date_retour,
-      updates.nombre_passagers,
-      updates.classe,
-      id
-    ]
-  );
+    // Le nombre de passagers ne peut pas descendre sous les passagers déjà renseignés
+    const passagersRenseignes = await compterPassagers(client, id);
+    if (valeurs.nombre_passagers < passagersRenseignes) {
+      return { status: 409, body: { error: `${passagersRenseignes} passager(s) déjà renseigné(s): retirez-en avant de réduire nombre_passagers` } };
+    }
 
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Réservation non trouvée' });
+    // Report du voyage, de la classe et du nombre de passagers sur l'inventaire
+    const inventaire = await ajusterPlaces(client, actuel.rows[0], {
+      voyage_id: valeurs.voyage_id,
+      classe: valeurs.classe,
+      nombre_passagers: valeurs.nombre_passagers
+    });
+    if (inventaire.erreur) return { status: 400, body: { error: inventaire.erreur } };
+
+    const itineraire = inventaire.voyage ? itineraireVoyage(inventaire.voyage) : valeurs;
+    const montantTotal = inventaire.tarif ? montantReservation(inventaire.tarif, valeurs.nombre_passagers) : null;
+
+    const result = await client.query(
+      `UPDATE reservations SET
+      destination = $1, nom = $2, prenom = $3, email = $4, telephone = $5, 
+      lieu_depart = $6, date_depart = $7, date_retour = $8, 
+      nombre_passagers = $9, classe = $10, voyage_id = $11, montant_total = $12
+      WHERE id = $13 RETURNING *`,
+      [
+        itineraire.destination,
+        valeurs.nom,
+        valeurs.prenom,
+        valeurs.email,
+        valeurs.telephone,
+        itineraire.lieu_depart,
+        itineraire.date_depart,
+        itineraire.date_retour,
+        valeurs.nombre_passagers,
+        valeurs.classe,
+        valeurs.voyage_id,
+        montantTotal,
+        id
+      ]
+    );
+
+    // Titulaire corrigé : rattachement au bon client
+    const reservation = await lierReservation(client, result.rows[0]);
+    await journaliser(client, auteurRequete(req), {
+      entite: 'reservations', entite_id: reservation.id, action: 'modification', avant: actuel.rows[0], apres: reservation
+    });
+    return { status: 200, body: reservation };
+  });
 
-  res.json(result.rows[0]);
+  res.status(reponse.status).json(reponse.body);
 }));
 
 // ===== PATCH - Modification partielle =====
-reservationsRouter.patch('/:id', asyncHandler(async (req, res) => {
+reservationsRouter.patch('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const updates = req.body;
   
   if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
   if (!updates || Object.keys(updates).length === 0) return res.status(400).json({ error: 'Aucun champ à modifier' });
 
-  const allowedFields = ['destination', 'nom', 'prenom', 'email', 'telephone', 
-                        'lieu_depart', 'date_depart', 'date_retour', 
-                        'nombre_passagers', 'classe'];
-  const fieldsToUpdate = Object.keys(updates).filter(f => allowedFields.includes(f));
-  
-  if (fieldsToUpdate.length === 0) return res.status(400).json({ error: 'Aucun champ valide à modifier' });
-
-  // Validation spécifique si classe est modifiée
-  if (updates.classe) {
-    const validClasses = ['Economique', 'Affaires', 'Premiere'];
-    if (!validClasses.includes(updates.classe)) {
-      return res.status(400).json({ error: 'Classe invalide. Doit être: Economique, Affaires ou Premiere' });
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM reservations WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Réservation non trouvée' } };
+    if (actuel.rows[0].statut === 'annulee') {
+      return { status: 409, body: { error: 'Une réservation annulée ne peut plus être modifiée' } };
     }
-  }
 
-  // Validation spécifique si nombre_passagers est modifié
-  if (updates.nombre_passagers && updates.nombre_passagers <= 0) {
-    return res.status(400).json({ error: 'Le nombre de passagers doit être supérieur à 0' });
-  }
+    const valeurs = valider(SCHEMA_RESERVATION, updates, { mode: 'modification', actuel: actuel.rows[0] });
+    const fieldsToUpdate = Object.keys(valeurs);
+    if (fieldsToUpdate.length === 0) return { status: 400, body: { error: 'Aucun champ valide à modifier' } };
 
-  const setClause = fieldsToUpdate.map((f, i) => `${f} = $${i + 1}`).join(', ');
-  const values = fieldsToUpdate.map(f => updates[f]);
-  values.push(id);
+    // Le nombre de passagers ne peut pas descendre sous les passagers déjà renseignés
+    if (fieldsToUpdate.includes('nombre_passagers')) {
+      const passagersRenseignes = await compterPassagers(client, id);
+      if (valeurs.nombre_passagers < passagersRenseignes) {
+        return { status: 409, body: { error: `${passagersRenseignes} passager(s) déjà renseigné(s): retirez-en avant de réduire nombre_passagers` } };
+      }
+    }
 
-  const result = await pool.query(
-    `UPDATE reservations SET ${setClause} WHERE id = $${values.length} RETURNING *`,
-    values
-  );
+    // Voyage, classe ou nombre de passagers modifiés : report sur l'inventaire et recalcul du montant
+    if (['voyage_id', 'classe', 'nombre_passagers'].some(f => fieldsToUpdate.includes(f))) {
+      const cible = { ...actuel.rows[0], ...valeurs };
+      const inventaire = await ajusterPlaces(client, actuel.rows[0], cible);
+      if (inventaire.erreur) return { status: 400, body: { error: inventaire.erreur } };
+
+      if (inventaire.voyage) Object.assign(valeurs, itineraireVoyage(inventaire.voyage));
+      valeurs.voyage_id = cible.voyage_id || null;
+      valeurs.montant_total = inventaire.tarif ? montantReservation(inventaire.tarif, cible.nombre_passagers) : null;
+    } else if (actuel.rows[0].voyage_id) {
+      // L'itinéraire d'une réservation rattachée à un voyage suit le catalogue
+      ['destination', 'lieu_depart', 'date_depart', 'date_retour'].forEach(f => delete valeurs[f]);
+      if (Object.keys(valeurs).length === 0) {
+        return { status: 400, body: { error: 'L\'itinéraire d\'une réservation liée à un voyage se modifie via le voyage' } };
+      }
+    }
 
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Réservation non trouvée' });
+    const champs = Object.keys(valeurs);
+    const setClause = champs.map((f, i) => `${f} = $${i + 1}`).join(', ');
+    const values = champs.map(f => valeurs[f]);
+    values.push(id);
+
+    const result = await client.query(
+      `UPDATE reservations SET ${setClause} WHERE id = $${values.length} RETURNING *`,
+      values
+    );
+
+    // Titulaire corrigé : rattachement au bon client
+    const reservation = await lierReservation(client, result.rows[0]);
+    await journaliser(client, auteurRequete(req), {
+      entite: 'reservations', entite_id: reservation.id, action: 'modification', avant: actuel.rows[0], apres: reservation
+    });
+    return { status: 200, body: reservation };
+  });
 
-  res.json(result.rows[0]);
+  res.status(reponse.status).json(reponse.body);
 }));
 
-// ===== DELETE - Supprimer une réservation =====
-reservationsRouter.delete('/:id', asyncHandler(async (req, res) => {
+// ===== DELETE - Mettre une réservation à la corbeille (purgée après la durée de rétention) =====
+reservationsRouter.delete('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   const { id } = req.params;
   if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
 
-  const result = await pool.query('DELETE FROM reservations WHERE id = $1 RETURNING *', [id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Réservation non trouvée' });
+  const reponse = await withTransaction(async (client) => {
+    // Les réservations annulées sont conservées pour l'historique
+    const actuel = await client.query('SELECT * FROM reservations WHERE id = $1 AND supprime_le IS NULL FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Réservation non trouvée' } };
+    if (actuel.rows[0].statut === 'annulee') {
+      return { status: 409, body: { error: 'Une réservation annulée est conservée et ne peut pas être supprimée' } };
+    }
 
-  res.json({ message: 'Réservation supprimée', deletedReservation: result.rows[0] });
+    // Les places sont remises en vente tant que la réservation est à la corbeille (sauf voyage déjà parti)
+    const reservation = await mettreALaCorbeille(client, 'reservations', id, req.utilisateur.id);
+    const { voyage_id, classe, nombre_passagers } = reservation;
+    if (voyage_id && !(await voyageParti(client, voyage_id))) await libererPlaces(client, voyage_id, classe, nombre_passagers);
+
+    await journaliser(client, auteurRequete(req), {
+      entite: 'reservations', entite_id: reservation.id, action: 'suppression', avant: actuel.rows[0], apres: reservation
+    });
+    return { status: 200, body: { message: 'Réservation mise à la corbeille', deletedReservation: reservation } };
+  });
+
+  res.status(reponse.status).json(reponse.body);
 }));
 
-// ===== DELETE - Suppression multiple =====
-reservationsRouter.delete('/', asyncHandler(async (req, res) => {
+// ===== DELETE - Suppression multiple (corbeille) =====
+reservationsRouter.delete('/', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
   const { ids } = req.body;
   if (!ids || !Array.isArray(ids) || ids.length === 0) return res.status(400).json({ error: 'Liste d\'IDs requise' });
 
@@ -247,19 +505,77 @@ reservationsRouter.delete('/', asyncHandler(async (req, res) => {
   if (validIds.length === 0) return res.status(400).json({ error: 'Aucun ID valide fourni' });
 
   const placeholders = validIds.map((_, i) => `$${i + 1}`).join(', ');
-  const result = await pool.query(
-    `DELETE FROM reservations WHERE id IN (${placeholders}) RETURNING *`,
-    validIds
-  );
+  const { result, conservees } = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE reservations SET supprime_le = NOW(), supprime_par = $${validIds.length + 1}
+       WHERE id IN (${placeholders}) AND statut <> 'annulee' AND supprime_le IS NULL
+       RETURNING *`,
+      [...validIds, req.utilisateur.id]
+    );
+
+    // Les places des réservations supprimées sont remises en vente (sauf voyage déjà parti),
+    // chaque suppression est journalisée
+    const auteur = auteurRequete(req);
+    for (const reservation of result.rows) {
+      const { voyage_id, classe, nombre_passagers } = reservation;
+      if (voyage_id && !(await voyageParti(client, voyage_id))) await libererPlaces(client, voyage_id, classe, nombre_passagers);
+      await journaliser(client, auteur, {
+        entite: 'reservations',
+        entite_id: reservation.id,
+        action: 'suppression',
+        avant: { ...reservation, supprime_le: null, supprime_par: null },
+        apres: reservation
+      });
+    }
+
+    // Les réservations annulées sont conservées pour l'historique
+    const conservees = await client.query(
+      `SELECT id FROM reservations WHERE id IN (${placeholders}) AND statut = 'annulee' AND supprime_le IS NULL`,
+      validIds
+    );
+
+    return { result, conservees };
+  });
 
   res.json({ 
-    message: `${result.rows.length} réservation(s) supprimée(s)`, 
-    deletedReservations: result.rows 
+    message: `${result.rows.length} réservation(s) mise(s) à la corbeille`, 
+    deletedReservations: result.rows,
+    conservedIds: conservees.rows.map(r => r.id)
   });
 }));
 
+// ===== RESTAURER - Sortir une réservation de la corbeille =====
+reservationsRouter.post('/:id/restaurer', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM reservations WHERE id = $1 AND supprime_le IS NOT NULL FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Réservation non trouvée dans la corbeille' } };
+
+    // Les places libérées à la suppression ont pu être revendues : elles sont reprises si possible.
+    // Un voyage déjà parti n'a rien libéré : la réservation (terminée par exemple) est restaurée telle quelle
+    const { voyage_id, classe, nombre_passagers } = actuel.rows[0];
+    if (voyage_id && !(await voyageParti(client, voyage_id))) {
+      const { erreur } = await reserverPlaces(client, voyage_id, classe, nombre_passagers);
+      if (erreur) return { status: 409, body: { error: `Restauration impossible: ${erreur}` } };
+    }
+
+    const reservation = await sortirDeLaCorbeille(client, 'reservations', id);
+    await journaliser(client, auteurRequete(req), {
+      entite: 'reservations', entite_id: reservation.id, action: 'restauration', avant: actuel.rows[0], apres: reservation
+    });
+    return { status: 200, body: reservation };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
 // Middleware global pour erreurs
 reservationsRouter.use((error, req, res, next) => {
+  // Les erreurs métier et de validation gardent leur code HTTP (gestionnaire global)
+  if (error.name === 'ErreurMetier' || error.name === 'ValidationError') return next(error);
+
   console.error('Erreur dans reservationsRouter:', error);
   res.status(500).json({ error: 'Erreur interne du serveur' });
 });
@@ -0,0 +1,201 @@
+import { Router } from 'express';
+import pool from '../db.js';
+import dotenv from 'dotenv';
+import { autoriser } from '../middleware/auth.js';
+import { lirePeriode, filtrePeriode, colonnePeriode, STATUTS_EXCLUS } from '../services/statistiques.js';
+
+dotenv.config();
+
+const statsRouter = Router();
+
+// Middleware async pour gérer les erreurs
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+statsRouter.use(autoriser('admin'));
+
+// Toutes les routes : ?du=AAAA-MM-JJ&au=AAAA-MM-JJ&granularite=day|week|month
+statsRouter.use((req, res, next) => {
+  const periode = lirePeriode(req.query);
+  if (periode.erreur) return res.status(400).json({ error: periode.erreur });
+  req.periode = periode;
+  next();
+});
+
+// Paramètres $1 (du), $2 (au) et $3 (granularite) des requêtes par période
+const parametresPeriode = ({ du, au, granularite }) => [du, au, granularite];
+
+// ===== RESERVATIONS - Par période, destination et classe =====
+// ?date=creation (date de réservation, par défaut) ou depart (date du voyage)
+statsRouter.get('/reservations', asyncHandler(async (req, res) => {
+  const colonne = req.query.date === 'depart' ? 'r.date_depart' : 'r.created_at';
+
+  const result = await pool.query(
+    `SELECT ${colonnePeriode(colonne, 3)} as periode,
+            r.destination,
+            r.classe,
+            COUNT(*)::int as reservations,
+            COUNT(*) FILTER (WHERE r.statut = 'annulee')::int as annulees,
+            COALESCE(SUM(r.nombre_passagers) FILTER (WHERE r.statut <> 'annulee'), 0)::int as passagers,
+            ROUND(COALESCE(SUM(r.montant_total) FILTER (WHERE r.statut <> 'annulee'), 0), 2)::float as montant
+     FROM reservations r
+     WHERE ${filtrePeriode(colonne, 1, 2)} AND r.supprime_le IS NULL
+     GROUP BY 1, 2, 3
+     ORDER BY 1, 2, 3`,
+    parametresPeriode(req.periode)
+  );
+
+  res.json({ ...req.periode, data: result.rows });
+}));
+
+// ===== COLIS - Répartition par statut et par type =====
+statsRouter.get('/colis', asyncHandler(async (req, res) => {
+  const { du, au } = req.periode;
+  const filtre = `${filtrePeriode('c.date_creation', 1, 2)} AND c.supprime_le IS NULL`;
+
+  const [parStatut, parType, evolution] = await Promise.all([
+    pool.query(
+      `SELECT c.statut, COUNT(*)::int as colis, ROUND(SUM(c.poids), 2)::float as poids
+       FROM colis c
+       WHERE ${filtre}
+       GROUP BY c.statut
+       ORDER BY colis DESC`,
+      [du, au]
+    ),
+    pool.query(
+      `SELECT c.type_colis, COUNT(*)::int as colis, ROUND(SUM(c.poids), 2)::float as poids
+       FROM colis c
+       WHERE ${filtre}
+       GROUP BY c.type_colis
+       ORDER BY colis DESC`,
+      [du, au]
+    ),
+    pool.query(
+      `SELECT ${colonnePeriode('c.date_creation', 3)} as periode, COUNT(*)::int as colis,
+              ROUND(SUM(c.poids), 2)::float as poids
+       FROM colis c
+       WHERE ${filtre}
+       GROUP BY 1
+       ORDER BY 1`,
+      parametresPeriode(req.periode)
+    )
+  ]);
+
+  res.json({
+    ...req.periode,
+    par_statut: parStatut.rows,
+    par_type: parType.rows,
+    evolution: evolution.rows
+  });
+}));
+
+// ===== ROUTES - Kilos expédiés par itinéraire (date d'expédition du créneau) =====
+statsRouter.get('/routes', asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT ${colonnePeriode('ce.date_expedition', 3)} as periode,
+            ce.lieu_depart,
+            ce.destination,
+            COUNT(*)::int as colis,
+            ROUND(SUM(c.poids), 2)::float as poids
+     FROM colis c
+     JOIN creneaux_expedition ce ON c.creneau_id = ce.id
+     WHERE ${filtrePeriode('ce.date_expedition', 1, 2)}
+       AND c.statut <> ALL($4) AND c.supprime_le IS NULL
+     GROUP BY 1, 2, 3
+     ORDER BY 1, poids DESC`,
+    [...parametresPeriode(req.periode), STATUTS_EXCLUS]
+  );
+
+  res.json({ ...req.periode, data: result.rows });
+}));
+
+// ===== OCCUPATION - Taux de remplissage des créneaux =====
+statsRouter.get('/occupation', asyncHandler(async (req, res) => {
+  // Occupation de chaque créneau, puis agrégation par période
+  const result = await pool.query(
+    `WITH occupation AS (
+       SELECT ce.id, ce.date_expedition, ce.capacite_max, ce.capacite_poids_max,
+              COUNT(c.id) as colis,
+              COALESCE(SUM(c.poids), 0) as poids
+       FROM creneaux_expedition ce
+       LEFT JOIN colis c ON c.creneau_id = ce.id AND c.statut <> ALL($4) AND c.supprime_le IS NULL
+       WHERE ${filtrePeriode('ce.date_expedition', 1, 2)} AND ce.supprime_le IS NULL
+       GROUP BY ce.id
+     )
+     SELECT ${colonnePeriode('date_expedition', 3)} as periode,
+            COUNT(*)::int as creneaux,
+            SUM(colis)::int as colis,
+            SUM(capacite_max)::int as capacite,
+            ROUND(100.0 * SUM(colis) / NULLIF(SUM(capacite_max), 0), 1)::float as taux_occupation,
+            ROUND(100.0 * SUM(poids) FILTER (WHERE capacite_poids_max IS NOT NULL)
+                  / NULLIF(SUM(capacite_poids_max), 0), 1)::float as taux_charge,
+            COUNT(*) FILTER (WHERE colis >= capacite_max)::int as creneaux_complets,
+            COUNT(*) FILTER (WHERE colis = 0)::int as creneaux_vides
+     FROM occupation
+     GROUP BY 1
+     ORDER BY 1`,
+    [...parametresPeriode(req.periode), STATUTS_EXCLUS]
+  );
+
+  res.json({ ...req.periode, data: result.rows });
+}));
+
+// ===== REVENUS - Chiffre d'affaires des colis =====
+// estime = frais_par_kg x poids du créneau, facture = prix figé à la création (tarification)
+statsRouter.get('/revenus', asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT ${colonnePeriode('c.date_creation', 3)} as periode,
+            COUNT(*)::int as colis,
+            ROUND(SUM(ce.frais_par_kg * c.poids), 2)::float as estime,
+            ROUND(COALESCE(SUM(c.prix_total), 0), 2)::float as facture
+     FROM colis c
+     JOIN creneaux_expedition ce ON c.creneau_id = ce.id
+     WHERE ${filtrePeriode('c.date_creation', 1, 2)}
+       AND c.statut <> ALL($4) AND c.supprime_le IS NULL
+     GROUP BY 1
+     ORDER BY 1`,
+    [...parametresPeriode(req.periode), STATUTS_EXCLUS]
+  );
+
+  const totaux = result.rows.reduce(
+    (t, r) => ({ colis: t.colis + r.colis, estime: t.estime + r.estime, facture: t.facture + r.facture }),
+    { colis: 0, estime: 0, facture: 0 }
+  );
+
+  res.json({
+    ...req.periode,
+    data: result.rows,
+    totaux: {
+      colis: totaux.colis,
+      estime: Math.round(totaux.estime * 100) / 100,
+      facture: Math.round(totaux.facture * 100) / 100
+    }
+  });
+}));
+
+// ===== EXPEDITEURS - Meilleurs expéditeurs (regroupés par téléphone) =====
+statsRouter.get('/expediteurs', asyncHandler(async (req, res) => {
+  const limite = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+
+  const result = await pool.query(
+    `SELECT c.telephone_expediteur,
+            MAX(c.nom_expediteur) as nom_expediteur,
+            COUNT(*)::int as colis,
+            ROUND(SUM(c.poids), 2)::float as poids,
+            ROUND(SUM(COALESCE(c.prix_total, ce.frais_par_kg * c.poids)), 2)::float as montant,
+            MAX(c.date_creation) as dernier_envoi
+     FROM colis c
+     LEFT JOIN creneaux_expedition ce ON c.creneau_id = ce.id
+     WHERE ${filtrePeriode('c.date_creation', 1, 2)}
+       AND c.statut <> ALL($3) AND c.supprime_le IS NULL
+     GROUP BY c.telephone_expediteur
+     ORDER BY colis DESC, poids DESC
+     LIMIT $4`,
+    [req.periode.du, req.periode.au, STATUTS_EXCLUS, limite]
+  );
+
+  res.json({ ...req.periode, data: result.rows });
+}));
+
+export default statsRouter;
@@ -0,0 +1,208 @@
+import { Router } from 'express';
+import pool from '../db.js';
+import dotenv from 'dotenv';
+import { TYPES_REGLE, MODES_REGLE } from '../services/tarification.js';
+import { autoriser } from '../middleware/auth.js';
+import { ROLES_STAFF } from '../services/auth.js';
+
+dotenv.config();
+
+const tarifsRouter = Router();
+
+// Middleware async pour gérer les erreurs
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// Règles qui doivent cibler une clé précise (type de transport, type de colis, code promo)
+const TYPES_AVEC_CLE = ['multiplicateur_transport', 'supplement_type_colis', 'code_promo'];
+
+// Validation d'une règle complète, retourne un message d'erreur ou null
+const validerRegle = (regle) => {
+  if (!TYPES_REGLE.includes(regle.type_regle)) {
+    return `Type de règle invalide. Doit être: ${TYPES_REGLE.join(', ')}`;
+  }
+  if (regle.mode && !MODES_REGLE.includes(regle.mode)) {
+    return `Mode invalide. Doit être: ${MODES_REGLE.join(', ')}`;
+  }
+  if (TYPES_AVEC_CLE.includes(regle.type_regle) && !regle.cle) {
+    return `Champ obligatoire manquant: cle (requis pour ${regle.type_regle})`;
+  }
+  if (regle.type_regle === 'multiplicateur_transport' && regle.mode !== 'multiplicateur') {
+    return 'Une règle multiplicateur_transport doit utiliser le mode multiplicateur';
+  }
+  if (regle.type_regle !== 'multiplicateur_transport' && regle.mode === 'multiplicateur') {
+    return 'Le mode multiplicateur est réservé aux règles multiplicateur_transport';
+  }
+  if (regle.valeur === undefined || regle.valeur === null || isNaN(parseFloat(regle.valeur)) || regle.valeur < 0) {
+    return 'La valeur doit être un nombre positif';
+  }
+  if (regle.date_debut && regle.date_fin && new Date(regle.date_fin) < new Date(regle.date_debut)) {
+    return 'La date de fin doit être postérieure à la date de début';
+  }
+  return null;
+};
+
+// Les codes promo sont stockés en majuscules
+const normaliserCle = (regle) =>
+  regle.type_regle === 'code_promo' && regle.cle ? regle.cle.toUpperCase() : (regle.cle || null);
+
+// Conflit avec l'index unique des règles actives
+const estConflitRegle = (error) => error.code === '23505';
+
+// ===== CREATE - Ajouter une règle tarifaire =====
+tarifsRouter.post('/', autoriser('admin'), asyncHandler(async (req, res) => {
+  const regle = { mode: 'fixe', ...req.body };
+  if (regle.type_regle === 'multiplicateur_transport' && !req.body.mode) regle.mode = 'multiplicateur';
+
+  const erreur = validerRegle(regle);
+  if (erreur) return res.status(400).json({ error: erreur });
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO regles_tarifaires
+      (type_regle, cle, mode, valeur, description, actif, date_debut, date_fin)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *`,
+      [
+        regle.type_regle,
+        normaliserCle(regle),
+        regle.mode,
+        regle.valeur,
+        regle.description,
+        regle.actif !== false,
+        regle.date_debut || null,
+        regle.date_fin || null
+      ]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (estConflitRegle(error)) return res.status(409).json({ error: 'Une règle active existe déjà pour ce type et cette clé' });
+    throw error;
+  }
+}));
+
+// ===== READ - Toutes les règles =====
+tarifsRouter.get('/', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { type_regle, actif } = req.query;
+
+  const whereConditions = [];
+  const params = [];
+
+  if (type_regle && TYPES_REGLE.includes(type_regle)) {
+    params.push(type_regle);
+    whereConditions.push(`type_regle = $${params.length}`);
+  }
+
+  if (actif === 'true' || actif === 'false') {
+    params.push(actif === 'true');
+    whereConditions.push(`actif = $${params.length}`);
+  }
+
+  let query = 'SELECT * FROM regles_tarifaires';
+  if (whereConditions.length > 0) query += ' WHERE ' + whereConditions.join(' AND ');
+  query += ' ORDER BY type_regle, cle NULLS FIRST, id';
+
+  const result = await pool.query(query, params);
+  res.json({ data: result.rows });
+}));
+
+// ===== READ - Une règle par ID =====
+tarifsRouter.get('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query('SELECT * FROM regles_tarifaires WHERE id = $1', [id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Règle tarifaire non trouvée' });
+
+  res.json(result.rows[0]);
+}));
+
+// ===== UPDATE - Modifier une règle complète =====
+tarifsRouter.put('/:id', autoriser('admin'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const updates = req.body;
+
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const erreur = validerRegle(updates);
+  if (erreur) return res.status(400).json({ error: erreur });
+
+  try {
+    const result = await pool.query(
+      `UPDATE regles_tarifaires SET
+      type_regle = $1, cle = $2, mode = $3, valeur = $4, description = $5,
+      actif = $6, date_debut = $7, date_fin = $8, updated_at = NOW()
+      WHERE id = $9 RETURNING *`,
+      [
+        updates.type_regle,
+        normaliserCle(updates),
+        updates.mode || 'fixe',
+        updates.valeur,
+        updates.description,
+        updates.actif !== false,
+        updates.date_debut || null,
+        updates.date_fin || null,
+        id
+      ]
+    );
+
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Règle tarifaire non trouvée' });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (estConflitRegle(error)) return res.status(409).json({ error: 'Une règle active existe déjà pour ce type et cette clé' });
+    throw error;
+  }
+}));
+
+// ===== PATCH - Modification partielle =====
+tarifsRouter.patch('/:id', autoriser('admin'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const updates = req.body;
+
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+  if (!updates || Object.keys(updates).length === 0) return res.status(400).json({ error: 'Aucun champ à modifier' });
+
+  const allowedFields = ['type_regle', 'cle', 'mode', 'valeur', 'description', 'actif', 'date_debut', 'date_fin'];
+  const fieldsToUpdate = Object.keys(updates).filter(f => allowedFields.includes(f));
+
+  if (fieldsToUpdate.length === 0) return res.status(400).json({ error: 'Aucun champ valide à modifier' });
+
+  // La règle résultante est validée dans son ensemble
+  const actuel = await pool.query('SELECT * FROM regles_tarifaires WHERE id = $1', [id]);
+  if (actuel.rows.length === 0) return res.status(404).json({ error: 'Règle tarifaire non trouvée' });
+
+  const regle = { ...actuel.rows[0], ...updates };
+  const erreur = validerRegle(regle);
+  if (erreur) return res.status(400).json({ error: erreur });
+  if (fieldsToUpdate.includes('cle')) updates.cle = normaliserCle(regle);
+
+  const setClause = fieldsToUpdate.map((f, i) => `${f} = $${i + 1}`).join(', ');
+  const values = fieldsToUpdate.map(f => updates[f]);
+  values.push(id);
+
+  try {
+    const result = await pool.query(
+      `UPDATE regles_tarifaires SET ${setClause}, updated_at = NOW() WHERE id = $${values.length} RETURNING *`,
+      values
+    );
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (estConflitRegle(error)) return res.status(409).json({ error: 'Une règle active existe déjà pour ce type et cette clé' });
+    throw error;
+  }
+}));
+
+// ===== DELETE - Supprimer une règle =====
+tarifsRouter.delete('/:id', autoriser('admin'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query('DELETE FROM regles_tarifaires WHERE id = $1 RETURNING *', [id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Règle tarifaire non trouvée' });
+
+  res.json({ message: 'Règle tarifaire supprimée', deletedRegle: result.rows[0] });
+}));
+
+export default tarifsRouter;
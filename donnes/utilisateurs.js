@@ -0,0 +1,91 @@
+import { Router } from 'express';
+import pool from '../db.js';
+import dotenv from 'dotenv';
+import { ROLES, hasherMotDePasse, utilisateurPublic } from '../services/auth.js';
+import { autoriser } from '../middleware/auth.js';
+import { valider } from '../services/validation.js';
+import { SCHEMA_UTILISATEUR, CHAMPS_MODIFIABLES_UTILISATEUR } from '../services/schemas.js';
+
+dotenv.config();
+
+const utilisateursRouter = Router();
+
+// Middleware async pour gérer les erreurs
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// Gestion des comptes réservée aux administrateurs
+utilisateursRouter.use(autoriser('admin'));
+
+// ===== READ - Tous les utilisateurs =====
+utilisateursRouter.get('/', asyncHandler(async (req, res) => {
+  const { role } = req.query;
+  const params = [];
+  let query = 'SELECT * FROM utilisateurs';
+
+  if (role && ROLES.includes(role)) {
+    query += ' WHERE role = $1';
+    params.push(role);
+  }
+
+  const result = await pool.query(query + ' ORDER BY id', params);
+  res.json({ data: result.rows.map(utilisateurPublic) });
+}));
+
+// ===== CREATE - Créer un compte (admin, agent ou public) =====
+utilisateursRouter.post('/', asyncHandler(async (req, res) => {
+  const { email, nom, mot_de_passe, role, actif } = valider(SCHEMA_UTILISATEUR, req.body);
+
+  const existant = await pool.query('SELECT id FROM utilisateurs WHERE email = $1', [email]);
+  if (existant.rows.length > 0) return res.status(409).json({ error: 'Un compte existe déjà avec cet email' });
+
+  const result = await pool.query(
+    `INSERT INTO utilisateurs (email, nom, mot_de_passe_hash, role, actif)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [email, nom, await hasherMotDePasse(mot_de_passe), role, actif]
+  );
+
+  res.status(201).json(utilisateurPublic(result.rows[0]));
+}));
+
+// ===== PATCH - Modifier le rôle, le statut ou le mot de passe =====
+utilisateursRouter.patch('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const updates = valider(SCHEMA_UTILISATEUR, req.body, { mode: 'modification', champs: CHAMPS_MODIFIABLES_UTILISATEUR });
+  if (parseInt(id) === req.utilisateur.id && (updates.actif === false || (updates.role && updates.role !== 'admin'))) {
+    return res.status(400).json({ error: 'Un administrateur ne peut pas se désactiver ni se retirer ses droits' });
+  }
+
+  if (updates.mot_de_passe) updates.mot_de_passe_hash = await hasherMotDePasse(updates.mot_de_passe);
+
+  const allowedFields = ['nom', 'role', 'actif', 'mot_de_passe_hash'];
+  // role ou actif vide : inchangé
+  const fieldsToUpdate = Object.keys(updates).filter(f => allowedFields.includes(f) && updates[f] !== null);
+  if (fieldsToUpdate.length === 0) return res.status(400).json({ error: 'Aucun champ valide à modifier' });
+
+  const setClause = fieldsToUpdate.map((f, i) => `${f} = $${i + 1}`).join(', ');
+  const values = fieldsToUpdate.map(f => updates[f]);
+  values.push(id);
+
+  const result = await pool.query(
+    `UPDATE utilisateurs SET ${setClause} WHERE id = $${values.length} RETURNING *`,
+    values
+  );
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+
+  // Un compte désactivé perd ses sessions en cours
+  if (updates.actif === false) {
+    await pool.query(
+      'UPDATE jetons_rafraichissement SET revoque_le = NOW() WHERE utilisateur_id = $1 AND revoque_le IS NULL',
+      [id]
+    );
+  }
+
+  res.json(utilisateurPublic(result.rows[0]));
+}));
+
+export default utilisateursRouter;
@@ -0,0 +1,291 @@
+import { Router } from 'express';
+import pool, { withTransaction } from '../db.js';
+import dotenv from 'dotenv';
+import { autoriser } from '../middleware/auth.js';
+import { ROLES_STAFF } from '../services/auth.js';
+import { CLASSES } from '../services/inventaireVoyages.js';
+import { analyser, valider, CODES_VALIDATION } from '../services/validation.js';
+import { SCHEMA_VOYAGE, SCHEMA_CLASSE_VOYAGE } from '../services/schemas.js';
+import { ValidationError } from '../services/erreurs.js';
+
+dotenv.config();
+
+const voyagesRouter = Router();
+
+// Middleware async pour gérer les erreurs
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// Voyage avec ses classes (places et prix) agrégées en tableau JSON
+const SELECT_VOYAGE = `
+  SELECT v.*,
+         COALESCE(json_agg(json_build_object(
+           'classe', vc.classe,
+           'places_total', vc.places_total,
+           'places_restantes', vc.places_restantes,
+           'prix', vc.prix
+         ) ORDER BY vc.classe) FILTER (WHERE vc.classe IS NOT NULL), '[]') as classes
+  FROM voyages v
+  LEFT JOIN voyage_classes vc ON v.id = vc.voyage_id
+`;
+
+// Classes d'un nouveau voyage (au moins une, chacune une seule fois) : { valeurs, errors }
+const analyserClasses = (classes) => {
+  if (!Array.isArray(classes) || classes.length === 0) {
+    return { valeurs: [], errors: [{ champ: 'classes', code: CODES_VALIDATION.requis, message: 'Au moins une classe est requise' }] };
+  }
+
+  const valeurs = [];
+  const errors = [];
+  classes.forEach((classe, i) => {
+    const analyse = analyser(SCHEMA_CLASSE_VOYAGE, classe, { prefixe: `classes[${i}].` });
+    errors.push(...analyse.errors);
+    valeurs.push(analyse.valeurs);
+  });
+  if (errors.length === 0 && new Set(valeurs.map(c => c.classe)).size !== valeurs.length) {
+    errors.push({ champ: 'classes', code: CODES_VALIDATION.incoherent, message: 'Une classe est présente plusieurs fois' });
+  }
+  return { valeurs, errors };
+};
+
+// Les réservations liées suivent l'itinéraire et les dates du voyage
+const synchroniserReservations = (client, voyage) =>
+  client.query(
+    `UPDATE reservations SET lieu_depart = $1, destination = $2, date_depart = $3, date_retour = $4
+     WHERE voyage_id = $5`,
+    [voyage.lieu_depart, voyage.destination, voyage.date_depart, voyage.date_retour, voyage.id]
+  );
+
+// ===== RECHERCHE - Voyages disponibles (public) =====
+voyagesRouter.get('/recherche', asyncHandler(async (req, res) => {
+  const { lieu_depart, destination, date, date_min, date_max, classe, passagers = 1 } = req.query;
+  const nombrePassagers = Math.max(1, parseInt(passagers) || 1);
+
+  // Seuls les voyages actifs à venir avec assez de places sont proposés
+  const whereConditions = ['v.actif', 'v.date_depart > NOW()'];
+  const params = [];
+
+  if (lieu_depart) {
+    params.push(`%${lieu_depart}%`);
+    whereConditions.push(`v.lieu_depart ILIKE $${params.length}`);
+  }
+  if (destination) {
+    params.push(`%${destination}%`);
+    whereConditions.push(`v.destination ILIKE $${params.length}`);
+  }
+  if (date) {
+    params.push(date);
+    whereConditions.push(`v.date_depart::date = $${params.length}`);
+  }
+  if (date_min) {
+    params.push(date_min);
+    whereConditions.push(`v.date_depart::date >= $${params.length}`);
+  }
+  if (date_max) {
+    params.push(date_max);
+    whereConditions.push(`v.date_depart::date <= $${params.length}`);
+  }
+
+  params.push(nombrePassagers);
+  let disponibilite = `vd.places_restantes >= $${params.length}`;
+  if (classe && CLASSES.includes(classe)) {
+    params.push(classe);
+    disponibilite += ` AND vd.classe = $${params.length}`;
+  }
+  whereConditions.push(`EXISTS (SELECT 1 FROM voyage_classes vd WHERE vd.voyage_id = v.id AND ${disponibilite})`);
+
+  const result = await pool.query(
+    `${SELECT_VOYAGE}
+     WHERE ${whereConditions.join(' AND ')}
+     GROUP BY v.id
+     ORDER BY v.date_depart ASC
+     LIMIT 100`,
+    params
+  );
+
+  res.json({ data: result.rows });
+}));
+
+// ===== CREATE - Ajouter un voyage et ses classes =====
+voyagesRouter.post('/', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  // Voyage et classes sont contrôlés ensemble pour renvoyer toutes les erreurs en une fois
+  const { valeurs: voyage, errors } = analyser(SCHEMA_VOYAGE, req.body);
+  const { valeurs: classes, errors: erreursClasses } = analyserClasses(req.body?.classes);
+  errors.push(...erreursClasses);
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  const voyageId = await withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO voyages (lieu_depart, destination, date_depart, date_retour, description, actif)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [voyage.lieu_depart, voyage.destination, voyage.date_depart, voyage.date_retour, voyage.description, voyage.actif]
+    );
+
+    for (const c of classes) {
+      await client.query(
+        `INSERT INTO voyage_classes (voyage_id, classe, places_total, places_restantes, prix)
+         VALUES ($1, $2, $3, $3, $4)`,
+        [result.rows[0].id, c.classe, c.places_total, c.prix]
+      );
+    }
+
+    return result.rows[0].id;
+  });
+
+  const result = await pool.query(`${SELECT_VOYAGE} WHERE v.id = $1 GROUP BY v.id`, [voyageId]);
+  res.status(201).json(result.rows[0]);
+}));
+
+// ===== READ - Tous les voyages =====
+voyagesRouter.get('/', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, search, sortBy = 'date_depart', order = 'ASC' } = req.query;
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+  const offset = (pageNum - 1) * limitNum;
+
+  const allowedSortColumns = ['id', 'lieu_depart', 'destination', 'date_depart', 'created_at'];
+  const sortColumn = allowedSortColumns.includes(sortBy) ? sortBy : 'date_depart';
+  const sortOrder = order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+
+  let whereClause = '';
+  const params = [];
+
+  if (search) {
+    whereClause = ' WHERE v.lieu_depart ILIKE $1 OR v.destination ILIKE $1';
+    params.push(`%${search}%`);
+  }
+
+  const [result, countResult] = await Promise.all([
+    pool.query(
+      `${SELECT_VOYAGE}${whereClause}
+       GROUP BY v.id
+       ORDER BY v.${sortColumn} ${sortOrder}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limitNum, offset]
+    ),
+    pool.query(`SELECT COUNT(*) FROM voyages v${whereClause}`, params)
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+  const totalPages = Math.ceil(total / limitNum);
+
+  res.json({
+    data: result.rows,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages,
+      hasNext: pageNum < totalPages,
+      hasPrev: pageNum > 1
+    }
+  });
+}));
+
+// ===== READ - Un voyage par ID (public) =====
+voyagesRouter.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query(`${SELECT_VOYAGE} WHERE v.id = $1 GROUP BY v.id`, [id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Voyage non trouvé' });
+
+  res.json(result.rows[0]);
+}));
+
+// ===== PATCH - Modifier un voyage (itinéraire, dates, statut) =====
+voyagesRouter.patch('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const updates = req.body;
+
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+  if (!updates || Object.keys(updates).length === 0) return res.status(400).json({ error: 'Aucun champ à modifier' });
+
+  const reponse = await withTransaction(async (client) => {
+    const actuel = await client.query('SELECT * FROM voyages WHERE id = $1 FOR UPDATE', [id]);
+    if (actuel.rows.length === 0) return { status: 404, body: { error: 'Voyage non trouvé' } };
+
+    // Champs fournis validés, dates vérifiées sur le voyage résultant
+    const valeurs = valider(SCHEMA_VOYAGE, updates, { mode: 'modification', actuel: actuel.rows[0] });
+    // actif vidé : inchangé (colonne NOT NULL)
+    if (valeurs.actif === null) delete valeurs.actif;
+    const fieldsToUpdate = Object.keys(valeurs);
+    if (fieldsToUpdate.length === 0) return { status: 400, body: { error: 'Aucun champ valide à modifier' } };
+
+    const setClause = fieldsToUpdate.map((f, i) => `${f} = $${i + 1}`).join(', ');
+    const values = fieldsToUpdate.map(f => valeurs[f]);
+    values.push(id);
+
+    const result = await client.query(
+      `UPDATE voyages SET ${setClause} WHERE id = $${values.length} RETURNING *`,
+      values
+    );
+
+    await synchroniserReservations(client, result.rows[0]);
+    return { status: 200, body: result.rows[0] };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// ===== UPSERT - Places et prix d'une classe =====
+voyagesRouter.put('/:id/classes/:classe', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id, classe } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+  const { places_total, prix } = valider(SCHEMA_CLASSE_VOYAGE, { ...req.body, classe });
+
+  const reponse = await withTransaction(async (client) => {
+    const voyage = await client.query('SELECT id FROM voyages WHERE id = $1', [id]);
+    if (voyage.rows.length === 0) return { status: 404, body: { error: 'Voyage non trouvé' } };
+
+    const actuel = await client.query(
+      'SELECT * FROM voyage_classes WHERE voyage_id = $1 AND classe = $2 FOR UPDATE',
+      [id, classe]
+    );
+
+    if (actuel.rows.length === 0) {
+      const result = await client.query(
+        `INSERT INTO voyage_classes (voyage_id, classe, places_total, places_restantes, prix)
+         VALUES ($1, $2, $3, $3, $4) RETURNING *`,
+        [id, classe, places_total, prix]
+      );
+      return { status: 201, body: result.rows[0] };
+    }
+
+    // Les places déjà vendues restent acquises
+    const vendues = actuel.rows[0].places_total - actuel.rows[0].places_restantes;
+    if (places_total < vendues) {
+      return { status: 409, body: { error: `Impossible de descendre sous les ${vendues} place(s) déjà vendue(s)` } };
+    }
+
+    const result = await client.query(
+      `UPDATE voyage_classes SET places_total = $3, places_restantes = $3 - $4, prix = $5
+       WHERE voyage_id = $1 AND classe = $2 RETURNING *`,
+      [id, classe, places_total, vendues, prix]
+    );
+    return { status: 200, body: result.rows[0] };
+  });
+
+  res.status(reponse.status).json(reponse.body);
+}));
+
+// ===== DELETE - Supprimer un voyage sans réservation =====
+voyagesRouter.delete('/:id', autoriser(...ROLES_STAFF), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  // Vérifier s'il y a des réservations associées
+  const reservationsResult = await pool.query('SELECT COUNT(*) FROM reservations WHERE voyage_id = $1', [id]);
+  if (parseInt(reservationsResult.rows[0].count) > 0) {
+    return res.status(400).json({ error: 'Impossible de supprimer le voyage: des réservations y sont associées' });
+  }
+
+  const result = await pool.query('DELETE FROM voyages WHERE id = $1 RETURNING *', [id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Voyage non trouvé' });
+
+  res.json({ message: 'Voyage supprimé', deletedVoyage: result.rows[0] });
+}));
+
+export default voyagesRouter;
@@ -0,0 +1,229 @@
+import { Router } from 'express';
+import pool from '../db.js';
+import dotenv from 'dotenv';
+import { autoriser } from '../middleware/auth.js';
+import { EVENEMENT_TEST, genererSecret, masquerSecret } from '../services/webhooks/index.js';
+import { distribuerWebhooks, livrerMaintenant, relivrer } from '../services/webhooks/worker.js';
+import { valider } from '../services/validation.js';
+import { SCHEMA_WEBHOOK } from '../services/schemas.js';
+
+dotenv.config();
+
+const webhooksRouter = Router();
+
+// Middleware async pour gérer les erreurs
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+const STATUTS_LIVRAISON = ['en_attente', 'en_cours', 'livree', 'echec', 'abandonnee'];
+
+// Les intégrations partenaires (URL, secrets) sont réservées aux administrateurs
+webhooksRouter.use(autoriser('admin'));
+
+// Abonnement et nombre de livraisons par statut
+const lireWebhook = async (id) => {
+  const result = await pool.query(
+    `SELECT w.*, u.nom as utilisateur_nom,
+            (SELECT json_object_agg(statut, nombre) FROM (
+               SELECT statut, COUNT(*)::int as nombre FROM webhooks_livraisons WHERE webhook_id = w.id GROUP BY statut
+             ) s) as livraisons
+     FROM webhooks w
+     LEFT JOIN utilisateurs u ON w.utilisateur_id = u.id
+     WHERE w.id = $1`,
+    [id]
+  );
+  return result.rows[0] ? masquerSecret(result.rows[0]) : null;
+};
+
+// ===== READ - Abonnements =====
+webhooksRouter.get('/', asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT w.*,
+            (SELECT COUNT(*)::int FROM webhooks_livraisons l
+             WHERE l.webhook_id = w.id AND l.statut IN ('en_attente', 'en_cours', 'echec')) as livraisons_en_attente
+     FROM webhooks w
+     ORDER BY w.id`
+  );
+  res.json({ data: result.rows.map(masquerSecret) });
+}));
+
+// ===== CREATE - Abonnement { url, evenements, secret?, description? } =====
+// Le secret (fourni ou généré) n'est renvoyé en clair que dans cette réponse
+webhooksRouter.post('/', asyncHandler(async (req, res) => {
+  const { url, evenements, secret, description, actif } = valider(SCHEMA_WEBHOOK, req.body);
+
+  const result = await pool.query(
+    `INSERT INTO webhooks (url, evenements, secret, description, actif, utilisateur_id)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [url, evenements, secret || genererSecret(), description, actif, req.utilisateur.id]
+  );
+
+  res.status(201).json(result.rows[0]);
+}));
+
+// ===== DISTRIBUER - Passage manuel du worker (ou cron HTTP) =====
+webhooksRouter.post('/distribuer', asyncHandler(async (req, res) => {
+  res.json(await distribuerWebhooks(pool));
+}));
+
+// ===== READ - Une livraison et ses tentatives (code HTTP, réponse, durée) =====
+webhooksRouter.get('/livraisons/:livraisonId', asyncHandler(async (req, res) => {
+  const { livraisonId } = req.params;
+  if (!livraisonId || isNaN(parseInt(livraisonId))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query('SELECT * FROM webhooks_livraisons WHERE id = $1', [livraisonId]);
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Livraison non trouvée' });
+
+  const tentatives = await pool.query(
+    'SELECT * FROM webhooks_tentatives WHERE livraison_id = $1 ORDER BY relivraison, tentative, id',
+    [livraisonId]
+  );
+
+  res.json({ ...result.rows[0], tentatives: tentatives.rows });
+}));
+
+// ===== RELIVRER - Nouvelle série de tentatives pour une livraison (même corps, même X-Webhook-Id) =====
+webhooksRouter.post('/livraisons/:livraisonId/relivrer', asyncHandler(async (req, res) => {
+  const { livraisonId } = req.params;
+  if (!livraisonId || isNaN(parseInt(livraisonId))) return res.status(400).json({ error: 'ID invalide' });
+
+  const { livraison, erreur, status } = await relivrer(pool, livraisonId);
+  if (erreur) return res.status(status).json({ error: erreur });
+
+  res.json(livraison);
+}));
+
+// ===== READ - Un abonnement =====
+webhooksRouter.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const webhook = await lireWebhook(id);
+  if (!webhook) return res.status(404).json({ error: 'Webhook non trouvé' });
+
+  res.json(webhook);
+}));
+
+// ===== UPDATE - Abonnement complet (PUT) ou partiel (PATCH) =====
+// Sans secret, le secret actuel est conservé. Réactiver (actif: true) remet à zéro les échecs
+// consécutifs : les livraisons restées en file repartent au prochain passage du worker.
+const modifierWebhook = (mode) => asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+  if (mode === 'modification' && (!req.body || Object.keys(req.body).length === 0)) {
+    return res.status(400).json({ error: 'Aucun champ à modifier' });
+  }
+
+  const actuel = await pool.query('SELECT * FROM webhooks WHERE id = $1', [id]);
+  if (actuel.rows.length === 0) return res.status(404).json({ error: 'Webhook non trouvé' });
+
+  const valeurs = valider(SCHEMA_WEBHOOK, req.body, { mode, actuel: actuel.rows[0] });
+  if (!valeurs.secret) delete valeurs.secret;
+  if (Object.keys(valeurs).length === 0) return res.status(400).json({ error: 'Aucun champ valide à modifier' });
+
+  const champs = Object.keys(valeurs);
+  const params = champs.map(c => valeurs[c]);
+  const affectations = champs.map((c, i) => `${c} = $${i + 1}`);
+  if (valeurs.actif === true && !actuel.rows[0].actif) {
+    affectations.push('echecs_consecutifs = 0', 'desactive_le = NULL', 'motif_desactivation = NULL');
+  } else if (valeurs.actif === false && actuel.rows[0].actif) {
+    affectations.push('desactive_le = NOW()', `motif_desactivation = 'Désactivé par un administrateur'`);
+  }
+  params.push(id);
+
+  await pool.query(
+    `UPDATE webhooks SET ${affectations.join(', ')}, date_modification = NOW() WHERE id = $${params.length}`,
+    params
+  );
+
+  res.json(await lireWebhook(id));
+});
+
+webhooksRouter.put('/:id', modifierWebhook('remplacement'));
+webhooksRouter.patch('/:id', modifierWebhook('modification'));
+
+// ===== DELETE - Abonnement et historique de ses livraisons =====
+webhooksRouter.delete('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query('DELETE FROM webhooks WHERE id = $1 RETURNING *', [id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Webhook non trouvé' });
+
+  res.json({ message: 'Webhook supprimé', deletedWebhook: masquerSecret(result.rows[0]) });
+}));
+
+// ===== TESTER - Envoi immédiat d'un événement webhook.test signé, même webhook désactivé =====
+// Une seule tentative (abandonnée en cas d'échec), sans effet sur la désactivation automatique
+webhooksRouter.post('/:id/tester', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const result = await pool.query(
+    `INSERT INTO webhooks_livraisons (webhook_id, evenement, charge)
+     SELECT id, $2, json_build_object('webhook_id', id, 'message', 'Livraison de test')
+     FROM webhooks WHERE id = $1
+     RETURNING id`,
+    [id, EVENEMENT_TEST]
+  );
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Webhook non trouvé' });
+
+  res.json(await livrerMaintenant(pool, result.rows[0].id));
+}));
+
+// ===== READ - Journal des livraisons d'un abonnement =====
+// Filtres : statut, evenement ; page/limit
+webhooksRouter.get('/:id/livraisons', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id || isNaN(parseInt(id))) return res.status(400).json({ error: 'ID invalide' });
+
+  const { page = 1, limit = 10, statut, evenement } = req.query;
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
+  const offset = (pageNum - 1) * limitNum;
+
+  const existe = await pool.query('SELECT id FROM webhooks WHERE id = $1', [id]);
+  if (existe.rows.length === 0) return res.status(404).json({ error: 'Webhook non trouvé' });
+
+  const whereConditions = ['webhook_id = $1'];
+  const params = [id];
+
+  if (statut && STATUTS_LIVRAISON.includes(statut)) {
+    params.push(statut);
+    whereConditions.push(`statut = $${params.length}`);
+  }
+  if (evenement) {
+    params.push(evenement);
+    whereConditions.push(`evenement = $${params.length}`);
+  }
+
+  const whereClause = ' WHERE ' + whereConditions.join(' AND ');
+
+  const [result, countResult] = await Promise.all([
+    pool.query(
+      `SELECT * FROM webhooks_livraisons${whereClause}
+       ORDER BY id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limitNum, offset]
+    ),
+    pool.query(`SELECT COUNT(*) FROM webhooks_livraisons${whereClause}`, params)
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+  const totalPages = Math.ceil(total / limitNum);
+
+  res.json({
+    data: result.rows,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages,
+      hasNext: pageNum < totalPages,
+      hasPrev: pageNum > 1
+    }
+  });
+}));
+
+export default webhooksRouter;
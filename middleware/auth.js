@@ -0,0 +1,45 @@
+import { verifierJetonAcces } from '../services/auth.js';
+
+// Renseigne req.utilisateur (jeton valide) ou req.erreurAuthentification
+const lireJeton = (req, jeton) => {
+  try {
+    const contenu = verifierJetonAcces(jeton);
+    req.utilisateur = { id: parseInt(contenu.sub), email: contenu.email, nom: contenu.nom, role: contenu.role };
+    // Fin de validité (ms) : les connexions longues (flux d'événements) s'arrêtent avec le jeton
+    req.expirationJeton = contenu.exp ? contenu.exp * 1000 : null;
+  } catch (error) {
+    req.erreurAuthentification = error.name === 'TokenExpiredError' ? 'Jeton expiré' : 'Jeton invalide';
+  }
+};
+
+// Lit le jeton Bearer s'il est présent : req.utilisateur est renseigné pour un jeton valide,
+// les routes publiques restent accessibles sans jeton
+export const authentificationOptionnelle = (req, res, next) => {
+  const entete = req.headers.authorization || '';
+  const [schema, jeton] = entete.split(' ');
+
+  if (schema === 'Bearer' && jeton) lireJeton(req, jeton);
+
+  next();
+};
+
+// EventSource (navigateur) ne peut pas envoyer d'en-tête Authorization : sur les flux d'événements
+// seulement, le jeton d'accès est aussi accepté en paramètre ?access_token= (les URL sont journalisées
+// par les proxys, d'où la limitation à ces routes et la courte durée de vie des jetons d'accès)
+export const jetonEnParametre = (req, res, next) => {
+  if (!req.utilisateur && typeof req.query.access_token === 'string' && req.query.access_token) {
+    lireJeton(req, req.query.access_token);
+  }
+  next();
+};
+
+// Exige un utilisateur authentifié ayant l'un des rôles donnés (tous les rôles si aucun n'est précisé)
+export const autoriser = (...roles) => (req, res, next) => {
+  if (!req.utilisateur) {
+    return res.status(401).json({ error: req.erreurAuthentification || 'Authentification requise' });
+  }
+  if (roles.length > 0 && !roles.includes(req.utilisateur.role)) {
+    return res.status(403).json({ error: 'Accès refusé' });
+  }
+  next();
+};
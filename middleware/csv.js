@@ -0,0 +1,7 @@
+import express from 'express';
+
+// Corps brut des imports CSV (Content-Type text/csv ou text/plain)
+export const corpsCsv = express.text({
+  type: ['text/csv', 'text/plain', 'application/csv'],
+  limit: process.env.IMPORT_TAILLE_MAX || '5mb'
+});
@@ -0,0 +1,5 @@
+-- ===== Schéma initial : suppression des tables de base =====
+
+DROP TABLE IF EXISTS colis;
+DROP TABLE IF EXISTS creneaux_expedition;
+DROP TABLE IF EXISTS reservations;
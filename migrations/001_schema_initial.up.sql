@@ -0,0 +1,65 @@
+-- ===== Schéma initial : réservations, créneaux d'expédition et colis =====
+-- IF NOT EXISTS : sans effet sur une base Supabase déjà en place
+
+CREATE TABLE IF NOT EXISTS reservations (
+  id SERIAL PRIMARY KEY,
+  nom VARCHAR(255) NOT NULL,
+  prenom VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  telephone VARCHAR(50) NOT NULL,
+  lieu_depart VARCHAR(255) NOT NULL,
+  destination VARCHAR(255) NOT NULL,
+  date_depart DATE NOT NULL,
+  date_retour DATE,
+  nombre_passagers INTEGER NOT NULL CHECK (nombre_passagers > 0),
+  classe VARCHAR(20) NOT NULL CHECK (classe IN ('Economique', 'Affaires', 'Premiere')),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (date_retour IS NULL OR date_retour >= date_depart)
+);
+
+CREATE TABLE IF NOT EXISTS creneaux_expedition (
+  id SERIAL PRIMARY KEY,
+  lieu_depart VARCHAR(255) NOT NULL,
+  destination VARCHAR(255) NOT NULL,
+  date_expedition DATE NOT NULL,
+  heure_depart TIME NOT NULL,
+  capacite_max INTEGER NOT NULL CHECK (capacite_max > 0),
+  frais_par_kg NUMERIC(10, 2) NOT NULL CHECK (frais_par_kg > 0),
+  poids_max_colis NUMERIC(10, 2) NOT NULL CHECK (poids_max_colis > 0),
+  type_transport VARCHAR(20) NOT NULL DEFAULT 'standard'
+    CHECK (type_transport IN ('standard', 'express', 'prioritaire')),
+  date_creation TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS colis (
+  id SERIAL PRIMARY KEY,
+  -- Un créneau ayant des colis ne peut pas être supprimé
+  creneau_id INTEGER REFERENCES creneaux_expedition(id) ON DELETE RESTRICT,
+  numero_suivi VARCHAR(50) NOT NULL UNIQUE,
+  nom_expediteur VARCHAR(255) NOT NULL,
+  telephone_expediteur VARCHAR(50) NOT NULL,
+  adresse_expediteur TEXT NOT NULL,
+  nom_destinataire VARCHAR(255) NOT NULL,
+  telephone_destinataire VARCHAR(50) NOT NULL,
+  adresse_destinataire TEXT NOT NULL,
+  type_colis VARCHAR(20) NOT NULL DEFAULT 'document'
+    CHECK (type_colis IN ('document', 'vetements', 'electronique', 'nourriture', 'autre')),
+  poids NUMERIC(10, 2) NOT NULL CHECK (poids > 0),
+  description TEXT,
+  valeur_declaree NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (valeur_declaree >= 0),
+  assurance BOOLEAN NOT NULL DEFAULT FALSE,
+  methode_paiement VARCHAR(20) NOT NULL DEFAULT 'especes'
+    CHECK (methode_paiement IN ('especes', 'carte', 'virement', 'mobile')),
+  statut VARCHAR(20) NOT NULL DEFAULT 'en_attente'
+    CONSTRAINT colis_statut_check CHECK (statut IN ('en_attente', 'en_transit', 'livre')),
+  date_creation TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Colonnes de tri et de filtre des listes
+CREATE INDEX IF NOT EXISTS idx_reservations_date_depart ON reservations (date_depart);
+CREATE INDEX IF NOT EXISTS idx_reservations_nom ON reservations (nom, prenom);
+CREATE INDEX IF NOT EXISTS idx_reservations_email ON reservations (email);
+CREATE INDEX IF NOT EXISTS idx_creneaux_route ON creneaux_expedition (lieu_depart, destination);
+CREATE INDEX IF NOT EXISTS idx_colis_statut ON colis (statut);
+CREATE INDEX IF NOT EXISTS idx_colis_nom_expediteur ON colis (nom_expediteur);
+CREATE INDEX IF NOT EXISTS idx_colis_nom_destinataire ON colis (nom_destinataire);
@@ -0,0 +1,8 @@
+-- ===== Suivi des colis : retour aux trois statuts d'origine =====
+
+DROP TABLE IF EXISTS colis_evenements;
+
+-- NOT VALID : les colis déjà passés par les nouveaux statuts sont conservés tels quels
+ALTER TABLE colis DROP CONSTRAINT IF EXISTS colis_statut_check;
+ALTER TABLE colis ADD CONSTRAINT colis_statut_check
+  CHECK (statut IN ('en_attente', 'en_transit', 'livre')) NOT VALID;
@@ -0,0 +1,26 @@
+-- ===== Suivi des colis : historique des statuts =====
+
+-- Nouveaux statuts autorisés
+ALTER TABLE colis DROP CONSTRAINT IF EXISTS colis_statut_check;
+ALTER TABLE colis ADD CONSTRAINT colis_statut_check
+  CHECK (statut IN ('en_attente', 'arrive_agence', 'en_transit', 'en_douane', 'livre', 'annule', 'retourne'));
+
+-- Un événement par changement de statut
+CREATE TABLE IF NOT EXISTS colis_evenements (
+  id SERIAL PRIMARY KEY,
+  colis_id INTEGER NOT NULL REFERENCES colis(id) ON DELETE CASCADE,
+  statut VARCHAR(20) NOT NULL,
+  statut_precedent VARCHAR(20),
+  lieu VARCHAR(255),
+  commentaire TEXT,
+  date_evenement TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_colis_evenements_colis_date
+  ON colis_evenements (colis_id, date_evenement);
+
+-- Reprise de l'existant : un événement initial pour chaque colis sans historique
+INSERT INTO colis_evenements (colis_id, statut, commentaire, date_evenement)
+SELECT c.id, c.statut, 'Statut repris lors de la mise en place du suivi', COALESCE(c.date_creation, NOW())
+FROM colis c
+WHERE NOT EXISTS (SELECT 1 FROM colis_evenements e WHERE e.colis_id = c.id);
@@ -0,0 +1,5 @@
+-- ===== Capacité des créneaux : suppression de la charge maximale =====
+
+DROP INDEX IF EXISTS idx_colis_creneau_id;
+ALTER TABLE creneaux_expedition DROP CONSTRAINT IF EXISTS creneaux_capacite_poids_max_check;
+ALTER TABLE creneaux_expedition DROP COLUMN IF EXISTS capacite_poids_max;
@@ -0,0 +1,11 @@
+-- ===== Capacité des créneaux : nombre de colis et charge totale en kg =====
+
+-- Charge totale maximale du créneau (NULL = pas de limite de charge)
+ALTER TABLE creneaux_expedition ADD COLUMN IF NOT EXISTS capacite_poids_max NUMERIC(10, 2);
+
+ALTER TABLE creneaux_expedition DROP CONSTRAINT IF EXISTS creneaux_capacite_poids_max_check;
+ALTER TABLE creneaux_expedition ADD CONSTRAINT creneaux_capacite_poids_max_check
+  CHECK (capacite_poids_max IS NULL OR capacite_poids_max > 0);
+
+-- Calcul de l'occupation d'un créneau
+CREATE INDEX IF NOT EXISTS idx_colis_creneau_id ON colis (creneau_id);
@@ -0,0 +1,6 @@
+-- ===== Moteur de tarification : suppression des règles et du prix figé =====
+
+ALTER TABLE colis DROP COLUMN IF EXISTS code_promo;
+ALTER TABLE colis DROP COLUMN IF EXISTS detail_prix;
+ALTER TABLE colis DROP COLUMN IF EXISTS prix_total;
+DROP TABLE IF EXISTS regles_tarifaires;
@@ -0,0 +1,42 @@
+-- ===== Moteur de tarification des colis =====
+
+CREATE TABLE IF NOT EXISTS regles_tarifaires (
+  id SERIAL PRIMARY KEY,
+  type_regle VARCHAR(30) NOT NULL
+    CHECK (type_regle IN ('multiplicateur_transport', 'supplement_type_colis', 'prime_assurance', 'minimum', 'code_promo')),
+  -- type_transport, type_colis ou code promo selon le type de règle (NULL = règle générale)
+  cle VARCHAR(50),
+  mode VARCHAR(20) NOT NULL DEFAULT 'fixe'
+    CHECK (mode IN ('fixe', 'pourcentage', 'multiplicateur')),
+  valeur NUMERIC(10, 2) NOT NULL CHECK (valeur >= 0),
+  description TEXT,
+  actif BOOLEAN NOT NULL DEFAULT TRUE,
+  date_debut DATE,
+  date_fin DATE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (date_fin IS NULL OR date_debut IS NULL OR date_fin >= date_debut)
+);
+
+-- Une seule règle active par type et par clé
+CREATE UNIQUE INDEX IF NOT EXISTS idx_regles_tarifaires_active
+  ON regles_tarifaires (type_regle, COALESCE(cle, ''))
+  WHERE actif;
+
+-- Prix figé sur le colis à sa création
+ALTER TABLE colis ADD COLUMN IF NOT EXISTS prix_total NUMERIC(10, 2);
+ALTER TABLE colis ADD COLUMN IF NOT EXISTS detail_prix JSONB;
+ALTER TABLE colis ADD COLUMN IF NOT EXISTS code_promo VARCHAR(50);
+
+-- Grille par défaut
+INSERT INTO regles_tarifaires (type_regle, cle, mode, valeur, description)
+SELECT * FROM (VALUES
+  ('multiplicateur_transport', 'standard', 'multiplicateur', 1.00, 'Transport standard'),
+  ('multiplicateur_transport', 'express', 'multiplicateur', 1.50, 'Transport express'),
+  ('multiplicateur_transport', 'prioritaire', 'multiplicateur', 2.00, 'Transport prioritaire'),
+  ('supplement_type_colis', 'electronique', 'pourcentage', 15.00, 'Manutention des appareils électroniques'),
+  ('supplement_type_colis', 'nourriture', 'fixe', 5.00, 'Emballage alimentaire'),
+  ('prime_assurance', NULL, 'pourcentage', 2.00, 'Assurance: 2% de la valeur déclarée'),
+  ('minimum', NULL, 'fixe', 10.00, 'Minimum de perception')
+) AS defaut (type_regle, cle, mode, valeur, description)
+WHERE NOT EXISTS (SELECT 1 FROM regles_tarifaires);
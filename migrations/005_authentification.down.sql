@@ -0,0 +1,4 @@
+-- ===== Authentification : suppression des comptes et des jetons =====
+
+DROP TABLE IF EXISTS jetons_rafraichissement;
+DROP TABLE IF EXISTS utilisateurs;
@@ -0,0 +1,25 @@
+-- ===== Authentification : comptes utilisateurs et jetons de rafraîchissement =====
+
+CREATE TABLE IF NOT EXISTS utilisateurs (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  nom VARCHAR(255) NOT NULL,
+  mot_de_passe_hash VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'public' CHECK (role IN ('admin', 'agent', 'public')),
+  actif BOOLEAN NOT NULL DEFAULT TRUE,
+  derniere_connexion TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Seule l'empreinte SHA-256 du jeton est stockée
+CREATE TABLE IF NOT EXISTS jetons_rafraichissement (
+  id SERIAL PRIMARY KEY,
+  utilisateur_id INTEGER NOT NULL REFERENCES utilisateurs(id) ON DELETE CASCADE,
+  jeton_hash CHAR(64) NOT NULL UNIQUE,
+  expire_le TIMESTAMP NOT NULL,
+  revoque_le TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_jetons_rafraichissement_utilisateur
+  ON jetons_rafraichissement (utilisateur_id);
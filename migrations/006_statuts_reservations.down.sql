@@ -0,0 +1,8 @@
+-- ===== Cycle de vie des réservations : suppression des statuts et de l'historique =====
+
+DROP TABLE IF EXISTS reservation_evenements;
+DROP INDEX IF EXISTS idx_reservations_statut;
+ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_statut_check;
+ALTER TABLE reservations DROP COLUMN IF EXISTS statut_modifie_le;
+ALTER TABLE reservations DROP COLUMN IF EXISTS motif_annulation;
+ALTER TABLE reservations DROP COLUMN IF EXISTS statut;
@@ -0,0 +1,25 @@
+-- ===== Cycle de vie des réservations =====
+
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS statut VARCHAR(20) NOT NULL DEFAULT 'demande';
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS motif_annulation TEXT;
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS statut_modifie_le TIMESTAMP;
+
+ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_statut_check;
+ALTER TABLE reservations ADD CONSTRAINT reservations_statut_check
+  CHECK (statut IN ('demande', 'confirmee', 'payee', 'annulee', 'terminee'));
+
+CREATE INDEX IF NOT EXISTS idx_reservations_statut ON reservations (statut);
+
+-- Qui a fait quoi et quand
+CREATE TABLE IF NOT EXISTS reservation_evenements (
+  id SERIAL PRIMARY KEY,
+  reservation_id INTEGER NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+  statut VARCHAR(20) NOT NULL,
+  statut_precedent VARCHAR(20),
+  utilisateur_id INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL,
+  commentaire TEXT,
+  date_evenement TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reservation_evenements_reservation
+  ON reservation_evenements (reservation_id, date_evenement);
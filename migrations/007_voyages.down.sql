@@ -0,0 +1,7 @@
+-- ===== Catalogue des voyages : suppression =====
+
+DROP INDEX IF EXISTS idx_reservations_voyage_id;
+ALTER TABLE reservations DROP COLUMN IF EXISTS montant_total;
+ALTER TABLE reservations DROP COLUMN IF EXISTS voyage_id;
+DROP TABLE IF EXISTS voyage_classes;
+DROP TABLE IF EXISTS voyages;
@@ -0,0 +1,31 @@
+-- ===== Catalogue des voyages et inventaire des places par classe =====
+
+CREATE TABLE IF NOT EXISTS voyages (
+  id SERIAL PRIMARY KEY,
+  lieu_depart VARCHAR(255) NOT NULL,
+  destination VARCHAR(255) NOT NULL,
+  date_depart TIMESTAMP NOT NULL,
+  date_retour TIMESTAMP,
+  description TEXT,
+  actif BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (date_retour IS NULL OR date_retour > date_depart)
+);
+
+CREATE INDEX IF NOT EXISTS idx_voyages_route_date ON voyages (lieu_depart, destination, date_depart);
+
+-- Places et prix par classe ; places_restantes est décrémenté à chaque réservation
+CREATE TABLE IF NOT EXISTS voyage_classes (
+  voyage_id INTEGER NOT NULL REFERENCES voyages(id) ON DELETE CASCADE,
+  classe VARCHAR(20) NOT NULL CHECK (classe IN ('Economique', 'Affaires', 'Premiere')),
+  places_total INTEGER NOT NULL CHECK (places_total >= 0),
+  places_restantes INTEGER NOT NULL,
+  prix NUMERIC(10, 2) NOT NULL CHECK (prix >= 0),
+  PRIMARY KEY (voyage_id, classe),
+  CHECK (places_restantes >= 0 AND places_restantes <= places_total)
+);
+
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS voyage_id INTEGER REFERENCES voyages(id);
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS montant_total NUMERIC(10, 2);
+
+CREATE INDEX IF NOT EXISTS idx_reservations_voyage_id ON reservations (voyage_id);
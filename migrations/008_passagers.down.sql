@@ -0,0 +1,4 @@
+-- ===== Passagers des réservations : suppression =====
+
+DROP INDEX IF EXISTS idx_reservations_route_date;
+DROP TABLE IF EXISTS passagers;
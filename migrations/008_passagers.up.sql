@@ -0,0 +1,18 @@
+-- ===== Passagers des réservations =====
+
+CREATE TABLE IF NOT EXISTS passagers (
+  id SERIAL PRIMARY KEY,
+  reservation_id INTEGER NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+  nom VARCHAR(255) NOT NULL,
+  prenom VARCHAR(255) NOT NULL,
+  date_naissance DATE NOT NULL,
+  type_passager VARCHAR(10) NOT NULL DEFAULT 'adulte' CHECK (type_passager IN ('adulte', 'enfant', 'bebe')),
+  numero_document VARCHAR(50),
+  expiration_document DATE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_passagers_reservation_id ON passagers (reservation_id);
+
+-- Manifeste par date et itinéraire
+CREATE INDEX IF NOT EXISTS idx_reservations_route_date ON reservations (date_depart, lieu_depart, destination);
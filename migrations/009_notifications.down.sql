@@ -0,0 +1,4 @@
+-- ===== Notifications : suppression de l'outbox et du journal =====
+
+DROP TABLE IF EXISTS notifications_journal;
+DROP TABLE IF EXISTS notifications;
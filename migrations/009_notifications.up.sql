@@ -0,0 +1,41 @@
+-- ===== Notifications : outbox et journal de distribution =====
+
+-- Écrite dans la même transaction que le changement métier, distribuée ensuite par le worker
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  canal VARCHAR(10) NOT NULL CHECK (canal IN ('email', 'sms')),
+  destinataire VARCHAR(255) NOT NULL,
+  modele VARCHAR(50) NOT NULL,
+  sujet VARCHAR(255),
+  contenu TEXT NOT NULL,
+  entite VARCHAR(20),
+  entite_id INTEGER,
+  statut VARCHAR(15) NOT NULL DEFAULT 'en_attente'
+    CHECK (statut IN ('en_attente', 'en_cours', 'envoyee', 'echec', 'abandonnee')),
+  tentatives INTEGER NOT NULL DEFAULT 0,
+  prochaine_tentative TIMESTAMP NOT NULL DEFAULT NOW(),
+  verrouillee_le TIMESTAMP,
+  derniere_erreur TEXT,
+  envoyee_le TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_a_envoyer
+  ON notifications (prochaine_tentative)
+  WHERE statut IN ('en_attente', 'echec', 'en_cours');
+
+CREATE INDEX IF NOT EXISTS idx_notifications_entite ON notifications (entite, entite_id);
+
+-- Une ligne par tentative de distribution
+CREATE TABLE IF NOT EXISTS notifications_journal (
+  id SERIAL PRIMARY KEY,
+  notification_id INTEGER NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+  tentative INTEGER NOT NULL,
+  transport VARCHAR(20) NOT NULL,
+  succes BOOLEAN NOT NULL,
+  reponse TEXT,
+  date_tentative TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_journal_notification
+  ON notifications_journal (notification_id);
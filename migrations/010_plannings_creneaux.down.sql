@@ -0,0 +1,6 @@
+-- ===== Plannings récurrents : suppression (les créneaux générés sont conservés) =====
+
+ALTER TABLE creneaux_expedition DROP CONSTRAINT IF EXISTS creneaux_planning_date_unique;
+ALTER TABLE creneaux_expedition DROP COLUMN IF EXISTS planning_id;
+DROP TABLE IF EXISTS plannings_creneaux_exceptions;
+DROP TABLE IF EXISTS plannings_creneaux;
@@ -0,0 +1,43 @@
+-- ===== Plannings récurrents des créneaux d'expédition =====
+
+CREATE TABLE IF NOT EXISTS plannings_creneaux (
+  id SERIAL PRIMARY KEY,
+  nom VARCHAR(255),
+  lieu_depart VARCHAR(255) NOT NULL,
+  destination VARCHAR(255) NOT NULL,
+  heure_depart TIME NOT NULL,
+  -- Jours ISO : 1 = lundi ... 7 = dimanche
+  jours_semaine SMALLINT[] NOT NULL CHECK (cardinality(jours_semaine) > 0 AND jours_semaine <@ ARRAY[1, 2, 3, 4, 5, 6, 7]::SMALLINT[]),
+  capacite_max INTEGER NOT NULL CHECK (capacite_max > 0),
+  frais_par_kg NUMERIC(10, 2) NOT NULL CHECK (frais_par_kg > 0),
+  poids_max_colis NUMERIC(10, 2) NOT NULL CHECK (poids_max_colis > 0),
+  capacite_poids_max NUMERIC(10, 2) CHECK (capacite_poids_max IS NULL OR capacite_poids_max > 0),
+  type_transport VARCHAR(20) NOT NULL DEFAULT 'standard' CHECK (type_transport IN ('standard', 'express', 'prioritaire')),
+  -- Fenêtre de validité (date_fin NULL = sans fin)
+  date_debut DATE NOT NULL DEFAULT CURRENT_DATE,
+  date_fin DATE,
+  actif BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (date_fin IS NULL OR date_fin >= date_debut)
+);
+
+-- Jours sans départ : jours fériés (planning_id NULL = tous les plannings) ou suppression ponctuelle
+CREATE TABLE IF NOT EXISTS plannings_creneaux_exceptions (
+  id SERIAL PRIMARY KEY,
+  planning_id INTEGER REFERENCES plannings_creneaux(id) ON DELETE CASCADE,
+  date_exception DATE NOT NULL,
+  motif VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_plannings_exceptions_unique
+  ON plannings_creneaux_exceptions (COALESCE(planning_id, 0), date_exception);
+
+-- Créneaux générés : un seul créneau par planning et par jour
+ALTER TABLE creneaux_expedition ADD COLUMN IF NOT EXISTS planning_id INTEGER
+  REFERENCES plannings_creneaux(id) ON DELETE SET NULL;
+
+ALTER TABLE creneaux_expedition DROP CONSTRAINT IF EXISTS creneaux_planning_date_unique;
+ALTER TABLE creneaux_expedition ADD CONSTRAINT creneaux_planning_date_unique
+  UNIQUE (planning_id, date_expedition);
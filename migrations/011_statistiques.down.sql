@@ -0,0 +1,5 @@
+-- ===== Statistiques : suppression des index de période =====
+
+DROP INDEX IF EXISTS idx_creneaux_date_expedition;
+DROP INDEX IF EXISTS idx_colis_date_creation;
+DROP INDEX IF EXISTS idx_reservations_created_at;
@@ -0,0 +1,5 @@
+-- ===== Statistiques : index des filtres par période =====
+
+CREATE INDEX IF NOT EXISTS idx_reservations_created_at ON reservations (created_at);
+CREATE INDEX IF NOT EXISTS idx_colis_date_creation ON colis (date_creation);
+CREATE INDEX IF NOT EXISTS idx_creneaux_date_expedition ON creneaux_expedition (date_expedition);
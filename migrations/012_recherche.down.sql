@@ -0,0 +1,16 @@
+-- ===== Recherche : suppression des index et fonctions de normalisation =====
+
+DROP INDEX IF EXISTS idx_creneaux_recherche;
+DROP INDEX IF EXISTS idx_colis_numero_suivi_prefixe;
+DROP INDEX IF EXISTS idx_colis_telephone_destinataire_recherche;
+DROP INDEX IF EXISTS idx_colis_telephone_expediteur_recherche;
+DROP INDEX IF EXISTS idx_colis_recherche;
+DROP INDEX IF EXISTS idx_reservations_telephone_recherche;
+DROP INDEX IF EXISTS idx_reservations_recherche;
+
+DROP FUNCTION IF EXISTS chiffres_telephone(TEXT);
+DROP FUNCTION IF EXISTS normaliser_recherche(TEXT[]);
+
+-- Sans CASCADE : échoue si un autre objet de la base dépend encore des extensions
+DROP EXTENSION IF EXISTS pg_trgm;
+DROP EXTENSION IF EXISTS unaccent;
@@ -0,0 +1,43 @@
+-- ===== Recherche : insensible aux accents, à la ponctuation et aux fautes de frappe =====
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Texte comparable : minuscules, sans accents ni apostrophes (N'Diaye = ndiaye = Ndiaye),
+-- autre ponctuation remplacée par des espaces. Le dictionnaire unaccent est nommé explicitement
+-- pour que la fonction puisse être IMMUTABLE et servir dans les index.
+-- unaccent est installé dans public (PostgreSQL) ou dans extensions (Supabase) : la fonction
+-- le cherche dans un search_path fixe plutôt que dans un schéma écrit en dur.
+CREATE OR REPLACE FUNCTION normaliser_recherche(VARIADIC textes TEXT[]) RETURNS TEXT
+LANGUAGE sql IMMUTABLE PARALLEL SAFE
+SET search_path = pg_catalog, public, extensions
+AS $$
+  SELECT btrim(regexp_replace(
+    regexp_replace(lower(unaccent('unaccent'::regdictionary, array_to_string(textes, ' '))), '[''’`]', '', 'g'),
+    '[^[:alnum:]]+', ' ', 'g'
+  ))
+$$;
+
+-- Chiffres seuls d'un numéro de téléphone (+221 77 123-45-67 = 221771234567)
+CREATE OR REPLACE FUNCTION chiffres_telephone(telephone TEXT) RETURNS TEXT
+LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+  SELECT regexp_replace(COALESCE(telephone, ''), '\D', '', 'g')
+$$;
+
+-- Index trigrammes : mêmes expressions que services/recherche.js (recherche globale et listes)
+CREATE INDEX IF NOT EXISTS idx_reservations_recherche ON reservations
+  USING gin (normaliser_recherche(nom, prenom, email, lieu_depart, destination) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_reservations_telephone_recherche ON reservations
+  USING gin (chiffres_telephone(telephone) gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_colis_recherche ON colis
+  USING gin (normaliser_recherche(numero_suivi, nom_expediteur, nom_destinataire) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_colis_telephone_expediteur_recherche ON colis
+  USING gin (chiffres_telephone(telephone_expediteur) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_colis_telephone_destinataire_recherche ON colis
+  USING gin (chiffres_telephone(telephone_destinataire) gin_trgm_ops);
+-- Préfixe de numéro de suivi (LIKE 'COL17%')
+CREATE INDEX IF NOT EXISTS idx_colis_numero_suivi_prefixe ON colis (numero_suivi text_pattern_ops);
+
+CREATE INDEX IF NOT EXISTS idx_creneaux_recherche ON creneaux_expedition
+  USING gin (normaliser_recherche(lieu_depart, destination) gin_trgm_ops);
@@ -0,0 +1,3 @@
+-- ===== Journal d'audit : suppression =====
+
+DROP TABLE IF EXISTS journal_audit;
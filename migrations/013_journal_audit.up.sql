@@ -0,0 +1,19 @@
+-- ===== Journal d'audit : qui a modifié quoi, quand et depuis où =====
+
+CREATE TABLE IF NOT EXISTS journal_audit (
+  id BIGSERIAL PRIMARY KEY,
+  entite VARCHAR(30) NOT NULL,
+  entite_id INTEGER NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('creation', 'modification', 'suppression')),
+  -- { champ: { avant, apres } } pour les seuls champs modifiés
+  differences JSONB NOT NULL DEFAULT '{}',
+  utilisateur_id INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL,
+  -- Copie de l'email : l'auteur reste identifiable si le compte est supprimé
+  utilisateur_email VARCHAR(255),
+  adresse_ip VARCHAR(45),
+  date_action TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_audit_entite ON journal_audit (entite, entite_id, date_action);
+CREATE INDEX IF NOT EXISTS idx_journal_audit_utilisateur ON journal_audit (utilisateur_id, date_action);
+CREATE INDEX IF NOT EXISTS idx_journal_audit_date ON journal_audit (date_action);
@@ -0,0 +1,20 @@
+-- ===== Corbeille : retour à la suppression définitive =====
+
+-- Les lignes encore dans la corbeille sont supprimées : sans la colonne elles redeviendraient visibles
+DELETE FROM colis WHERE supprime_le IS NOT NULL;
+DELETE FROM reservations WHERE supprime_le IS NOT NULL;
+DELETE FROM creneaux_expedition WHERE supprime_le IS NOT NULL;
+
+DELETE FROM journal_audit WHERE action IN ('restauration', 'purge');
+ALTER TABLE journal_audit DROP CONSTRAINT IF EXISTS journal_audit_action_check;
+ALTER TABLE journal_audit ADD CONSTRAINT journal_audit_action_check
+  CHECK (action IN ('creation', 'modification', 'suppression'));
+
+DROP INDEX IF EXISTS idx_colis_creneau_actifs;
+DROP INDEX IF EXISTS idx_creneaux_supprime_le;
+DROP INDEX IF EXISTS idx_colis_supprime_le;
+DROP INDEX IF EXISTS idx_reservations_supprime_le;
+
+ALTER TABLE creneaux_expedition DROP COLUMN IF EXISTS supprime_par, DROP COLUMN IF EXISTS supprime_le;
+ALTER TABLE colis DROP COLUMN IF EXISTS supprime_par, DROP COLUMN IF EXISTS supprime_le;
+ALTER TABLE reservations DROP COLUMN IF EXISTS supprime_par, DROP COLUMN IF EXISTS supprime_le;
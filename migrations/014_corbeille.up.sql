@@ -0,0 +1,25 @@
+-- ===== Corbeille : suppression douce des réservations, colis et créneaux =====
+
+-- supprime_le NULL = ligne active ; sinon la ligne est dans la corbeille jusqu'à la purge
+ALTER TABLE reservations
+  ADD COLUMN IF NOT EXISTS supprime_le TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS supprime_par INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL;
+ALTER TABLE colis
+  ADD COLUMN IF NOT EXISTS supprime_le TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS supprime_par INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL;
+ALTER TABLE creneaux_expedition
+  ADD COLUMN IF NOT EXISTS supprime_le TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS supprime_par INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL;
+
+-- Listes de la corbeille et purge
+CREATE INDEX IF NOT EXISTS idx_reservations_supprime_le ON reservations (supprime_le) WHERE supprime_le IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_colis_supprime_le ON colis (supprime_le) WHERE supprime_le IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_creneaux_supprime_le ON creneaux_expedition (supprime_le) WHERE supprime_le IS NOT NULL;
+
+-- Occupation des créneaux : seuls les colis actifs comptent
+CREATE INDEX IF NOT EXISTS idx_colis_creneau_actifs ON colis (creneau_id) WHERE supprime_le IS NULL;
+
+-- Restaurations et purges apparaissent dans le journal d'audit
+ALTER TABLE journal_audit DROP CONSTRAINT IF EXISTS journal_audit_action_check;
+ALTER TABLE journal_audit ADD CONSTRAINT journal_audit_action_check
+  CHECK (action IN ('creation', 'modification', 'suppression', 'restauration', 'purge'));
@@ -0,0 +1,8 @@
+-- ===== Opérations des créneaux : suppression du statut =====
+
+DROP INDEX IF EXISTS idx_creneaux_statut;
+ALTER TABLE creneaux_expedition DROP CONSTRAINT IF EXISTS creneaux_statut_check;
+ALTER TABLE creneaux_expedition
+  DROP COLUMN IF EXISTS arrivee_effective,
+  DROP COLUMN IF EXISTS depart_effectif,
+  DROP COLUMN IF EXISTS statut;
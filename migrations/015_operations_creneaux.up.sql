@@ -0,0 +1,12 @@
+-- ===== Opérations des créneaux : départ et arrivée =====
+
+-- ouvert -> parti -> arrive ; seuls les créneaux ouverts acceptent des colis
+ALTER TABLE creneaux_expedition ADD COLUMN IF NOT EXISTS statut VARCHAR(20) NOT NULL DEFAULT 'ouvert';
+ALTER TABLE creneaux_expedition ADD COLUMN IF NOT EXISTS depart_effectif TIMESTAMP;
+ALTER TABLE creneaux_expedition ADD COLUMN IF NOT EXISTS arrivee_effective TIMESTAMP;
+
+ALTER TABLE creneaux_expedition DROP CONSTRAINT IF EXISTS creneaux_statut_check;
+ALTER TABLE creneaux_expedition ADD CONSTRAINT creneaux_statut_check
+  CHECK (statut IN ('ouvert', 'parti', 'arrive'));
+
+CREATE INDEX IF NOT EXISTS idx_creneaux_statut ON creneaux_expedition (statut);
@@ -0,0 +1,14 @@
+-- ===== Créneaux : retour aux statuts ouvert, parti et arrive =====
+
+DROP INDEX IF EXISTS idx_creneaux_itineraire_ouverts;
+
+-- complet et clôturé redeviennent ouverts ; un créneau annulé n'a plus d'équivalent : il est fermé
+-- comme parti (il n'accepte plus de colis)
+UPDATE creneaux_expedition SET statut = 'ouvert' WHERE statut IN ('complet', 'cloture');
+UPDATE creneaux_expedition SET statut = 'parti' WHERE statut = 'annule';
+
+ALTER TABLE creneaux_expedition DROP COLUMN IF EXISTS motif_annulation, DROP COLUMN IF EXISTS annule_le;
+
+ALTER TABLE creneaux_expedition DROP CONSTRAINT IF EXISTS creneaux_statut_check;
+ALTER TABLE creneaux_expedition ADD CONSTRAINT creneaux_statut_check
+  CHECK (statut IN ('ouvert', 'parti', 'arrive'));
@@ -0,0 +1,24 @@
+-- ===== Créneaux : statuts complet, clôturé et annulé =====
+
+-- complet est posé et retiré automatiquement selon l'occupation ; annule est final
+ALTER TABLE creneaux_expedition DROP CONSTRAINT IF EXISTS creneaux_statut_check;
+ALTER TABLE creneaux_expedition ADD CONSTRAINT creneaux_statut_check
+  CHECK (statut IN ('ouvert', 'complet', 'cloture', 'parti', 'arrive', 'annule'));
+
+ALTER TABLE creneaux_expedition ADD COLUMN IF NOT EXISTS annule_le TIMESTAMP;
+ALTER TABLE creneaux_expedition ADD COLUMN IF NOT EXISTS motif_annulation TEXT;
+
+-- Les créneaux déjà pleins passent complet
+UPDATE creneaux_expedition ce SET statut = 'complet'
+WHERE ce.statut = 'ouvert'
+  AND ce.supprime_le IS NULL
+  AND (
+    SELECT COUNT(*) >= ce.capacite_max OR COALESCE(SUM(c.poids), 0) >= ce.capacite_poids_max
+    FROM colis c
+    WHERE c.creneau_id = ce.id AND c.statut NOT IN ('annule', 'retourne') AND c.supprime_le IS NULL
+  );
+
+-- Recherche du prochain créneau ouvert sur le même itinéraire (report des colis d'un créneau annulé)
+CREATE INDEX IF NOT EXISTS idx_creneaux_itineraire_ouverts
+  ON creneaux_expedition (lower(lieu_depart), lower(destination), date_expedition)
+  WHERE statut = 'ouvert' AND supprime_le IS NULL;
@@ -0,0 +1,5 @@
+-- ===== Paiements : suppression du registre =====
+
+ALTER TABLE reservations DROP COLUMN IF EXISTS montant_paye;
+ALTER TABLE colis DROP COLUMN IF EXISTS montant_paye;
+DROP TABLE IF EXISTS paiements;
@@ -0,0 +1,29 @@
+-- ===== Paiements : registre des encaissements et remboursements =====
+
+-- Une ligne par mouvement d'argent sur un colis ou une réservation (entite, entite_id comme le journal
+-- d'audit : le registre survit à la purge de la corbeille). Les lignes ne sont jamais modifiées,
+-- sauf le passage en_attente -> valide / echoue d'un paiement en ligne confirmé par le prestataire.
+CREATE TABLE IF NOT EXISTS paiements (
+  id SERIAL PRIMARY KEY,
+  entite VARCHAR(20) NOT NULL CHECK (entite IN ('colis', 'reservations')),
+  entite_id INTEGER NOT NULL,
+  type VARCHAR(15) NOT NULL DEFAULT 'paiement' CHECK (type IN ('paiement', 'remboursement')),
+  montant NUMERIC(10, 2) NOT NULL CHECK (montant > 0),
+  methode VARCHAR(20) NOT NULL CHECK (methode IN ('especes', 'carte', 'virement', 'mobile')),
+  statut VARCHAR(15) NOT NULL DEFAULT 'valide' CHECK (statut IN ('en_attente', 'valide', 'echoue')),
+  -- Référence transmise au prestataire (mobile money, carte) et identifiant de sa transaction
+  reference VARCHAR(40) UNIQUE,
+  transaction_externe VARCHAR(100),
+  numero_recu VARCHAR(20) UNIQUE,
+  commentaire TEXT,
+  utilisateur_id INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL,
+  date_paiement TIMESTAMP NOT NULL DEFAULT NOW(),
+  date_confirmation TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_paiements_entite ON paiements (entite, entite_id);
+CREATE INDEX IF NOT EXISTS idx_paiements_date ON paiements (date_paiement);
+
+-- Total encaissé net des remboursements (paiements validés), tenu à jour par services/paiements.js
+ALTER TABLE colis ADD COLUMN IF NOT EXISTS montant_paye NUMERIC(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS montant_paye NUMERIC(10, 2) NOT NULL DEFAULT 0;
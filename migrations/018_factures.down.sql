@@ -0,0 +1,5 @@
+-- ===== Factures et avoirs : suppression =====
+
+DROP TABLE IF EXISTS factures;
+DROP FUNCTION IF EXISTS factures_immuables();
+DROP TABLE IF EXISTS compteurs_factures;
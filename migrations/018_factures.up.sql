@@ -0,0 +1,50 @@
+-- ===== Factures et avoirs : numérotation continue par année, documents immuables =====
+
+-- Dernier numéro attribué par type de document et par année. L'incrément verrouille la ligne jusqu'au
+-- COMMIT : une émission annulée ne consomme aucun numéro (une SEQUENCE laisserait des trous).
+CREATE TABLE IF NOT EXISTS compteurs_factures (
+  type VARCHAR(10) NOT NULL CHECK (type IN ('facture', 'avoir')),
+  annee INTEGER NOT NULL,
+  dernier_numero INTEGER NOT NULL,
+  PRIMARY KEY (type, annee)
+);
+
+-- Client, lignes et taxes sont figés à l'émission (JSON) : le document ne dépend plus du colis ou de
+-- la réservation, qui peuvent ensuite être modifiés ou purgés. Montants d'un avoir en négatif.
+CREATE TABLE IF NOT EXISTS factures (
+  id SERIAL PRIMARY KEY,
+  type VARCHAR(10) NOT NULL CHECK (type IN ('facture', 'avoir')),
+  numero VARCHAR(20) NOT NULL UNIQUE,
+  annee INTEGER NOT NULL,
+  sequence INTEGER NOT NULL,
+  entite VARCHAR(20) NOT NULL CHECK (entite IN ('colis', 'reservations')),
+  entite_id INTEGER NOT NULL,
+  facture_origine_id INTEGER REFERENCES factures(id),
+  client JSONB NOT NULL,
+  lignes JSONB NOT NULL,
+  taxes JSONB NOT NULL,
+  total_ht NUMERIC(12, 2) NOT NULL,
+  total_taxes NUMERIC(12, 2) NOT NULL,
+  total_ttc NUMERIC(12, 2) NOT NULL,
+  motif TEXT,
+  utilisateur_id INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL,
+  date_emission TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (type, annee, sequence),
+  CHECK ((type = 'avoir') = (facture_origine_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_factures_entite ON factures (entite, entite_id);
+CREATE INDEX IF NOT EXISTS idx_factures_origine ON factures (facture_origine_id) WHERE facture_origine_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_factures_date_emission ON factures (date_emission);
+
+-- Un document émis ne change plus : les corrections passent par un avoir
+CREATE OR REPLACE FUNCTION factures_immuables() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  RAISE EXCEPTION 'Facture % émise : modification et suppression interdites (émettre un avoir)', OLD.numero;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS factures_immuables ON factures;
+CREATE TRIGGER factures_immuables BEFORE UPDATE OR DELETE ON factures
+  FOR EACH ROW EXECUTE FUNCTION factures_immuables();
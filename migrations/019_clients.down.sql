@@ -0,0 +1,7 @@
+-- ===== Clients : suppression de l'annuaire =====
+
+ALTER TABLE reservations DROP COLUMN IF EXISTS client_id;
+ALTER TABLE colis DROP COLUMN IF EXISTS destinataire_id;
+ALTER TABLE colis DROP COLUMN IF EXISTS expediteur_id;
+DROP TABLE IF EXISTS adresses_clients;
+DROP TABLE IF EXISTS clients;
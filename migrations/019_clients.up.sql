@@ -0,0 +1,50 @@
+-- ===== Clients : annuaire des expéditeurs, destinataires et voyageurs =====
+
+-- Un client est identifié par son téléphone et/ou son email normalisés (services/clients.js) :
+-- les saisies « +221 77 123 45 67 » et « 0022177 1234567 » désignent la même personne.
+CREATE TABLE IF NOT EXISTS clients (
+  id SERIAL PRIMARY KEY,
+  nom VARCHAR(255) NOT NULL,
+  prenom VARCHAR(255),
+  telephone VARCHAR(50),
+  email VARCHAR(255),
+  adresse TEXT,
+  telephone_normalise VARCHAR(30),
+  email_normalise VARCHAR(255),
+  notes TEXT,
+  date_creation TIMESTAMP NOT NULL DEFAULT NOW(),
+  date_modification TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (telephone_normalise IS NOT NULL OR email_normalise IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clients_telephone ON clients (telephone_normalise) WHERE telephone_normalise IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clients_email ON clients (email_normalise) WHERE email_normalise IS NOT NULL;
+
+-- Mêmes expressions que services/recherche.js (recherche globale et paramètre search)
+CREATE INDEX IF NOT EXISTS idx_clients_recherche ON clients
+  USING gin (normaliser_recherche(prenom, nom, email) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_clients_telephone_recherche ON clients
+  USING gin (telephone_normalise gin_trgm_ops);
+
+-- Carnet d'adresses : destinataires fréquents d'un client, un par téléphone
+CREATE TABLE IF NOT EXISTS adresses_clients (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  libelle VARCHAR(100),
+  nom VARCHAR(255) NOT NULL,
+  telephone VARCHAR(50) NOT NULL,
+  telephone_normalise VARCHAR(30) NOT NULL,
+  adresse TEXT NOT NULL,
+  utilisations INTEGER NOT NULL DEFAULT 0,
+  derniere_utilisation TIMESTAMP,
+  date_creation TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (client_id, telephone_normalise)
+);
+
+ALTER TABLE colis ADD COLUMN IF NOT EXISTS expediteur_id INTEGER REFERENCES clients(id) ON DELETE SET NULL;
+ALTER TABLE colis ADD COLUMN IF NOT EXISTS destinataire_id INTEGER REFERENCES clients(id) ON DELETE SET NULL;
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_colis_expediteur ON colis (expediteur_id);
+CREATE INDEX IF NOT EXISTS idx_colis_destinataire ON colis (destinataire_id);
+CREATE INDEX IF NOT EXISTS idx_reservations_client ON reservations (client_id);
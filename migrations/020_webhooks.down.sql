@@ -0,0 +1,5 @@
+-- ===== Webhooks : suppression des abonnements et des livraisons =====
+
+DROP TABLE IF EXISTS webhooks_tentatives;
+DROP TABLE IF EXISTS webhooks_livraisons;
+DROP TABLE IF EXISTS webhooks;
@@ -0,0 +1,59 @@
+-- ===== Webhooks : abonnements des partenaires, livraisons signées et journal des tentatives =====
+
+-- Un abonnement par URL cible. Après WEBHOOKS_ECHECS_DESACTIVATION échecs consécutifs, le worker
+-- le désactive (actif = false, desactive_le, motif_desactivation) jusqu'à réactivation par un admin.
+CREATE TABLE IF NOT EXISTS webhooks (
+  id SERIAL PRIMARY KEY,
+  url VARCHAR(2000) NOT NULL,
+  evenements TEXT[] NOT NULL,
+  secret VARCHAR(200) NOT NULL,
+  description VARCHAR(255),
+  actif BOOLEAN NOT NULL DEFAULT TRUE,
+  echecs_consecutifs INTEGER NOT NULL DEFAULT 0,
+  desactive_le TIMESTAMP,
+  motif_desactivation TEXT,
+  utilisateur_id INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL,
+  date_creation TIMESTAMP NOT NULL DEFAULT NOW(),
+  date_modification TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Outbox : une livraison par abonnement concerné, écrite dans la même transaction que le changement
+-- métier. La charge est figée : une relivraison envoie exactement le même corps. Une relivraison
+-- manuelle ouvre une nouvelle série (relivraison + 1) avec son propre compte de tentatives.
+CREATE TABLE IF NOT EXISTS webhooks_livraisons (
+  id SERIAL PRIMARY KEY,
+  webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  evenement VARCHAR(50) NOT NULL,
+  charge JSONB NOT NULL,
+  statut VARCHAR(15) NOT NULL DEFAULT 'en_attente'
+    CHECK (statut IN ('en_attente', 'en_cours', 'livree', 'echec', 'abandonnee')),
+  tentatives INTEGER NOT NULL DEFAULT 0,
+  relivraison INTEGER NOT NULL DEFAULT 0,
+  prochaine_tentative TIMESTAMP NOT NULL DEFAULT NOW(),
+  verrouillee_le TIMESTAMP,
+  dernier_code_http INTEGER,
+  derniere_erreur TEXT,
+  livree_le TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_livraisons_a_envoyer
+  ON webhooks_livraisons (prochaine_tentative)
+  WHERE statut IN ('en_attente', 'echec', 'en_cours');
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_livraisons_webhook ON webhooks_livraisons (webhook_id, id DESC);
+
+-- Une ligne par requête HTTP envoyée, numérotée dans la série (relivraison) de la livraison
+CREATE TABLE IF NOT EXISTS webhooks_tentatives (
+  id SERIAL PRIMARY KEY,
+  livraison_id INTEGER NOT NULL REFERENCES webhooks_livraisons(id) ON DELETE CASCADE,
+  relivraison INTEGER NOT NULL DEFAULT 0,
+  tentative INTEGER NOT NULL,
+  code_http INTEGER,
+  succes BOOLEAN NOT NULL,
+  reponse TEXT,
+  duree_ms INTEGER,
+  date_tentative TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_tentatives_livraison ON webhooks_tentatives (livraison_id);
@@ -0,0 +1,14 @@
+-- ===== Plannings : unicité sur tous les créneaux, corbeille comprise =====
+
+-- Un créneau de la corbeille en doublon (d'un créneau actif ou d'un plus récent) redevient manuel
+UPDATE creneaux_expedition ce SET planning_id = NULL
+WHERE ce.supprime_le IS NOT NULL
+  AND EXISTS (
+    SELECT 1 FROM creneaux_expedition a
+    WHERE a.planning_id = ce.planning_id AND a.date_expedition = ce.date_expedition
+      AND a.id <> ce.id AND (a.supprime_le IS NULL OR a.id > ce.id)
+  );
+
+DROP INDEX IF EXISTS idx_creneaux_planning_date_actifs;
+ALTER TABLE creneaux_expedition ADD CONSTRAINT creneaux_planning_date_unique
+  UNIQUE (planning_id, date_expedition);
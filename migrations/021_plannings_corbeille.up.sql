@@ -0,0 +1,8 @@
+-- ===== Plannings : un seul créneau actif par planning et par jour =====
+
+-- Les créneaux retirés par un planning (exception, jour retiré, planning supprimé) passent par la
+-- corbeille : ils ne doivent pas empêcher la génération de recréer ce jour-là ensuite
+ALTER TABLE creneaux_expedition DROP CONSTRAINT IF EXISTS creneaux_planning_date_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_creneaux_planning_date_actifs
+  ON creneaux_expedition (planning_id, date_expedition)
+  WHERE supprime_le IS NULL;
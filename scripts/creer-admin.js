@@ -0,0 +1,27 @@
+// Création du premier compte administrateur
+// Usage : npm run admin:creer -- <email> <nom> <mot_de_passe>
+import pool from '../db.js';
+import { hasherMotDePasse } from '../services/auth.js';
+
+const [email, nom, motDePasse] = process.argv.slice(2);
+
+if (!email || !nom || !motDePasse) {
+  console.error('Usage : npm run admin:creer -- <email> <nom> <mot_de_passe>');
+  process.exit(1);
+}
+
+try {
+  const result = await pool.query(
+    `INSERT INTO utilisateurs (email, nom, mot_de_passe_hash, role)
+     VALUES ($1, $2, $3, 'admin')
+     ON CONFLICT (email) DO UPDATE SET role = 'admin', actif = TRUE, mot_de_passe_hash = EXCLUDED.mot_de_passe_hash
+     RETURNING id, email, role`,
+    [email.toLowerCase(), nom, await hasherMotDePasse(motDePasse)]
+  );
+  console.log('✅ Administrateur prêt:', result.rows[0]);
+} catch (error) {
+  console.error('❌ Erreur lors de la création de l\'administrateur:', error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,22 @@
+// Génération des créneaux des plannings actifs (à lancer chaque jour par un cron)
+// Usage : npm run creneaux:generer                  (PLANNINGS_SEMAINES_AVANCE semaines, 8 par défaut)
+//         npm run creneaux:generer -- --semaines 12
+import pool, { withTransaction } from '../db.js';
+import { genererCreneaux, SEMAINES_AVANCE } from '../services/plannings.js';
+
+const index = process.argv.indexOf('--semaines');
+const semaines = index > -1 ? parseInt(process.argv[index + 1]) : SEMAINES_AVANCE;
+
+try {
+  if (!(semaines >= 1 && semaines <= 52)) throw new Error('Le nombre de semaines doit être compris entre 1 et 52');
+
+  // Génération planifiée : aucun utilisateur connecté
+  const auteur = { utilisateur_id: null, utilisateur_email: null, adresse_ip: null };
+  const creneaux = await withTransaction((client) => genererCreneaux(client, auteur, { semaines }));
+  console.log(`📅 ${creneaux.length} créneau(x) généré(s) sur ${semaines} semaine(s)`);
+} catch (error) {
+  console.error('❌ Erreur de génération des créneaux:', error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,133 @@
+// Migrations du schéma (dossier migrations/, fichiers NNN_nom.up.sql et NNN_nom.down.sql)
+// Usage : npm run migrate:up                          (applique toutes les migrations en attente)
+//         npm run migrate:down                        (annule la dernière migration)
+//         npm run migrate:down -- --etapes 3          (annule les 3 dernières)
+//         npm run migrate:down -- --jusqu-a 004       (annule tout ce qui suit la 004)
+//         npm run migrate:status
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import pool from '../db.js';
+
+const DOSSIER = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+// Clé du verrou consultatif : deux déploiements simultanés ne migrent pas en même temps
+const CLE_VERROU = 4_213_001;
+
+const [commande = 'status', ...options] = process.argv.slice(2);
+const option = (nom) => {
+  const index = options.indexOf(nom);
+  return index > -1 ? options[index + 1] : undefined;
+};
+
+const empreinte = (contenu) => crypto.createHash('sha256').update(contenu).digest('hex');
+
+// Migrations présentes sur le disque, par ordre de version
+const lireMigrations = async () => {
+  const fichiers = await fs.readdir(DOSSIER);
+  return fichiers
+    .map(f => f.match(/^(\d{3})_(.+)\.up\.sql$/))
+    .filter(Boolean)
+    .map(([fichier, version, nom]) => ({
+      version,
+      nom,
+      up: path.join(DOSSIER, fichier),
+      down: path.join(DOSSIER, `${version}_${nom}.down.sql`)
+    }))
+    .sort((a, b) => a.version.localeCompare(b.version));
+};
+
+const lireAppliquees = async (client) => {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version VARCHAR(10) PRIMARY KEY,
+       nom VARCHAR(255) NOT NULL,
+       checksum CHAR(64) NOT NULL,
+       applique_le TIMESTAMP NOT NULL DEFAULT NOW()
+     )`
+  );
+  const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(r => [r.version, r]));
+};
+
+// Chaque migration et sa ligne de suivi sont validées ensemble
+const executer = async (client, sql, suivi) => {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await suivi();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+const monter = async (client, migrations, appliquees) => {
+  const enAttente = migrations.filter(m => !appliquees.has(m.version));
+  if (enAttente.length === 0) return console.log('✅ Schéma à jour');
+
+  for (const migration of enAttente) {
+    const sql = await fs.readFile(migration.up, 'utf8');
+    await executer(client, sql, () => client.query(
+      'INSERT INTO schema_migrations (version, nom, checksum) VALUES ($1, $2, $3)',
+      [migration.version, migration.nom, empreinte(sql)]
+    ));
+    console.log(`⬆️  ${migration.version}_${migration.nom}`);
+  }
+};
+
+const descendre = async (client, migrations, appliquees) => {
+  const jusqua = option('--jusqu-a');
+  const etapes = parseInt(option('--etapes')) || 1;
+
+  const versions = [...appliquees.keys()].sort().reverse();
+  const aAnnuler = jusqua ? versions.filter(v => v > jusqua) : versions.slice(0, etapes);
+  if (aAnnuler.length === 0) return console.log('Aucune migration à annuler');
+
+  for (const version of aAnnuler) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration) throw new Error(`Migration ${version} appliquée mais absente du dossier migrations/`);
+
+    const sql = await fs.readFile(migration.down, 'utf8').catch(() => {
+      throw new Error(`Pas de fichier down pour ${version}_${migration.nom}`);
+    });
+    await executer(client, sql, () => client.query('DELETE FROM schema_migrations WHERE version = $1', [version]));
+    console.log(`⬇️  ${version}_${migration.nom}`);
+  }
+};
+
+const afficherStatut = async (migrations, appliquees) => {
+  for (const migration of migrations) {
+    const appliquee = appliquees.get(migration.version);
+    if (!appliquee) {
+      console.log(`  en attente   ${migration.version}_${migration.nom}`);
+      continue;
+    }
+    // Une migration modifiée après coup n'est pas rejouée : à signaler
+    const modifiee = appliquee.checksum !== empreinte(await fs.readFile(migration.up, 'utf8'));
+    console.log(`  appliquée    ${migration.version}_${migration.nom}  (${appliquee.applique_le.toISOString()})${modifiee ? '  ⚠️ modifiée depuis' : ''}`);
+  }
+  for (const version of appliquees.keys()) {
+    if (!migrations.some(m => m.version === version)) console.log(`  ⚠️ inconnue  ${version}_${appliquees.get(version).nom}`);
+  }
+};
+
+const client = await pool.connect();
+try {
+  await client.query('SELECT pg_advisory_lock($1)', [CLE_VERROU]);
+  const migrations = await lireMigrations();
+  const appliquees = await lireAppliquees(client);
+
+  if (commande === 'up') await monter(client, migrations, appliquees);
+  else if (commande === 'down') await descendre(client, migrations, appliquees);
+  else if (commande === 'status') await afficherStatut(migrations, appliquees);
+  else throw new Error(`Commande inconnue: ${commande} (up, down ou status)`);
+} catch (error) {
+  console.error('❌ Erreur de migration:', error.message);
+  process.exitCode = 1;
+} finally {
+  await client.query('SELECT pg_advisory_unlock($1)', [CLE_VERROU]).catch(() => {});
+  client.release();
+  await pool.end();
+}
@@ -0,0 +1,21 @@
+// Suppression définitive des éléments de la corbeille (à lancer chaque jour par un cron)
+// Usage : npm run corbeille:purger               (CORBEILLE_RETENTION_JOURS jours, 30 par défaut)
+//         npm run corbeille:purger -- --jours 7
+import pool from '../db.js';
+import { purgerCorbeille, RETENTION_CORBEILLE_JOURS } from '../services/corbeille.js';
+
+const index = process.argv.indexOf('--jours');
+const jours = index > -1 ? parseInt(process.argv[index + 1]) : RETENTION_CORBEILLE_JOURS;
+
+try {
+  if (!(jours >= 0)) throw new Error('Le nombre de jours doit être un entier positif');
+
+  const bilan = await purgerCorbeille({ jours });
+  const details = Object.entries(bilan).map(([entite, nombre]) => `${nombre} ${entite}`).join(', ');
+  console.log(`🗑️  Corbeille purgée (plus de ${jours} jour(s)) : ${details}`);
+} catch (error) {
+  console.error('❌ Erreur de purge de la corbeille:', error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
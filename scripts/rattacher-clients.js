@@ -0,0 +1,40 @@
+// Remplit l'annuaire des clients à partir des colis et réservations existants (idempotent :
+// seuls les éléments pas encore rattachés sont traités). À lancer une fois après la migration 019.
+// Usage : npm run clients:rattacher
+import pool, { withTransaction } from '../db.js';
+import { lierColis, lierReservation } from '../services/clients.js';
+
+const TAILLE_LOT = 200;
+
+// Parcourt la table par lots d'ids croissants, une transaction par lot
+const traiter = async (table, condition, lier) => {
+  let dernierId = 0;
+  let traites = 0;
+  for (;;) {
+    const lot = await withTransaction(async (client) => {
+      const result = await client.query(
+        `SELECT * FROM ${table} WHERE ${condition} AND id > $1 ORDER BY id LIMIT $2 FOR UPDATE`,
+        [dernierId, TAILLE_LOT]
+      );
+      for (const ligne of result.rows) await lier(client, ligne);
+      return result.rows;
+    });
+    if (lot.length === 0) return traites;
+    dernierId = lot[lot.length - 1].id;
+    traites += lot.length;
+  }
+};
+
+try {
+  // Colis du plus ancien au plus récent : le carnet d'adresses compte les envois passés
+  const colis = await traiter('colis', 'expediteur_id IS NULL', (client, c) => lierColis(client, c, { carnet: true }));
+  const reservations = await traiter('reservations', 'client_id IS NULL', lierReservation);
+
+  const total = await pool.query('SELECT COUNT(*)::int as nombre FROM clients');
+  console.log(`👥 ${colis} colis et ${reservations} réservation(s) rattachés : ${total.rows[0].nombre} client(s) dans l'annuaire`);
+} catch (error) {
+  console.error('❌ Erreur de rattachement des clients:', error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,33 @@
+// Récepteur local de webhooks (tests et développement) : affiche chaque livraison reçue et vérifie
+// sa signature. Déclarer http://localhost:<port>/ comme URL du webhook, avec le même secret.
+// Usage : npm run webhooks:recepteur -- --secret whsec_... [--port 5050] [--statut 500]
+//         --statut force le code HTTP de réponse (ex. 500 pour observer les relivraisons)
+import { demarrerRecepteur } from '../services/webhooks/recepteur.js';
+
+const option = (nom, defaut = undefined) => {
+  const index = process.argv.indexOf(`--${nom}`);
+  return index > -1 ? process.argv[index + 1] : defaut;
+};
+
+const secret = option('secret');
+
+const recepteur = await demarrerRecepteur({
+  secret,
+  port: parseInt(option('port', '5050')),
+  statut: option('statut') ? parseInt(option('statut')) : null,
+  surReception: ({ evenement, id, corps, signee, statut }) => {
+    console.log(`\n📥 ${evenement} #${id}`);
+    console.log(secret ? (signee ? '✅ Signature valide' : '❌ Signature invalide') : '⚠️ Signature non vérifiée (--secret absent)');
+    try {
+      console.log(JSON.stringify(JSON.parse(corps), null, 2));
+    } catch {
+      console.log(corps);
+    }
+    console.log(`↩️ Réponse HTTP ${statut}`);
+  }
+});
+
+process.on('SIGINT', () => recepteur.fermer());
+process.on('SIGTERM', () => recepteur.fermer());
+
+console.log(`🔗 Récepteur de webhooks en écoute sur ${recepteur.url}`);
@@ -0,0 +1,37 @@
+// Chargement des données de démonstration (dossier seeds/, fichiers SQL exécutés par ordre de nom)
+// Usage : npm run db:seed                (après npm run migrate:up)
+//         npm run db:seed -- --force     (autorisé même avec NODE_ENV=production)
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pool, { withTransaction } from '../db.js';
+
+const DOSSIER = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'seeds');
+
+try {
+  if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+    throw new Error('Données de démonstration refusées en production (utiliser --force)');
+  }
+
+  // Les colis de démonstration servent de témoin : pas de second chargement
+  const dejaCharge = await pool.query("SELECT 1 FROM colis WHERE numero_suivi LIKE 'DEMO%' LIMIT 1");
+  if (dejaCharge.rows.length > 0) {
+    console.log('ℹ️  Données de démonstration déjà présentes');
+  } else {
+    const fichiers = (await fs.readdir(DOSSIER)).filter(f => f.endsWith('.sql')).sort();
+
+    await withTransaction(async (client) => {
+      for (const fichier of fichiers) {
+        await client.query(await fs.readFile(path.join(DOSSIER, fichier), 'utf8'));
+        console.log(`🌱 ${fichier}`);
+      }
+    });
+
+    console.log('✅ Données de démonstration chargées (compte admin : npm run admin:creer)');
+  }
+} catch (error) {
+  console.error('❌ Erreur de chargement des données:', error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
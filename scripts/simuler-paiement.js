@@ -0,0 +1,44 @@
+// Simulateur du prestataire de paiement : envoie au serveur local un callback signé comme le ferait
+// l'opérateur mobile money ou la banque (tests et développement)
+// Usage : npm run paiements:simuler -- --reference PAY-... [--statut succes|echec] [--montant 12.50]
+//         [--transaction TX-123] [--url http://localhost:5000]
+import dotenv from 'dotenv';
+import { signerCorps, ENTETE_SIGNATURE } from '../services/paiements.js';
+
+dotenv.config();
+
+const option = (nom, defaut = undefined) => {
+  const index = process.argv.indexOf(`--${nom}`);
+  return index > -1 ? process.argv[index + 1] : defaut;
+};
+
+const reference = option('reference');
+const statut = option('statut', 'succes');
+const montant = option('montant');
+const url = option('url', `http://localhost:${process.env.PORT || 5000}`);
+
+try {
+  if (!reference) throw new Error('Option --reference requise');
+  if (!['succes', 'echec'].includes(statut)) throw new Error('--statut doit être succes ou echec');
+
+  const corps = JSON.stringify({
+    reference,
+    statut,
+    transaction_id: option('transaction', `SIM-${Date.now()}`),
+    ...(montant && { montant: parseFloat(montant) })
+  });
+
+  const reponse = await fetch(`${url}/api/paiements/callback`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', [ENTETE_SIGNATURE]: signerCorps(corps) },
+    body: corps
+  });
+  const resultat = await reponse.json();
+
+  console.log(`${reponse.ok ? '✅' : '❌'} Callback ${statut} pour ${reference} : HTTP ${reponse.status}`);
+  console.log(JSON.stringify(resultat, null, 2));
+  if (!reponse.ok) process.exitCode = 1;
+} catch (error) {
+  console.error('❌ Erreur de simulation du paiement:', error.message);
+  process.exitCode = 1;
+}
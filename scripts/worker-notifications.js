@@ -0,0 +1,36 @@
+// Worker de distribution des notifications
+// Usage : npm run worker:notifications            (boucle, toutes les NOTIFICATIONS_INTERVALLE secondes)
+//         npm run worker:notifications -- --une-fois (un seul passage, pour un cron)
+import pool from '../db.js';
+import { distribuerNotifications } from '../services/notifications/worker.js';
+
+const INTERVALLE = (parseInt(process.env.NOTIFICATIONS_INTERVALLE) || 30) * 1000;
+const uneFois = process.argv.includes('--une-fois');
+
+let arret = false;
+process.on('SIGINT', () => { arret = true; });
+process.on('SIGTERM', () => { arret = true; });
+
+const passage = async () => {
+  // Vide la file tant que des lots complets sont distribués
+  let bilan;
+  do {
+    bilan = await distribuerNotifications();
+    if (bilan.envoyees + bilan.echecs > 0) {
+      console.log(`📨 ${bilan.envoyees} notification(s) envoyée(s), ${bilan.echecs} échec(s)`);
+    }
+  } while (!arret && bilan.envoyees + bilan.echecs > 0 && !uneFois);
+};
+
+try {
+  await passage();
+  while (!uneFois && !arret) {
+    await new Promise(resolve => setTimeout(resolve, INTERVALLE));
+    if (!arret) await passage();
+  }
+} catch (error) {
+  console.error('❌ Erreur du worker de notifications:', error);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
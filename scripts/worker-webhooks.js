@@ -0,0 +1,39 @@
+// Worker d'envoi des webhooks aux partenaires
+// Usage : npm run worker:webhooks            (boucle, toutes les WEBHOOKS_INTERVALLE secondes)
+//         npm run worker:webhooks -- --une-fois (un seul passage, pour un cron)
+import pool from '../db.js';
+import { distribuerWebhooks } from '../services/webhooks/worker.js';
+
+const INTERVALLE = (parseInt(process.env.WEBHOOKS_INTERVALLE) || 15) * 1000;
+const uneFois = process.argv.includes('--une-fois');
+
+let arret = false;
+process.on('SIGINT', () => { arret = true; });
+process.on('SIGTERM', () => { arret = true; });
+
+const passage = async () => {
+  // Vide la file tant que des lots complets sont envoyés
+  let bilan;
+  do {
+    bilan = await distribuerWebhooks(pool);
+    if (bilan.livrees + bilan.echecs > 0) {
+      console.log(`🔗 ${bilan.livrees} livraison(s) réussie(s), ${bilan.echecs} échec(s)`);
+    }
+    if (bilan.webhooks_desactives > 0) {
+      console.warn(`⚠️ ${bilan.webhooks_desactives} webhook(s) désactivé(s) après trop d'échecs consécutifs`);
+    }
+  } while (!arret && bilan.livrees + bilan.echecs > 0 && !uneFois);
+};
+
+try {
+  await passage();
+  while (!uneFois && !arret) {
+    await new Promise(resolve => setTimeout(resolve, INTERVALLE));
+    if (!arret) await passage();
+  }
+} catch (error) {
+  console.error('❌ Erreur du worker de webhooks:', error);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
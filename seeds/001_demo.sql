@@ -0,0 +1,161 @@
+-- ===== Données de démonstration : créneaux, colis, voyages et réservations =====
+-- Dates relatives à CURRENT_DATE ; les colis de démonstration ont un numéro de suivi DEMO...
+-- Les tables temporaires gardent les identifiants créés ici, sans toucher aux données existantes
+
+CREATE TEMP TABLE demo_creneaux (id INTEGER, lieu_depart VARCHAR(255), destination VARCHAR(255)) ON COMMIT DROP;
+CREATE TEMP TABLE demo_voyages (id INTEGER, destination VARCHAR(255)) ON COMMIT DROP;
+CREATE TEMP TABLE demo_reservations (id INTEGER) ON COMMIT DROP;
+
+-- Planning Paris > Dakar le mardi et le vendredi à 18h
+INSERT INTO plannings_creneaux
+  (nom, lieu_depart, destination, heure_depart, jours_semaine, capacite_max, frais_par_kg, poids_max_colis, capacite_poids_max, type_transport)
+VALUES
+  ('Paris > Dakar bi-hebdomadaire', 'Paris', 'Dakar', '18:00', '{2,5}', 60, 8.50, 30, 900, 'standard');
+
+WITH crees AS (
+  INSERT INTO creneaux_expedition
+    (lieu_depart, destination, date_expedition, heure_depart, capacite_max, frais_par_kg, poids_max_colis, capacite_poids_max, type_transport)
+  VALUES
+  ('Paris', 'Dakar', CURRENT_DATE - 10, '18:00', 60, 8.50, 30, 900, 'standard'),
+  ('Paris', 'Abidjan', CURRENT_DATE - 3, '07:30', 40, 9.00, 25, 600, 'express'),
+  ('Marseille', 'Alger', CURRENT_DATE + 2, '20:00', 30, 6.00, 20, 400, 'standard'),
+  ('Paris', 'Bamako', CURRENT_DATE + 5, '10:00', 25, 11.00, 15, NULL, 'prioritaire'),
+  ('Lyon', 'Casablanca', CURRENT_DATE + 9, '14:15', 35, 7.25, 25, 500, 'standard')
+  RETURNING id, lieu_depart, destination
+)
+INSERT INTO demo_creneaux SELECT * FROM crees;
+
+-- Colis répartis sur les créneaux, à différentes étapes du suivi
+INSERT INTO colis
+  (creneau_id, numero_suivi, nom_expediteur, telephone_expediteur, adresse_expediteur,
+   nom_destinataire, telephone_destinataire, adresse_destinataire, type_colis, poids,
+   description, valeur_declaree, assurance, methode_paiement, statut, prix_total, date_creation)
+SELECT ce.id, d.numero_suivi, d.nom_expediteur, d.telephone_expediteur, d.adresse_expediteur,
+       d.nom_destinataire, d.telephone_destinataire, d.adresse_destinataire, d.type_colis, d.poids,
+       d.description, d.valeur_declaree, d.assurance, d.methode_paiement, d.statut,
+       ROUND(ce.frais_par_kg * d.poids, 2), NOW() - d.anciennete * INTERVAL '1 day'
+FROM (VALUES
+  ('DEMO00000001', 'Paris', 'Dakar', 'Aminata Diallo', '+33 6 12 34 56 78', '14 rue Myrha, 75018 Paris',
+   'Ousmane Diallo', '+221 77 123 45 67', 'Sicap Liberté 6, Dakar', 'vetements', 12.50, 'Vêtements de cérémonie', 250, TRUE, 'carte', 'livre', 14),
+  ('DEMO00000002', 'Paris', 'Dakar', 'Jean-Pierre Martin', '+33 6 98 76 54 32', '3 avenue Jean Jaurès, 93300 Aubervilliers',
+   'Fatou Ndiaye', '+221 76 555 12 34', 'Médina, rue 11, Dakar', 'electronique', 4.20, 'Ordinateur portable', 900, TRUE, 'virement', 'en_douane', 13),
+  ('DEMO00000003', 'Paris', 'Dakar', 'Mariam Koné', '+33 7 45 12 78 90', '22 boulevard Barbès, 75018 Paris',
+   'Ibrahima Sow', '+221 78 222 33 44', 'Parcelles Assainies U17, Dakar', 'nourriture', 8.00, 'Épices et conserves', 60, FALSE, 'especes', 'en_transit', 12),
+  ('DEMO00000004', 'Paris', 'Abidjan', 'Koffi Yao', '+33 6 33 44 55 66', '8 rue de la République, 93200 Saint-Denis',
+   'Adjoua Kouassi', '+225 07 08 09 10 11', 'Cocody Riviera 2, Abidjan', 'document', 0.80, 'Dossier administratif', 0, FALSE, 'mobile', 'en_transit', 5),
+  ('DEMO00000005', 'Paris', 'Abidjan', 'Sophie Bernard', '+33 6 77 88 99 00', '51 rue Oberkampf, 75011 Paris',
+   'Marc Kouamé', '+225 05 44 33 22 11', 'Plateau, avenue Chardy, Abidjan', 'autre', 18.00, 'Pièces détachées', 400, TRUE, 'carte', 'arrive_agence', 4),
+  ('DEMO00000006', 'Marseille', 'Alger', 'Karim Benali', '+33 6 21 43 65 87', '17 rue d''Aix, 13001 Marseille',
+   'Nadia Benali', '+213 555 12 34 56', 'Bab Ezzouar, cité 8, Alger', 'vetements', 9.30, NULL, 80, FALSE, 'especes', 'en_attente', 2),
+  ('DEMO00000007', 'Marseille', 'Alger', 'Leïla Haddad', '+33 7 11 22 33 44', '5 cours Belsunce, 13001 Marseille',
+   'Yacine Haddad', '+213 661 98 76 54', 'Hydra, rue des Pins, Alger', 'electronique', 2.50, 'Téléphone', 350, TRUE, 'carte', 'en_attente', 1),
+  ('DEMO00000008', 'Paris', 'Bamako', 'Moussa Traoré', '+33 6 55 66 77 88', '9 rue de Tanger, 75019 Paris',
+   'Awa Traoré', '+223 76 12 34 56', 'Hamdallaye ACI 2000, Bamako', 'nourriture', 6.75, 'Lait infantile', 45, FALSE, 'mobile', 'en_attente', 1),
+  ('DEMO00000009', 'Paris', 'Dakar', 'Claire Petit', '+33 6 10 20 30 40', '2 place d''Italie, 75013 Paris',
+   'Cheikh Fall', '+221 70 987 65 43', 'Point E, rue de Diourbel, Dakar', 'document', 1.10, NULL, 0, FALSE, 'especes', 'annule', 15)
+) AS d (numero_suivi, lieu_depart, destination, nom_expediteur, telephone_expediteur, adresse_expediteur,
+        nom_destinataire, telephone_destinataire, adresse_destinataire, type_colis, poids,
+        description, valeur_declaree, assurance, methode_paiement, statut, anciennete)
+JOIN demo_creneaux dc ON dc.lieu_depart = d.lieu_depart AND dc.destination = d.destination
+JOIN creneaux_expedition ce ON ce.id = dc.id;
+
+-- Historique de suivi cohérent avec le statut actuel
+INSERT INTO colis_evenements (colis_id, statut, statut_precedent, lieu, commentaire, date_evenement)
+SELECT c.id, e.statut, e.statut_precedent, e.lieu, e.commentaire, c.date_creation + e.decalage * INTERVAL '1 day'
+FROM colis c
+JOIN creneaux_expedition ce ON c.creneau_id = ce.id
+CROSS JOIN LATERAL (VALUES
+  (0, 'en_attente', NULL, ce.lieu_depart, 'Colis enregistré', TRUE),
+  (1, 'arrive_agence', 'en_attente', ce.lieu_depart, 'Déposé en agence', c.statut IN ('arrive_agence', 'en_transit', 'en_douane', 'livre')),
+  (2, 'en_transit', 'arrive_agence', ce.lieu_depart, 'Parti avec le créneau', c.statut IN ('en_transit', 'en_douane', 'livre')),
+  (3, 'en_douane', 'en_transit', ce.destination, 'Contrôle douanier', c.statut IN ('en_douane', 'livre')),
+  (5, 'livre', 'en_douane', ce.destination, 'Remis au destinataire', c.statut = 'livre'),
+  (1, 'annule', 'en_attente', ce.lieu_depart, 'Annulé à la demande de l''expéditeur', c.statut = 'annule')
+) AS e (decalage, statut, statut_precedent, lieu, commentaire, applicable)
+WHERE c.numero_suivi LIKE 'DEMO%' AND e.applicable;
+
+-- Voyages et places par classe
+WITH crees AS (
+  INSERT INTO voyages (lieu_depart, destination, date_depart, date_retour, description)
+  VALUES
+  ('Paris', 'Dakar', CURRENT_DATE + 21 + TIME '09:40', CURRENT_DATE + 35 + TIME '23:55', 'Vol direct Air Sénégal'),
+  ('Paris', 'Abidjan', CURRENT_DATE + 30 + TIME '11:15', NULL, 'Aller simple, escale à Casablanca'),
+  ('Lyon', 'Alger', CURRENT_DATE + 12 + TIME '07:05', CURRENT_DATE + 19 + TIME '18:30', NULL)
+  RETURNING id, destination
+)
+INSERT INTO demo_voyages SELECT * FROM crees;
+
+INSERT INTO voyage_classes (voyage_id, classe, places_total, places_restantes, prix)
+SELECT v.id, c.classe, c.places, c.places, c.prix
+FROM demo_voyages v
+JOIN (VALUES
+  ('Dakar', 'Economique', 120, 540.00), ('Dakar', 'Affaires', 16, 1890.00),
+  ('Abidjan', 'Economique', 90, 610.00), ('Abidjan', 'Affaires', 12, 2100.00), ('Abidjan', 'Premiere', 4, 3950.00),
+  ('Alger', 'Economique', 150, 189.00)
+) AS c (destination, classe, places, prix) ON c.destination = v.destination;
+
+-- Réservations liées aux voyages ; les places vendues sont décomptées ensuite
+WITH crees AS (
+INSERT INTO reservations
+  (nom, prenom, email, telephone, lieu_depart, destination, date_depart, date_retour,
+   nombre_passagers, classe, voyage_id, montant_total, statut, statut_modifie_le)
+SELECT r.nom, r.prenom, r.email, r.telephone, v.lieu_depart, v.destination, v.date_depart, v.date_retour,
+       r.passagers, r.classe, v.id, vc.prix * r.passagers, r.statut, NOW()
+FROM (VALUES
+  ('Diop', 'Mamadou', 'mamadou.diop@example.com', '+33 6 01 02 03 04', 'Dakar', 'Economique', 3, 'payee'),
+  ('Lefèvre', 'Camille', 'camille.lefevre@example.com', '+33 6 05 06 07 08', 'Dakar', 'Affaires', 1, 'confirmee'),
+  ('Kouassi', 'Aya', 'aya.kouassi@example.com', '+33 7 09 10 11 12', 'Abidjan', 'Economique', 2, 'demande'),
+  ('Mansouri', 'Rachid', 'rachid.mansouri@example.com', '+33 6 13 14 15 16', 'Alger', 'Economique', 4, 'confirmee')
+) AS r (nom, prenom, email, telephone, destination, classe, passagers, statut)
+JOIN demo_voyages dv ON dv.destination = r.destination
+JOIN voyages v ON v.id = dv.id
+JOIN voyage_classes vc ON vc.voyage_id = v.id AND vc.classe = r.classe
+RETURNING id
+)
+INSERT INTO demo_reservations SELECT * FROM crees;
+
+UPDATE voyage_classes vc
+SET places_restantes = vc.places_total - vendues.total
+FROM (
+  SELECT voyage_id, classe, SUM(nombre_passagers) as total
+  FROM reservations
+  WHERE id IN (SELECT id FROM demo_reservations) AND statut <> 'annulee'
+  GROUP BY voyage_id, classe
+) AS vendues
+WHERE vc.voyage_id = vendues.voyage_id AND vc.classe = vendues.classe;
+
+-- Réservation sans voyage du catalogue, annulée
+WITH crees AS (
+INSERT INTO reservations
+  (nom, prenom, email, telephone, lieu_depart, destination, date_depart, nombre_passagers, classe,
+   statut, motif_annulation, statut_modifie_le)
+VALUES
+  ('Girard', 'Lucas', 'lucas.girard@example.com', '+33 6 17 18 19 20', 'Bordeaux', 'Tunis',
+   CURRENT_DATE + 40, 2, 'Economique', 'annulee', 'Changement de dates', NOW())
+RETURNING id
+)
+INSERT INTO demo_reservations SELECT * FROM crees;
+
+-- Passagers de la réservation payée
+INSERT INTO passagers (reservation_id, nom, prenom, date_naissance, type_passager, numero_document, expiration_document)
+SELECT r.id, p.nom, p.prenom, p.naissance::date, p.type_passager, p.document, (CURRENT_DATE + INTERVAL '4 years')::date
+FROM reservations r
+JOIN demo_reservations dr ON dr.id = r.id
+CROSS JOIN (VALUES
+  ('Diop', 'Mamadou', '1984-03-12', 'adulte', '19AB12345'),
+  ('Diop', 'Khady', '1987-11-02', 'adulte', '20CD67890'),
+  ('Diop', 'Ismaïla', '2017-06-25', 'enfant', '22EF11223')
+) AS p (nom, prenom, naissance, type_passager, document)
+WHERE r.email = 'mamadou.diop@example.com';
+
+-- Historique des réservations : demande puis statut actuel
+INSERT INTO reservation_evenements (reservation_id, statut, statut_precedent, commentaire)
+SELECT r.id, 'demande', NULL, 'Demande de réservation reçue'
+FROM reservations r
+JOIN demo_reservations dr ON dr.id = r.id;
+
+INSERT INTO reservation_evenements (reservation_id, statut, statut_precedent, commentaire)
+SELECT r.id, r.statut, 'demande', COALESCE(r.motif_annulation, 'Données de démonstration')
+FROM reservations r
+JOIN demo_reservations dr ON dr.id = r.id
+WHERE r.statut <> 'demande';
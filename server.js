@@ -5,11 +5,33 @@ import dotenv from "dotenv";
 import reservationsRouter from "./donnes/reservation.js"; // <-- supposé être un Router Express
 import creneaux from "./donnes/creneaux.js"; // <-- supposé être un Router Express
 import coli from "./donnes/colis.js"; // <-- supposé être un Router Express
+import tarifs from "./donnes/tarifs.js";
+import voyages from "./donnes/voyages.js";
+import passagers from "./donnes/passagers.js";
+import notifications from "./donnes/notifications.js";
+import plannings from "./donnes/plannings.js";
+import stats from "./donnes/stats.js";
+import recherche from "./donnes/recherche.js";
+import audit from "./donnes/audit.js";
+import paiements from "./donnes/paiements.js";
+import factures from "./donnes/factures.js";
+import clients from "./donnes/clients.js";
+import evenements from "./donnes/evenements.js";
+import webhooks from "./donnes/webhooks.js";
+import auth from "./donnes/auth.js";
+import utilisateurs from "./donnes/utilisateurs.js";
+import { authentificationOptionnelle } from "./middleware/auth.js";
+import { callbacksConfigures } from "./services/paiements.js";
 
 dotenv.config();
 
 const app = express();
 
+// 🌐 Derrière un proxy (Vercel...) : TRUST_PROXY=1 pour que req.ip soit l'IP du client (journal d'audit)
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // ✅ CORS configuré
 app.use(
   cors({
@@ -19,13 +41,24 @@ app.use(
       "https://jess-voyage.vercel.app",
       "https://admingtraf.vercel.app",
     ],
-    methods: ["GET", "POST", "PUT", "DELETE"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+    // Last-Event-ID : reprise des flux d'événements (/api/evenements) après une coupure
+    allowedHeaders: ["Content-Type", "Authorization", "Last-Event-ID"],
     credentials: true,
   })
 );
 
-app.use(express.json());
+// Le corps brut est conservé pour vérifier la signature HMAC des callbacks de paiement
+app.use(
+  express.json({
+    verify: (req, res, buffer) => {
+      req.corpsBrut = buffer;
+    },
+  })
+);
+
+// 🔐 Jeton Bearer lu sur toutes les requêtes, chaque route décide ensuite des rôles requis
+app.use(authentificationOptionnelle);
 
 // 📄 Route racine simplifiée
 app.get("/", (req, res) => {
@@ -33,9 +66,24 @@ app.get("/", (req, res) => {
 });
 
 // 📌 Routes API
+app.use("/api/auth", auth);
+app.use("/api/utilisateurs", utilisateurs);
+app.use("/api/reservations/:reservationId/passagers", passagers);
 app.use("/api/reservations", reservationsRouter);
 app.use("/api/creneau", creneaux);
-app.use("/api/coli", creneaux);
+app.use("/api/plannings", plannings);
+app.use("/api/coli", coli);
+app.use("/api/tarifs", tarifs);
+app.use("/api/voyages", voyages);
+app.use("/api/notifications", notifications);
+app.use("/api/stats", stats);
+app.use("/api/recherche", recherche);
+app.use("/api/audit", audit);
+app.use("/api/paiements", paiements);
+app.use("/api/factures", factures);
+app.use("/api/clients", clients);
+app.use("/api/evenements", evenements);
+app.use("/api/webhooks", webhooks);
 
 // 🏥 Health check
 app.get("/api/health", (req, res) => {
@@ -52,10 +100,16 @@ app.get("/api/health", (req, res) => {
 app.use((err, req, res, next) => {
   console.error("❌ Erreur:", err.stack || err);
 
+  // Erreur métier levée par une route (transaction annulée)
+  if (err.name === "ErreurMetier") {
+    return res.status(err.status).json({ error: err.message });
+  }
+
   if (err.name === "ValidationError") {
     return res.status(422).json({
       success: false,
       message: "Erreur de validation",
+      error: err.message,
       errors: err.errors,
     });
   }
@@ -71,4 +125,7 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🚀 Serveur lancé sur http://localhost:${PORT}`);
+  if (!callbacksConfigures()) {
+    console.warn("⚠️ PAIEMENTS_CALLBACK_SECRET absent : les callbacks de paiement seront refusés (503)");
+  }
 });
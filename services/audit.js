@@ -0,0 +1,54 @@
+// ===== Journal d'audit : créations, modifications et suppressions avec l'avant/après =====
+import { publierModification } from './tempsReel.js';
+
+export const ENTITES_AUDIT = ['reservations', 'colis', 'creneaux', 'clients'];
+export const ACTIONS_AUDIT = ['creation', 'modification', 'suppression', 'restauration', 'purge'];
+
+// Valeur telle qu'elle sera stockée en JSON (les Date deviennent des chaînes ISO)
+const enJson = (valeur) => (valeur === undefined ? null : JSON.parse(JSON.stringify(valeur)));
+
+/**
+ * Différences entre deux états d'une ligne : { champ: { avant, apres } } pour chaque champ modifié.
+ * avant = null pour une création, apres = null pour une suppression (seuls les champs renseignés
+ * sont alors retenus).
+ */
+export const differences = (avant, apres) => {
+  const resultat = {};
+  const champs = new Set([...Object.keys(avant || {}), ...Object.keys(apres || {})]);
+
+  for (const champ of champs) {
+    const valeurAvant = enJson(avant ? avant[champ] : null);
+    const valeurApres = enJson(apres ? apres[champ] : null);
+    if (JSON.stringify(valeurAvant) !== JSON.stringify(valeurApres)) {
+      resultat[champ] = { avant: valeurAvant, apres: valeurApres };
+    }
+  }
+  return resultat;
+};
+
+// Auteur d'une requête : utilisateur connecté (ou anonyme) et adresse IP
+export const auteurRequete = (req) => ({
+  utilisateur_id: req.utilisateur ? req.utilisateur.id : null,
+  utilisateur_email: req.utilisateur ? req.utilisateur.email : null,
+  adresse_ip: req.ip || null
+});
+
+/**
+ * Enregistre une entrée du journal (à appeler dans la transaction de la modification) et publie
+ * l'événement temps réel correspondant après le COMMIT.
+ * Une modification sans différence effective n'est ni journalisée ni publiée.
+ */
+export const journaliser = async (client, auteur, { entite, entite_id, action, avant = null, apres = null }) => {
+  const diff = differences(avant, apres);
+  if (action === 'modification' && Object.keys(diff).length === 0) return null;
+
+  const result = await client.query(
+    `INSERT INTO journal_audit (entite, entite_id, action, differences, utilisateur_id, utilisateur_email, adresse_ip)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [entite, entite_id, action, diff, auteur.utilisateur_id, auteur.utilisateur_email, auteur.adresse_ip]
+  );
+
+  publierModification(client, { entite, entite_id, action, avant, apres, champs: Object.keys(diff) });
+  return result.rows[0];
+};
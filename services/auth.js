@@ -0,0 +1,73 @@
+// ===== Authentification : mots de passe et jetons =====
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+
+export const ROLES = ['admin', 'agent', 'public'];
+export const ROLES_STAFF = ['admin', 'agent'];
+
+const COUT_BCRYPT = 12;
+const DUREE_JETON_ACCES = process.env.JWT_EXPIRATION || '15m';
+const JOURS_JETON_RAFRAICHISSEMENT = parseInt(process.env.REFRESH_TOKEN_JOURS) || 30;
+
+const secretJwt = () => {
+  if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET non configuré');
+  return process.env.JWT_SECRET;
+};
+
+export const hasherMotDePasse = (motDePasse) => bcrypt.hash(motDePasse, COUT_BCRYPT);
+
+export const verifierMotDePasse = (motDePasse, hash) => bcrypt.compare(motDePasse, hash);
+
+// Jeton d'accès JWT de courte durée, envoyé dans l'en-tête Authorization
+export const genererJetonAcces = (utilisateur) =>
+  jwt.sign(
+    { sub: String(utilisateur.id), email: utilisateur.email, nom: utilisateur.nom, role: utilisateur.role },
+    secretJwt(),
+    { expiresIn: DUREE_JETON_ACCES }
+  );
+
+// Retourne le contenu du jeton, lève une erreur s'il est invalide ou expiré
+export const verifierJetonAcces = (jeton) => jwt.verify(jeton, secretJwt());
+
+const empreinte = (jeton) => crypto.createHash('sha256').update(jeton).digest('hex');
+
+// Jeton de rafraîchissement opaque, seule son empreinte est conservée en base
+export const creerJetonRafraichissement = async (db, utilisateurId) => {
+  const jeton = crypto.randomBytes(48).toString('base64url');
+  await db.query(
+    `INSERT INTO jetons_rafraichissement (utilisateur_id, jeton_hash, expire_le)
+     VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+    [utilisateurId, empreinte(jeton), JOURS_JETON_RAFRAICHISSEMENT]
+  );
+  return jeton;
+};
+
+/**
+ * Consomme un jeton de rafraîchissement (rotation : l'ancien est révoqué).
+ * Retourne l'utilisateur actif associé, ou null si le jeton est inconnu, expiré ou déjà utilisé.
+ */
+export const consommerJetonRafraichissement = async (db, jeton) => {
+  const result = await db.query(
+    `UPDATE jetons_rafraichissement SET revoque_le = NOW()
+     WHERE jeton_hash = $1 AND revoque_le IS NULL AND expire_le > NOW()
+     RETURNING utilisateur_id`,
+    [empreinte(jeton)]
+  );
+  if (result.rows.length === 0) return null;
+
+  const utilisateurResult = await db.query(
+    'SELECT * FROM utilisateurs WHERE id = $1 AND actif',
+    [result.rows[0].utilisateur_id]
+  );
+  return utilisateurResult.rows[0] || null;
+};
+
+export const revoquerJetonRafraichissement = (db, jeton) =>
+  db.query(
+    'UPDATE jetons_rafraichissement SET revoque_le = NOW() WHERE jeton_hash = $1 AND revoque_le IS NULL',
+    [empreinte(jeton)]
+  );
+
+// Représentation publique d'un utilisateur (sans empreinte du mot de passe)
+export const utilisateurPublic = ({ mot_de_passe_hash, ...utilisateur }) => utilisateur;
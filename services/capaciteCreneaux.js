@@ -0,0 +1,128 @@
+// ===== Capacité des créneaux d'expédition (nombre de colis et charge en kg) =====
+import { STATUTS_CRENEAU_AFFECTABLES } from './creneaux.js';
+
+// Statuts de colis qui ne consomment plus de place dans un créneau
+export const STATUTS_HORS_CAPACITE = ['annule', 'retourne'];
+
+// Condition de jointure réutilisable dans les requêtes d'occupation (alias ce / c).
+// Les colis de la corbeille ne comptent pas.
+export const JOINTURE_COLIS_ACTIFS =
+  `LEFT JOIN colis c ON ce.id = c.creneau_id
+   AND c.statut NOT IN (${STATUTS_HORS_CAPACITE.map(s => `'${s}'`).join(', ')})
+   AND c.supprime_le IS NULL`;
+
+// Colonnes calculées d'occupation, à utiliser avec JOINTURE_COLIS_ACTIFS et GROUP BY ce.id
+export const COLONNES_OCCUPATION = `
+  COUNT(c.id) as nombre_colis_actuels,
+  (ce.capacite_max - COUNT(c.id)) as places_restantes,
+  COALESCE(SUM(c.poids), 0) as poids_actuel,
+  (ce.capacite_poids_max - COALESCE(SUM(c.poids), 0)) as poids_restant`;
+
+/**
+ * Verrouille le créneau (SELECT ... FOR UPDATE) et vérifie qu'un colis de `poids` kg peut y être affecté
+ * (créneau ouvert, poids unitaire, nombre de colis et charge).
+ * Doit être appelé dans une transaction : le verrou empêche deux affectations simultanées
+ * de prendre la dernière place. `exclureColisId` évite de compter un colis déjà rattaché au créneau.
+ * Retourne { creneau } si l'affectation est possible, { erreur } sinon.
+ */
+export const verifierCapaciteCreneau = async (client, creneauId, poids, exclureColisId = null) => {
+  const creneauResult = await client.query(
+    'SELECT * FROM creneaux_expedition WHERE id = $1 AND supprime_le IS NULL FOR UPDATE',
+    [creneauId]
+  );
+  if (creneauResult.rows.length === 0) return { erreur: 'Créneau spécifié introuvable' };
+
+  const creneau = creneauResult.rows[0];
+  if (!STATUTS_CRENEAU_AFFECTABLES.includes(creneau.statut)) {
+    return { erreur: `Le créneau n'accepte plus de colis (statut ${creneau.statut})` };
+  }
+
+  const poidsColis = parseFloat(poids);
+
+  if (poidsColis > parseFloat(creneau.poids_max_colis)) {
+    return { erreur: `Le poids du colis (${poidsColis} kg) dépasse le maximum autorisé par colis pour ce créneau (${creneau.poids_max_colis} kg)` };
+  }
+
+  const usageResult = await client.query(
+    `SELECT COUNT(*) as nombre_colis, COALESCE(SUM(poids), 0) as poids_total
+     FROM colis
+     WHERE creneau_id = $1
+       AND statut <> ALL($2)
+       AND supprime_le IS NULL
+       AND ($3::integer IS NULL OR id <> $3)`,
+    [creneauId, STATUTS_HORS_CAPACITE, exclureColisId]
+  );
+  const nombreColis = parseInt(usageResult.rows[0].nombre_colis);
+  const poidsTotal = parseFloat(usageResult.rows[0].poids_total);
+
+  if (nombreColis >= creneau.capacite_max) {
+    return { erreur: 'Le créneau a atteint sa capacité maximale' };
+  }
+
+  if (creneau.capacite_poids_max !== null && poidsTotal + poidsColis > parseFloat(creneau.capacite_poids_max)) {
+    const poidsRestant = Math.max(0, parseFloat(creneau.capacite_poids_max) - poidsTotal);
+    return { erreur: `Charge maximale du créneau dépassée: il reste ${poidsRestant} kg disponibles` };
+  }
+
+  return { creneau };
+};
+
+/**
+ * Vérifie que les limites d'un créneau verrouillé (`limites` : capacite_max, capacite_poids_max,
+ * poids_max_colis, fusionnées avec le créneau actuel) restent compatibles avec ses colis actifs.
+ * À appeler avant une modification du créneau, dans la même transaction. Retourne un message d'erreur ou null.
+ */
+export const verifierLimitesCreneau = async (client, creneau, limites) => {
+  const { capacite_max: capaciteMax, capacite_poids_max: capacitePoidsMax, poids_max_colis: poidsMaxColis } = { ...creneau, ...limites };
+
+  const usageResult = await client.query(
+    `SELECT COUNT(*) as nombre_colis, COALESCE(SUM(poids), 0) as poids_total, COALESCE(MAX(poids), 0) as poids_max
+     FROM colis
+     WHERE creneau_id = $1 AND statut <> ALL($2) AND supprime_le IS NULL`,
+    [creneau.id, STATUTS_HORS_CAPACITE]
+  );
+  const nombreColis = parseInt(usageResult.rows[0].nombre_colis);
+  const poidsTotal = parseFloat(usageResult.rows[0].poids_total);
+  const poidsMax = parseFloat(usageResult.rows[0].poids_max);
+
+  if (nombreColis > capaciteMax) {
+    return `capacite_max (${capaciteMax}) inférieure aux ${nombreColis} colis déjà affectés au créneau`;
+  }
+  if (capacitePoidsMax !== null && capacitePoidsMax !== undefined && poidsTotal > parseFloat(capacitePoidsMax)) {
+    return `capacite_poids_max (${capacitePoidsMax} kg) inférieure à la charge actuelle du créneau (${poidsTotal} kg)`;
+  }
+  if (poidsMax > parseFloat(poidsMaxColis)) {
+    return `poids_max_colis (${poidsMaxColis} kg) inférieur au colis le plus lourd du créneau (${poidsMax} kg)`;
+  }
+  return null;
+};
+
+/**
+ * Statut automatique des créneaux `ids` : ouvert passe complet quand le nombre de colis ou la charge
+ * atteint la capacité, complet redevient ouvert quand une place se libère. Les créneaux clôturés,
+ * partis ou annulés ne bougent pas. À appeler après toute affectation, retrait ou changement de poids,
+ * dans la même transaction. Retourne les créneaux dont le statut a changé.
+ */
+export const actualiserStatutCreneaux = async (client, ids) => {
+  const creneauxIds = [...new Set(ids.filter(Boolean).map(id => parseInt(id)))];
+  if (creneauxIds.length === 0) return [];
+
+  const result = await client.query(
+    `WITH occupation AS (
+       SELECT ce.id,
+              COALESCE(COUNT(c.id) >= ce.capacite_max
+                       OR COALESCE(SUM(c.poids), 0) >= ce.capacite_poids_max, false) as plein
+       FROM creneaux_expedition ce
+       ${JOINTURE_COLIS_ACTIFS}
+       WHERE ce.id = ANY($1::int[])
+       GROUP BY ce.id
+     )
+     UPDATE creneaux_expedition ce
+     SET statut = CASE WHEN o.plein THEN 'complet' ELSE 'ouvert' END
+     FROM occupation o
+     WHERE ce.id = o.id AND ce.statut = CASE WHEN o.plein THEN 'ouvert' ELSE 'complet' END
+     RETURNING ce.*`,
+    [creneauxIds]
+  );
+  return result.rows;
+};
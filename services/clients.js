@@ -0,0 +1,279 @@
+// ===== Clients : identification par téléphone/email, carnet d'adresses, fusion et profil =====
+import { COLONNES_PAIEMENT } from './paiements.js';
+import { journaliser } from './audit.js';
+
+// Chiffres seuls, préfixe international 00 ramené à la forme +XXX (+221 77... = 0022177...)
+export const cleTelephone = (telephone) => String(telephone || '').replace(/\D/g, '').replace(/^00/, '') || null;
+
+export const cleEmail = (email) => String(email || '').trim().toLowerCase() || null;
+
+const CHAMPS_COMPLETABLES = ['prenom', 'telephone', 'email', 'adresse'];
+
+// Client correspondant au téléphone ou à l'email (le téléphone l'emporte), verrouillé jusqu'au COMMIT
+const trouverClient = async (client, telephone, email) => {
+  const result = await client.query(
+    `SELECT * FROM clients
+     WHERE telephone_normalise = $1 OR email_normalise = $2
+     ORDER BY (telephone_normalise = $1) IS TRUE DESC, id
+     LIMIT 1
+     FOR UPDATE`,
+    [telephone, email]
+  );
+  return result.rows[0] || null;
+};
+
+/*
+ * Complète les champs vides d'un client existant (jamais d'écrasement : la fiche a pu être
+ * corrigée à la main). Un téléphone ou un email déjà porté par un autre client n'est pas repris.
+ */
+const completerClient = async (client, existant, contact) => {
+  const manquants = CHAMPS_COMPLETABLES.filter(c => !existant[c] && contact[c]);
+  if (manquants.length === 0) return existant;
+
+  const libre = async (colonne, cle) => {
+    if (!cle || existant[colonne]) return false;
+    const result = await client.query(`SELECT 1 FROM clients WHERE ${colonne} = $1`, [cle]);
+    return result.rows.length === 0;
+  };
+  const telephone = cleTelephone(contact.telephone);
+  const email = cleEmail(contact.email);
+  const telephoneLibre = await libre('telephone_normalise', telephone);
+  const emailLibre = await libre('email_normalise', email);
+
+  const result = await client.query(
+    `UPDATE clients SET
+       prenom = COALESCE(prenom, $2), adresse = COALESCE(adresse, $3),
+       telephone = COALESCE($4, telephone), telephone_normalise = COALESCE($5, telephone_normalise),
+       email = COALESCE($6, email), email_normalise = COALESCE($7, email_normalise),
+       date_modification = NOW()
+     WHERE id = $1 RETURNING *`,
+    [
+      existant.id, contact.prenom || null, contact.adresse || null,
+      telephoneLibre ? contact.telephone : null, telephoneLibre ? telephone : null,
+      emailLibre ? contact.email : null, emailLibre ? email : null
+    ]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Client d'un contact { nom, prenom, telephone, email, adresse } : retrouvé par téléphone ou email
+ * normalisé (champs vides complétés), sinon créé. null si le contact n'a ni téléphone ni email.
+ * À appeler dans une transaction.
+ */
+export const identifierClient = async (client, contact) => {
+  const telephone = cleTelephone(contact.telephone);
+  const email = cleEmail(contact.email);
+  if (!telephone && !email) return null;
+
+  const existant = await trouverClient(client, telephone, email);
+  if (existant) return completerClient(client, existant, contact);
+
+  // Création simultanée du même client par une autre transaction : on reprend le sien
+  const result = await client.query(
+    `INSERT INTO clients (nom, prenom, telephone, email, adresse, telephone_normalise, email_normalise)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT DO NOTHING
+     RETURNING *`,
+    [contact.nom, contact.prenom || null, telephone ? contact.telephone : null, email ? contact.email : null,
+      contact.adresse || null, telephone, email]
+  );
+  return result.rows[0] || trouverClient(client, telephone, email);
+};
+
+/**
+ * Ajoute (ou compte une utilisation de plus pour) un destinataire dans le carnet d'un client.
+ * Le nom et l'adresse les plus récents remplacent les précédents.
+ */
+export const memoriserAdresse = async (client, clientId, { nom, telephone, adresse }) => {
+  const result = await client.query(
+    `INSERT INTO adresses_clients (client_id, nom, telephone, telephone_normalise, adresse, utilisations, derniere_utilisation)
+     VALUES ($1, $2, $3, $4, $5, 1, NOW())
+     ON CONFLICT (client_id, telephone_normalise) DO UPDATE SET
+       nom = EXCLUDED.nom, telephone = EXCLUDED.telephone, adresse = EXCLUDED.adresse,
+       utilisations = adresses_clients.utilisations + 1, derniere_utilisation = NOW()
+     RETURNING *`,
+    [clientId, nom, telephone, cleTelephone(telephone), adresse]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Rattache un colis à ses clients expéditeur et destinataire. Avec `carnet` (création du colis),
+ * le destinataire entre dans le carnet d'adresses de l'expéditeur. Retourne le colis à jour.
+ */
+export const lierColis = async (client, colis, { carnet = false } = {}) => {
+  const expediteur = await identifierClient(client, {
+    nom: colis.nom_expediteur, telephone: colis.telephone_expediteur, adresse: colis.adresse_expediteur
+  });
+  const destinataire = await identifierClient(client, {
+    nom: colis.nom_destinataire, telephone: colis.telephone_destinataire, adresse: colis.adresse_destinataire
+  });
+
+  if (carnet && expediteur && cleTelephone(colis.telephone_destinataire)) {
+    await memoriserAdresse(client, expediteur.id, {
+      nom: colis.nom_destinataire, telephone: colis.telephone_destinataire, adresse: colis.adresse_destinataire
+    });
+  }
+
+  const expediteurId = expediteur ? expediteur.id : null;
+  const destinataireId = destinataire ? destinataire.id : null;
+  if (colis.expediteur_id === expediteurId && colis.destinataire_id === destinataireId) return colis;
+
+  const result = await client.query(
+    'UPDATE colis SET expediteur_id = $1, destinataire_id = $2 WHERE id = $3 RETURNING *',
+    [expediteurId, destinataireId, colis.id]
+  );
+  return result.rows[0];
+};
+
+// Rattache une réservation au client titulaire. Retourne la réservation à jour.
+export const lierReservation = async (client, reservation) => {
+  const titulaire = await identifierClient(client, {
+    nom: reservation.nom, prenom: reservation.prenom, telephone: reservation.telephone, email: reservation.email
+  });
+
+  const clientId = titulaire ? titulaire.id : null;
+  if (reservation.client_id === clientId) return reservation;
+
+  const result = await client.query(
+    'UPDATE reservations SET client_id = $1 WHERE id = $2 RETURNING *',
+    [clientId, reservation.id]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Fusionne les doublons `sources` dans le client `cible` : colis, réservations et carnet d'adresses
+ * passent à la cible (utilisations cumulées pour un même destinataire), les champs vides de la cible
+ * sont complétés puis les doublons supprimés. À appeler dans une transaction.
+ * Retourne { client, fusionnes } ou { erreur, status }.
+ */
+export const fusionnerClients = async (client, auteur, cibleId, sourceIds) => {
+  const ids = [...new Set(sourceIds.map(Number))].filter(id => id !== Number(cibleId));
+  if (ids.length === 0) return { status: 400, erreur: 'Aucun doublon à fusionner (client_ids)' };
+
+  const verrous = await client.query('SELECT * FROM clients WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE', [[Number(cibleId), ...ids]]);
+  const cible = verrous.rows.find(c => c.id === Number(cibleId));
+  if (!cible) return { status: 404, erreur: 'Client non trouvé' };
+  const sources = verrous.rows.filter(c => c.id !== cible.id);
+  const introuvables = ids.filter(id => !sources.some(s => s.id === id));
+  if (introuvables.length > 0) return { status: 404, erreur: `Client(s) introuvable(s): ${introuvables.join(', ')}` };
+
+  for (const source of sources) {
+    await client.query('UPDATE colis SET expediteur_id = $1 WHERE expediteur_id = $2', [cible.id, source.id]);
+    await client.query('UPDATE colis SET destinataire_id = $1 WHERE destinataire_id = $2', [cible.id, source.id]);
+    await client.query('UPDATE reservations SET client_id = $1 WHERE client_id = $2', [cible.id, source.id]);
+
+    // Destinataire déjà au carnet de la cible : utilisations cumulées, sinon l'adresse change de client
+    await client.query(
+      `UPDATE adresses_clients a SET
+         utilisations = a.utilisations + s.utilisations,
+         derniere_utilisation = GREATEST(a.derniere_utilisation, s.derniere_utilisation)
+       FROM adresses_clients s
+       WHERE a.client_id = $1 AND s.client_id = $2 AND s.telephone_normalise = a.telephone_normalise`,
+      [cible.id, source.id]
+    );
+    await client.query(
+      `UPDATE adresses_clients SET client_id = $1
+       WHERE client_id = $2
+         AND telephone_normalise NOT IN (SELECT telephone_normalise FROM adresses_clients WHERE client_id = $1)`,
+      [cible.id, source.id]
+    );
+    // Le client source, et ses adresses en double, disparaissent (ON DELETE CASCADE)
+    await client.query('DELETE FROM clients WHERE id = $1', [source.id]);
+    await journaliser(client, auteur, { entite: 'clients', entite_id: source.id, action: 'suppression', avant: source });
+  }
+
+  // Téléphone et email des doublons repris seulement après leur suppression (index uniques)
+  const complement = (champ) => sources.map(s => s[champ]).find(Boolean) || null;
+  const result = await client.query(
+    `UPDATE clients SET
+       prenom = COALESCE(prenom, $2), adresse = COALESCE(adresse, $3),
+       telephone = COALESCE(telephone, $4), telephone_normalise = COALESCE(telephone_normalise, $5),
+       email = COALESCE(email, $6), email_normalise = COALESCE(email_normalise, $7),
+       notes = COALESCE(notes, $8), date_modification = NOW()
+     WHERE id = $1 RETURNING *`,
+    [
+      cible.id, complement('prenom'), complement('adresse'),
+      cible.telephone_normalise ? null : complement('telephone'),
+      cible.telephone_normalise ? null : cleTelephone(complement('telephone')),
+      cible.email_normalise ? null : complement('email'),
+      cible.email_normalise ? null : cleEmail(complement('email')),
+      complement('notes')
+    ]
+  );
+  await journaliser(client, auteur, { entite: 'clients', entite_id: cible.id, action: 'modification', avant: cible, apres: result.rows[0] });
+
+  return { client: result.rows[0], fusionnes: sources.map(s => s.id) };
+};
+
+/**
+ * Profil d'un client : fiche, carnet d'adresses, colis envoyés et reçus, réservations (hors
+ * corbeille, du plus récent au plus ancien) et valeur client. La valeur vie cumule le montant dû
+ * des colis envoyés et des réservations (un élément annulé ne compte pas). null si introuvable.
+ */
+export const profilClient = async (db, id) => {
+  const fiche = await db.query('SELECT * FROM clients WHERE id = $1', [id]);
+  if (fiche.rows.length === 0) return null;
+
+  const colis = (colonne) => db.query(
+    `SELECT c.id, c.numero_suivi, c.statut, c.nom_expediteur, c.nom_destinataire, c.poids, c.date_creation,
+            c.creneau_id, ce.lieu_depart, ce.destination, ce.date_expedition, c.prix_total, c.montant_paye,
+            ${COLONNES_PAIEMENT.colis}
+     FROM colis c
+     LEFT JOIN creneaux_expedition ce ON c.creneau_id = ce.id
+     WHERE c.${colonne} = $1 AND c.supprime_le IS NULL
+     ORDER BY c.date_creation DESC, c.id DESC`,
+    [id]
+  );
+
+  const [adresses, envoyes, recus, reservations] = await Promise.all([
+    db.query('SELECT * FROM adresses_clients WHERE client_id = $1 ORDER BY utilisations DESC, derniere_utilisation DESC NULLS LAST, id', [id]),
+    colis('expediteur_id'),
+    colis('destinataire_id'),
+    db.query(
+      `SELECT r.id, r.statut, r.lieu_depart, r.destination, r.date_depart, r.date_retour, r.nombre_passagers,
+              r.classe, r.voyage_id, r.montant_total, r.montant_paye, r.created_at, ${COLONNES_PAIEMENT.reservations}
+       FROM reservations r
+       WHERE r.client_id = $1 AND r.supprime_le IS NULL
+       ORDER BY r.created_at DESC, r.id DESC`,
+      [id]
+    )
+  ]);
+
+  const somme = (lignes, champ) => lignes.reduce((total, l) => total + parseFloat(l[champ]), 0);
+  const arrondir = (montant) => Math.round(montant * 100) / 100;
+  const payants = [...envoyes.rows, ...reservations.rows];
+  const dates = [...envoyes.rows.map(c => c.date_creation), ...reservations.rows.map(r => r.created_at)]
+    .filter(Boolean).map(d => new Date(d));
+
+  return {
+    ...fiche.rows[0],
+    statistiques: {
+      colis_envoyes: envoyes.rows.length,
+      colis_recus: recus.rows.length,
+      reservations: reservations.rows.length,
+      valeur_vie: arrondir(somme(payants, 'montant_du')),
+      total_paye: arrondir(somme(payants, 'montant_paye')),
+      solde: arrondir(somme(payants, 'solde')),
+      premiere_activite: dates.length > 0 ? new Date(Math.min(...dates)) : null,
+      derniere_activite: dates.length > 0 ? new Date(Math.max(...dates)) : null
+    },
+    adresses: adresses.rows,
+    colis_envoyes: envoyes.rows,
+    colis_recus: recus.rows,
+    reservations: reservations.rows
+  };
+};
+
+// Autre client portant déjà ce téléphone ou cet email (index uniques), null sinon
+export const clientEnConflit = async (db, { telephone, email }, idExclu = null) => {
+  const result = await db.query(
+    `SELECT id, nom, prenom FROM clients
+     WHERE (telephone_normalise = $1 OR email_normalise = $2) AND id IS DISTINCT FROM $3
+     LIMIT 1`,
+    [cleTelephone(telephone), cleEmail(email), idExclu]
+  );
+  return result.rows[0] || null;
+};
@@ -0,0 +1,74 @@
+// ===== Colis : création (la validation passe par SCHEMA_COLIS) =====
+import { verifierCapaciteCreneau, actualiserStatutCreneaux } from './capaciteCreneaux.js';
+import { calculerDevis } from './tarification.js';
+import { enregistrerEvenement } from './suiviColis.js';
+import { lierColis } from './clients.js';
+
+export const TYPES_COLIS = ['document', 'vetements', 'electronique', 'nourriture', 'autre'];
+export const METHODES_PAIEMENT = ['especes', 'carte', 'virement', 'mobile'];
+
+// Numéro de suivi unique
+export const genererNumeroSuivi = () =>
+  'COL' + Date.now() + Math.random().toString(36).substr(2, 9).toUpperCase();
+
+/**
+ * Crée un colis validé par SCHEMA_COLIS : contrôle de capacité du créneau (verrouillé jusqu'au COMMIT),
+ * prix figé, statut complet du créneau, rattachement aux clients (le destinataire entre dans le carnet
+ * d'adresses de l'expéditeur) et premier événement de suivi. À appeler dans une transaction.
+ * Retourne { colis } ou { erreur }.
+ */
+export const creerColis = async (client, donnees) => {
+  let lieuDepart = null;
+  let devis = null;
+  if (donnees.creneau_id) {
+    const { creneau, erreur } = await verifierCapaciteCreneau(client, donnees.creneau_id, donnees.poids);
+    if (erreur) return { erreur };
+    lieuDepart = creneau.lieu_depart;
+
+    // Le prix est calculé et figé sur le colis à sa création
+    const tarif = await calculerDevis(client, creneau, donnees);
+    if (tarif.erreur) return { erreur: tarif.erreur };
+    devis = tarif.devis;
+  }
+
+  const result = await client.query(
+    `INSERT INTO colis 
+    (creneau_id, numero_suivi, nom_expediteur, telephone_expediteur, adresse_expediteur, 
+     nom_destinataire, telephone_destinataire, adresse_destinataire, type_colis, poids, 
+     description, valeur_declaree, assurance, methode_paiement, prix_total, detail_prix, code_promo)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) 
+    RETURNING *`,
+    [
+      donnees.creneau_id,
+      genererNumeroSuivi(),
+      donnees.nom_expediteur,
+      donnees.telephone_expediteur,
+      donnees.adresse_expediteur,
+      donnees.nom_destinataire,
+      donnees.telephone_destinataire,
+      donnees.adresse_destinataire,
+      donnees.type_colis || 'document',
+      donnees.poids,
+      donnees.description,
+      donnees.valeur_declaree || 0,
+      donnees.assurance || false,
+      donnees.methode_paiement || 'especes',
+      devis ? devis.total : null,
+      devis ? JSON.stringify(devis) : null,
+      devis ? devis.code_promo : null
+    ]
+  );
+
+  // Le colis peut prendre la dernière place du créneau
+  await actualiserStatutCreneaux(client, [donnees.creneau_id]);
+  const colis = await lierColis(client, result.rows[0], { carnet: true });
+
+  await enregistrerEvenement(client, {
+    colis_id: colis.id,
+    statut: colis.statut,
+    lieu: lieuDepart,
+    commentaire: 'Colis enregistré'
+  });
+
+  return { colis };
+};
@@ -0,0 +1,68 @@
+// ===== Corbeille : suppression douce, restauration et purge =====
+import { withTransaction } from '../db.js';
+
+// Durée de conservation dans la corbeille avant suppression définitive
+export const RETENTION_CORBEILLE_JOURS = parseInt(process.env.CORBEILLE_RETENTION_JOURS) || 30;
+
+/**
+ * Met une ligne active à la corbeille. Retourne la ligne supprimée, ou undefined si elle
+ * n'existe pas ou est déjà à la corbeille. `table` est un nom de table du code, jamais une saisie.
+ */
+export const mettreALaCorbeille = async (client, table, id, utilisateurId = null) => {
+  const result = await client.query(
+    `UPDATE ${table} SET supprime_le = NOW(), supprime_par = $2
+     WHERE id = $1 AND supprime_le IS NULL
+     RETURNING *`,
+    [id, utilisateurId]
+  );
+  return result.rows[0];
+};
+
+// Sort une ligne de la corbeille (à appeler une fois les contraintes revérifiées)
+export const sortirDeLaCorbeille = async (client, table, id) => {
+  const result = await client.query(
+    `UPDATE ${table} SET supprime_le = NULL, supprime_par = NULL WHERE id = $1 RETURNING *`,
+    [id]
+  );
+  return result.rows[0];
+};
+
+// Colis d'abord : un créneau n'est purgé qu'une fois débarrassé de tous ses colis (clé étrangère RESTRICT)
+const PURGES = [
+  { entite: 'colis', table: 'colis' },
+  { entite: 'reservations', table: 'reservations' },
+  {
+    entite: 'creneaux',
+    table: 'creneaux_expedition',
+    condition: 'AND NOT EXISTS (SELECT 1 FROM colis c WHERE c.creneau_id = t.id)'
+  }
+];
+
+/**
+ * Supprime définitivement ce qui est dans la corbeille depuis plus de `jours` jours.
+ * Chaque ligne purgée est recopiée dans le journal d'audit (action purge, différences au même format
+ * que services/audit.js), le tout dans une transaction.
+ * Retourne le nombre de lignes purgées par entité.
+ */
+export const purgerCorbeille = ({ jours = RETENTION_CORBEILLE_JOURS } = {}) =>
+  withTransaction(async (client) => {
+    const bilan = {};
+    for (const { entite, table, condition = '' } of PURGES) {
+      const result = await client.query(
+        `WITH purges AS (
+           DELETE FROM ${table} t
+           WHERE t.supprime_le < NOW() - make_interval(days => $1) ${condition}
+           RETURNING t.id, to_jsonb(t) AS ligne
+         )
+         INSERT INTO journal_audit (entite, entite_id, action, differences)
+         SELECT $2, p.id, 'purge',
+                (SELECT jsonb_object_agg(cle, jsonb_build_object('avant', valeur, 'apres', NULL))
+                 FROM jsonb_each(p.ligne) AS champs(cle, valeur)
+                 WHERE valeur <> 'null'::jsonb)
+         FROM purges p`,
+        [jours, entite]
+      );
+      bilan[entite] = result.rowCount;
+    }
+    return bilan;
+  });
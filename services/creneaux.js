@@ -0,0 +1,49 @@
+// ===== Créneaux d'expédition : création (la validation passe par SCHEMA_CRENEAU) et statuts =====
+import { creerMachineEtats } from './machineEtats.js';
+
+export const TYPES_TRANSPORT = ['standard', 'express', 'prioritaire'];
+
+export const STATUTS_CRENEAU = ['ouvert', 'complet', 'cloture', 'parti', 'arrive', 'annule'];
+
+// Transitions autorisées : ouvert <-> complet suit l'occupation (actualiserStatutCreneaux),
+// cloture et annule sont posés par les agents. arrive et annule sont finaux.
+export const TRANSITIONS_CRENEAU = {
+  ouvert: ['complet', 'cloture', 'parti', 'annule'],
+  complet: ['ouvert', 'cloture', 'parti', 'annule'],
+  cloture: ['ouvert', 'parti', 'annule'],
+  parti: ['arrive'],
+  arrive: [],
+  annule: []
+};
+
+export const {
+  transitionAutorisee: transitionCreneauAutorisee,
+  messageTransitionInvalide: messageTransitionCreneau
+} = creerMachineEtats(TRANSITIONS_CRENEAU);
+
+// Créneaux qui acceptent des colis (pour un créneau complet, le contrôle de capacité tranche :
+// un colis déjà rattaché peut encore changer de poids)
+export const STATUTS_CRENEAU_AFFECTABLES = ['ouvert', 'complet'];
+
+// Insertion d'un créneau validé
+export const creerCreneau = async (db, creneau) => {
+  const result = await db.query(
+    `INSERT INTO creneaux_expedition 
+    (heure_depart, lieu_depart, destination, capacite_max, frais_par_kg, poids_max_colis, capacite_poids_max, type_transport, date_expedition)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
+    RETURNING *`,
+    [
+      creneau.heure_depart,
+      creneau.lieu_depart,
+      creneau.destination,
+      creneau.capacite_max,
+      creneau.frais_par_kg,
+      creneau.poids_max_colis,
+      creneau.capacite_poids_max || null,
+      creneau.type_transport || 'standard',
+      creneau.date_expedition
+    ]
+  );
+
+  return result.rows[0];
+};
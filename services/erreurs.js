@@ -0,0 +1,21 @@
+// ===== Erreurs métier =====
+
+// Erreur avec code HTTP, levée dans une transaction pour forcer le ROLLBACK.
+// Le gestionnaire global de server.js la renvoie sous la forme { error: message }.
+export class ErreurMetier extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ErreurMetier';
+    this.status = status;
+  }
+}
+
+// Données invalides : errors liste chaque champ en erreur { champ, code, message }.
+// Le gestionnaire global de server.js la renvoie en 422.
+export class ValidationError extends Error {
+  constructor(errors) {
+    super('Erreur de validation');
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
@@ -0,0 +1,133 @@
+// ===== Export CSV / XLSX en flux (sans limite de lignes) =====
+import QueryStream from 'pg-query-stream';
+import ExcelJS from 'exceljs';
+import pool from '../db.js';
+
+export const FORMATS_EXPORT = ['csv', 'xlsx'];
+
+// Point-virgule : séparateur attendu par Excel en français
+const SEPARATEUR_CSV = process.env.EXPORT_CSV_SEPARATEUR || ';';
+
+// Colonnes exportées, dans l'ordre (les noms sont ceux attendus par l'import)
+export const COLONNES_EXPORT = {
+  colis: [
+    'id', 'numero_suivi', 'statut', 'creneau_id', 'lieu_depart', 'destination', 'date_expedition',
+    'nom_expediteur', 'telephone_expediteur', 'adresse_expediteur',
+    'nom_destinataire', 'telephone_destinataire', 'adresse_destinataire',
+    'type_colis', 'poids', 'description', 'valeur_declaree', 'assurance', 'methode_paiement',
+    'prix_total', 'montant_paye', 'solde', 'statut_paiement', 'code_promo', 'date_creation'
+  ],
+  reservations: [
+    'id', 'statut', 'nom', 'prenom', 'email', 'telephone', 'lieu_depart', 'destination',
+    'date_depart', 'date_retour', 'nombre_passagers', 'classe', 'voyage_id', 'montant_total',
+    'montant_paye', 'solde', 'statut_paiement', 'motif_annulation', 'created_at'
+  ],
+  creneaux: [
+    'id', 'date_expedition', 'heure_depart', 'lieu_depart', 'destination', 'type_transport', 'statut',
+    'capacite_max', 'nombre_colis_actuels', 'places_restantes', 'frais_par_kg', 'poids_max_colis',
+    'capacite_poids_max', 'poids_actuel', 'planning_id', 'date_creation'
+  ]
+};
+
+const deuxChiffres = (n) => String(n).padStart(2, '0');
+
+// Les colonnes DATE arrivent à minuit (heure locale) : elles sont exportées sans heure
+const formaterDate = (date) =>
+  date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0 && date.getMilliseconds() === 0
+    ? `${date.getFullYear()}-${deuxChiffres(date.getMonth() + 1)}-${deuxChiffres(date.getDate())}`
+    : date.toISOString();
+
+// Un texte saisi par un client (nom, adresse, description...) commençant par = + - @ serait
+// évalué comme une formule par Excel ou LibreOffice à l'ouverture du CSV
+const DEBUT_FORMULE = /^[=+\-@\t\r]/;
+const NOMBRE = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+
+// Apostrophe devant le texte : affiché tel quel, jamais calculé (retirée par l'import CSV)
+const neutraliserFormule = (texte) => DEBUT_FORMULE.test(texte) && !NOMBRE.test(texte) ? `'${texte}` : texte;
+
+const valeurCsv = (valeur) => {
+  if (valeur === null || valeur === undefined) return '';
+  const texte = valeur instanceof Date ? formaterDate(valeur)
+    : typeof valeur === 'object' ? JSON.stringify(valeur)
+    : typeof valeur === 'string' ? neutraliserFormule(valeur)
+    : String(valeur);
+  return /[";\n\r,]/.test(texte) ? `"${texte.replace(/"/g, '""')}"` : texte;
+};
+
+// Les NUMERIC de pg sont des chaînes : converties en nombres pour Excel (sans toucher aux téléphones).
+// Les autres chaînes sont écrites en cellules texte, jamais en formules : ExcelJS ne crée une formule
+// que pour un objet { formula }, d'où la conversion en JSON des objets (jsonb)
+const valeurXlsx = (valeur) => {
+  if (typeof valeur === 'string' && /^-?(0|[1-9]\d{0,14})(\.\d+)?$/.test(valeur)) return Number(valeur);
+  if (valeur !== null && typeof valeur === 'object' && !(valeur instanceof Date)) return JSON.stringify(valeur);
+  return valeur;
+};
+
+// Écrit en respectant la contre-pression ; s'arrête si le client a fermé la connexion
+const attendreVidage = (res) => new Promise(resolve => {
+  const fin = () => {
+    res.off('drain', fin);
+    res.off('close', fin);
+    resolve();
+  };
+  res.on('drain', fin);
+  res.on('close', fin);
+});
+
+const ecrireCsv = async (res, flux, colonnes) => {
+  // BOM UTF-8 pour qu'Excel affiche correctement les accents
+  res.write('\uFEFF' + colonnes.join(SEPARATEUR_CSV) + '\r\n');
+  for await (const ligne of flux) {
+    if (res.destroyed) break;
+    const texte = colonnes.map(c => valeurCsv(ligne[c])).join(SEPARATEUR_CSV) + '\r\n';
+    if (!res.write(texte)) await attendreVidage(res);
+  }
+  res.end();
+};
+
+const ecrireXlsx = async (res, flux, colonnes, feuille) => {
+  const classeur = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+  const onglet = classeur.addWorksheet(feuille);
+  onglet.columns = colonnes.map(c => ({ header: c, key: c, width: 18 }));
+
+  for await (const ligne of flux) {
+    if (res.destroyed) break;
+    onglet.addRow(colonnes.map(c => valeurXlsx(ligne[c]))).commit();
+    if (res.writableNeedDrain) await attendreVidage(res);
+  }
+
+  onglet.commit();
+  await classeur.commit();
+};
+
+/**
+ * Exécute `texte` avec un curseur et envoie les lignes au fur et à mesure (CSV ou XLSX).
+ * Une erreur après l'envoi des en-têtes interrompt la réponse (le fichier reçu est tronqué).
+ */
+export const exporterRequete = async (res, { texte, params, colonnes, format, nom }) => {
+  const client = await pool.connect();
+  let erreurClient = null;
+
+  try {
+    const flux = client.query(new QueryStream(texte, params, { batchSize: 500 }));
+    const fichier = `${nom}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${fichier}"`);
+
+    if (format === 'xlsx') await ecrireXlsx(res, flux, colonnes, nom);
+    else await ecrireCsv(res, flux, colonnes);
+  } catch (error) {
+    erreurClient = error;
+    if (!res.headersSent) throw error;
+    console.error('❌ Export interrompu:', error);
+    res.destroy(error);
+  } finally {
+    // Connexion détruite si le curseur n'a pas été lu jusqu'au bout
+    client.release(erreurClient || res.destroyed ? true : undefined);
+  }
+};
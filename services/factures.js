@@ -0,0 +1,260 @@
+// ===== Factures et avoirs : lignes, taxes et numérotation continue par année =====
+import { lireElement } from './paiements.js';
+
+export const TYPES_DOCUMENT = ['facture', 'avoir'];
+export const ENTITES_FACTURE = ['colis', 'reservations'];
+
+const PREFIXES = { facture: 'FAC', avoir: 'AV' };
+
+// Taux de TVA en % par activité (0 accepté : activité exonérée)
+const taux = (variable, defaut) =>
+  process.env[variable] !== undefined && process.env[variable] !== '' ? parseFloat(process.env[variable]) : defaut;
+
+export const TAUX_TVA = {
+  colis: taux('FACTURES_TVA_COLIS', 20),
+  reservations: taux('FACTURES_TVA_VOYAGES', 10)
+};
+
+const arrondir = (montant) => Math.round(montant * 100) / 100;
+// Prix unitaire HT à 4 décimales : quantité x prix unitaire retombe sur le montant HT de la ligne
+const arrondirUnitaire = (prix) => Math.round(prix * 10000) / 10000;
+
+/*
+ * Les prix enregistrés (prix_total du colis, montant_total de la réservation) sont TTC : c'est ce que
+ * le client paie et ce que le registre des paiements compte comme montant dû. Les lignes sont donc
+ * établies en TTC, le HT et la TVA en sont déduits.
+ */
+const ligne = (libelle, quantite, unite, prixUnitaireTtc, montantTtc = quantite * prixUnitaireTtc) => ({
+  libelle,
+  quantite: arrondir(quantite),
+  unite,
+  prix_unitaire_ttc: arrondir(prixUnitaireTtc),
+  montant_ttc: arrondir(montantTtc)
+});
+
+const horsTaxes = (ttc, tauxTva) => arrondir(ttc / (1 + tauxTva / 100));
+
+/*
+ * Lignes d'un colis : poids x frais_par_kg, puis le détail du prix figé à la création (majoration du
+ * transport, supplément, minimum de perception, remise, assurance) pour que le total TTC corresponde.
+ */
+const lignesColis = (colis) => {
+  const route = `${colis.lieu_depart} > ${colis.destination}`;
+  const devis = colis.detail_prix;
+  if (!devis) {
+    return [ligne(`Expédition colis ${colis.numero_suivi} (${route})`, parseFloat(colis.poids), 'kg', parseFloat(colis.frais_par_kg))];
+  }
+
+  const lignes = [ligne(`Expédition colis ${colis.numero_suivi} (${route})`, devis.poids, 'kg', devis.frais_par_kg, devis.base)];
+  if (devis.montant_transport !== devis.base) {
+    lignes.push(ligne(`Transport ${devis.type_transport} (x${devis.multiplicateur_transport})`, 1, 'forfait',
+      devis.montant_transport - devis.base));
+  }
+  if (devis.supplement_type_colis > 0) {
+    lignes.push(ligne(`Supplément ${devis.type_colis}`, 1, 'forfait', devis.supplement_type_colis));
+  }
+  const fret = devis.total - devis.prime_assurance + devis.remise;
+  const complement = arrondir(fret - devis.montant_transport - devis.supplement_type_colis);
+  if (devis.minimum_applique && complement > 0) {
+    lignes.push(ligne('Complément minimum de perception', 1, 'forfait', complement));
+  }
+  if (devis.remise > 0) lignes.push(ligne(`Remise ${devis.code_promo}`, 1, 'forfait', -devis.remise));
+  if (devis.prime_assurance > 0) {
+    lignes.push(ligne(`Assurance (valeur déclarée ${colis.valeur_declaree} €)`, 1, 'forfait', devis.prime_assurance));
+  }
+  return lignes;
+};
+
+// Lignes d'une réservation : tarif figé à la réservation (montant_total) réparti par passager
+const lignesReservation = (reservation) => {
+  const passagers = parseInt(reservation.nombre_passagers);
+  const prix = parseFloat(reservation.montant_total) / passagers;
+  const depart = new Date(reservation.date_depart).toLocaleDateString('fr-FR');
+
+  return [ligne(
+    `Voyage ${reservation.lieu_depart} > ${reservation.destination} du ${depart}, classe ${reservation.classe}`,
+    passagers, 'passager', prix, parseFloat(reservation.montant_total)
+  )];
+};
+
+// HT des lignes, une ligne de TVA et totaux à partir des lignes TTC. L'écart d'arrondi entre la
+// somme des lignes HT et le total HT est reporté sur la dernière ligne. Le prix unitaire HT est
+// déduit du montant HT arrondi de la ligne (et non du prix unitaire TTC) pour que la ligne imprimée
+// se vérifie : 7,3 kg x 4,1671 = 30,42.
+const totaliser = (lignesTtc, tauxTva) => {
+  const totalTtc = arrondir(lignesTtc.reduce((somme, l) => somme + l.montant_ttc, 0));
+  const totalHt = horsTaxes(totalTtc, tauxTva);
+  const lignes = lignesTtc.map(l => ({ ...l, montant_ht: horsTaxes(l.montant_ttc, tauxTva) }));
+  const ecart = arrondir(totalHt - lignes.reduce((somme, l) => somme + l.montant_ht, 0));
+  if (ecart !== 0 && lignes.length > 0) {
+    const derniere = lignes[lignes.length - 1];
+    derniere.montant_ht = arrondir(derniere.montant_ht + ecart);
+  }
+  for (const l of lignes) {
+    l.prix_unitaire_ht = l.quantite !== 0 ? arrondirUnitaire(l.montant_ht / l.quantite) : 0;
+  }
+
+  const totalTaxes = arrondir(totalTtc - totalHt);
+  const taxes = [{ libelle: `TVA ${tauxTva} %`, taux: tauxTva, base_ht: totalHt, montant: totalTaxes }];
+  return { lignes, taxes, total_ht: totalHt, total_taxes: totalTaxes, total_ttc: totalTtc };
+};
+
+/*
+ * Élément à facturer verrouillé jusqu'au COMMIT (deux émissions simultanées ne peuvent pas
+ * facturer deux fois le même colis), avec son client et ses lignes. { erreur, status } sinon.
+ */
+const preparerFacture = async (client, entite, id) => {
+  if (entite === 'colis') {
+    const result = await client.query(
+      `SELECT c.*, ce.lieu_depart, ce.destination, ce.frais_par_kg
+       FROM colis c
+       LEFT JOIN creneaux_expedition ce ON c.creneau_id = ce.id
+       WHERE c.id = $1 AND c.supprime_le IS NULL
+       FOR UPDATE OF c`,
+      [id]
+    );
+    const colis = result.rows[0];
+    if (!colis) return { status: 404, erreur: 'Colis non trouvé' };
+    if (colis.statut === 'annule') return { status: 409, erreur: 'Un colis annulé ne peut pas être facturé' };
+    if (!colis.detail_prix && !colis.frais_par_kg) return { status: 409, erreur: 'Colis sans créneau ni prix : facturation impossible' };
+
+    return {
+      client: { nom: colis.nom_expediteur, telephone: colis.telephone_expediteur, adresse: colis.adresse_expediteur },
+      ...totaliser(lignesColis(colis), TAUX_TVA.colis)
+    };
+  }
+
+  const result = await client.query(
+    'SELECT * FROM reservations WHERE id = $1 AND supprime_le IS NULL FOR UPDATE',
+    [id]
+  );
+  const reservation = result.rows[0];
+  if (!reservation) return { status: 404, erreur: 'Réservation non trouvée' };
+  if (reservation.statut === 'annulee') return { status: 409, erreur: 'Une réservation annulée ne peut pas être facturée' };
+  if (reservation.montant_total === null) return { status: 409, erreur: 'Réservation sans montant : facturation impossible' };
+
+  return {
+    client: {
+      nom: `${reservation.prenom} ${reservation.nom}`,
+      email: reservation.email,
+      telephone: reservation.telephone
+    },
+    ...totaliser(lignesReservation(reservation), TAUX_TVA.reservations)
+  };
+};
+
+// Numéro suivant du type pour l'année en cours (ligne du compteur verrouillée jusqu'au COMMIT)
+const prochainNumero = async (client, type) => {
+  const result = await client.query(
+    `INSERT INTO compteurs_factures (type, annee, dernier_numero)
+     VALUES ($1, EXTRACT(YEAR FROM NOW())::int, 1)
+     ON CONFLICT (type, annee) DO UPDATE SET dernier_numero = compteurs_factures.dernier_numero + 1
+     RETURNING annee, dernier_numero`,
+    [type]
+  );
+  const { annee, dernier_numero: sequence } = result.rows[0];
+  return { annee, sequence, numero: `${PREFIXES[type]}-${annee}-${String(sequence).padStart(6, '0')}` };
+};
+
+const inserer = async (client, auteur, document) => {
+  const { annee, sequence, numero } = await prochainNumero(client, document.type);
+  const result = await client.query(
+    `INSERT INTO factures
+     (type, numero, annee, sequence, entite, entite_id, facture_origine_id, client, lignes, taxes,
+      total_ht, total_taxes, total_ttc, motif, utilisateur_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+     RETURNING *`,
+    [
+      document.type, numero, annee, sequence, document.entite, document.entite_id,
+      document.facture_origine_id || null, document.client, JSON.stringify(document.lignes),
+      JSON.stringify(document.taxes), document.total_ht, document.total_taxes, document.total_ttc,
+      document.motif || null, auteur.utilisateur_id
+    ]
+  );
+  return result.rows[0];
+};
+
+// Montant HT encore créditable d'une facture (total moins les avoirs déjà émis, négatifs)
+const resteCreditable = async (client, facture) => {
+  const result = await client.query(
+    'SELECT COALESCE(SUM(total_ht), 0) as avoirs FROM factures WHERE facture_origine_id = $1',
+    [facture.id]
+  );
+  return arrondir(parseFloat(facture.total_ht) + parseFloat(result.rows[0].avoirs));
+};
+
+/**
+ * Émet la facture d'un colis ou d'une réservation. Un élément déjà facturé ne peut l'être à nouveau
+ * que si ses factures précédentes ont été entièrement annulées par des avoirs.
+ * À appeler dans une transaction. Retourne { facture } ou { erreur, status }.
+ */
+export const emettreFacture = async (client, auteur, { entite, entite_id: entiteId }) => {
+  const preparation = await preparerFacture(client, entite, entiteId);
+  if (preparation.erreur) return preparation;
+
+  // La facture doit reprendre exactement le montant dû du registre des paiements
+  const { montant_du: montantDu } = await lireElement(client, entite, entiteId);
+  if (preparation.total_ttc !== arrondir(parseFloat(montantDu))) {
+    return {
+      status: 409,
+      erreur: `Total TTC calculé (${preparation.total_ttc}) différent du montant dû (${arrondir(parseFloat(montantDu))}) : vérifier le prix avant de facturer`
+    };
+  }
+
+  const existantes = await client.query(
+    `SELECT f.numero
+     FROM factures f
+     WHERE f.type = 'facture' AND f.entite = $1 AND f.entite_id = $2
+       AND f.total_ht + (SELECT COALESCE(SUM(a.total_ht), 0) FROM factures a WHERE a.facture_origine_id = f.id) <> 0`,
+    [entite, entiteId]
+  );
+  if (existantes.rows.length > 0) {
+    return { status: 409, erreur: `Déjà facturé (${existantes.rows.map(f => f.numero).join(', ')}) : émettre d'abord un avoir` };
+  }
+
+  const facture = await inserer(client, auteur, { type: 'facture', entite, entite_id: entiteId, ...preparation });
+  return { facture };
+};
+
+/**
+ * Émet un avoir sur une facture : total (lignes et taxes de la facture en négatif) ou partiel
+ * (`montant_ht`, TVA au taux de la facture). Les avoirs cumulés ne dépassent jamais la facture.
+ * À appeler dans une transaction. Retourne { avoir } ou { erreur, status }.
+ */
+export const emettreAvoir = async (client, auteur, factureId, { motif, montant_ht: montantHt = null }) => {
+  // Le verrou sérialise les avoirs d'une même facture (SELECT ... FOR UPDATE ne déclenche pas l'immuabilité)
+  const result = await client.query('SELECT * FROM factures WHERE id = $1 FOR UPDATE', [factureId]);
+  const facture = result.rows[0];
+  if (!facture) return { status: 404, erreur: 'Facture non trouvée' };
+  if (facture.type !== 'facture') return { status: 409, erreur: 'Un avoir ne peut porter que sur une facture' };
+
+  const reste = await resteCreditable(client, facture);
+  if (reste <= 0) return { status: 409, erreur: `La facture ${facture.numero} est déjà entièrement créditée` };
+
+  const montant = montantHt === null ? reste : arrondir(parseFloat(montantHt));
+  if (montant > reste) return { status: 409, erreur: `Montant supérieur au reste créditable (${reste} HT)` };
+
+  const tauxTva = facture.taxes.length > 0 ? facture.taxes[0].taux : 0;
+  const document = montant === parseFloat(facture.total_ht)
+    ? {
+      lignes: facture.lignes.map(l => ({
+        ...l, quantite: -l.quantite, montant_ht: -l.montant_ht, ...(l.montant_ttc !== undefined && { montant_ttc: -l.montant_ttc })
+      })),
+      taxes: facture.taxes.map(t => ({ ...t, base_ht: -t.base_ht, montant: -t.montant })),
+      total_ht: -parseFloat(facture.total_ht),
+      total_taxes: -parseFloat(facture.total_taxes),
+      total_ttc: -parseFloat(facture.total_ttc)
+    }
+    : totaliser([ligne(`Avoir sur facture ${facture.numero}`, 1, 'forfait', -arrondir(montant * (1 + tauxTva / 100)))], tauxTva);
+
+  const avoir = await inserer(client, auteur, {
+    type: 'avoir',
+    entite: facture.entite,
+    entite_id: facture.entite_id,
+    facture_origine_id: facture.id,
+    client: facture.client,
+    motif,
+    ...document
+  });
+  return { avoir };
+};
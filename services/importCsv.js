@@ -0,0 +1,107 @@
+// ===== Import CSV : lecture du fichier et application ligne par ligne =====
+import { parse } from 'csv-parse/sync';
+import pool from '../db.js';
+import { executerApresCommit } from './transactions.js';
+
+// Séparateur deviné sur la ligne d'en-tête (Excel en français exporte avec des points-virgules)
+const devinerSeparateur = (texte) => {
+  const entete = texte.split(/\r?\n/, 1)[0];
+  return (entete.match(/;/g) || []).length > (entete.match(/,/g) || []).length ? ';' : ',';
+};
+
+// Nombres décimaux saisis à la française (12,5)
+const DECIMAL_VIRGULE = /^-?\d+,\d+$/;
+// Apostrophe ajoutée par l'export devant un texte qui ressemble à une formule (voir neutraliserFormule)
+const FORMULE_NEUTRALISEE = /^'[=+\-@]/;
+
+const lireValeur = (valeur) => {
+  if (DECIMAL_VIRGULE.test(valeur)) return valeur.replace(',', '.');
+  if (FORMULE_NEUTRALISEE.test(valeur)) return valeur.slice(1);
+  return valeur;
+};
+
+// Retourne { lignes } (objets indexés par nom de colonne, cellules vides ignorées) ou { erreur }
+export const lireCsv = (texte) => {
+  try {
+    const lignes = parse(texte, {
+      bom: true,
+      columns: (entete) => entete.map(c => c.trim().toLowerCase()),
+      delimiter: devinerSeparateur(texte.replace(/^\uFEFF/, '')),
+      skip_empty_lines: true,
+      trim: true
+    });
+
+    return {
+      lignes: lignes.map(ligne =>
+        Object.fromEntries(Object.entries(ligne)
+          .filter(([, valeur]) => valeur !== '')
+          .map(([colonne, valeur]) => [colonne, lireValeur(valeur)]))
+      )
+    };
+  } catch (error) {
+    return { erreur: `Fichier CSV invalide: ${error.message}` };
+  }
+};
+
+/**
+ * Applique `importerLigne(client, ligne)` à chaque ligne dans une seule transaction.
+ * importerLigne retourne { erreur } ou { cree } ; chaque ligne a son point de sauvegarde,
+ * une ligne refusée par la base ou par son schéma (ValidationError) est donc rapportée
+ * sans interrompre les suivantes.
+ * La transaction n'est validée que si toutes les lignes passent et que ce n'est pas une simulation.
+ */
+export const importerCsv = async (lignes, importerLigne, { simulation = false } = {}) => {
+  const rapport = { simulation, total: lignes.length, valides: 0, erreurs: [], crees: [] };
+  const client = await pool.connect();
+  client.actionsApresCommit = [];
+
+  try {
+    await client.query('BEGIN');
+
+    for (const [index, ligne] of lignes.entries()) {
+      // Ligne 1 = en-tête
+      const numero = index + 2;
+      await client.query('SAVEPOINT ligne_import');
+      const actionsAvantLigne = client.actionsApresCommit.length;
+
+      let resultat;
+      try {
+        resultat = await importerLigne(client, ligne);
+      } catch (error) {
+        // Champs invalides et erreurs PostgreSQL (contrainte...) : rapportés sur la ligne
+        if (error.name === 'ValidationError') resultat = { erreur: error.message, details: error.errors };
+        else if (error.code) resultat = { erreur: error.message };
+        else throw error;
+      }
+
+      if (resultat.erreur) {
+        await client.query('ROLLBACK TO SAVEPOINT ligne_import');
+        // Les événements temps réel de la ligne annulée ne doivent pas partir
+        client.actionsApresCommit.length = actionsAvantLigne;
+        rapport.erreurs.push({
+          ligne: numero,
+          error: resultat.erreur,
+          ...(resultat.details && { errors: resultat.details })
+        });
+      } else {
+        await client.query('RELEASE SAVEPOINT ligne_import');
+        rapport.valides++;
+        rapport.crees.push(resultat.cree);
+      }
+    }
+
+    const valide = !simulation && rapport.erreurs.length === 0;
+    await client.query(valide ? 'COMMIT' : 'ROLLBACK');
+    if (valide) executerApresCommit(client);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    delete client.actionsApresCommit;
+    client.release();
+  }
+
+  // Rien n'a été créé en simulation ou en cas d'erreur
+  if (simulation || rapport.erreurs.length > 0) rapport.crees = [];
+  return rapport;
+};
@@ -0,0 +1,94 @@
+// ===== Inventaire des places des voyages par classe =====
+
+export const CLASSES = ['Economique', 'Affaires', 'Premiere'];
+
+// Champs d'itinéraire recopiés du voyage sur la réservation
+export const itineraireVoyage = (voyage) => ({
+  lieu_depart: voyage.lieu_depart,
+  destination: voyage.destination,
+  date_depart: voyage.date_depart,
+  date_retour: voyage.date_retour
+});
+
+/**
+ * Décrémente atomiquement les places d'une classe : l'UPDATE conditionnel échoue
+ * s'il ne reste pas assez de places, même en cas de réservations simultanées.
+ * Retourne { voyage, tarif } (tarif = ligne voyage_classes) ou { erreur }.
+ */
+export const reserverPlaces = async (client, voyageId, classe, nombre) => {
+  const voyageResult = await client.query('SELECT * FROM voyages WHERE id = $1', [voyageId]);
+  if (voyageResult.rows.length === 0) return { erreur: 'Voyage introuvable' };
+
+  const voyage = voyageResult.rows[0];
+  if (!voyage.actif) return { erreur: 'Ce voyage n\'est plus proposé' };
+  if (new Date(voyage.date_depart) <= new Date()) return { erreur: 'Ce voyage est déjà parti' };
+
+  const result = await client.query(
+    `UPDATE voyage_classes SET places_restantes = places_restantes - $3
+     WHERE voyage_id = $1 AND classe = $2 AND places_restantes >= $3
+     RETURNING *`,
+    [voyageId, classe, nombre]
+  );
+
+  if (result.rows.length === 0) {
+    const classeResult = await client.query(
+      'SELECT places_restantes FROM voyage_classes WHERE voyage_id = $1 AND classe = $2',
+      [voyageId, classe]
+    );
+    if (classeResult.rows.length === 0) return { erreur: `Classe ${classe} non proposée sur ce voyage` };
+    return { erreur: `Plus assez de places en ${classe}: ${classeResult.rows[0].places_restantes} place(s) restante(s)` };
+  }
+
+  return { voyage, tarif: result.rows[0] };
+};
+
+// Remet des places en vente (annulation, suppression, changement de voyage)
+export const libererPlaces = (client, voyageId, classe, nombre) =>
+  client.query(
+    `UPDATE voyage_classes SET places_restantes = LEAST(places_total, places_restantes + $3)
+     WHERE voyage_id = $1 AND classe = $2`,
+    [voyageId, classe, nombre]
+  );
+
+// Voyage déjà parti : son inventaire est figé (ni places remises en vente, ni places reprises)
+export const voyageParti = async (client, voyageId) => {
+  const result = await client.query('SELECT date_depart <= NOW() as parti FROM voyages WHERE id = $1', [voyageId]);
+  return result.rows.length > 0 && result.rows[0].parti;
+};
+
+/**
+ * Reporte sur l'inventaire le passage d'une réservation de `ancien` à `nouveau`
+ * ({ voyage_id, classe, nombre_passagers }, voyage_id pouvant être nul).
+ * Les nouvelles places sont prises avant de libérer les anciennes : en cas d'erreur rien n'a été modifié.
+ * Retourne { voyage, tarif } pour le nouveau voyage, {} sans voyage, ou { erreur }.
+ */
+export const ajusterPlaces = async (client, ancien, nouveau) => {
+  const nombreAncien = parseInt(ancien.nombre_passagers);
+  const nombreNouveau = parseInt(nouveau.nombre_passagers);
+
+  if (ancien.voyage_id && nouveau.voyage_id &&
+      parseInt(ancien.voyage_id) === parseInt(nouveau.voyage_id) && ancien.classe === nouveau.classe) {
+    const difference = nombreNouveau - nombreAncien;
+    if (difference > 0) return reserverPlaces(client, nouveau.voyage_id, nouveau.classe, difference);
+    if (difference < 0) await libererPlaces(client, ancien.voyage_id, ancien.classe, -difference);
+
+    const [voyageResult, tarifResult] = await Promise.all([
+      client.query('SELECT * FROM voyages WHERE id = $1', [nouveau.voyage_id]),
+      client.query('SELECT * FROM voyage_classes WHERE voyage_id = $1 AND classe = $2', [nouveau.voyage_id, nouveau.classe])
+    ]);
+    return { voyage: voyageResult.rows[0], tarif: tarifResult.rows[0] };
+  }
+
+  let reservation = {};
+  if (nouveau.voyage_id) {
+    reservation = await reserverPlaces(client, nouveau.voyage_id, nouveau.classe, nombreNouveau);
+    if (reservation.erreur) return reservation;
+  }
+  if (ancien.voyage_id) await libererPlaces(client, ancien.voyage_id, ancien.classe, nombreAncien);
+
+  return reservation;
+};
+
+// Montant de la réservation au tarif de la classe
+export const montantReservation = (tarif, nombrePassagers) =>
+  Math.round(parseFloat(tarif.prix) * parseInt(nombrePassagers) * 100) / 100;
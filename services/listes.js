@@ -0,0 +1,323 @@
+// ===== Listes : filtres, tris et pagination (routes GET / et exports) =====
+import { STATUTS_COLIS } from './suiviColis.js';
+import { STATUTS_RESERVATION } from './statutsReservation.js';
+import { CLASSES } from './inventaireVoyages.js';
+import { TYPES_TRANSPORT, STATUTS_CRENEAU } from './creneaux.js';
+import { jourIso } from './validation.js';
+import { conditionRecherche } from './recherche.js';
+import { ENTITES_AUDIT, ACTIONS_AUDIT } from './audit.js';
+import {
+  ENTITES_PAIEMENT,
+  TYPES_PAIEMENT,
+  METHODES_PAIEMENT,
+  STATUTS_TRANSACTION,
+  STATUTS_PAIEMENT,
+  STATUT_PAIEMENT
+} from './paiements.js';
+import { TYPES_DOCUMENT, ENTITES_FACTURE } from './factures.js';
+
+/*
+ * Chaque liste est décrite par son alias SQL, ses colonnes triables, son entité pour le paramètre
+ * search (services/recherche.js : sans accents ni ponctuation, téléphones) et ses filtres.
+ * Avec corbeille: true, les lignes supprimées (supprime_le) sont exclues, ou seules listées en mode corbeille.
+ * Types de filtre (paramètres de query string acceptés) :
+ *   valeurs : une ou plusieurs valeurs séparées par des virgules (ex: statut=en_attente,livre)
+ *   id      : un ou plusieurs identifiants séparés par des virgules
+ *   texte   : égalité sans tenir compte de la casse
+ *   dates   : <param>_du et/ou <param>_au (AAAA-MM-JJ, bornes incluses)
+ *   nombres : <param>_min et/ou <param>_max (bornes incluses)
+ */
+
+const LISTE_COLIS = {
+  alias: 'c',
+  corbeille: true,
+  tris: ['id', 'nom_expediteur', 'nom_destinataire', 'date_creation', 'statut', 'poids', 'supprime_le'],
+  recherche: 'colis',
+  filtres: {
+    statut: { type: 'valeurs', colonne: 'c.statut', valeurs: STATUTS_COLIS },
+    creneau_id: { type: 'id', colonne: 'c.creneau_id' },
+    // Itinéraire et date d'expédition du créneau (jointure ce)
+    lieu_depart: { type: 'texte', colonne: 'ce.lieu_depart' },
+    destination: { type: 'texte', colonne: 'ce.destination' },
+    date_expedition: { type: 'dates', colonne: 'ce.date_expedition' },
+    date_creation: { type: 'dates', colonne: 'c.date_creation' },
+    poids: { type: 'nombres', colonne: 'c.poids' },
+    valeur_declaree: { type: 'nombres', colonne: 'c.valeur_declaree' },
+    // Impayés : statut_paiement=non_paye,partiel (expression calculée, jointure ce)
+    statut_paiement: { type: 'valeurs', colonne: STATUT_PAIEMENT.colis, valeurs: STATUTS_PAIEMENT }
+  }
+};
+
+const LISTE_RESERVATIONS = {
+  alias: 'r',
+  corbeille: true,
+  tris: ['id', 'nom', 'prenom', 'email', 'destination', 'date_depart', 'created_at', 'statut', 'supprime_le'],
+  recherche: 'reservations',
+  filtres: {
+    statut: { type: 'valeurs', colonne: 'r.statut', valeurs: STATUTS_RESERVATION },
+    classe: { type: 'valeurs', colonne: 'r.classe', valeurs: CLASSES },
+    voyage_id: { type: 'id', colonne: 'r.voyage_id' },
+    lieu_depart: { type: 'texte', colonne: 'r.lieu_depart' },
+    destination: { type: 'texte', colonne: 'r.destination' },
+    date_depart: { type: 'dates', colonne: 'r.date_depart' },
+    date_creation: { type: 'dates', colonne: 'r.created_at' },
+    nombre_passagers: { type: 'nombres', colonne: 'r.nombre_passagers' },
+    statut_paiement: { type: 'valeurs', colonne: STATUT_PAIEMENT.reservations, valeurs: STATUTS_PAIEMENT }
+  }
+};
+
+const LISTE_CRENEAUX = {
+  alias: 'ce',
+  corbeille: true,
+  tris: ['id', 'lieu_depart', 'destination', 'date_expedition', 'heure_depart', 'date_creation', 'supprime_le'],
+  recherche: 'creneaux',
+  filtres: {
+    type_transport: { type: 'valeurs', colonne: 'ce.type_transport', valeurs: TYPES_TRANSPORT },
+    statut: { type: 'valeurs', colonne: 'ce.statut', valeurs: STATUTS_CRENEAU },
+    planning_id: { type: 'id', colonne: 'ce.planning_id' },
+    lieu_depart: { type: 'texte', colonne: 'ce.lieu_depart' },
+    destination: { type: 'texte', colonne: 'ce.destination' },
+    date_expedition: { type: 'dates', colonne: 'ce.date_expedition' },
+    date_creation: { type: 'dates', colonne: 'ce.date_creation' },
+    poids_max_colis: { type: 'nombres', colonne: 'ce.poids_max_colis' }
+  }
+};
+
+// Journal d'audit (alias a) : pas de recherche texte
+const LISTE_AUDIT = {
+  alias: 'a',
+  tris: ['id', 'date_action'],
+  filtres: {
+    entite: { type: 'valeurs', colonne: 'a.entite', valeurs: ENTITES_AUDIT },
+    action: { type: 'valeurs', colonne: 'a.action', valeurs: ACTIONS_AUDIT },
+    entite_id: { type: 'id', colonne: 'a.entite_id' },
+    utilisateur_id: { type: 'id', colonne: 'a.utilisateur_id' },
+    date_action: { type: 'dates', colonne: 'a.date_action' }
+  }
+};
+
+// Registre des paiements (alias p)
+const LISTE_PAIEMENTS = {
+  alias: 'p',
+  tris: ['id', 'date_paiement', 'montant'],
+  filtres: {
+    entite: { type: 'valeurs', colonne: 'p.entite', valeurs: ENTITES_PAIEMENT },
+    entite_id: { type: 'id', colonne: 'p.entite_id' },
+    type: { type: 'valeurs', colonne: 'p.type', valeurs: TYPES_PAIEMENT },
+    methode: { type: 'valeurs', colonne: 'p.methode', valeurs: METHODES_PAIEMENT },
+    statut: { type: 'valeurs', colonne: 'p.statut', valeurs: STATUTS_TRANSACTION },
+    date_paiement: { type: 'dates', colonne: 'p.date_paiement' },
+    montant: { type: 'nombres', colonne: 'p.montant' }
+  }
+};
+
+// Annuaire des clients (alias cl) : search sur nom, prénom, email et téléphone
+const LISTE_CLIENTS = {
+  alias: 'cl',
+  tris: ['id', 'nom', 'prenom', 'date_creation', 'date_modification'],
+  recherche: 'clients',
+  filtres: {
+    email: { type: 'texte', colonne: 'cl.email' },
+    date_creation: { type: 'dates', colonne: 'cl.date_creation' }
+  }
+};
+
+const LISTE_FACTURES = {
+  alias: 'f',
+  tris: ['id', 'date_emission', 'total_ttc'],
+  filtres: {
+    type: { type: 'valeurs', colonne: 'f.type', valeurs: TYPES_DOCUMENT },
+    entite: { type: 'valeurs', colonne: 'f.entite', valeurs: ENTITES_FACTURE },
+    entite_id: { type: 'id', colonne: 'f.entite_id' },
+    date_emission: { type: 'dates', colonne: 'f.date_emission' },
+    total_ttc: { type: 'nombres', colonne: 'f.total_ttc' }
+  }
+};
+
+const liste = (valeur) => String(valeur).split(',').map(v => v.trim()).filter(Boolean);
+
+// Conditions d'un filtre : { conditions } ou { erreur }. `ajouter` pousse un paramètre et retourne $n.
+const conditionsFiltre = (param, filtre, query, ajouter) => {
+  const { colonne } = filtre;
+
+  switch (filtre.type) {
+    case 'valeurs': {
+      if (!query[param]) return { conditions: [] };
+      const valeurs = liste(query[param]);
+      if (!valeurs.every(v => filtre.valeurs.includes(v))) {
+        return { erreur: `Paramètre ${param} invalide. Valeurs: ${filtre.valeurs.join(', ')}` };
+      }
+      return { conditions: valeurs.length > 0 ? [`${colonne} = ANY(${ajouter(valeurs)})`] : [] };
+    }
+    case 'id': {
+      if (!query[param]) return { conditions: [] };
+      const ids = liste(query[param]);
+      if (!ids.every(id => /^\d+$/.test(id))) return { erreur: `Paramètre ${param} invalide` };
+      return { conditions: [`${colonne} = ANY(${ajouter(ids.map(Number))}::int[])`] };
+    }
+    case 'texte':
+      return { conditions: query[param] ? [`LOWER(${colonne}) = LOWER(${ajouter(String(query[param]).trim())})`] : [] };
+    case 'dates': {
+      const du = query[`${param}_du`];
+      const au = query[`${param}_au`];
+      if (du && !jourIso(du)) return { erreur: `Paramètre ${param}_du invalide (format AAAA-MM-JJ)` };
+      if (au && !jourIso(au)) return { erreur: `Paramètre ${param}_au invalide (format AAAA-MM-JJ)` };
+      const conditions = [];
+      if (du) conditions.push(`${colonne} >= ${ajouter(jourIso(du))}::date`);
+      if (au) conditions.push(`${colonne} < ${ajouter(jourIso(au))}::date + 1`);
+      return { conditions };
+    }
+    case 'nombres': {
+      const conditions = [];
+      for (const [suffixe, operateur] of [['min', '>='], ['max', '<=']]) {
+        const valeur = query[`${param}_${suffixe}`];
+        if (valeur === undefined || valeur === '') continue;
+        if (isNaN(Number(valeur))) return { erreur: `Paramètre ${param}_${suffixe} invalide` };
+        conditions.push(`${colonne} ${operateur} ${ajouter(Number(valeur))}`);
+      }
+      return { conditions };
+    }
+    default:
+      throw new Error(`Type de filtre inconnu: ${filtre.type}`);
+  }
+};
+
+/**
+ * Construit le filtre d'une liste à partir de la query string (search, filtres, sortBy, order).
+ * Option corbeille : liste les lignes supprimées au lieu des lignes actives.
+ * Retourne { conditions, params, whereClause, orderClause, tri } ou { erreur }.
+ * Le tri se termine toujours par l'id : l'ordre est stable, ce qu'exige la pagination par curseur.
+ */
+const construireFiltre = (definition, query, { corbeille = false } = {}) => {
+  const { alias } = definition;
+  const params = [];
+  const conditions = definition.corbeille ? [`${alias}.supprime_le IS ${corbeille ? 'NOT NULL' : 'NULL'}`] : [];
+  const ajouter = (valeur) => {
+    params.push(valeur);
+    return `$${params.length}`;
+  };
+
+  if (query.search && definition.recherche) conditions.push(conditionRecherche(definition.recherche, String(query.search), ajouter));
+
+  for (const [param, filtre] of Object.entries(definition.filtres)) {
+    const resultat = conditionsFiltre(param, filtre, query, ajouter);
+    if (resultat.erreur) return { erreur: resultat.erreur };
+    conditions.push(...resultat.conditions);
+  }
+
+  const colonne = definition.tris.includes(query.sortBy) ? query.sortBy : 'id';
+  const sens = String(query.order || 'DESC').toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+  const tri = { colonne: `${alias}.${colonne}`, id: `${alias}.id`, sens };
+
+  return {
+    conditions,
+    params,
+    tri,
+    whereClause: clauseWhere(conditions),
+    orderClause: colonne === 'id'
+      ? ` ORDER BY ${tri.id} ${sens}`
+      : ` ORDER BY ${tri.colonne} ${sens} NULLS LAST, ${tri.id} ${sens}`
+  };
+};
+
+const clauseWhere = (conditions) => conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '';
+
+export const filtreColis = (query, options) => construireFiltre(LISTE_COLIS, query, options);
+export const filtreReservations = (query, options) => construireFiltre(LISTE_RESERVATIONS, query, options);
+export const filtreCreneaux = (query, options) => construireFiltre(LISTE_CRENEAUX, query, options);
+export const filtreAudit = (query) => construireFiltre(LISTE_AUDIT, query);
+export const filtrePaiements = (query) => construireFiltre(LISTE_PAIEMENTS, query);
+export const filtreFactures = (query) => construireFiltre(LISTE_FACTURES, query);
+export const filtreClients = (query) => construireFiltre(LISTE_CLIENTS, query);
+
+// ===== Pagination par curseur =====
+
+// Le curseur porte la valeur de tri (texte renvoyé par PostgreSQL, sans perte de précision) et l'id
+// de la dernière ligne servie
+const encoderCurseur = (valeur, id) => Buffer.from(JSON.stringify({ v: valeur, id })).toString('base64url');
+
+const decoderCurseur = (curseur) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(curseur, 'base64url').toString());
+    return Number.isInteger(id) && (v === null || typeof v === 'string') ? { valeur: v, id } : null;
+  } catch {
+    return null;
+  }
+};
+
+// Lignes situées après le curseur dans l'ordre « colonne NULLS LAST, id »
+const conditionCurseur = ({ colonne, id, sens }, curseur, ajouter) => {
+  const operateur = sens === 'ASC' ? '>' : '<';
+  const pId = ajouter(curseur.id);
+  if (colonne === id) return `${id} ${operateur} ${pId}`;
+  if (curseur.valeur === null) return `(${colonne} IS NULL AND ${id} ${operateur} ${pId})`;
+
+  const pValeur = ajouter(curseur.valeur);
+  return `(${colonne} ${operateur} ${pValeur} OR (${colonne} = ${pValeur} AND ${id} ${operateur} ${pId}) OR ${colonne} IS NULL)`;
+};
+
+/**
+ * Exécute une liste filtrée et paginée. Deux modes selon la query string :
+ *  - page/limit (par défaut) : pagination { page, limit, total, totalPages, hasNext, hasPrev }
+ *  - cursor (vide pour la première page) : pagination { limit, nextCursor, hasNext }, sans COUNT,
+ *    stable même si des lignes sont ajoutées pendant le défilement
+ * `from` sert aussi au comptage ; `jointures` n'est ajouté qu'à la requête des données.
+ * Retourne { data, pagination } ou { erreur }.
+ */
+export const listerPagine = async (db, { select, from, jointures = '', groupBy = '', filtre, query }) => {
+  const limitNum = Math.min(100, Math.max(1, parseInt(query.limit) || 10));
+  const params = [...filtre.params];
+  const ajouter = (valeur) => {
+    params.push(valeur);
+    return `$${params.length}`;
+  };
+
+  if (query.cursor !== undefined) {
+    const curseur = query.cursor ? decoderCurseur(String(query.cursor)) : null;
+    if (query.cursor && !curseur) return { erreur: 'Curseur invalide' };
+
+    const conditions = curseur ? [...filtre.conditions, conditionCurseur(filtre.tri, curseur, ajouter)] : filtre.conditions;
+    const result = await db.query(
+      `SELECT ${select}, ${filtre.tri.colonne}::text AS curseur_tri
+       FROM ${from}${jointures}${clauseWhere(conditions)}${groupBy}${filtre.orderClause}
+       LIMIT ${ajouter(limitNum + 1)}`,
+      params
+    );
+
+    const hasNext = result.rows.length > limitNum;
+    const data = result.rows.slice(0, limitNum);
+    const dernier = data[data.length - 1];
+    const nextCursor = hasNext ? encoderCurseur(dernier.curseur_tri, dernier.id) : null;
+    data.forEach(ligne => { delete ligne.curseur_tri; });
+
+    return { data, pagination: { limit: limitNum, nextCursor, hasNext } };
+  }
+
+  const pageNum = Math.max(1, parseInt(query.page) || 1);
+  const offset = (pageNum - 1) * limitNum;
+
+  const [result, countResult] = await Promise.all([
+    db.query(
+      `SELECT ${select}
+       FROM ${from}${jointures}${filtre.whereClause}${groupBy}${filtre.orderClause}
+       LIMIT ${ajouter(limitNum)} OFFSET ${ajouter(offset)}`,
+      params
+    ),
+    db.query(`SELECT COUNT(*) FROM ${from}${filtre.whereClause}`, filtre.params)
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+  const totalPages = Math.ceil(total / limitNum);
+
+  return {
+    data: result.rows,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages,
+      hasNext: pageNum < totalPages,
+      hasPrev: pageNum > 1
+    }
+  };
+};
@@ -0,0 +1,17 @@
+// ===== Machine à états générique (statuts et transitions autorisées) =====
+
+// transitions : { statut: [statuts suivants possibles] }, un tableau vide marque un statut final
+export const creerMachineEtats = (transitions) => {
+  const transitionAutorisee = (statutActuel, nouveauStatut) =>
+    (transitions[statutActuel] || []).includes(nouveauStatut);
+
+  // Message d'erreur commun pour une transition refusée
+  const messageTransitionInvalide = (statutActuel, nouveauStatut) => {
+    const suivants = transitions[statutActuel] || [];
+    return suivants.length === 0
+      ? `Transition interdite: le statut ${statutActuel} est final`
+      : `Transition interdite: ${statutActuel} -> ${nouveauStatut} (autorisés: ${suivants.join(', ')})`;
+  };
+
+  return { transitionAutorisee, messageTransitionInvalide };
+};
@@ -0,0 +1,50 @@
+// ===== Notifications : mise en file (outbox) =====
+// Les messages sont insérés avec le client de la transaction métier : ils n'existent
+// que si le changement est validé, et le worker les distribue ensuite.
+import { rendreModele } from './modeles.js';
+
+export const mettreEnFile = async (client, { modele, canal, destinataire, donnees, entite = null, entite_id = null }) => {
+  if (!destinataire) return null;
+
+  const { sujet, contenu } = rendreModele(modele, canal, donnees);
+  const result = await client.query(
+    `INSERT INTO notifications (canal, destinataire, modele, sujet, contenu, entite, entite_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [canal, destinataire, modele, sujet, contenu, entite, entite_id]
+  );
+  return result.rows[0];
+};
+
+// Réservation : email et SMS au titulaire
+export const notifierReservation = async (client, modele, reservation) => {
+  const commun = { modele, donnees: reservation, entite: 'reservation', entite_id: reservation.id };
+  await mettreEnFile(client, { ...commun, canal: 'email', destinataire: reservation.email });
+  await mettreEnFile(client, { ...commun, canal: 'sms', destinataire: reservation.telephone });
+};
+
+// Colis : SMS à l'expéditeur et au destinataire (une seule fois si c'est le même numéro)
+export const notifierColis = async (client, modele, colis) => {
+  const telephones = [...new Set([colis.telephone_expediteur, colis.telephone_destinataire].filter(Boolean))];
+  for (const telephone of telephones) {
+    await mettreEnFile(client, {
+      modele,
+      canal: 'sms',
+      destinataire: telephone,
+      donnees: colis,
+      entite: 'colis',
+      entite_id: colis.id
+    });
+  }
+};
+
+// Colis : SMS à l'expéditeur seul (report ou annulation d'un départ)
+export const notifierExpediteurColis = (client, modele, colis) =>
+  mettreEnFile(client, {
+    modele,
+    canal: 'sms',
+    destinataire: colis.telephone_expediteur,
+    donnees: colis,
+    entite: 'colis',
+    entite_id: colis.id
+  });
@@ -0,0 +1,91 @@
+// ===== Modèles de messages (français) =====
+// Chaque modèle fournit un sujet (email), un texte long (email) et un texte court (SMS)
+
+const formaterDate = (date) =>
+  date ? new Date(date).toLocaleDateString('fr-FR', { day: '2-digit', month: 'long', year: 'numeric' }) : '';
+
+const URL_SUIVI = process.env.URL_SUIVI_COLIS || 'https://jess-voyage.vercel.app/suivi';
+
+export const MODELES = {
+  reservation_recue: {
+    sujet: (r) => `Votre demande de réservation n°${r.id} a bien été reçue`,
+    email: (r) =>
+      `Bonjour ${r.prenom} ${r.nom},\n\n` +
+      `Nous avons bien reçu votre demande de réservation n°${r.id} pour ${r.nombre_passagers} passager(s) ` +
+      `${r.lieu_depart} → ${r.destination} le ${formaterDate(r.date_depart)} en classe ${r.classe}.\n` +
+      'Un agent va l\'étudier et vous confirmera la réservation très prochainement.\n\n' +
+      'Jess Voyage',
+    sms: (r) =>
+      `Jess Voyage: demande de réservation n°${r.id} reçue (${r.lieu_depart} → ${r.destination}, ${formaterDate(r.date_depart)}). Confirmation à suivre.`
+  },
+
+  reservation_confirmee: {
+    sujet: (r) => `Votre réservation n°${r.id} est confirmée`,
+    email: (r) =>
+      `Bonjour ${r.prenom} ${r.nom},\n\n` +
+      `Votre réservation n°${r.id} est confirmée : ${r.lieu_depart} → ${r.destination} ` +
+      `le ${formaterDate(r.date_depart)}, ${r.nombre_passagers} passager(s) en classe ${r.classe}.\n` +
+      (r.montant_total ? `Montant : ${r.montant_total} €.\n` : '') +
+      '\nBon voyage avec Jess Voyage !',
+    sms: (r) =>
+      `Jess Voyage: réservation n°${r.id} confirmée (${r.lieu_depart} → ${r.destination}, ${formaterDate(r.date_depart)}).`
+  },
+
+  colis_enregistre: {
+    sujet: (c) => `Colis ${c.numero_suivi} enregistré`,
+    email: (c) =>
+      `Bonjour,\n\nLe colis ${c.numero_suivi} de ${c.nom_expediteur} pour ${c.nom_destinataire} a été enregistré.\n` +
+      `Suivez-le sur ${URL_SUIVI}/${c.numero_suivi}\n\nJess Voyage`,
+    sms: (c) =>
+      `Jess Voyage: colis ${c.numero_suivi} enregistré (${c.nom_expediteur} → ${c.nom_destinataire}). Suivi: ${URL_SUIVI}/${c.numero_suivi}`
+  },
+
+  colis_en_transit: {
+    sujet: (c) => `Colis ${c.numero_suivi} en transit`,
+    email: (c) =>
+      `Bonjour,\n\nLe colis ${c.numero_suivi} est en route` +
+      (c.destination ? ` vers ${c.destination}` : '') + '.\n' +
+      `Suivez-le sur ${URL_SUIVI}/${c.numero_suivi}\n\nJess Voyage`,
+    sms: (c) =>
+      `Jess Voyage: votre colis ${c.numero_suivi} est en transit` + (c.destination ? ` vers ${c.destination}` : '') + '.'
+  },
+
+  // Créneau annulé : données du colis avec la date et l'itinéraire du créneau de report
+  colis_reporte: {
+    sujet: (c) => `Colis ${c.numero_suivi} : nouveau départ`,
+    email: (c) =>
+      `Bonjour ${c.nom_expediteur},\n\nLe départ prévu pour le colis ${c.numero_suivi} a été annulé.\n` +
+      `Il partira le ${formaterDate(c.date_expedition)} (${c.lieu_depart} → ${c.destination}).\n` +
+      `Suivez-le sur ${URL_SUIVI}/${c.numero_suivi}\n\nJess Voyage`,
+    sms: (c) =>
+      `Jess Voyage: départ annulé pour le colis ${c.numero_suivi}. Nouveau départ le ${formaterDate(c.date_expedition)} (${c.lieu_depart} → ${c.destination}).`
+  },
+
+  colis_creneau_annule: {
+    sujet: (c) => `Colis ${c.numero_suivi} : départ annulé`,
+    email: (c) =>
+      `Bonjour ${c.nom_expediteur},\n\nLe départ prévu pour le colis ${c.numero_suivi} a été annulé ` +
+      'et aucun autre départ n\'est disponible pour le moment.\n' +
+      'Notre agence vous contactera pour convenir d\'une nouvelle date.\n\nJess Voyage',
+    sms: (c) =>
+      `Jess Voyage: départ annulé pour le colis ${c.numero_suivi}. Notre agence vous contactera pour un nouveau départ.`
+  },
+
+  colis_livre: {
+    sujet: (c) => `Colis ${c.numero_suivi} livré`,
+    email: (c) =>
+      `Bonjour,\n\nLe colis ${c.numero_suivi} a été livré à ${c.nom_destinataire}.\nMerci de votre confiance.\n\nJess Voyage`,
+    sms: (c) => `Jess Voyage: le colis ${c.numero_suivi} a été livré à ${c.nom_destinataire}. Merci de votre confiance.`
+  }
+};
+
+// Message prêt à envoyer pour un modèle et un canal
+export const rendreModele = (nom, canal, donnees) => {
+  const modele = MODELES[nom];
+  if (!modele) throw new Error(`Modèle de notification inconnu: ${nom}`);
+
+  return {
+    sujet: canal === 'email' ? modele.sujet(donnees) : null,
+    contenu: canal === 'email' ? modele.email(donnees) : modele.sms(donnees)
+  };
+};
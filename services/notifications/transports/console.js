@@ -0,0 +1,22 @@
+// Transport de développement et de test : affiche le message et l'ajoute au fichier
+// NOTIFICATIONS_FICHIER (une ligne JSON par message) si la variable est définie
+import { appendFile } from 'fs/promises';
+
+export default {
+  nom: 'console',
+  async envoyer(notification) {
+    const message = {
+      canal: notification.canal,
+      destinataire: notification.destinataire,
+      sujet: notification.sujet,
+      contenu: notification.contenu,
+      date: new Date().toISOString()
+    };
+
+    console.log(`📨 [${message.canal}] ${message.destinataire}: ${message.sujet || message.contenu}`);
+    if (process.env.NOTIFICATIONS_FICHIER) {
+      await appendFile(process.env.NOTIFICATIONS_FICHIER, JSON.stringify(message) + '\n');
+    }
+    return 'affiché en console';
+  }
+};
@@ -0,0 +1,26 @@
+// Choix du transport par canal : NOTIFICATIONS_TRANSPORT_EMAIL (smtp | console)
+// et NOTIFICATIONS_TRANSPORT_SMS (sms | console), console par défaut
+import consoleTransport from './console.js';
+import smtpTransport from './smtp.js';
+import smsTransport from './sms.js';
+
+const TRANSPORTS = {
+  console: consoleTransport,
+  smtp: smtpTransport,
+  sms: smsTransport
+};
+
+// Ajout d'un transport (passerelle spécifique, transport de test)
+export const enregistrerTransport = (nom, transport) => {
+  TRANSPORTS[nom] = transport;
+};
+
+export const transportPour = (canal) => {
+  const nom = canal === 'email'
+    ? process.env.NOTIFICATIONS_TRANSPORT_EMAIL || 'console'
+    : process.env.NOTIFICATIONS_TRANSPORT_SMS || 'console';
+
+  const transport = TRANSPORTS[nom];
+  if (!transport) throw new Error(`Transport de notification inconnu: ${nom}`);
+  return transport;
+};
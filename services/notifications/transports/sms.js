@@ -0,0 +1,27 @@
+// Transport SMS via une passerelle HTTP (SMS_API_URL, SMS_API_KEY, SMS_EXPEDITEUR)
+// La passerelle reçoit { to, from, text } en JSON et doit répondre en 2xx
+
+export default {
+  nom: 'sms',
+  async envoyer(notification) {
+    if (!process.env.SMS_API_URL) throw new Error('SMS_API_URL non configuré');
+
+    const reponse = await fetch(process.env.SMS_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.SMS_API_KEY && { Authorization: `Bearer ${process.env.SMS_API_KEY}` })
+      },
+      body: JSON.stringify({
+        to: notification.destinataire,
+        from: process.env.SMS_EXPEDITEUR || 'JessVoyage',
+        text: notification.contenu
+      }),
+      signal: AbortSignal.timeout(10000)
+    });
+
+    const corps = await reponse.text();
+    if (!reponse.ok) throw new Error(`Passerelle SMS: HTTP ${reponse.status} ${corps}`);
+    return corps;
+  }
+};
@@ -0,0 +1,31 @@
+// Transport email via un serveur SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM)
+import nodemailer from 'nodemailer';
+
+let transporteur = null;
+
+const obtenirTransporteur = () => {
+  if (!transporteur) {
+    if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST non configuré');
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    transporteur = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transporteur;
+};
+
+export default {
+  nom: 'smtp',
+  async envoyer(notification) {
+    const info = await obtenirTransporteur().sendMail({
+      from: process.env.SMTP_FROM || 'Jess Voyage <no-reply@jess-voyage.com>',
+      to: notification.destinataire,
+      subject: notification.sujet,
+      text: notification.contenu
+    });
+    return info.response || info.messageId;
+  }
+};
@@ -0,0 +1,77 @@
+// ===== Notifications : distribution des messages en attente =====
+import pool from '../../db.js';
+import { transportPour } from './transports/index.js';
+
+const MAX_TENTATIVES = parseInt(process.env.NOTIFICATIONS_MAX_TENTATIVES) || 5;
+// Un message « en_cours » depuis plus longtemps est considéré comme abandonné par un worker arrêté
+const DELAI_VERROU_MINUTES = 10;
+
+// Attente avant la tentative suivante : 1, 2, 4, 8... minutes, plafonnée à 6 heures
+export const delaiNouvelleTentative = (tentatives) => Math.min(2 ** (tentatives - 1), 360);
+
+// Réserve un lot de messages ; SKIP LOCKED permet de lancer plusieurs workers en parallèle
+const reserverLot = async (taille) => {
+  const result = await pool.query(
+    `UPDATE notifications SET statut = 'en_cours', verrouillee_le = NOW()
+     WHERE id IN (
+       SELECT id FROM notifications
+       WHERE (statut IN ('en_attente', 'echec') AND prochaine_tentative <= NOW())
+          OR (statut = 'en_cours' AND verrouillee_le < NOW() - make_interval(mins => $2))
+       ORDER BY prochaine_tentative
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [taille, DELAI_VERROU_MINUTES]
+  );
+  return result.rows;
+};
+
+const journaliser = (notification, tentative, transport, succes, reponse) =>
+  pool.query(
+    `INSERT INTO notifications_journal (notification_id, tentative, transport, succes, reponse)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [notification.id, tentative, transport, succes, reponse ? String(reponse).slice(0, 2000) : null]
+  );
+
+const distribuer = async (notification) => {
+  const tentative = notification.tentatives + 1;
+  let nomTransport = 'inconnu';
+
+  try {
+    const transport = transportPour(notification.canal);
+    nomTransport = transport.nom;
+    const reponse = await transport.envoyer(notification);
+
+    await pool.query(
+      `UPDATE notifications SET statut = 'envoyee', tentatives = $2, envoyee_le = NOW(),
+       verrouillee_le = NULL, derniere_erreur = NULL
+       WHERE id = $1`,
+      [notification.id, tentative]
+    );
+    await journaliser(notification, tentative, nomTransport, true, reponse);
+    return true;
+  } catch (error) {
+    const statut = tentative >= MAX_TENTATIVES ? 'abandonnee' : 'echec';
+    await pool.query(
+      `UPDATE notifications SET statut = $2, tentatives = $3, derniere_erreur = $4, verrouillee_le = NULL,
+       prochaine_tentative = NOW() + make_interval(mins => $5)
+       WHERE id = $1`,
+      [notification.id, statut, tentative, error.message, delaiNouvelleTentative(tentative)]
+    );
+    await journaliser(notification, tentative, nomTransport, false, error.message);
+    return false;
+  }
+};
+
+// Distribue un lot de messages, retourne le bilan { envoyees, echecs }
+export const distribuerNotifications = async ({ taille = 20 } = {}) => {
+  const lot = await reserverLot(taille);
+  let envoyees = 0;
+
+  for (const notification of lot) {
+    if (await distribuer(notification)) envoyees++;
+  }
+
+  return { envoyees, echecs: lot.length - envoyees };
+};
@@ -0,0 +1,246 @@
+// ===== Opérations des créneaux : départ, arrivée, clôture, annulation et affectations de colis en masse =====
+import { enregistrerEvenement } from './suiviColis.js';
+import { verifierCapaciteCreneau, actualiserStatutCreneaux, STATUTS_HORS_CAPACITE } from './capaciteCreneaux.js';
+import { notifierExpediteurColis } from './notifications/index.js';
+import { journaliser } from './audit.js';
+import { declencherWebhooks, chargeCreneau } from './webhooks/index.js';
+import { jourIso } from './validation.js';
+import { ErreurMetier } from './erreurs.js';
+
+export const MAX_COLIS_LOT = 500;
+// Créneaux du même itinéraire essayés pour reporter chaque colis d'un créneau annulé
+const MAX_CRENEAUX_REPORT = 20;
+
+// Colis encore à quai : les seuls qu'on peut affecter, retirer ou déplacer
+export const STATUTS_COLIS_AFFECTABLES = ['en_attente', 'arrive_agence'];
+
+/*
+ * Départ et arrivée : nouveau statut du créneau, horodatage renseigné, lieu des événements de suivi,
+ * webhook déclenché et passage des colis (statut actuel -> nouveau statut). Au départ, un colis
+ * en_attente n'a pas été déposé en agence : il reste sur le créneau et figure dans non_enregistres.
+ */
+export const OPERATIONS_CRENEAU = {
+  depart: {
+    statut: 'parti',
+    horodatage: 'depart_effectif',
+    lieu: 'lieu_depart',
+    commentaire: 'Départ du créneau',
+    webhook: 'creneau.parti',
+    passages: { arrive_agence: 'en_transit' }
+  },
+  arrivee: {
+    statut: 'arrive',
+    horodatage: 'arrivee_effective',
+    lieu: 'destination',
+    commentaire: 'Arrivée du créneau',
+    webhook: 'creneau.arrive',
+    passages: { en_transit: 'arrive_agence', en_douane: 'arrive_agence' }
+  }
+};
+
+const resume = ({ id, numero_suivi, statut }) => ({ id, numero_suivi, statut });
+
+// Colis actifs d'un créneau, verrouillés jusqu'au COMMIT
+const colisActifsVerrouilles = async (client, creneauId) => {
+  const result = await client.query(
+    `SELECT * FROM colis
+     WHERE creneau_id = $1 AND statut <> ALL($2) AND supprime_le IS NULL
+     ORDER BY id
+     FOR UPDATE`,
+    [creneauId, STATUTS_HORS_CAPACITE]
+  );
+  return result.rows;
+};
+
+// Rattache un colis verrouillé à un autre créneau (null = aucun) et journalise la modification
+const rattacherColis = async (client, auteur, colis, creneauId) => {
+  const result = await client.query('UPDATE colis SET creneau_id = $1 WHERE id = $2 RETURNING *', [creneauId, colis.id]);
+  await journaliser(client, auteur, {
+    entite: 'colis', entite_id: colis.id, action: 'modification', avant: colis, apres: result.rows[0]
+  });
+  return result.rows[0];
+};
+
+/**
+ * Passe un créneau verrouillé à `statut` (clôture, réouverture) et journalise le changement.
+ * Un créneau rouvert repasse aussitôt complet s'il est plein. Retourne le créneau à jour.
+ */
+export const changerStatutCreneau = async (client, auteur, creneau, statut) => {
+  const result = await client.query('UPDATE creneaux_expedition SET statut = $1 WHERE id = $2 RETURNING *', [statut, creneau.id]);
+  const [actualise] = await actualiserStatutCreneaux(client, [creneau.id]);
+  const apres = actualise || result.rows[0];
+
+  await journaliser(client, auteur, { entite: 'creneaux', entite_id: creneau.id, action: 'modification', avant: creneau, apres });
+  return apres;
+};
+
+/**
+ * Départ ou arrivée d'un créneau verrouillé (SELECT ... FOR UPDATE, transition déjà vérifiée) :
+ * met à jour le créneau puis chacun de ses colis actifs, avec événement de suivi et journal d'audit,
+ * et déclenche le webhook de l'opération avec les colis passés au nouveau statut.
+ * À appeler dans une transaction. Retourne { creneau, colis_traites, non_enregistres, ignores }.
+ */
+export const executerOperationCreneau = async (client, auteur, creneau, operation, { commentaire = null } = {}) => {
+  const { statut, horodatage, lieu, passages, webhook } = OPERATIONS_CRENEAU[operation];
+
+  const creneauResult = await client.query(
+    `UPDATE creneaux_expedition SET statut = $1, ${horodatage} = NOW() WHERE id = $2 RETURNING *`,
+    [statut, creneau.id]
+  );
+  await journaliser(client, auteur, {
+    entite: 'creneaux', entite_id: creneau.id, action: 'modification', avant: creneau, apres: creneauResult.rows[0]
+  });
+
+  const rapport = { creneau: creneauResult.rows[0], colis_traites: [], non_enregistres: [], ignores: [] };
+  for (const colis of await colisActifsVerrouilles(client, creneau.id)) {
+    const nouveauStatut = passages[colis.statut];
+    if (!nouveauStatut) {
+      rapport[colis.statut === 'en_attente' ? 'non_enregistres' : 'ignores'].push(resume(colis));
+      continue;
+    }
+
+    const result = await client.query('UPDATE colis SET statut = $1 WHERE id = $2 RETURNING *', [nouveauStatut, colis.id]);
+    await enregistrerEvenement(client, {
+      colis_id: colis.id,
+      statut: nouveauStatut,
+      statut_precedent: colis.statut,
+      lieu: creneau[lieu],
+      commentaire: commentaire || `${OPERATIONS_CRENEAU[operation].commentaire} #${creneau.id}`
+    });
+    await journaliser(client, auteur, {
+      entite: 'colis', entite_id: colis.id, action: 'modification', avant: colis, apres: result.rows[0]
+    });
+    rapport.colis_traites.push({ ...resume(result.rows[0]), statut_precedent: colis.statut });
+  }
+
+  await declencherWebhooks(client, webhook, chargeCreneau(rapport.creneau, rapport.colis_traites));
+  return rapport;
+};
+
+/**
+ * Rattache les colis `ids` au créneau `cible` (null = les détacher de tout créneau).
+ * `source` restreint aux colis du créneau source (retrait ou déplacement).
+ * Tout ou rien : les colis introuvables ou déjà partis sont signalés avant toute écriture (400),
+ * un manque de place lève une ErreurMetier 409 qui annule la transaction. Les statuts complet/ouvert
+ * des créneaux concernés sont actualisés. À appeler dans une transaction.
+ * Retourne { colis, deja_affectes } ou { erreurs }.
+ */
+export const reaffecterColis = async (client, auteur, ids, { source = null, cible = null }) => {
+  const colisResult = await client.query(
+    `SELECT * FROM colis
+     WHERE id = ANY($1::int[]) AND supprime_le IS NULL AND ($2::integer IS NULL OR creneau_id = $2)
+     ORDER BY id
+     FOR UPDATE`,
+    [ids, source ? source.id : null]
+  );
+
+  const trouves = new Map(colisResult.rows.map(c => [c.id, c]));
+  const erreurs = [];
+  for (const id of ids) {
+    const colis = trouves.get(id);
+    if (!colis) {
+      erreurs.push({ colis_id: id, error: source ? `Colis non trouvé sur le créneau #${source.id}` : 'Colis non trouvé' });
+    } else if (!STATUTS_COLIS_AFFECTABLES.includes(colis.statut)) {
+      erreurs.push({ colis_id: id, error: `Colis ${colis.numero_suivi} non modifiable (statut ${colis.statut})` });
+    }
+  }
+  if (erreurs.length > 0) return { erreurs };
+
+  const cibleId = cible ? cible.id : null;
+  const rapport = { colis: [], deja_affectes: [] };
+  for (const colis of colisResult.rows) {
+    if (colis.creneau_id === cibleId) {
+      rapport.deja_affectes.push(colis.id);
+      continue;
+    }
+
+    if (cible) {
+      const { erreur } = await verifierCapaciteCreneau(client, cible.id, colis.poids, colis.id);
+      if (erreur) throw new ErreurMetier(409, `Colis ${colis.numero_suivi}: ${erreur}`);
+    }
+
+    rapport.colis.push(await rattacherColis(client, auteur, colis, cibleId));
+  }
+
+  // Les créneaux quittés libèrent des places, la cible a pu se remplir
+  await actualiserStatutCreneaux(client, [cibleId, ...colisResult.rows.map(c => c.creneau_id)]);
+  return rapport;
+};
+
+// Prochains créneaux ouverts du même itinéraire à partir de la date du créneau annulé
+const creneauxDeReport = async (client, creneau) => {
+  const result = await client.query(
+    `SELECT * FROM creneaux_expedition
+     WHERE lower(lieu_depart) = lower($1) AND lower(destination) = lower($2)
+       AND id <> $3 AND statut = 'ouvert' AND supprime_le IS NULL
+       AND date_expedition >= GREATEST($4::date, CURRENT_DATE)
+     ORDER BY date_expedition, heure_depart, id
+     LIMIT $5`,
+    [creneau.lieu_depart, creneau.destination, creneau.id, creneau.date_expedition, MAX_CRENEAUX_REPORT]
+  );
+  return result.rows;
+};
+
+/**
+ * Annule un créneau verrouillé (transition déjà vérifiée). Avec `reaffecter`, chaque colis actif est
+ * reporté sur le premier créneau ouvert du même itinéraire qui a la place (poids, nombre, charge) ;
+ * les autres restent sur le créneau annulé pour être traités à la main. Avec `notifier`, chaque
+ * expéditeur reçoit un SMS (nouveau départ ou annulation). À appeler dans une transaction.
+ * Retourne { creneau, colis_deplaces, colis_non_places, expediteurs_a_notifier, notifications }.
+ */
+export const annulerCreneau = async (client, auteur, creneau, { motif = null, reaffecter = true, notifier = true } = {}) => {
+  const creneauResult = await client.query(
+    `UPDATE creneaux_expedition SET statut = 'annule', annule_le = NOW(), motif_annulation = $1
+     WHERE id = $2 RETURNING *`,
+    [motif, creneau.id]
+  );
+  await journaliser(client, auteur, {
+    entite: 'creneaux', entite_id: creneau.id, action: 'modification', avant: creneau, apres: creneauResult.rows[0]
+  });
+
+  const candidats = reaffecter ? await creneauxDeReport(client, creneau) : [];
+  const rapport = { creneau: creneauResult.rows[0], colis_deplaces: [], colis_non_places: [], notifications: 0 };
+  const expediteurs = new Map();
+
+  for (const colis of await colisActifsVerrouilles(client, creneau.id)) {
+    let cible = null;
+    for (const candidat of candidats) {
+      const { erreur } = await verifierCapaciteCreneau(client, candidat.id, colis.poids, colis.id);
+      if (!erreur) {
+        cible = candidat;
+        break;
+      }
+    }
+
+    if (cible) {
+      const deplace = await rattacherColis(client, auteur, colis, cible.id);
+      // Point de passage au même statut : visible sur la page de suivi, sans notification automatique
+      await enregistrerEvenement(client, {
+        colis_id: colis.id,
+        statut: colis.statut,
+        statut_precedent: colis.statut,
+        commentaire: `Créneau #${creneau.id} annulé : reporté au créneau #${cible.id} du ${jourIso(cible.date_expedition)}`
+      });
+      rapport.colis_deplaces.push({ ...resume(deplace), creneau_id: cible.id, date_expedition: cible.date_expedition });
+    } else {
+      rapport.colis_non_places.push(resume(colis));
+    }
+
+    const expediteur = expediteurs.get(colis.telephone_expediteur)
+      || { telephone: colis.telephone_expediteur, nom: colis.nom_expediteur, colis: [] };
+    expediteur.colis.push(colis.numero_suivi);
+    expediteurs.set(colis.telephone_expediteur, expediteur);
+
+    if (notifier) {
+      const notification = cible
+        ? await notifierExpediteurColis(client, 'colis_reporte', {
+          ...colis, date_expedition: cible.date_expedition, lieu_depart: cible.lieu_depart, destination: cible.destination
+        })
+        : await notifierExpediteurColis(client, 'colis_creneau_annule', colis);
+      if (notification) rapport.notifications++;
+    }
+  }
+
+  await actualiserStatutCreneaux(client, rapport.colis_deplaces.map(c => c.creneau_id));
+  return { ...rapport, expediteurs_a_notifier: [...expediteurs.values()] };
+};
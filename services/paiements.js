@@ -0,0 +1,221 @@
+// ===== Paiements : registre, solde dû, confirmations en ligne signées =====
+import crypto from 'crypto';
+import { METHODES_PAIEMENT } from './colis.js';
+import { enregistrerEvenementReservation } from './statutsReservation.js';
+import { journaliser } from './audit.js';
+
+export const ENTITES_PAIEMENT = ['colis', 'reservations'];
+export const TYPES_PAIEMENT = ['paiement', 'remboursement'];
+export const STATUTS_TRANSACTION = ['en_attente', 'valide', 'echoue'];
+export const STATUTS_PAIEMENT = ['non_paye', 'partiel', 'paye', 'a_rembourser', 'sans_objet'];
+export { METHODES_PAIEMENT };
+
+// Méthodes confirmées par le prestataire (POST /api/paiements/callback)
+export const METHODES_EN_LIGNE = ['mobile', 'carte'];
+export const ENTETE_SIGNATURE = 'x-signature';
+
+/*
+ * Montant dû : prix figé du colis (à défaut frais_par_kg x poids, jointure ce), montant de la réservation.
+ * Un élément annulé ne doit plus rien : ce qui a été payé est alors à rembourser.
+ */
+const MONTANT_DU = {
+  colis: `(CASE WHEN c.statut = 'annule' THEN 0
+          ELSE COALESCE(c.prix_total, ROUND(ce.frais_par_kg * c.poids, 2), 0) END)`,
+  reservations: `(CASE WHEN r.statut = 'annulee' THEN 0 ELSE COALESCE(r.montant_total, 0) END)`
+};
+
+const statutPaiement = (du, paye) =>
+  `(CASE WHEN ${paye} > ${du} THEN 'a_rembourser'
+         WHEN ${du} = 0 THEN 'sans_objet'
+         WHEN ${paye} >= ${du} THEN 'paye'
+         WHEN ${paye} > 0 THEN 'partiel'
+         ELSE 'non_paye' END)`;
+
+// Statut de paiement en SQL (filtre statut_paiement des listes), alias c + ce pour les colis, r sinon
+export const STATUT_PAIEMENT = {
+  colis: statutPaiement(MONTANT_DU.colis, 'c.montant_paye'),
+  reservations: statutPaiement(MONTANT_DU.reservations, 'r.montant_paye')
+};
+
+// Colonnes montant_du, solde et statut_paiement à ajouter au SELECT des colis et réservations
+export const COLONNES_PAIEMENT = {
+  colis: `${MONTANT_DU.colis} as montant_du, ${MONTANT_DU.colis} - c.montant_paye as solde,
+          ${STATUT_PAIEMENT.colis} as statut_paiement`,
+  reservations: `${MONTANT_DU.reservations} as montant_du, ${MONTANT_DU.reservations} - r.montant_paye as solde,
+          ${STATUT_PAIEMENT.reservations} as statut_paiement`
+};
+
+const SOURCES = {
+  colis: 'colis c LEFT JOIN creneaux_expedition ce ON c.creneau_id = ce.id',
+  reservations: 'reservations r'
+};
+const ALIAS = { colis: 'c', reservations: 'r' };
+
+/**
+ * Colis ou réservation (hors corbeille) avec montant_du, solde et statut_paiement.
+ * `verrouiller` pose un FOR UPDATE sur la ligne : à utiliser dans la transaction qui modifie le solde.
+ */
+export const lireElement = async (db, entite, id, { verrouiller = false } = {}) => {
+  const alias = ALIAS[entite];
+  const result = await db.query(
+    `SELECT ${alias}.*, ${COLONNES_PAIEMENT[entite]}
+     FROM ${SOURCES[entite]}
+     WHERE ${alias}.id = $1 AND ${alias}.supprime_le IS NULL${verrouiller ? ` FOR UPDATE OF ${alias}` : ''}`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+// Résumé du solde d'un élément lu par lireElement
+export const resumeSolde = (element) => ({
+  montant_du: parseFloat(element.montant_du),
+  montant_paye: parseFloat(element.montant_paye),
+  solde: parseFloat(element.solde),
+  statut_paiement: element.statut_paiement
+});
+
+// Registre d'un élément, du plus ancien au plus récent
+export const listerPaiements = async (db, entite, id) => {
+  const result = await db.query(
+    'SELECT * FROM paiements WHERE entite = $1 AND entite_id = $2 ORDER BY date_paiement, id',
+    [entite, id]
+  );
+  return result.rows;
+};
+
+/*
+ * Un paiement validé met à jour montant_paye de l'élément et reçoit son numéro de reçu.
+ * Une réservation confirmee entièrement payée passe payee (événement et journal d'audit).
+ */
+const appliquerPaiement = async (client, auteur, paiement) => {
+  const delta = paiement.type === 'remboursement' ? -paiement.montant : paiement.montant;
+  await client.query(
+    `UPDATE ${paiement.entite} SET montant_paye = montant_paye + $1 WHERE id = $2`,
+    [delta, paiement.entite_id]
+  );
+
+  const result = await client.query(
+    `UPDATE paiements
+     SET numero_recu = 'REC-' || to_char(NOW(), 'YYYY') || '-' || lpad(id::text, 6, '0')
+     WHERE id = $1 RETURNING *`,
+    [paiement.id]
+  );
+
+  const element = await lireElement(client, paiement.entite, paiement.entite_id);
+  if (paiement.entite === 'reservations' && element?.statut === 'confirmee' && element.statut_paiement === 'paye') {
+    const reservation = await client.query(
+      `UPDATE reservations SET statut = 'payee', statut_modifie_le = NOW() WHERE id = $1 RETURNING *`,
+      [element.id]
+    );
+    await enregistrerEvenementReservation(client, {
+      reservation_id: element.id,
+      statut: 'payee',
+      statut_precedent: 'confirmee',
+      utilisateur_id: auteur.utilisateur_id,
+      commentaire: `Paiement intégral reçu (${result.rows[0].numero_recu})`
+    });
+    await journaliser(client, auteur, {
+      entite: 'reservations', entite_id: element.id, action: 'modification', avant: element, apres: reservation.rows[0]
+    });
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Enregistre un paiement ou un remboursement (données validées par SCHEMA_PAIEMENT).
+ * Un paiement ne peut pas dépasser le solde dû, un remboursement le montant déjà payé.
+ * Les méthodes en ligne peuvent rester en_attente jusqu'au callback du prestataire (reference générée).
+ * À appeler dans une transaction. Retourne { paiement, element } ou { erreur, status }.
+ */
+export const enregistrerPaiement = async (client, auteur, donnees, { enAttente = false } = {}) => {
+  const { entite, entite_id: entiteId, type, montant, methode, commentaire } = donnees;
+
+  const element = await lireElement(client, entite, entiteId, { verrouiller: true });
+  if (!element) return { status: 404, erreur: entite === 'colis' ? 'Colis non trouvé' : 'Réservation non trouvée' };
+
+  const montantDemande = parseFloat(montant);
+  if (type === 'paiement') {
+    if (parseFloat(element.montant_du) === 0) return { status: 409, erreur: 'Aucun montant dû pour cet élément' };
+    if (montantDemande > parseFloat(element.solde)) {
+      return { status: 409, erreur: `Montant supérieur au solde dû (${Math.max(0, parseFloat(element.solde))})` };
+    }
+  } else if (montantDemande > parseFloat(element.montant_paye)) {
+    return { status: 409, erreur: `Remboursement supérieur au montant payé (${parseFloat(element.montant_paye)})` };
+  }
+
+  const result = await client.query(
+    `INSERT INTO paiements (entite, entite_id, type, montant, methode, statut, reference, commentaire, utilisateur_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      entite,
+      entiteId,
+      type,
+      montantDemande,
+      methode,
+      enAttente ? 'en_attente' : 'valide',
+      enAttente ? `PAY-${crypto.randomBytes(12).toString('hex').toUpperCase()}` : null,
+      commentaire || null,
+      auteur.utilisateur_id
+    ]
+  );
+
+  const paiement = enAttente ? result.rows[0] : await appliquerPaiement(client, auteur, result.rows[0]);
+  return { paiement, element: await lireElement(client, entite, entiteId) };
+};
+
+/**
+ * Confirmation du prestataire pour un paiement en_attente (idempotente : une référence déjà traitée
+ * est renvoyée telle quelle). Un montant confirmé différent du montant attendu fait échouer le paiement.
+ * À appeler dans une transaction. Retourne { paiement, deja_traite } ou null si la référence est inconnue.
+ */
+export const confirmerPaiement = async (client, auteur, { reference, succes, transaction_id: transaction = null, montant = null }) => {
+  const actuel = await client.query('SELECT * FROM paiements WHERE reference = $1 FOR UPDATE', [reference]);
+  if (actuel.rows.length === 0) return null;
+  if (actuel.rows[0].statut !== 'en_attente') return { paiement: actuel.rows[0], deja_traite: true };
+
+  const montantConforme = montant === null || parseFloat(montant) === parseFloat(actuel.rows[0].montant);
+  const valide = succes && montantConforme;
+
+  // Verrou sur l'élément avant de toucher à son solde (même ordre que enregistrerPaiement)
+  if (valide) await lireElement(client, actuel.rows[0].entite, actuel.rows[0].entite_id, { verrouiller: true });
+
+  const result = await client.query(
+    `UPDATE paiements
+     SET statut = $1, transaction_externe = $2, date_confirmation = NOW(),
+         commentaire = COALESCE($3, commentaire)
+     WHERE id = $4 RETURNING *`,
+    [
+      valide ? 'valide' : 'echoue',
+      transaction,
+      succes && !montantConforme ? `Montant confirmé (${montant}) différent du montant attendu` : null,
+      actuel.rows[0].id
+    ]
+  );
+
+  const paiement = valide ? await appliquerPaiement(client, auteur, result.rows[0]) : result.rows[0];
+  return { paiement, deja_traite: false };
+};
+
+// ===== Signature HMAC des callbacks du prestataire =====
+
+// Sans secret, les callbacks sont refusés (503) : aucune signature ne peut être vérifiée
+export const callbacksConfigures = () => Boolean(process.env.PAIEMENTS_CALLBACK_SECRET);
+
+const secretCallback = () => {
+  if (!process.env.PAIEMENTS_CALLBACK_SECRET) throw new Error('PAIEMENTS_CALLBACK_SECRET non configuré');
+  return process.env.PAIEMENTS_CALLBACK_SECRET;
+};
+
+// Signature d'un corps brut : "sha256=<hex>" (en-tête X-Signature)
+export const signerCorps = (corps, secret = secretCallback()) =>
+  'sha256=' + crypto.createHmac('sha256', secret).update(corps).digest('hex');
+
+// Comparaison en temps constant de la signature reçue
+export const signatureValide = (corps, signature) => {
+  if (!corps || typeof signature !== 'string') return false;
+  const attendue = Buffer.from(signerCorps(corps));
+  const recue = Buffer.from(signature);
+  return attendue.length === recue.length && crypto.timingSafeEqual(attendue, recue);
+};
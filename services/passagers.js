@@ -0,0 +1,36 @@
+// ===== Passagers d'une réservation =====
+
+export const TYPES_PASSAGER = ['adulte', 'enfant', 'bebe'];
+
+// Pièce d'identité encore valide le jour du départ (les champs sont validés par SCHEMA_PASSAGER).
+// Retourne un message d'erreur ou null.
+export const verifierDocumentPassager = (passager, dateVoyage = null) => {
+  if (passager.expiration_document && new Date(passager.expiration_document) < new Date(dateVoyage || Date.now())) {
+    return `Le document de ${passager.prenom} ${passager.nom} est expiré à la date du voyage`;
+  }
+  return null;
+};
+
+export const insererPassager = async (client, reservationId, passager) => {
+  const result = await client.query(
+    `INSERT INTO passagers
+    (reservation_id, nom, prenom, date_naissance, type_passager, numero_document, expiration_document)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *`,
+    [
+      reservationId,
+      passager.nom,
+      passager.prenom,
+      passager.date_naissance,
+      passager.type_passager || 'adulte',
+      passager.numero_document || null,
+      passager.expiration_document || null
+    ]
+  );
+  return result.rows[0];
+};
+
+export const compterPassagers = async (client, reservationId) => {
+  const result = await client.query('SELECT COUNT(*) FROM passagers WHERE reservation_id = $1', [reservationId]);
+  return parseInt(result.rows[0].count);
+};
@@ -0,0 +1,49 @@
+// ===== PDF : bon de réservation (voucher) =====
+import { envoyerPdf, codeBarre128, enTete, bloc, tableau, itineraire, formaterDate, MARGE } from './commun.js';
+
+const LIBELLES_TYPE = { adulte: 'Adulte', enfant: 'Enfant', bebe: 'Bébé' };
+
+export const envoyerBonReservation = async (res, reservation, passagers) => {
+  const reference = `RES-${String(reservation.id).padStart(6, '0')}`;
+  const codeBarre = await codeBarre128(reference);
+
+  envoyerPdf(res, `bon-${reference}.pdf`, { size: 'A4' }, (doc) => {
+    enTete(doc, 'Bon de réservation', `Référence ${reference} - statut ${reservation.statut}`);
+
+    const largeur = (doc.page.width - 2 * MARGE) / 2 - 10;
+    const y = doc.y;
+    const finTitulaire = bloc(doc, 'Titulaire', [
+      `${reservation.prenom} ${reservation.nom}`, reservation.email, reservation.telephone
+    ], MARGE, y, largeur);
+    const finVoyage = bloc(doc, 'Voyage', [
+      itineraire(reservation.lieu_depart, reservation.destination),
+      `Départ: ${formaterDate(reservation.date_depart)}`,
+      reservation.date_retour ? `Retour: ${formaterDate(reservation.date_retour)}` : null,
+      `Classe ${reservation.classe} - ${reservation.nombre_passagers} passager(s)`,
+      reservation.montant_total ? `Montant: ${reservation.montant_total} €` : null
+    ], MARGE + largeur + 20, y, largeur);
+
+    doc.x = MARGE;
+    doc.y = Math.max(finTitulaire, finVoyage) + 20;
+    doc.font('Helvetica-Bold').fontSize(12).text('Passagers', MARGE, doc.y);
+    doc.moveDown(0.5);
+
+    if (passagers.length === 0) {
+      doc.font('Helvetica').fontSize(10).text('Passagers non encore renseignés.');
+    } else {
+      tableau(doc, [
+        { titre: 'Nom', largeur: 150, valeur: p => `${p.nom} ${p.prenom}` },
+        { titre: 'Naissance', largeur: 80, valeur: p => formaterDate(p.date_naissance) },
+        { titre: 'Type', largeur: 70, valeur: p => LIBELLES_TYPE[p.type_passager] || p.type_passager },
+        { titre: 'Document', largeur: 110, valeur: p => p.numero_document || '-' },
+        { titre: 'Expiration', largeur: 80, valeur: p => formaterDate(p.expiration_document) }
+      ], passagers);
+    }
+
+    doc.image(codeBarre, MARGE, doc.page.height - MARGE - 70, { height: 60 });
+    doc.font('Helvetica').fontSize(8).fillColor('#555555').text(
+      'Présentez ce bon et une pièce d\'identité valide à l\'embarquement.',
+      MARGE + 250, doc.page.height - MARGE - 40, { width: doc.page.width - 2 * MARGE - 250 }
+    );
+  });
+};
@@ -0,0 +1,86 @@
+// ===== PDF : outils communs (pdfkit et bwip-js, aucun service externe) =====
+import PDFDocument from 'pdfkit';
+import bwipjs from 'bwip-js';
+
+export const MARGE = 40;
+
+// Les polices standard PDF (Helvetica) couvrent les accents français mais pas les flèches
+export const itineraire = (depart, destination) => `${depart || '?'} > ${destination || '?'}`;
+
+export const formaterDate = (date) =>
+  date ? new Date(date).toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit', year: 'numeric' }) : '-';
+
+export const formaterHeure = (heure) => (heure ? String(heure).slice(0, 5) : '-');
+
+export const codeBarre128 = (texte) =>
+  bwipjs.toBuffer({ bcid: 'code128', text: texte, scale: 3, height: 14, includetext: true, textxalign: 'center' });
+
+export const codeQR = (texte) => bwipjs.toBuffer({ bcid: 'qrcode', text: texte, scale: 4 });
+
+/**
+ * Crée un document PDF envoyé directement dans la réponse HTTP.
+ * `dessiner(doc)` remplit le document ; les images (codes-barres) doivent être générées avant.
+ */
+export const envoyerPdf = (res, nomFichier, options, dessiner) => {
+  const doc = new PDFDocument({ margin: MARGE, ...options });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${nomFichier}"`);
+  doc.pipe(res);
+
+  dessiner(doc);
+  doc.end();
+};
+
+// Bandeau de titre commun aux documents
+export const enTete = (doc, titre, sousTitre = null) => {
+  doc.font('Helvetica-Bold').fontSize(18).text('Jess Voyage', { continued: false });
+  doc.font('Helvetica').fontSize(10).fillColor('#555555').text(titre);
+  if (sousTitre) doc.text(sousTitre);
+  doc.fillColor('#000000').moveDown();
+  doc.moveTo(doc.page.margins.left, doc.y)
+    .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+    .stroke();
+  doc.moveDown();
+};
+
+// Bloc titre + lignes de texte, positionné en (x, y) sur une largeur donnée
+export const bloc = (doc, titre, lignes, x, y, largeur) => {
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#555555').text(titre.toUpperCase(), x, y, { width: largeur });
+  doc.font('Helvetica').fontSize(11).fillColor('#000000');
+  lignes.filter(l => l !== null && l !== undefined && l !== '').forEach(l => doc.text(String(l), x, doc.y, { width: largeur }));
+  return doc.y;
+};
+
+// Tableau simple : colonnes [{ titre, largeur, valeur: (ligne) => texte }], saut de page automatique
+export const tableau = (doc, colonnes, lignes) => {
+  const gauche = doc.page.margins.left;
+  const hauteurLigne = 18;
+
+  const dessinerEnTete = () => {
+    let x = gauche;
+    doc.font('Helvetica-Bold').fontSize(9);
+    colonnes.forEach(c => {
+      doc.text(c.titre, x, doc.y, { width: c.largeur - 4, lineBreak: false });
+      x += c.largeur;
+    });
+    doc.y += hauteurLigne;
+    doc.font('Helvetica').fontSize(9);
+  };
+
+  dessinerEnTete();
+  lignes.forEach(ligne => {
+    if (doc.y + hauteurLigne > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      dessinerEnTete();
+    }
+    const y = doc.y;
+    let x = gauche;
+    colonnes.forEach(c => {
+      doc.text(String(c.valeur(ligne) ?? ''), x, y, { width: c.largeur - 4, lineBreak: false, ellipsis: true });
+      x += c.largeur;
+    });
+    doc.y = y + hauteurLigne;
+  });
+  doc.x = gauche;
+};
@@ -0,0 +1,42 @@
+// ===== PDF : étiquette d'expédition d'un colis (format 10 x 15 cm) =====
+import { envoyerPdf, codeBarre128, codeQR, bloc, itineraire, formaterDate, formaterHeure } from './commun.js';
+
+const URL_SUIVI = process.env.URL_SUIVI_COLIS || 'https://jess-voyage.vercel.app/suivi';
+
+// colis : ligne colis jointe à son créneau (lieu_depart, destination, date_expedition, heure_depart)
+export const envoyerEtiquetteColis = async (res, colis) => {
+  const [codeBarre, qr] = await Promise.all([
+    codeBarre128(colis.numero_suivi),
+    codeQR(`${URL_SUIVI}/${colis.numero_suivi}`)
+  ]);
+
+  // 10 x 15 cm en points PDF
+  envoyerPdf(res, `etiquette-${colis.numero_suivi}.pdf`, { size: [283, 425], margin: 14 }, (doc) => {
+    const largeur = doc.page.width - 28;
+    const moitie = largeur / 2 - 4;
+
+    doc.font('Helvetica-Bold').fontSize(14).text('Jess Voyage', 14, 14);
+    doc.font('Helvetica-Bold').fontSize(12)
+      .text(itineraire(colis.lieu_depart, colis.destination), 14, 32, { width: largeur });
+    doc.font('Helvetica').fontSize(9)
+      .text(`Départ: ${formaterDate(colis.date_expedition)} ${formaterHeure(colis.heure_depart)}`, 14, doc.y, { width: largeur });
+
+    const yBlocs = doc.y + 8;
+    const finExpediteur = bloc(doc, 'Expéditeur', [
+      colis.nom_expediteur, colis.telephone_expediteur, colis.adresse_expediteur
+    ], 14, yBlocs, moitie);
+    const finDestinataire = bloc(doc, 'Destinataire', [
+      colis.nom_destinataire, colis.telephone_destinataire, colis.adresse_destinataire
+    ], 14 + moitie + 8, yBlocs, moitie);
+
+    const yDetails = Math.max(finExpediteur, finDestinataire) + 8;
+    doc.font('Helvetica-Bold').fontSize(16).text(`${colis.poids} kg`, 14, yDetails);
+    doc.font('Helvetica').fontSize(9).text(
+      [colis.type_colis, colis.assurance ? 'assuré' : null].filter(Boolean).join(' - '),
+      14, doc.y
+    );
+
+    doc.image(qr, 14 + largeur - 70, yDetails, { width: 70 });
+    doc.image(codeBarre, 14, doc.page.height - 100, { width: largeur, height: 80 });
+  });
+};
@@ -0,0 +1,53 @@
+// ===== PDF : facture ou avoir (données figées à l'émission) =====
+import { envoyerPdf, enTete, bloc, tableau, formaterDate, MARGE } from './commun.js';
+
+const euros = (montant) => `${parseFloat(montant).toFixed(2)} €`;
+// Prix unitaire HT : jusqu'à 4 décimales (déduit du montant HT de la ligne), 2 au minimum
+const prixUnitaire = (prix) => `${parseFloat(prix).toFixed(4).replace(/(\.\d{2}\d*?)0+$/, '$1')} €`;
+
+const COLONNES_LIGNES = [
+  { titre: 'Désignation', largeur: 265, valeur: l => l.libelle },
+  { titre: 'Qté', largeur: 50, valeur: l => l.quantite },
+  { titre: 'Unité', largeur: 60, valeur: l => l.unite },
+  { titre: 'PU HT', largeur: 70, valeur: l => prixUnitaire(l.prix_unitaire_ht) },
+  { titre: 'Montant HT', largeur: 70, valeur: l => euros(l.montant_ht) }
+];
+
+// Ligne de total alignée à droite
+const total = (doc, libelle, montant, gras = false) => {
+  doc.font(gras ? 'Helvetica-Bold' : 'Helvetica').fontSize(gras ? 12 : 10)
+    .text(`${libelle} : ${euros(montant)}`, MARGE, doc.y, { width: doc.page.width - 2 * MARGE, align: 'right' });
+};
+
+// origine : facture créditée (avoirs uniquement)
+export const envoyerFacture = (res, document, origine = null) => {
+  const avoir = document.type === 'avoir';
+
+  envoyerPdf(res, `${document.numero}.pdf`, { size: 'A4' }, (doc) => {
+    enTete(doc, `${avoir ? 'Avoir' : 'Facture'} N° ${document.numero}`, `Émis le ${formaterDate(document.date_emission)}`);
+
+    const largeur = (doc.page.width - 2 * MARGE) / 2 - 10;
+    const y = doc.y;
+    const { nom, email, telephone, adresse } = document.client;
+    const finClient = bloc(doc, 'Client', [nom, adresse, telephone, email], MARGE, y, largeur);
+    const finReference = bloc(doc, 'Référence', [
+      document.entite === 'colis' ? `Colis #${document.entite_id}` : `Réservation RES-${String(document.entite_id).padStart(6, '0')}`,
+      origine ? `Facture d'origine: ${origine.numero} du ${formaterDate(origine.date_emission)}` : null,
+      document.motif ? `Motif: ${document.motif}` : null
+    ], MARGE + largeur + 20, y, largeur);
+
+    doc.x = MARGE;
+    doc.y = Math.max(finClient, finReference) + 20;
+    tableau(doc, COLONNES_LIGNES, document.lignes);
+
+    doc.moveDown();
+    total(doc, 'Total HT', document.total_ht);
+    document.taxes.forEach(t => total(doc, t.libelle, t.montant));
+    total(doc, 'Total TTC', document.total_ttc, true);
+
+    if (process.env.FACTURES_MENTIONS_LEGALES) {
+      doc.font('Helvetica').fontSize(8).fillColor('#555555')
+        .text(process.env.FACTURES_MENTIONS_LEGALES, MARGE, doc.page.height - MARGE - 40, { width: doc.page.width - 2 * MARGE });
+    }
+  });
+};
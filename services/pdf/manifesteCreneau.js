@@ -0,0 +1,36 @@
+// ===== PDF : manifeste de chargement d'un créneau d'expédition =====
+import { envoyerPdf, enTete, tableau, itineraire, formaterDate, formaterHeure, MARGE } from './commun.js';
+
+export const envoyerManifesteCreneau = async (res, creneau, colis) => {
+  const poidsTotal = colis.reduce((total, c) => total + parseFloat(c.poids), 0);
+
+  envoyerPdf(res, `manifeste-creneau-${creneau.id}.pdf`, { size: 'A4', layout: 'landscape' }, (doc) => {
+    enTete(
+      doc,
+      `Manifeste de chargement - créneau n°${creneau.id} (${creneau.type_transport})`,
+      `${itineraire(creneau.lieu_depart, creneau.destination)} - ${formaterDate(creneau.date_expedition)} ${formaterHeure(creneau.heure_depart)}`
+    );
+
+    doc.font('Helvetica').fontSize(10).text(
+      `${colis.length} colis / ${creneau.capacite_max} - ${Math.round(poidsTotal * 100) / 100} kg` +
+      (creneau.capacite_poids_max ? ` / ${creneau.capacite_poids_max} kg` : ''),
+      MARGE, doc.y
+    );
+    doc.moveDown();
+
+    tableau(doc, [
+      { titre: 'N° de suivi', largeur: 150, valeur: c => c.numero_suivi },
+      { titre: 'Expéditeur', largeur: 130, valeur: c => c.nom_expediteur },
+      { titre: 'Destinataire', largeur: 130, valeur: c => c.nom_destinataire },
+      { titre: 'Téléphone dest.', largeur: 100, valeur: c => c.telephone_destinataire },
+      { titre: 'Type', largeur: 80, valeur: c => c.type_colis },
+      { titre: 'Poids (kg)', largeur: 60, valeur: c => c.poids },
+      { titre: 'Statut', largeur: 80, valeur: c => c.statut }
+    ], colis);
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(10).text(`Poids total: ${Math.round(poidsTotal * 100) / 100} kg`, MARGE, doc.y);
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(10).text('Signature agent: ______________________        Signature transporteur: ______________________');
+  });
+};
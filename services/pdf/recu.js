@@ -0,0 +1,54 @@
+// ===== PDF : reçu d'un paiement ou d'un remboursement =====
+import { envoyerPdf, codeBarre128, enTete, bloc, itineraire, formaterDate, MARGE } from './commun.js';
+
+const LIBELLES_METHODE = { especes: 'Espèces', carte: 'Carte bancaire', virement: 'Virement', mobile: 'Mobile money' };
+
+// Client et objet du paiement selon l'élément payé (colis joint à son créneau, ou réservation)
+const details = (paiement, element) => (paiement.entite === 'colis'
+  ? {
+    client: [element.nom_expediteur, element.telephone_expediteur],
+    objet: [
+      `Colis ${element.numero_suivi} (${element.poids} kg)`,
+      itineraire(element.lieu_depart, element.destination),
+      `Destinataire: ${element.nom_destinataire}`
+    ]
+  }
+  : {
+    client: [`${element.prenom} ${element.nom}`, element.email, element.telephone],
+    objet: [
+      `Réservation RES-${String(element.id).padStart(6, '0')}`,
+      itineraire(element.lieu_depart, element.destination),
+      `Départ: ${formaterDate(element.date_depart)} - ${element.nombre_passagers} passager(s)`
+    ]
+  });
+
+// element : ligne lue par lireElement (montant_du, montant_paye et solde à jour)
+export const envoyerRecuPaiement = async (res, paiement, element) => {
+  const codeBarre = await codeBarre128(paiement.numero_recu);
+  const remboursement = paiement.type === 'remboursement';
+  const { client, objet } = details(paiement, element);
+
+  envoyerPdf(res, `recu-${paiement.numero_recu}.pdf`, { size: 'A5' }, (doc) => {
+    enTete(doc, remboursement ? 'Reçu de remboursement' : 'Reçu de paiement',
+      `N° ${paiement.numero_recu} du ${formaterDate(paiement.date_confirmation || paiement.date_paiement)}`);
+
+    const largeur = (doc.page.width - 2 * MARGE) / 2 - 10;
+    const y = doc.y;
+    const finClient = bloc(doc, 'Client', client, MARGE, y, largeur);
+    const finObjet = bloc(doc, 'Objet', objet, MARGE + largeur + 20, y, largeur);
+
+    doc.x = MARGE;
+    doc.y = Math.max(finClient, finObjet) + 20;
+    doc.font('Helvetica-Bold').fontSize(16)
+      .text(`${remboursement ? 'Remboursé' : 'Reçu'} : ${parseFloat(paiement.montant).toFixed(2)} €`, MARGE, doc.y);
+    doc.font('Helvetica').fontSize(10)
+      .text(`Méthode: ${LIBELLES_METHODE[paiement.methode] || paiement.methode}`)
+      .text(paiement.transaction_externe ? `Transaction: ${paiement.transaction_externe}` : '')
+      .moveDown()
+      .text(`Montant dû: ${parseFloat(element.montant_du).toFixed(2)} €`)
+      .text(`Total payé: ${parseFloat(element.montant_paye).toFixed(2)} €`)
+      .text(`Reste à payer: ${Math.max(0, parseFloat(element.solde)).toFixed(2)} €`);
+
+    doc.image(codeBarre, MARGE, doc.page.height - MARGE - 60, { height: 50 });
+  });
+};
@@ -0,0 +1,112 @@
+// ===== Plannings récurrents : génération des créneaux d'expédition =====
+// Les plannings sont validés par SCHEMA_PLANNING (services/schemas.js)
+import { mettreALaCorbeille } from './corbeille.js';
+import { journaliser } from './audit.js';
+
+// Nombre de semaines générées à l'avance par défaut
+export const SEMAINES_AVANCE = parseInt(process.env.PLANNINGS_SEMAINES_AVANCE) || 8;
+
+// Champs recopiés du planning sur chaque créneau généré
+export const CHAMPS_CRENEAU = [
+  'heure_depart',
+  'lieu_depart',
+  'destination',
+  'capacite_max',
+  'frais_par_kg',
+  'poids_max_colis',
+  'capacite_poids_max',
+  'type_transport'
+];
+
+// Condition SQL : créneau sans aucun colis (les créneaux déjà chargés ne sont jamais modifiés)
+export const SANS_COLIS = 'NOT EXISTS (SELECT 1 FROM colis c WHERE c.creneau_id = ce.id)';
+
+/**
+ * Crée les créneaux des plannings actifs d'aujourd'hui jusqu'à `semaines` semaines.
+ * Les jours d'exception sont sautés et les créneaux déjà générés ignorés (ON CONFLICT),
+ * la génération peut donc être relancée sans risque de doublon. Un créneau à la corbeille
+ * ne compte pas : son jour est recréé. Chaque créneau créé est journalisé au nom de `auteur`.
+ */
+export const genererCreneaux = async (db, auteur, { semaines = SEMAINES_AVANCE, planningId = null } = {}) => {
+  const result = await db.query(
+    `INSERT INTO creneaux_expedition
+     (planning_id, ${CHAMPS_CRENEAU.join(', ')}, date_expedition)
+     SELECT p.id, ${CHAMPS_CRENEAU.map(c => `p.${c}`).join(', ')}, jour::date
+     FROM plannings_creneaux p,
+          generate_series(
+            GREATEST(p.date_debut, CURRENT_DATE),
+            LEAST(COALESCE(p.date_fin, CURRENT_DATE + $1 * 7), CURRENT_DATE + $1 * 7),
+            INTERVAL '1 day'
+          ) AS jour
+     WHERE p.actif
+       AND ($2::int IS NULL OR p.id = $2)
+       AND EXTRACT(ISODOW FROM jour)::smallint = ANY(p.jours_semaine)
+       AND NOT EXISTS (
+         SELECT 1 FROM plannings_creneaux_exceptions e
+         WHERE e.date_exception = jour::date AND (e.planning_id IS NULL OR e.planning_id = p.id)
+       )
+     ON CONFLICT (planning_id, date_expedition) WHERE supprime_le IS NULL DO NOTHING
+     RETURNING *`,
+    [semaines, planningId]
+  );
+
+  for (const creneau of result.rows) {
+    await journaliser(db, auteur, { entite: 'creneaux', entite_id: creneau.id, action: 'creation', apres: creneau });
+  }
+  return result.rows;
+};
+
+/*
+ * Met à la corbeille les créneaux futurs encore vides qui vérifient `condition` (alias ce) et
+ * journalise chaque suppression, comme DELETE /api/creneau/:id. Retourne leurs identifiants.
+ */
+const retirerCreneaux = async (client, auteur, condition, params) => {
+  const cibles = await client.query(
+    `SELECT ce.* FROM creneaux_expedition ce
+     WHERE ce.supprime_le IS NULL
+       AND ce.date_expedition >= CURRENT_DATE
+       AND ${SANS_COLIS}
+       AND ${condition}
+     ORDER BY ce.id
+     FOR UPDATE`,
+    params
+  );
+
+  for (const avant of cibles.rows) {
+    const apres = await mettreALaCorbeille(client, 'creneaux_expedition', avant.id, auteur.utilisateur_id);
+    await journaliser(client, auteur, { entite: 'creneaux', entite_id: avant.id, action: 'suppression', avant, apres });
+  }
+  return cibles.rows.map(r => r.id);
+};
+
+// Retire les créneaux générés encore vides tombant sur une exception
+export const appliquerException = (client, auteur, { planning_id = null, date_exception }) =>
+  retirerCreneaux(
+    client,
+    auteur,
+    'ce.planning_id IS NOT NULL AND ($1::int IS NULL OR ce.planning_id = $1) AND ce.date_expedition = $2',
+    [planning_id, date_exception]
+  );
+
+// Retire les créneaux encore vides qui ne correspondent plus au planning
+// (jour retiré, fenêtre de validité réduite ou planning désactivé)
+export const retirerCreneauxHorsPlanning = (client, auteur, planningId) =>
+  retirerCreneaux(
+    client,
+    auteur,
+    `ce.planning_id = $1 AND EXISTS (
+       SELECT 1 FROM plannings_creneaux p
+       WHERE p.id = ce.planning_id
+         AND (
+           NOT p.actif
+           OR EXTRACT(ISODOW FROM ce.date_expedition)::smallint <> ALL(p.jours_semaine)
+           OR ce.date_expedition < p.date_debut
+           OR (p.date_fin IS NOT NULL AND ce.date_expedition > p.date_fin)
+         )
+     )`,
+    [planningId]
+  );
+
+// Retire tous les créneaux à venir encore vides d'un planning (avant sa suppression)
+export const retirerCreneauxPlanning = (client, auteur, planningId) =>
+  retirerCreneaux(client, auteur, 'ce.planning_id = $1', [planningId]);
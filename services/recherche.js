@@ -0,0 +1,118 @@
+// ===== Recherche : globale (réservations, colis, créneaux) et paramètre search des listes =====
+
+export const TYPES_RECHERCHE = ['reservations', 'colis', 'creneaux', 'clients'];
+export const LONGUEUR_MIN_RECHERCHE = 2;
+// En dessous, une suite de chiffres ressemble plus à un id ou un montant qu'à un téléphone
+const CHIFFRES_MIN_TELEPHONE = 4;
+
+/*
+ * Par entité : colonnes renvoyées, document normalisé et téléphones (expressions identiques aux
+ * index trigrammes de migrations/012_recherche.up.sql, sinon PostgreSQL ne les utilise pas)
+ * et, pour les colis, le préfixe du numéro de suivi. Les lignes de la corbeille sont exclues (actif).
+ */
+const RECHERCHES = {
+  reservations: {
+    from: 'reservations r',
+    colonnes: 'r.id, r.nom, r.prenom, r.email, r.telephone, r.lieu_depart, r.destination, r.date_depart, r.statut',
+    document: 'normaliser_recherche(r.nom, r.prenom, r.email, r.lieu_depart, r.destination)',
+    telephones: ['chiffres_telephone(r.telephone)'],
+    id: 'r.id',
+    actif: 'r.supprime_le IS NULL'
+  },
+  colis: {
+    from: 'colis c',
+    colonnes: `c.id, c.numero_suivi, c.nom_expediteur, c.telephone_expediteur, c.nom_destinataire,
+               c.telephone_destinataire, c.statut, c.creneau_id`,
+    document: 'normaliser_recherche(c.numero_suivi, c.nom_expediteur, c.nom_destinataire)',
+    telephones: ['chiffres_telephone(c.telephone_expediteur)', 'chiffres_telephone(c.telephone_destinataire)'],
+    prefixe: 'c.numero_suivi',
+    id: 'c.id',
+    actif: 'c.supprime_le IS NULL'
+  },
+  creneaux: {
+    from: 'creneaux_expedition ce',
+    colonnes: 'ce.id, ce.lieu_depart, ce.destination, ce.date_expedition, ce.heure_depart, ce.type_transport',
+    document: 'normaliser_recherche(ce.lieu_depart, ce.destination)',
+    telephones: [],
+    id: 'ce.id',
+    actif: 'ce.supprime_le IS NULL'
+  },
+  clients: {
+    from: 'clients cl',
+    colonnes: 'cl.id, cl.nom, cl.prenom, cl.telephone, cl.email',
+    document: 'normaliser_recherche(cl.prenom, cl.nom, cl.email)',
+    // Déjà réduit aux chiffres (services/clients.js)
+    telephones: ['cl.telephone_normalise'],
+    id: 'cl.id',
+    actif: 'TRUE'
+  }
+};
+
+const chiffres = (texte) => texte.replace(/\D/g, '');
+
+/**
+ * Condition du paramètre search des listes : sous-chaîne du document normalisé, ou numéro de
+ * téléphone quand le texte contient assez de chiffres. `ajouter` pousse un paramètre et retourne $n.
+ */
+export const conditionRecherche = (type, texte, ajouter) => {
+  const { document, telephones } = RECHERCHES[type];
+  const conditions = [`${document} LIKE '%' || normaliser_recherche(${ajouter(texte)}::text) || '%'`];
+
+  const numero = chiffres(texte);
+  if (numero.length >= CHIFFRES_MIN_TELEPHONE && telephones.length > 0) {
+    const pNumero = ajouter(numero);
+    conditions.push(...telephones.map(t => `${t} LIKE '%' || ${pNumero} || '%'`));
+  }
+
+  return `(${conditions.join(' OR ')})`;
+};
+
+// Résultats d'une entité classés par pertinence (1 = correspondance exacte d'un mot ou d'un numéro)
+const rechercherType = async (db, type, texte, limit) => {
+  const { from, colonnes, document, telephones, prefixe, id, actif } = RECHERCHES[type];
+  const params = [texte];
+  const normalise = 'normaliser_recherche($1::text)';
+
+  // word_similarity tolère les fautes de frappe (opérateur <%, seuil pg_trgm.word_similarity_threshold)
+  const conditions = [`${normalise} <% ${document}`, `${document} LIKE '%' || ${normalise} || '%'`];
+  const scores = [`word_similarity(${normalise}, ${document})`];
+
+  const numero = chiffres(texte);
+  if (numero.length >= CHIFFRES_MIN_TELEPHONE && telephones.length > 0) {
+    params.push(numero);
+    const correspondances = telephones.map(t => `${t} LIKE '%' || $${params.length} || '%'`);
+    conditions.push(...correspondances);
+    scores.push(`CASE WHEN ${correspondances.join(' OR ')} THEN 1 ELSE 0 END`);
+  }
+
+  const suivi = texte.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (prefixe && suivi.length >= LONGUEUR_MIN_RECHERCHE) {
+    params.push(suivi);
+    conditions.push(`${prefixe} LIKE $${params.length} || '%'`);
+    scores.push(`CASE WHEN ${prefixe} LIKE $${params.length} || '%' THEN 1 ELSE 0 END`);
+  }
+
+  params.push(limit);
+  const result = await db.query(
+    `SELECT ${colonnes}, ROUND(GREATEST(${scores.join(', ')})::numeric, 3) AS score
+     FROM ${from}
+     WHERE ${actif} AND (${conditions.join(' OR ')})
+     ORDER BY score DESC, ${id} DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+};
+
+/**
+ * Recherche `texte` dans les entités demandées. Retourne { total, resultats } avec un tableau
+ * classé par entité : { reservations: [...], colis: [...], creneaux: [...], clients: [...] }.
+ */
+export const rechercher = async (db, texte, { types = TYPES_RECHERCHE, limit = 10 } = {}) => {
+  const listes = await Promise.all(types.map(type => rechercherType(db, type, texte, limit)));
+
+  const resultats = {};
+  types.forEach((type, i) => { resultats[type] = listes[i]; });
+
+  return { total: listes.reduce((somme, lignes) => somme + lignes.length, 0), resultats };
+};
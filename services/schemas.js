@@ -0,0 +1,291 @@
+// ===== Schémas de validation des entités (voir services/validation.js) =====
+import { TYPES_TRANSPORT } from './creneaux.js';
+import { TYPES_COLIS, METHODES_PAIEMENT } from './colis.js';
+import { STATUTS_COLIS } from './suiviColis.js';
+import { CLASSES } from './inventaireVoyages.js';
+import { TYPES_PASSAGER } from './passagers.js';
+import { ENTITES_PAIEMENT, TYPES_PAIEMENT, METHODES_EN_LIGNE } from './paiements.js';
+import { ENTITES_FACTURE } from './factures.js';
+import { EVENEMENTS_WEBHOOK, LONGUEUR_MIN_SECRET } from './webhooks/index.js';
+import { ROLES } from './auth.js';
+import { jourIso } from './validation.js';
+
+const texte = (requis = false, longueurMax = 255) => ({ type: 'texte', requis, longueurMax });
+
+// Mot de passe saisi : pris tel quel (espaces compris), longueur minimale à la création ou au changement
+const motDePasse = (requis, longueurMin = undefined) => ({ type: 'texte', requis, longueurMin, longueurMax: 200, brut: true });
+
+// date_retour ne peut pas précéder date_depart
+const retourApresDepart = ({ date_depart, date_retour }) =>
+  date_depart && date_retour && jourIso(date_retour) < jourIso(date_depart)
+    ? { champ: 'date_retour', message: 'date_retour doit être postérieure ou égale à date_depart' }
+    : null;
+
+export const SCHEMA_RESERVATION = {
+  champs: {
+    nom: texte(true),
+    prenom: texte(true),
+    email: { type: 'email', requis: true },
+    telephone: { type: 'telephone', requis: true },
+    // Itinéraire et dates viennent du voyage quand voyage_id est fourni
+    lieu_depart: { ...texte(), requis: (d) => !d.voyage_id },
+    destination: { ...texte(), requis: (d) => !d.voyage_id },
+    date_depart: { type: 'date', requis: (d) => !d.voyage_id, futur: true },
+    date_retour: { type: 'date', futur: true },
+    nombre_passagers: { type: 'entier', requis: true, min: 1, max: 50 },
+    classe: { type: 'enum', requis: true, valeurs: CLASSES },
+    voyage_id: { type: 'id' }
+  },
+  regles: [retourApresDepart]
+};
+
+// Catalogue des voyages : les classes (places et prix) sont validées par SCHEMA_CLASSE_VOYAGE
+export const SCHEMA_VOYAGE = {
+  champs: {
+    lieu_depart: texte(true),
+    destination: texte(true),
+    date_depart: { type: 'dateheure', requis: true, futur: true },
+    date_retour: { type: 'dateheure' },
+    description: texte(false, 2000),
+    actif: { type: 'booleen', defaut: true }
+  },
+  regles: [
+    ({ date_depart, date_retour }) =>
+      date_depart && date_retour && new Date(date_retour) <= new Date(date_depart)
+        ? { champ: 'date_retour', message: 'date_retour doit être postérieure à date_depart' }
+        : null
+  ]
+};
+
+export const SCHEMA_CLASSE_VOYAGE = {
+  champs: {
+    classe: { type: 'enum', requis: true, valeurs: CLASSES },
+    places_total: { type: 'entier', requis: true, min: 0 },
+    prix: { type: 'decimal', requis: true, min: 0 }
+  }
+};
+
+export const SCHEMA_PASSAGER = {
+  champs: {
+    nom: texte(true),
+    prenom: texte(true),
+    date_naissance: { type: 'date', requis: true, passe: true },
+    type_passager: { type: 'enum', valeurs: TYPES_PASSAGER, defaut: 'adulte' },
+    numero_document: texte(false, 50),
+    expiration_document: { type: 'date' }
+  }
+};
+
+// La charge maximale d'un créneau doit admettre au moins un colis du poids maximum
+const chargeCouvrePoidsColis = ({ capacite_poids_max, poids_max_colis }) =>
+  capacite_poids_max && poids_max_colis && parseFloat(capacite_poids_max) < parseFloat(poids_max_colis)
+    ? { champ: 'capacite_poids_max', message: 'capacite_poids_max doit être au moins égale à poids_max_colis' }
+    : null;
+
+export const SCHEMA_CRENEAU = {
+  champs: {
+    lieu_depart: texte(true),
+    destination: texte(true),
+    date_expedition: { type: 'date', requis: true, futur: true },
+    heure_depart: { type: 'heure', requis: true },
+    capacite_max: { type: 'entier', requis: true, min: 1 },
+    frais_par_kg: { type: 'decimal', requis: true, superieurA: 0 },
+    poids_max_colis: { type: 'decimal', requis: true, superieurA: 0 },
+    // NULL = pas de limite de charge
+    capacite_poids_max: { type: 'decimal', superieurA: 0 },
+    type_transport: { type: 'enum', valeurs: TYPES_TRANSPORT, defaut: 'standard' }
+  },
+  regles: [chargeCouvrePoidsColis]
+};
+
+// Jours ISO : 1 = lundi ... 7 = dimanche
+const JOURS_ISO = [1, 2, 3, 4, 5, 6, 7];
+
+// Modèle des créneaux générés (mêmes contraintes que SCHEMA_CRENEAU) et sa fenêtre de validité
+export const SCHEMA_PLANNING = {
+  champs: {
+    nom: texte(),
+    lieu_depart: texte(true),
+    destination: texte(true),
+    heure_depart: { type: 'heure', requis: true },
+    jours_semaine: { type: 'liste', requis: true, valeurs: JOURS_ISO },
+    capacite_max: { type: 'entier', requis: true, min: 1 },
+    frais_par_kg: { type: 'decimal', requis: true, superieurA: 0 },
+    poids_max_colis: { type: 'decimal', requis: true, superieurA: 0 },
+    capacite_poids_max: { type: 'decimal', superieurA: 0 },
+    type_transport: { type: 'enum', valeurs: TYPES_TRANSPORT, defaut: 'standard' },
+    // Sans date_debut, le planning commence aujourd'hui ; date_fin NULL = sans fin
+    date_debut: { type: 'date' },
+    date_fin: { type: 'date' },
+    actif: { type: 'booleen', defaut: true }
+  },
+  regles: [
+    chargeCouvrePoidsColis,
+    ({ date_debut, date_fin }) =>
+      date_debut && date_fin && jourIso(date_fin) < jourIso(date_debut)
+        ? { champ: 'date_fin', message: 'date_fin doit être postérieure ou égale à date_debut' }
+        : null
+  ]
+};
+
+// Jour sans départ : pour un planning, ou pour tous (planning_id absent)
+export const SCHEMA_EXCEPTION_PLANNING = {
+  champs: {
+    planning_id: { type: 'id' },
+    date_exception: { type: 'date', requis: true },
+    motif: texte()
+  }
+};
+
+// POST /api/creneau/:id/annuler
+export const SCHEMA_ANNULATION_CRENEAU = {
+  champs: {
+    motif: texte(false, 1000),
+    // Reporter les colis sur le prochain créneau ouvert du même itinéraire
+    reaffecter: { type: 'booleen', defaut: true },
+    // SMS aux expéditeurs (nouveau départ ou annulation)
+    notifier: { type: 'booleen', defaut: true }
+  }
+};
+
+export const SCHEMA_COLIS = {
+  champs: {
+    creneau_id: { type: 'id' },
+    nom_expediteur: texte(true),
+    telephone_expediteur: { type: 'telephone', requis: true },
+    adresse_expediteur: texte(true, 1000),
+    nom_destinataire: texte(true),
+    telephone_destinataire: { type: 'telephone', requis: true },
+    adresse_destinataire: texte(true, 1000),
+    type_colis: { type: 'enum', valeurs: TYPES_COLIS, defaut: 'document' },
+    poids: { type: 'decimal', requis: true, superieurA: 0 },
+    description: texte(false, 2000),
+    valeur_declaree: { type: 'decimal', min: 0, defaut: 0 },
+    assurance: { type: 'booleen', defaut: false },
+    methode_paiement: { type: 'enum', valeurs: METHODES_PAIEMENT, defaut: 'especes' },
+    code_promo: texte(false, 50),
+    statut: { type: 'enum', valeurs: STATUTS_COLIS }
+  }
+};
+
+// Champs modifiables d'un colis existant (le code promo est figé avec le prix à la création)
+export const CHAMPS_MODIFIABLES_COLIS = Object.keys(SCHEMA_COLIS.champs).filter(c => c !== 'code_promo');
+// Champs acceptés à la création (le statut initial est toujours en_attente)
+export const CHAMPS_CREATION_COLIS = Object.keys(SCHEMA_COLIS.champs).filter(c => c !== 'statut');
+
+// POST /api/paiements : encaissement au guichet, remboursement, ou paiement en ligne (en_ligne)
+export const SCHEMA_PAIEMENT = {
+  champs: {
+    entite: { type: 'enum', requis: true, valeurs: ENTITES_PAIEMENT },
+    entite_id: { type: 'id', requis: true },
+    type: { type: 'enum', valeurs: TYPES_PAIEMENT, defaut: 'paiement' },
+    montant: { type: 'decimal', requis: true, superieurA: 0 },
+    methode: { type: 'enum', requis: true, valeurs: METHODES_PAIEMENT },
+    commentaire: texte(false, 1000),
+    // En attente de la confirmation du prestataire (POST /api/paiements/callback)
+    en_ligne: { type: 'booleen', defaut: false }
+  },
+  regles: [
+    ({ en_ligne, methode, type }) =>
+      en_ligne && (!METHODES_EN_LIGNE.includes(methode) || type === 'remboursement')
+        ? { champ: 'en_ligne', message: `en_ligne est réservé aux paiements par ${METHODES_EN_LIGNE.join(' ou ')}` }
+        : null
+  ]
+};
+
+// Corps signé envoyé par le prestataire de paiement
+export const SCHEMA_CALLBACK_PAIEMENT = {
+  champs: {
+    reference: texte(true, 40),
+    statut: { type: 'enum', requis: true, valeurs: ['succes', 'echec'] },
+    transaction_id: texte(false, 100),
+    montant: { type: 'decimal', superieurA: 0 }
+  }
+};
+
+export const SCHEMA_FACTURE = {
+  champs: {
+    entite: { type: 'enum', requis: true, valeurs: ENTITES_FACTURE },
+    entite_id: { type: 'id', requis: true }
+  }
+};
+
+// Sans montant_ht, l'avoir crédite tout le reste de la facture
+export const SCHEMA_AVOIR = {
+  champs: {
+    motif: texte(true, 1000),
+    montant_ht: { type: 'decimal', superieurA: 0 }
+  }
+};
+
+// Fiche client : joignable par téléphone ou par email (clés de l'annuaire)
+export const SCHEMA_CLIENT = {
+  champs: {
+    nom: texte(true),
+    prenom: texte(),
+    telephone: { type: 'telephone' },
+    email: { type: 'email' },
+    adresse: texte(false, 1000),
+    notes: texte(false, 2000)
+  },
+  regles: [
+    ({ telephone, email }) =>
+      !telephone && !email ? { champ: 'telephone', message: 'telephone ou email est obligatoire' } : null
+  ]
+};
+
+// Destinataire du carnet d'adresses d'un client
+export const SCHEMA_ADRESSE_CLIENT = {
+  champs: {
+    libelle: texte(false, 100),
+    nom: texte(true),
+    telephone: { type: 'telephone', requis: true },
+    adresse: texte(true, 1000)
+  }
+};
+
+// Abonnement d'un partenaire : sans secret fourni, un secret est généré à la création
+export const SCHEMA_WEBHOOK = {
+  champs: {
+    url: { type: 'url', requis: true, longueurMax: 2000 },
+    evenements: { type: 'liste', requis: true, valeurs: EVENEMENTS_WEBHOOK },
+    secret: texte(false, 200),
+    description: texte(),
+    actif: { type: 'booleen', defaut: true }
+  },
+  regles: [
+    ({ secret }) =>
+      secret && secret.length < LONGUEUR_MIN_SECRET
+        ? { champ: 'secret', message: `secret doit contenir au moins ${LONGUEUR_MIN_SECRET} caractères` }
+        : null
+  ]
+};
+
+// POST /api/auth/inscription : compte client
+export const SCHEMA_INSCRIPTION = {
+  champs: {
+    email: { type: 'email', requis: true },
+    nom: texte(true),
+    mot_de_passe: motDePasse(true, 8)
+  }
+};
+
+// POST /api/auth/login : pas de longueur minimale, le refus reste « Identifiants invalides »
+export const SCHEMA_CONNEXION = {
+  champs: {
+    email: { type: 'email', requis: true },
+    mot_de_passe: motDePasse(true)
+  }
+};
+
+// Comptes gérés par un administrateur (l'email n'est pas modifiable)
+export const SCHEMA_UTILISATEUR = {
+  champs: {
+    email: { type: 'email', requis: true },
+    nom: texte(true),
+    mot_de_passe: motDePasse(true, 8),
+    role: { type: 'enum', valeurs: ROLES, defaut: 'agent' },
+    actif: { type: 'booleen', defaut: true }
+  }
+};
+export const CHAMPS_MODIFIABLES_UTILISATEUR = ['nom', 'mot_de_passe', 'role', 'actif'];
@@ -0,0 +1,51 @@
+// ===== Statistiques : lecture de la période et de la granularité =====
+import { STATUTS_HORS_CAPACITE } from './capaciteCreneaux.js';
+import { jourIso } from './validation.js';
+
+// Granularités acceptées (français ou anglais) -> unité date_trunc
+const GRANULARITES = {
+  jour: 'day',
+  day: 'day',
+  semaine: 'week',
+  week: 'week',
+  mois: 'month',
+  month: 'month'
+};
+
+// Date AAAA-MM-JJ existante (2026-02-30 est refusée au lieu d'échouer dans PostgreSQL)
+const dateValide = (valeur) => jourIso(valeur) === valeur;
+
+const decalerJours = (date, jours) => {
+  const resultat = new Date(date);
+  resultat.setUTCDate(resultat.getUTCDate() + jours);
+  return resultat.toISOString().slice(0, 10);
+};
+
+/**
+ * Lit du, au (dates ISO incluses) et granularite depuis la query string.
+ * Par défaut : les 12 derniers mois, par mois. Retourne { erreur } ou { du, au, granularite }.
+ */
+export const lirePeriode = ({ du, au, granularite = 'month' }) => {
+  if (du && !dateValide(du)) return { erreur: 'Paramètre du invalide (date AAAA-MM-JJ)' };
+  if (au && !dateValide(au)) return { erreur: 'Paramètre au invalide (date AAAA-MM-JJ)' };
+
+  const unite = GRANULARITES[granularite];
+  if (!unite) return { erreur: 'Granularité invalide. Doit être: day, week ou month' };
+
+  const fin = au || new Date().toISOString().slice(0, 10);
+  const debut = du || decalerJours(fin, -365);
+  if (debut > fin) return { erreur: 'La date de début doit précéder la date de fin' };
+
+  return { du: debut, au: fin, granularite: unite };
+};
+
+// Colis qui comptent dans les volumes et le chiffre d'affaires
+export const STATUTS_EXCLUS = STATUTS_HORS_CAPACITE;
+
+// Filtre SQL d'une colonne date/timestamp sur [du, au] (bornes incluses, au jour près)
+export const filtrePeriode = (colonne, indexDu, indexAu) =>
+  `${colonne} >= $${indexDu}::date AND ${colonne} < $${indexAu}::date + 1`;
+
+// Début de période selon la granularité, en date ISO
+export const colonnePeriode = (colonne, indexGranularite) =>
+  `date_trunc($${indexGranularite}, ${colonne})::date`;
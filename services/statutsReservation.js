@@ -0,0 +1,47 @@
+// ===== Cycle de vie des réservations : statuts, transitions et historique =====
+import { creerMachineEtats } from './machineEtats.js';
+import { notifierReservation } from './notifications/index.js';
+import { declencherWebhooks, chargeReservation } from './webhooks/index.js';
+
+export const STATUTS_RESERVATION = ['demande', 'confirmee', 'payee', 'annulee', 'terminee'];
+
+// Transitions autorisées : statut actuel -> statuts suivants possibles
+// annulee et terminee sont des statuts finaux
+export const TRANSITIONS_RESERVATION = {
+  demande: ['confirmee', 'annulee'],
+  confirmee: ['payee', 'terminee', 'annulee'],
+  payee: ['terminee', 'annulee'],
+  annulee: [],
+  terminee: []
+};
+
+export const { transitionAutorisee, messageTransitionInvalide } = creerMachineEtats(TRANSITIONS_RESERVATION);
+
+// Statuts dont le passage est notifié au titulaire
+const MODELES_NOTIFICATION = {
+  confirmee: 'reservation_confirmee'
+};
+
+// Enregistre un changement de statut avec son auteur (à appeler dans la transaction de la mise à jour).
+// La demande initiale et les statuts de MODELES_NOTIFICATION déclenchent une notification,
+// la demande initiale et l'annulation un webhook (reservation.creee, reservation.annulee).
+export const enregistrerEvenementReservation = async (client, { reservation_id, statut, statut_precedent = null, utilisateur_id = null, commentaire = null }) => {
+  const result = await client.query(
+    `INSERT INTO reservation_evenements (reservation_id, statut, statut_precedent, utilisateur_id, commentaire)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [reservation_id, statut, statut_precedent, utilisateur_id, commentaire]
+  );
+
+  const modele = statut_precedent === null ? 'reservation_recue' : MODELES_NOTIFICATION[statut];
+  const webhook = statut_precedent === null
+    ? 'reservation.creee'
+    : statut === 'annulee' && statut_precedent !== 'annulee' && 'reservation.annulee';
+  if (modele || webhook) {
+    const reservation = await client.query('SELECT * FROM reservations WHERE id = $1', [reservation_id]);
+    if (modele) await notifierReservation(client, modele, reservation.rows[0]);
+    if (webhook) await declencherWebhooks(client, webhook, chargeReservation(reservation.rows[0]));
+  }
+
+  return result.rows[0];
+};
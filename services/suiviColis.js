@@ -0,0 +1,67 @@
+// ===== Suivi des colis : statuts, transitions et historique =====
+import { creerMachineEtats } from './machineEtats.js';
+import { notifierColis } from './notifications/index.js';
+import { publierSuiviColis } from './tempsReel.js';
+import { declencherWebhooks, chargeColis } from './webhooks/index.js';
+
+export const STATUTS_COLIS = [
+  'en_attente',
+  'arrive_agence',
+  'en_transit',
+  'en_douane',
+  'livre',
+  'annule',
+  'retourne'
+];
+
+// Transitions autorisées : statut actuel -> statuts suivants possibles
+// livre, annule et retourne sont des statuts finaux
+export const TRANSITIONS_COLIS = {
+  en_attente: ['arrive_agence', 'en_transit', 'annule'],
+  arrive_agence: ['en_transit', 'annule', 'retourne'],
+  en_transit: ['en_douane', 'arrive_agence', 'livre', 'retourne'],
+  en_douane: ['en_transit', 'arrive_agence', 'livre', 'retourne'],
+  livre: [],
+  annule: [],
+  retourne: []
+};
+
+export const { transitionAutorisee, messageTransitionInvalide } = creerMachineEtats(TRANSITIONS_COLIS);
+
+// Statuts dont le passage est notifié à l'expéditeur et au destinataire
+const MODELES_NOTIFICATION = {
+  en_transit: 'colis_en_transit',
+  livre: 'colis_livre'
+};
+
+// Enregistre un événement de suivi (à appeler dans la même transaction que la mise à jour du colis)
+// et le publie en temps réel après le COMMIT.
+// Le premier événement et les statuts de MODELES_NOTIFICATION déclenchent une notification,
+// tout changement de statut le webhook colis.statut_modifie.
+export const enregistrerEvenement = async (client, { colis_id, statut, statut_precedent = null, lieu = null, commentaire = null }) => {
+  const result = await client.query(
+    `INSERT INTO colis_evenements (colis_id, statut, statut_precedent, lieu, commentaire)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [colis_id, statut, statut_precedent, lieu, commentaire]
+  );
+
+  const colisResult = await client.query(
+    `SELECT c.*, ce.lieu_depart, ce.destination
+     FROM colis c
+     LEFT JOIN creneaux_expedition ce ON c.creneau_id = ce.id
+     WHERE c.id = $1`,
+    [colis_id]
+  );
+  publierSuiviColis(client, colisResult.rows[0], result.rows[0]);
+
+  const modele = statut_precedent === null
+    ? 'colis_enregistre'
+    : statut !== statut_precedent && MODELES_NOTIFICATION[statut];
+  if (modele) await notifierColis(client, modele, colisResult.rows[0]);
+  if (statut_precedent !== null && statut !== statut_precedent) {
+    await declencherWebhooks(client, 'colis.statut_modifie', chargeColis(colisResult.rows[0], result.rows[0]));
+  }
+
+  return result.rows[0];
+};
@@ -0,0 +1,93 @@
+// ===== Moteur de tarification des colis =====
+
+export const TYPES_REGLE = ['multiplicateur_transport', 'supplement_type_colis', 'prime_assurance', 'minimum', 'code_promo'];
+export const MODES_REGLE = ['fixe', 'pourcentage', 'multiplicateur'];
+
+const arrondir = (montant) => Math.round(montant * 100) / 100;
+
+// Règle active pour un type et une clé, à défaut la règle générale (clé NULL)
+const trouverRegle = (regles, type, cle) =>
+  regles.find(r => r.type_regle === type && r.cle === cle) ||
+  regles.find(r => r.type_regle === type && r.cle === null);
+
+// Montant d'une règle fixe ou en pourcentage appliquée à une assiette
+const montantRegle = (regle, assiette) =>
+  regle.mode === 'pourcentage' ? assiette * parseFloat(regle.valeur) / 100 : parseFloat(regle.valeur);
+
+// Règles actives à la date du jour
+export const chargerReglesActives = async (db) => {
+  const result = await db.query(
+    `SELECT * FROM regles_tarifaires
+     WHERE actif
+       AND (date_debut IS NULL OR date_debut <= CURRENT_DATE)
+       AND (date_fin IS NULL OR date_fin >= CURRENT_DATE)`
+  );
+  return result.rows;
+};
+
+/**
+ * Calcule le prix d'un colis à partir des règles tarifaires (fonction pure).
+ * Ordre d'application : poids × frais_par_kg, multiplicateur du type de transport,
+ * supplément du type de colis, minimum de perception, code promo, puis prime d'assurance
+ * (la remise ne s'applique pas à l'assurance).
+ * Retourne { devis } ou { erreur } si le code promo est inconnu ou expiré.
+ */
+export const appliquerRegles = (regles, { poids, frais_par_kg, type_transport, type_colis, valeur_declaree, assurance, code_promo }) => {
+  const poidsKg = parseFloat(poids);
+  const fraisParKg = parseFloat(frais_par_kg);
+  const base = poidsKg * fraisParKg;
+
+  const regleTransport = regles.find(r => r.type_regle === 'multiplicateur_transport' && r.cle === type_transport);
+  const multiplicateur = regleTransport ? parseFloat(regleTransport.valeur) : 1;
+  const montantTransport = base * multiplicateur;
+
+  const regleSupplement = regles.find(r => r.type_regle === 'supplement_type_colis' && r.cle === type_colis);
+  const supplement = regleSupplement ? montantRegle(regleSupplement, montantTransport) : 0;
+
+  let fret = montantTransport + supplement;
+  const regleMinimum = trouverRegle(regles, 'minimum', type_transport);
+  const minimum = regleMinimum ? parseFloat(regleMinimum.valeur) : 0;
+  const minimumApplique = fret < minimum;
+  if (minimumApplique) fret = minimum;
+
+  let remise = 0;
+  if (code_promo) {
+    const reglePromo = regles.find(r => r.type_regle === 'code_promo' && r.cle === code_promo.toUpperCase());
+    if (!reglePromo) return { erreur: 'Code promo invalide ou expiré' };
+    remise = Math.min(fret, montantRegle(reglePromo, fret));
+  }
+
+  const regleAssurance = trouverRegle(regles, 'prime_assurance', type_colis);
+  const primeAssurance = assurance && regleAssurance
+    ? montantRegle(regleAssurance, parseFloat(valeur_declaree) || 0)
+    : 0;
+
+  return {
+    devis: {
+      poids: poidsKg,
+      frais_par_kg: fraisParKg,
+      type_transport,
+      type_colis,
+      base: arrondir(base),
+      multiplicateur_transport: multiplicateur,
+      montant_transport: arrondir(montantTransport),
+      supplement_type_colis: arrondir(supplement),
+      minimum_applique: minimumApplique,
+      remise: arrondir(remise),
+      code_promo: code_promo ? code_promo.toUpperCase() : null,
+      prime_assurance: arrondir(primeAssurance),
+      total: arrondir(fret - remise + primeAssurance)
+    }
+  };
+};
+
+// Devis complet pour un colis affecté à un créneau (frais_par_kg et type_transport viennent du créneau)
+export const calculerDevis = async (db, creneau, colis) => {
+  const regles = await chargerReglesActives(db);
+  return appliquerRegles(regles, {
+    ...colis,
+    type_colis: colis.type_colis || 'document',
+    frais_par_kg: creneau.frais_par_kg,
+    type_transport: creneau.type_transport
+  });
+};
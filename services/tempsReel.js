@@ -0,0 +1,91 @@
+// ===== Temps réel : événements diffusés aux flux SSE (tableau de bord, page de suivi) =====
+import { EventEmitter } from 'events';
+import { apresCommit } from './transactions.js';
+
+// Derniers événements gardés en mémoire pour la reprise d'un flux coupé (en-tête Last-Event-ID)
+const TAILLE_HISTORIQUE = 500;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const historique = [];
+// Ids croissants d'un démarrage du serveur à l'autre : un Last-Event-ID antérieur au redémarrage ne bloque rien
+let dernierId = Date.now();
+
+/*
+ * Sujets d'un élément : liste de l'entité, élément seul et, pour un colis, son numéro de suivi
+ * et son créneau (ancien et nouveau en cas de changement). Un abonné à « creneau:12 » reçoit
+ * donc le créneau et tous les colis qui y entrent ou en sortent.
+ */
+const SUJETS = {
+  colis: (c) => ['colis', `colis:${c.id}`, `suivi:${c.numero_suivi}`, c.creneau_id && `creneau:${c.creneau_id}`],
+  reservations: (r) => ['reservations', `reservation:${r.id}`],
+  creneaux: (ce) => ['creneaux', `creneau:${ce.id}`],
+  clients: (cl) => ['clients', `client:${cl.id}`]
+};
+
+const sujetsDe = (entite, ...etats) =>
+  [...new Set(etats.filter(Boolean).flatMap(etat => (SUJETS[entite] ? SUJETS[entite](etat) : [entite])).filter(Boolean))];
+
+const diffuser = (evenement) => {
+  const complet = { id: ++dernierId, date: new Date().toISOString(), ...evenement };
+  historique.push(complet);
+  if (historique.length > TAILLE_HISTORIQUE) historique.shift();
+  bus.emit('evenement', complet);
+};
+
+/**
+ * Publie la création, modification, suppression, restauration ou purge d'un élément (appelé par
+ * journaliser). Dans une transaction, l'événement ne part qu'après le COMMIT.
+ */
+export const publierModification = (db, { entite, entite_id, action, avant = null, apres = null, champs = [] }) => {
+  apresCommit(db, () => diffuser({
+    type: `${entite}.${action}`,
+    entite,
+    entite_id,
+    action,
+    champs,
+    sujets: sujetsDe(entite, avant, apres),
+    donnees: apres || avant
+  }));
+};
+
+/**
+ * Publie un événement de suivi d'un colis (changement de statut, point de passage).
+ * `public` ne contient que ce qu'affiche déjà la page de suivi (aucune donnée personnelle).
+ */
+export const publierSuiviColis = (db, colis, evenement) => {
+  const suivi = {
+    numero_suivi: colis.numero_suivi,
+    statut: evenement.statut,
+    statut_precedent: evenement.statut_precedent,
+    lieu: evenement.lieu,
+    commentaire: evenement.commentaire,
+    date_evenement: evenement.date_evenement
+  };
+  apresCommit(db, () => diffuser({
+    type: 'colis.suivi',
+    entite: 'colis',
+    entite_id: colis.id,
+    action: 'suivi',
+    champs: ['statut'],
+    sujets: sujetsDe('colis', colis),
+    donnees: { colis_id: colis.id, creneau_id: colis.creneau_id, ...suivi },
+    public: suivi
+  }));
+};
+
+/**
+ * Abonne `envoyer(evenement)` aux événements portant l'un des `sujets` (tous si la liste est vide),
+ * en rejouant d'abord ceux postérieurs à `depuis` encore en mémoire. Retourne la fonction de désabonnement.
+ */
+export const abonner = (sujets, envoyer, { depuis = null } = {}) => {
+  const concerne = (evenement) => sujets.length === 0 || evenement.sujets.some(s => sujets.includes(s));
+  const ecouteur = (evenement) => {
+    if (concerne(evenement)) envoyer(evenement);
+  };
+
+  if (depuis !== null) historique.filter(e => e.id > depuis && concerne(e)).forEach(envoyer);
+  bus.on('evenement', ecouteur);
+  return () => bus.off('evenement', ecouteur);
+};
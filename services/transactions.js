@@ -0,0 +1,23 @@
+// ===== Transactions : actions différées après le COMMIT (événements temps réel...) =====
+
+// Exécute (une seule fois) les actions différées d'un client dont la transaction vient d'être validée
+export const executerApresCommit = (client) => {
+  const actions = client.actionsApresCommit || [];
+  client.actionsApresCommit = [];
+  for (const action of actions) {
+    try {
+      action();
+    } catch (error) {
+      console.error('Erreur après COMMIT:', error);
+    }
+  }
+};
+
+// Diffère `action` après le COMMIT de la transaction de `db` (immédiate hors transaction : pool)
+export const apresCommit = (db, action) => {
+  if (Array.isArray(db.actionsApresCommit)) {
+    db.actionsApresCommit.push(action);
+    return;
+  }
+  action();
+};
@@ -0,0 +1,221 @@
+// ===== Validation déclarative : un schéma par entité, coercition des types =====
+import { ValidationError } from './erreurs.js';
+
+/*
+ * Un schéma décrit ses champs et, au besoin, des règles portant sur plusieurs champs :
+ *   { champs: { nom: { type, requis, defaut, ...contraintes } }, regles: [(valeurs) => erreur | null] }
+ *
+ * Types : texte, entier, decimal, booleen, date, heure, email, telephone, enum, id, url (http ou https),
+ *         dateheure (AAAA-MM-JJ, heure facultative : AAAA-MM-JJTHH:MM[:SS]),
+ *         liste (tableau ou « a,b » de valeurs parmi `valeurs`, sans doublon)
+ * Contraintes : requis (booléen ou fonction des données), defaut, min, max, superieurA, longueurMin,
+ *               longueurMax, valeurs (enum, liste), futur (jour >= aujourd'hui), passe (jour <= aujourd'hui)
+ * Option : brut (texte conservé tel quel, sans retrait des espaces, pour un mot de passe)
+ *
+ * Modes : creation (POST) et remplacement (PUT) exigent les champs requis et appliquent les défauts,
+ *         modification (PATCH) ne contrôle que les champs fournis. Un requis conditionnel est évalué
+ *         sur l'entrée seule en creation/remplacement, sur la ressource modifiée en modification.
+ */
+
+const CODES = {
+  requis: 'requis',
+  type: 'type_invalide',
+  format: 'format_invalide',
+  valeur: 'valeur_invalide',
+  min: 'trop_petit',
+  max: 'trop_grand',
+  longueur: 'trop_long',
+  court: 'trop_court',
+  passee: 'date_passee',
+  future: 'date_future',
+  incoherent: 'incoherent'
+};
+export { CODES as CODES_VALIDATION };
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const TELEPHONE = /^\+?[\d\s().-]{6,20}$/;
+const DATE_ISO = /^(\d{4})-(\d{2})-(\d{2})/;
+const HEURE = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+const DATE_HEURE = /^(\d{4}-\d{2}-\d{2})([T ]([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const BOOLEENS = { true: true, false: false, 1: true, 0: false, oui: true, non: false };
+
+const deuxChiffres = (n) => String(n).padStart(2, '0');
+
+// Jour 'AAAA-MM-JJ' d'une valeur date (chaîne ISO ou Date renvoyée par pg), null si invalide
+export const jourIso = (valeur) => {
+  if (valeur instanceof Date) {
+    return isNaN(valeur) ? null : `${valeur.getFullYear()}-${deuxChiffres(valeur.getMonth() + 1)}-${deuxChiffres(valeur.getDate())}`;
+  }
+  const correspondance = typeof valeur === 'string' && valeur.match(DATE_ISO);
+  if (!correspondance) return null;
+  const [, annee, mois, jour] = correspondance.map(Number);
+  const date = new Date(Date.UTC(annee, mois - 1, jour));
+  return date.getUTCMonth() === mois - 1 && date.getUTCDate() === jour ? correspondance[0] : null;
+};
+
+const aujourdhui = () => jourIso(new Date());
+
+const estVide = (valeur) => valeur === undefined || valeur === null || valeur === '';
+
+// Convertit une valeur selon son type : { valeur } ou { code, message }
+const convertir = (regle, valeur) => {
+  switch (regle.type) {
+    case 'texte': {
+      if (typeof valeur !== 'string' && typeof valeur !== 'number') return { code: CODES.type, message: 'doit être un texte' };
+      return { valeur: regle.brut ? String(valeur) : String(valeur).trim() };
+    }
+    case 'entier':
+    case 'id': {
+      const nombre = typeof valeur === 'string' && /^-?\d+$/.test(valeur.trim()) ? Number(valeur) : valeur;
+      if (!Number.isInteger(nombre)) return { code: CODES.type, message: 'doit être un nombre entier' };
+      if (regle.type === 'id' && nombre <= 0) return { code: CODES.valeur, message: 'doit être un identifiant valide' };
+      return { valeur: nombre };
+    }
+    case 'decimal': {
+      const texte = typeof valeur === 'string' ? valeur.trim().replace(/^(-?\d+),(\d+)$/, '$1.$2') : valeur;
+      const nombre = typeof texte === 'string' && texte !== '' ? Number(texte) : texte;
+      if (typeof nombre !== 'number' || !isFinite(nombre)) return { code: CODES.type, message: 'doit être un nombre' };
+      return { valeur: nombre };
+    }
+    case 'booleen': {
+      if (typeof valeur === 'boolean') return { valeur };
+      const booleen = BOOLEENS[String(valeur).trim().toLowerCase()];
+      if (booleen === undefined) return { code: CODES.type, message: 'doit être vrai ou faux' };
+      return { valeur: booleen };
+    }
+    case 'date': {
+      const jour = jourIso(valeur);
+      if (!jour) return { code: CODES.format, message: 'doit être une date au format AAAA-MM-JJ' };
+      return { valeur: jour };
+    }
+    case 'dateheure': {
+      const correspondance = typeof valeur === 'string' && valeur.trim().match(DATE_HEURE);
+      if (!correspondance || jourIso(correspondance[1]) !== correspondance[1]) {
+        return { code: CODES.format, message: 'doit être une date au format AAAA-MM-JJ ou AAAA-MM-JJTHH:MM' };
+      }
+      return { valeur: valeur.trim() };
+    }
+    case 'heure': {
+      if (typeof valeur !== 'string' || !HEURE.test(valeur.trim())) return { code: CODES.format, message: 'doit être une heure au format HH:MM' };
+      return { valeur: valeur.trim() };
+    }
+    case 'email': {
+      if (typeof valeur !== 'string' || !EMAIL.test(valeur.trim())) return { code: CODES.format, message: 'doit être une adresse email valide' };
+      return { valeur: valeur.trim().toLowerCase() };
+    }
+    case 'telephone': {
+      const texte = String(valeur).trim();
+      if (!TELEPHONE.test(texte) || texte.replace(/\D/g, '').length < 6) {
+        return { code: CODES.format, message: 'doit être un numéro de téléphone valide' };
+      }
+      return { valeur: texte };
+    }
+    case 'enum': {
+      if (!regle.valeurs.includes(valeur)) return { code: CODES.valeur, message: `doit être: ${regle.valeurs.join(', ')}` };
+      return { valeur };
+    }
+    case 'url': {
+      let url;
+      try {
+        url = new URL(String(valeur).trim());
+      } catch {
+        return { code: CODES.format, message: 'doit être une URL valide' };
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) return { code: CODES.format, message: 'doit être une URL http ou https' };
+      return { valeur: url.href };
+    }
+    case 'liste': {
+      const saisis = typeof valeur === 'string' ? valeur.split(',').map(v => v.trim()).filter(Boolean) : valeur;
+      if (!Array.isArray(saisis) || saisis.length === 0) return { code: CODES.type, message: 'doit être une liste non vide' };
+      // Valeurs possibles numériques (jours ISO...) : « 1,3 » et ['1', '3'] sont acceptés
+      const elements = regle.valeurs.every(v => typeof v === 'number')
+        ? saisis.map(v => (typeof v === 'string' && /^\d+$/.test(v) ? Number(v) : v))
+        : saisis;
+      const inconnus = elements.filter(v => !regle.valeurs.includes(v));
+      if (inconnus.length > 0) {
+        return { code: CODES.valeur, message: `contient des valeurs inconnues (${inconnus.join(', ')}), valeurs possibles: ${regle.valeurs.join(', ')}` };
+      }
+      return { valeur: [...new Set(elements)] };
+    }
+    default:
+      throw new Error(`Type de champ inconnu: ${regle.type}`);
+  }
+};
+
+// Contraintes sur la valeur convertie : { code, message } ou null
+const contraindre = (regle, valeur, valeurActuelle) => {
+  if (regle.superieurA !== undefined && !(valeur > regle.superieurA)) {
+    return { code: CODES.min, message: `doit être supérieur à ${regle.superieurA}` };
+  }
+  if (regle.min !== undefined && valeur < regle.min) return { code: CODES.min, message: `doit être au moins ${regle.min}` };
+  if (regle.max !== undefined && valeur > regle.max) return { code: CODES.max, message: `doit être au plus ${regle.max}` };
+  if (regle.longueurMin !== undefined && valeur.length < regle.longueurMin) {
+    return { code: CODES.court, message: `doit contenir au moins ${regle.longueurMin} caractères` };
+  }
+  if (regle.longueurMax !== undefined && valeur.length > regle.longueurMax) {
+    return { code: CODES.longueur, message: `ne doit pas dépasser ${regle.longueurMax} caractères` };
+  }
+  // Comparaison au jour près ; une date déjà enregistrée et inchangée n'est pas refusée parce qu'elle est passée
+  if (regle.futur && jourIso(valeur) < aujourdhui() && jourIso(valeur) !== jourIso(valeurActuelle)) {
+    return { code: CODES.passee, message: 'ne peut pas être dans le passé' };
+  }
+  if (regle.passe && jourIso(valeur) > aujourdhui()) return { code: CODES.future, message: 'ne peut pas être dans le futur' };
+  return null;
+};
+
+/**
+ * Valide et convertit `donnees` selon `schema`. Retourne les valeurs converties (champs du schéma
+ * uniquement) ou lève une ValidationError listant tous les champs invalides.
+ * Options : mode (creation | remplacement | modification), actuel (ligne en base, pour les règles
+ * croisées et les dates inchangées), champs (restreint les champs acceptés), prefixe (ex: 'passagers[0].').
+ */
+export const analyser = (schema, donnees, { mode = 'creation', actuel = null, champs = null, prefixe = '' } = {}) => {
+  const entree = donnees && typeof donnees === 'object' ? donnees : {};
+  const complet = mode !== 'modification';
+  const valeurs = {};
+  const errors = [];
+
+  for (const [champ, regle] of Object.entries(schema.champs)) {
+    if (champs && !champs.includes(champ)) continue;
+
+    const fourni = Object.prototype.hasOwnProperty.call(entree, champ);
+    const brute = entree[champ];
+    const requis = typeof regle.requis === 'function' ? regle.requis(complet ? entree : { ...actuel, ...entree }) : regle.requis;
+
+    if (estVide(brute)) {
+      if (requis && (complet || fourni)) {
+        errors.push({ champ: prefixe + champ, code: CODES.requis, message: `${champ} est obligatoire` });
+      } else if (complet && !fourni && regle.defaut !== undefined) {
+        valeurs[champ] = regle.defaut;
+      } else if (fourni || complet) {
+        valeurs[champ] = null;
+      }
+      continue;
+    }
+
+    const conversion = convertir(regle, brute);
+    const erreur = conversion.code ? conversion : contraindre(regle, conversion.valeur, actuel ? actuel[champ] : undefined);
+    if (erreur) {
+      errors.push({ champ: prefixe + champ, code: erreur.code, message: `${champ} ${erreur.message}` });
+    } else {
+      valeurs[champ] = conversion.valeur;
+    }
+  }
+
+  // Règles croisées sur la ressource résultante, une fois chaque champ valide
+  if (errors.length === 0) {
+    const resultante = { ...actuel, ...valeurs };
+    for (const regle of schema.regles || []) {
+      const erreur = regle(resultante);
+      if (erreur) errors.push({ ...erreur, champ: prefixe + erreur.champ, code: erreur.code || CODES.incoherent });
+    }
+  }
+
+  return { valeurs, errors };
+};
+
+export const valider = (schema, donnees, options) => {
+  const { valeurs, errors } = analyser(schema, donnees, options);
+  if (errors.length > 0) throw new ValidationError(errors);
+  return valeurs;
+};
@@ -0,0 +1,113 @@
+// ===== Webhooks : événements proposés aux partenaires, mise en file (outbox) et signature =====
+// Les livraisons sont insérées avec le client de la transaction métier : elles n'existent
+// que si le changement est validé, et le worker les envoie ensuite.
+import crypto from 'crypto';
+
+// Événements auxquels un webhook peut s'abonner
+export const EVENEMENTS_WEBHOOK = [
+  'reservation.creee',
+  'reservation.annulee',
+  'colis.statut_modifie',
+  'creneau.parti',
+  'creneau.arrive'
+];
+// Envoyé uniquement par POST /api/webhooks/:id/tester, quels que soient les abonnements
+export const EVENEMENT_TEST = 'webhook.test';
+
+export const ENTETE_SIGNATURE_WEBHOOK = 'x-webhook-signature';
+export const ENTETE_HORODATAGE_WEBHOOK = 'x-webhook-horodatage';
+
+export const LONGUEUR_MIN_SECRET = 16;
+
+// Attente avant la tentative suivante : 1, 2, 4, 8... minutes, plafonnée à 6 heures (comme les notifications)
+export const delaiRelivraison = (tentatives) => Math.min(2 ** (tentatives - 1), 360);
+
+// Secret proposé quand l'abonnement n'en fournit pas (montré une seule fois, à la création)
+export const genererSecret = () => 'whsec_' + crypto.randomBytes(24).toString('hex');
+
+// Secret masqué dans les réponses de l'API
+export const masquerSecret = ({ secret, ...webhook }) => ({ ...webhook, secret: secret ? `${secret.slice(0, 4)}…` : null });
+
+/*
+ * Signature HMAC-SHA256 de « horodatage.corps » avec le secret de l'abonnement, au format
+ * sha256=<hex> comme les callbacks de paiement. L'horodatage (secondes Unix) est signé pour que
+ * le récepteur puisse refuser une requête rejouée trop tard.
+ */
+export const signerLivraison = (secret, horodatage, corps) =>
+  'sha256=' + crypto.createHmac('sha256', secret).update(`${horodatage}.${corps}`).digest('hex');
+
+// Vérification côté récepteur, en temps constant (récepteur local, intégrations Node des partenaires)
+export const signatureLivraisonValide = (secret, horodatage, corps, signature) => {
+  if (!secret || !horodatage || typeof signature !== 'string') return false;
+  const attendue = Buffer.from(signerLivraison(secret, horodatage, corps));
+  const recue = Buffer.from(signature);
+  return attendue.length === recue.length && crypto.timingSafeEqual(attendue, recue);
+};
+
+// Corps JSON envoyé : identique à chaque tentative (l'id permet au partenaire d'ignorer un doublon)
+export const corpsLivraison = (livraison) => JSON.stringify({
+  id: livraison.id,
+  type: livraison.evenement,
+  date: livraison.created_at,
+  donnees: livraison.charge
+});
+
+/**
+ * Met en file l'événement `evenement` pour chaque webhook actif qui y est abonné.
+ * À appeler dans la transaction du changement. Retourne le nombre de livraisons créées.
+ */
+export const declencherWebhooks = async (client, evenement, donnees) => {
+  const result = await client.query(
+    `INSERT INTO webhooks_livraisons (webhook_id, evenement, charge)
+     SELECT id, $1::text, $2 FROM webhooks WHERE actif AND $1::text = ANY(evenements)`,
+    [evenement, JSON.stringify(donnees)]
+  );
+  return result.rowCount;
+};
+
+// ===== Charges des événements : champs publiés aux partenaires =====
+
+export const chargeReservation = (r) => ({
+  id: r.id,
+  statut: r.statut,
+  nom: r.nom,
+  prenom: r.prenom,
+  email: r.email,
+  telephone: r.telephone,
+  lieu_depart: r.lieu_depart,
+  destination: r.destination,
+  date_depart: r.date_depart,
+  date_retour: r.date_retour,
+  nombre_passagers: r.nombre_passagers,
+  classe: r.classe,
+  voyage_id: r.voyage_id,
+  montant_total: r.montant_total,
+  motif_annulation: r.motif_annulation
+});
+
+export const chargeColis = (c, evenement) => ({
+  id: c.id,
+  numero_suivi: c.numero_suivi,
+  statut: evenement.statut,
+  statut_precedent: evenement.statut_precedent,
+  lieu: evenement.lieu,
+  commentaire: evenement.commentaire,
+  date_evenement: evenement.date_evenement,
+  creneau_id: c.creneau_id,
+  lieu_depart: c.lieu_depart,
+  destination: c.destination,
+  poids: c.poids
+});
+
+export const chargeCreneau = (ce, colis = []) => ({
+  id: ce.id,
+  statut: ce.statut,
+  lieu_depart: ce.lieu_depart,
+  destination: ce.destination,
+  date_expedition: ce.date_expedition,
+  heure_depart: ce.heure_depart,
+  type_transport: ce.type_transport,
+  depart_effectif: ce.depart_effectif,
+  arrivee_effective: ce.arrivee_effective,
+  colis
+});
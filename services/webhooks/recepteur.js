@@ -0,0 +1,47 @@
+// ===== Webhooks : récepteur local (développement et tests automatisés) =====
+// Serveur HTTP qui vérifie la signature de chaque livraison reçue, comme le ferait un partenaire.
+import http from 'http';
+import { signatureLivraisonValide, ENTETE_SIGNATURE_WEBHOOK, ENTETE_HORODATAGE_WEBHOOK } from './index.js';
+
+/**
+ * Démarre le récepteur. Sans `secret`, les signatures ne sont pas vérifiées ; une signature
+ * invalide est refusée en 401. `statut` force le code HTTP de réponse (ex. 500 pour observer les
+ * relivraisons) et reste modifiable via `recepteur.statut`. `surReception` est appelée pour chaque
+ * livraison avec { evenement, id, corps, signee, statut }.
+ * Retourne { url, recues, statut, fermer() } une fois le serveur en écoute (port 0 : port libre).
+ */
+export const demarrerRecepteur = ({ secret, port = 0, statut = null, surReception } = {}) =>
+  new Promise((resolve, reject) => {
+    const recepteur = { url: null, recues: [], statut };
+
+    const serveur = http.createServer((req, res) => {
+      const morceaux = [];
+      req.on('data', (morceau) => morceaux.push(morceau));
+      req.on('end', () => {
+        const corps = Buffer.concat(morceaux).toString('utf8');
+        const signee = signatureLivraisonValide(secret, req.headers[ENTETE_HORODATAGE_WEBHOOK], corps, req.headers[ENTETE_SIGNATURE_WEBHOOK]);
+        const reponse = recepteur.statut || (secret && !signee ? 401 : 200);
+
+        const reception = {
+          evenement: req.headers['x-webhook-evenement'],
+          id: req.headers['x-webhook-id'],
+          corps,
+          signee,
+          statut: reponse
+        };
+        recepteur.recues.push(reception);
+        surReception?.(reception);
+
+        res.writeHead(reponse, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ recu: reponse < 300 }));
+      });
+    });
+
+    recepteur.fermer = () => new Promise((fin) => serveur.close(fin));
+
+    serveur.once('error', reject);
+    serveur.listen(port, () => {
+      recepteur.url = `http://localhost:${serveur.address().port}/`;
+      resolve(recepteur);
+    });
+  });
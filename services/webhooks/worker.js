@@ -0,0 +1,204 @@
+// ===== Webhooks : envoi des livraisons en attente =====
+// Les fonctions reçoivent la base (`db` : pool ou client pg) : le worker, l'API et les tests les partagent.
+import {
+  signerLivraison,
+  corpsLivraison,
+  delaiRelivraison,
+  EVENEMENT_TEST,
+  ENTETE_SIGNATURE_WEBHOOK,
+  ENTETE_HORODATAGE_WEBHOOK
+} from './index.js';
+
+const MAX_TENTATIVES = parseInt(process.env.WEBHOOKS_MAX_TENTATIVES) || 8;
+// Échecs consécutifs (toutes livraisons confondues) au-delà desquels le webhook est désactivé
+const ECHECS_DESACTIVATION = parseInt(process.env.WEBHOOKS_ECHECS_DESACTIVATION) || 20;
+const DELAI_REPONSE_MS = parseInt(process.env.WEBHOOKS_DELAI_REPONSE_MS) || 10000;
+// Une livraison « en_cours » depuis plus longtemps est considérée comme abandonnée par un worker arrêté
+const DELAI_VERROU_MINUTES = 10;
+
+// Réserve un lot de livraisons des webhooks actifs ; SKIP LOCKED permet de lancer plusieurs workers
+const reserverLot = async (db, taille) => {
+  const result = await db.query(
+    `UPDATE webhooks_livraisons SET statut = 'en_cours', verrouillee_le = NOW()
+     WHERE id IN (
+       SELECT l.id FROM webhooks_livraisons l
+       JOIN webhooks w ON w.id = l.webhook_id
+       WHERE w.actif
+         AND ((l.statut IN ('en_attente', 'echec') AND l.prochaine_tentative <= NOW())
+           OR (l.statut = 'en_cours' AND l.verrouillee_le < NOW() - make_interval(mins => $2)))
+       ORDER BY l.prochaine_tentative
+       LIMIT $1
+       FOR UPDATE OF l SKIP LOCKED
+     )
+     RETURNING *`,
+    [taille, DELAI_VERROU_MINUTES]
+  );
+  // RETURNING ne garantit pas l'ordre de la sous-requête : les plus anciennes partent en premier
+  return result.rows.sort((a, b) => a.prochaine_tentative - b.prochaine_tentative || a.id - b.id);
+};
+
+// Requête POST signée : { succes, code_http, reponse, duree_ms }
+const envoyer = async (webhook, livraison) => {
+  const corps = corpsLivraison(livraison);
+  const horodatage = Math.floor(Date.now() / 1000);
+  const debut = Date.now();
+
+  try {
+    const reponse = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'JessVoyage-Webhooks/1.0',
+        'X-Webhook-Id': String(livraison.id),
+        'X-Webhook-Evenement': livraison.evenement,
+        [ENTETE_HORODATAGE_WEBHOOK]: String(horodatage),
+        [ENTETE_SIGNATURE_WEBHOOK]: signerLivraison(webhook.secret, horodatage, corps)
+      },
+      body: corps,
+      // Une redirection n'est pas suivie : le corps signé ne doit partir que vers l'URL enregistrée
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELAI_REPONSE_MS)
+    });
+    const texte = await reponse.text();
+    return {
+      succes: reponse.status >= 200 && reponse.status < 300,
+      code_http: reponse.status,
+      reponse: texte || `HTTP ${reponse.status}`,
+      duree_ms: Date.now() - debut
+    };
+  } catch (error) {
+    const message = error.name === 'TimeoutError' ? `Pas de réponse en ${DELAI_REPONSE_MS} ms` : error.message;
+    return { succes: false, code_http: null, reponse: message, duree_ms: Date.now() - debut };
+  }
+};
+
+/*
+ * Envoie une livraison réservée et enregistre la tentative. Un échec reprogramme la livraison
+ * (1, 2, 4, 8... minutes) jusqu'à MAX_TENTATIVES dans la série puis l'abandonne ; il compte aussi
+ * parmi les échecs consécutifs du webhook, désactivé au seuil ECHECS_DESACTIVATION. Un succès remet
+ * ce compteur à zéro. Une livraison de test n'est tentée qu'une fois et ne touche pas au compteur.
+ */
+const livrer = async (db, webhook, livraison) => {
+  const tentative = livraison.tentatives + 1;
+  const test = livraison.evenement === EVENEMENT_TEST;
+  const resultat = await envoyer(webhook, livraison);
+  const reponse = String(resultat.reponse).slice(0, 2000);
+
+  await db.query(
+    `INSERT INTO webhooks_tentatives (livraison_id, relivraison, tentative, code_http, succes, reponse, duree_ms)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [livraison.id, livraison.relivraison, tentative, resultat.code_http, resultat.succes, reponse, resultat.duree_ms]
+  );
+
+  if (resultat.succes) {
+    await db.query(
+      `UPDATE webhooks_livraisons SET statut = 'livree', tentatives = $2, livree_le = NOW(), verrouillee_le = NULL,
+       dernier_code_http = $3, derniere_erreur = NULL
+       WHERE id = $1`,
+      [livraison.id, tentative, resultat.code_http]
+    );
+    if (!test) await db.query('UPDATE webhooks SET echecs_consecutifs = 0 WHERE id = $1 AND echecs_consecutifs > 0', [webhook.id]);
+    return { ...resultat, tentative, desactive: false };
+  }
+
+  await db.query(
+    `UPDATE webhooks_livraisons SET statut = $2, tentatives = $3, dernier_code_http = $4, derniere_erreur = $5,
+     verrouillee_le = NULL, prochaine_tentative = NOW() + make_interval(mins => $6)
+     WHERE id = $1`,
+    [livraison.id, test || tentative >= MAX_TENTATIVES ? 'abandonnee' : 'echec', tentative, resultat.code_http, reponse,
+     delaiRelivraison(tentative)]
+  );
+  if (test) return { ...resultat, tentative, desactive: false };
+
+  // desactive_le vaut NOW() seulement si cette requête vient de désactiver le webhook
+  const compteur = await db.query(
+    `UPDATE webhooks SET echecs_consecutifs = echecs_consecutifs + 1,
+       actif = actif AND echecs_consecutifs + 1 < $2,
+       desactive_le = CASE WHEN actif AND echecs_consecutifs + 1 >= $2 THEN NOW() ELSE desactive_le END,
+       motif_desactivation = CASE WHEN actif AND echecs_consecutifs + 1 >= $2 THEN $3 ELSE motif_desactivation END
+     WHERE id = $1
+     RETURNING (desactive_le = NOW()) as desactive`,
+    [webhook.id, ECHECS_DESACTIVATION, `${ECHECS_DESACTIVATION} échecs consécutifs (dernier : ${reponse.slice(0, 200)})`]
+  );
+  return { ...resultat, tentative, desactive: compteur.rows[0]?.desactive === true };
+};
+
+// Rend à la file les livraisons réservées d'un webhook désactivé en cours de lot (tentative non comptée)
+const liberer = (db, ids) =>
+  db.query(
+    `UPDATE webhooks_livraisons SET statut = CASE WHEN tentatives = 0 THEN 'en_attente' ELSE 'echec' END,
+     verrouillee_le = NULL
+     WHERE id = ANY($1)`,
+    [ids]
+  );
+
+// Envoie un lot de livraisons, retourne le bilan { livrees, echecs, webhooks_desactives }
+export const distribuerWebhooks = async (db, { taille = 20 } = {}) => {
+  const lot = await reserverLot(db, taille);
+  if (lot.length === 0) return { livrees: 0, echecs: 0, webhooks_desactives: 0 };
+
+  const webhooks = await db.query('SELECT * FROM webhooks WHERE id = ANY($1)', [[...new Set(lot.map(l => l.webhook_id))]]);
+  const parId = new Map(webhooks.rows.map(w => [w.id, w]));
+  const desactives = new Set();
+  const aLiberer = [];
+  let livrees = 0;
+  let echecs = 0;
+
+  for (const livraison of lot) {
+    if (desactives.has(livraison.webhook_id)) {
+      aLiberer.push(livraison.id);
+      continue;
+    }
+    const resultat = await livrer(db, parId.get(livraison.webhook_id), livraison);
+    if (resultat.succes) livrees++;
+    else echecs++;
+    if (resultat.desactive) desactives.add(livraison.webhook_id);
+  }
+
+  if (aLiberer.length > 0) await liberer(db, aLiberer);
+  return { livrees, echecs, webhooks_desactives: desactives.size };
+};
+
+/**
+ * Envoie immédiatement la livraison `id` (test d'un webhook, même désactivé), hors de la file.
+ * Retourne { livraison, tentative } ou null si elle est introuvable ou déjà en cours d'envoi.
+ */
+export const livrerMaintenant = async (db, id) => {
+  const reservee = await db.query(
+    `UPDATE webhooks_livraisons SET statut = 'en_cours', verrouillee_le = NOW()
+     WHERE id = $1 AND statut <> 'en_cours'
+     RETURNING *`,
+    [id]
+  );
+  if (reservee.rows.length === 0) return null;
+
+  const webhook = await db.query('SELECT * FROM webhooks WHERE id = $1', [reservee.rows[0].webhook_id]);
+  const { succes, code_http, reponse, duree_ms, tentative } = await livrer(db, webhook.rows[0], reservee.rows[0]);
+  const livraison = await db.query('SELECT * FROM webhooks_livraisons WHERE id = $1', [id]);
+  return { livraison: livraison.rows[0], tentative: { tentative, succes, code_http, reponse, duree_ms } };
+};
+
+/**
+ * Remet la livraison `id` dans la file pour une nouvelle série de tentatives (même corps, même
+ * X-Webhook-Id). Les tentatives passées restent au journal sous leur série.
+ * Retourne { livraison } ou { erreur, status }.
+ */
+export const relivrer = async (db, id) => {
+  const webhook = await db.query(
+    'SELECT w.actif FROM webhooks_livraisons l JOIN webhooks w ON w.id = l.webhook_id WHERE l.id = $1',
+    [id]
+  );
+  if (webhook.rows.length === 0) return { status: 404, erreur: 'Livraison non trouvée' };
+  if (!webhook.rows[0].actif) return { status: 409, erreur: 'Webhook désactivé : le réactiver avant de relivrer' };
+
+  const result = await db.query(
+    `UPDATE webhooks_livraisons SET statut = 'en_attente', relivraison = relivraison + 1, tentatives = 0,
+     prochaine_tentative = NOW(), derniere_erreur = NULL, dernier_code_http = NULL
+     WHERE id = $1 AND statut <> 'en_cours'
+     RETURNING *`,
+    [id]
+  );
+  if (result.rows.length === 0) return { status: 409, erreur: 'Livraison en cours d\'envoi' };
+
+  return { livraison: result.rows[0] };
+};
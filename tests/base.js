@@ -0,0 +1,39 @@
+// Base de test : instance PGlite en mémoire avec toutes les migrations, exposée comme le pool pg.
+import { readFile, readdir } from 'fs/promises';
+import { PGlite } from '@electric-sql/pglite';
+import { unaccent } from '@electric-sql/pglite/contrib/unaccent';
+import { pg_trgm } from '@electric-sql/pglite/contrib/pg_trgm';
+import { executerApresCommit } from '../services/transactions.js';
+
+const MIGRATIONS = new URL('../migrations/', import.meta.url);
+
+// Même interface que le pool (ou un client) pg pour les requêtes des services
+const adapter = (pglite) => ({
+  query: async (sql, params) => {
+    const result = await pglite.query(sql, params);
+    return { rows: result.rows, rowCount: result.affectedRows ?? result.rows.length };
+  }
+});
+
+/**
+ * Crée la base et applique les migrations *.up.sql dans l'ordre.
+ * Retourne { pglite, db, transaction } : `transaction(fn)` se comporte comme withTransaction
+ * (ROLLBACK si `fn` lève une erreur, actions différées exécutées après le COMMIT).
+ */
+export const creerBase = async () => {
+  const pglite = new PGlite({ extensions: { unaccent, pg_trgm } });
+  const fichiers = (await readdir(MIGRATIONS)).filter(f => f.endsWith('.up.sql')).sort();
+  for (const fichier of fichiers) await pglite.exec(await readFile(new URL(fichier, MIGRATIONS), 'utf8'));
+
+  const transaction = async (fn) => {
+    let client;
+    const result = await pglite.transaction(async (tx) => {
+      client = { ...adapter(tx), actionsApresCommit: [] };
+      return fn(client);
+    });
+    executerApresCommit(client);
+    return result;
+  };
+
+  return { pglite, db: adapter(pglite), transaction };
+};
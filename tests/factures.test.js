@@ -0,0 +1,168 @@
+// Factures et avoirs : numérotation continue, immuabilité, avoirs plafonnés et rapprochement du montant dû.
+// La base est une instance PGlite en mémoire avec toutes les migrations.
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { creerBase } from './base.js';
+
+// Taux lus à l'import du service
+process.env.FACTURES_TVA_COLIS = '20';
+process.env.FACTURES_TVA_VOYAGES = '10';
+
+const { emettreFacture, emettreAvoir } = await import('../services/factures.js');
+
+const AUTEUR = { utilisateur_id: null, utilisateur_email: null, adresse_ip: null };
+
+let base;
+let db;
+let annee;
+
+const creerColis = async ({ poids = 7.3, fraisParKg = 5, prixTotal = null } = {}) => {
+  const creneau = await db.query(
+    `INSERT INTO creneaux_expedition (lieu_depart, destination, date_expedition, heure_depart, capacite_max, frais_par_kg, poids_max_colis)
+     VALUES ('Paris', 'Dakar', CURRENT_DATE + 7, '08:00', 10, $1, 50) RETURNING id`,
+    [fraisParKg]
+  );
+  const result = await db.query(
+    `INSERT INTO colis (numero_suivi, nom_expediteur, telephone_expediteur, adresse_expediteur, nom_destinataire,
+       telephone_destinataire, adresse_destinataire, poids, creneau_id, prix_total)
+     VALUES ('COL-' || floor(random() * 1e9)::text, 'Awa Diop', '0600000001', '1 rue de Paris', 'Moussa Diop',
+       '0600000002', 'Dakar', $1, $2, $3)
+     RETURNING *`,
+    [poids, creneau.rows[0].id, prixTotal]
+  );
+  return result.rows[0];
+};
+
+const creerReservation = async (montantTotal = 220) => {
+  const result = await db.query(
+    `INSERT INTO reservations (nom, prenom, email, telephone, lieu_depart, destination, date_depart, nombre_passagers,
+       classe, montant_total, statut)
+     VALUES ('Diop', 'Awa', 'awa@example.com', '0600000001', 'Paris', 'Dakar', CURRENT_DATE + 30, 2, 'Economique', $1, 'confirmee')
+     RETURNING *`,
+    [montantTotal]
+  );
+  return result.rows[0];
+};
+
+const facturer = (entite, id) => base.transaction((client) => emettreFacture(client, AUTEUR, { entite, entite_id: id }));
+const crediter = (factureId, options) => base.transaction((client) => emettreAvoir(client, AUTEUR, factureId, options));
+
+before(async () => {
+  base = await creerBase();
+  db = base.db;
+  annee = (await db.query('SELECT EXTRACT(YEAR FROM NOW())::int as annee')).rows[0].annee;
+});
+
+after(async () => {
+  await base?.pglite.close();
+});
+
+beforeEach(async () => {
+  await base.pglite.exec(`TRUNCATE factures, compteurs_factures, colis, creneaux_expedition, reservations RESTART IDENTITY CASCADE`);
+});
+
+test('facture d\'un colis : total égal au montant dû et lignes HT vérifiables', async () => {
+  const colis = await creerColis();
+
+  const { facture, erreur } = await facturer('colis', colis.id);
+  assert.equal(erreur, undefined);
+  assert.equal(facture.numero, `FAC-${annee}-000001`);
+  assert.equal(parseFloat(facture.total_ttc), 36.5);
+  assert.equal(parseFloat(facture.total_ht), 30.42);
+  assert.equal(parseFloat(facture.total_taxes), 6.08);
+
+  // 7,3 kg x prix unitaire HT retombe sur le montant HT imprimé
+  const [ligne] = facture.lignes;
+  assert.equal(ligne.quantite, 7.3);
+  assert.equal(ligne.montant_ht, 30.42);
+  assert.equal(Math.round(ligne.quantite * ligne.prix_unitaire_ht * 100) / 100, ligne.montant_ht);
+});
+
+test('total calculé différent du montant dû : 409 sans facture émise', async () => {
+  const colis = await creerColis({ prixTotal: 40 });
+
+  const { status, erreur } = await facturer('colis', colis.id);
+  assert.equal(status, 409);
+  assert.match(erreur, /36\.5.*différent du montant dû \(40\)/);
+  assert.equal((await db.query('SELECT COUNT(*)::int as n FROM factures')).rows[0].n, 0);
+});
+
+test('une émission annulée ne consomme aucun numéro', async () => {
+  const reservation = await creerReservation();
+
+  await assert.rejects(
+    base.transaction(async (client) => {
+      const { facture } = await emettreFacture(client, AUTEUR, { entite: 'reservations', entite_id: reservation.id });
+      assert.equal(facture.numero, `FAC-${annee}-000001`);
+      throw new Error('échec après émission');
+    }),
+    /échec après émission/
+  );
+
+  const { facture } = await facturer('reservations', reservation.id);
+  assert.equal(facture.numero, `FAC-${annee}-000001`);
+  assert.equal(facture.sequence, 1);
+});
+
+test('numérotation propre à chaque type et repartant de 1 chaque année', async () => {
+  await db.query(`INSERT INTO compteurs_factures (type, annee, dernier_numero) VALUES ('facture', $1, 57)`, [annee - 1]);
+  const premiere = await creerReservation();
+  const seconde = await creerReservation();
+
+  const { facture } = await facturer('reservations', premiere.id);
+  assert.equal(facture.numero, `FAC-${annee}-000001`);
+  assert.equal((await facturer('reservations', seconde.id)).facture.numero, `FAC-${annee}-000002`);
+  assert.equal((await crediter(facture.id, { motif: 'Annulation' })).avoir.numero, `AV-${annee}-000001`);
+
+  const compteurs = await db.query('SELECT type, annee, dernier_numero FROM compteurs_factures ORDER BY type, annee');
+  assert.deepEqual(compteurs.rows, [
+    { type: 'avoir', annee, dernier_numero: 1 },
+    { type: 'facture', annee: annee - 1, dernier_numero: 57 },
+    { type: 'facture', annee, dernier_numero: 2 }
+  ]);
+});
+
+test('une facture émise ne peut être ni modifiée ni supprimée', async () => {
+  const reservation = await creerReservation();
+  const { facture } = await facturer('reservations', reservation.id);
+
+  await assert.rejects(
+    db.query('UPDATE factures SET total_ttc = 0 WHERE id = $1', [facture.id]),
+    /modification et suppression interdites/
+  );
+  await assert.rejects(db.query('DELETE FROM factures WHERE id = $1', [facture.id]), /modification et suppression interdites/);
+  assert.equal(parseFloat((await db.query('SELECT total_ttc FROM factures WHERE id = $1', [facture.id])).rows[0].total_ttc), 220);
+});
+
+test('avoir partiel puis avoir du reste acceptés, un troisième avoir refusé (409)', async () => {
+  const reservation = await creerReservation(220);
+  const { facture } = await facturer('reservations', reservation.id);
+  assert.equal(parseFloat(facture.total_ht), 200);
+
+  assert.equal((await crediter(facture.id, { motif: 'Trop élevé', montant_ht: 250 })).status, 409);
+
+  const partiel = await crediter(facture.id, { motif: 'Geste commercial', montant_ht: 50 });
+  assert.equal(parseFloat(partiel.avoir.total_ht), -50);
+  assert.equal(parseFloat(partiel.avoir.total_ttc), -55);
+
+  // Sans montant : le reste créditable (150 HT)
+  const reste = await crediter(facture.id, { motif: 'Annulation' });
+  assert.equal(parseFloat(reste.avoir.total_ht), -150);
+  assert.equal(parseFloat(reste.avoir.total_ttc), -165);
+
+  const troisieme = await crediter(facture.id, { motif: 'Doublon' });
+  assert.equal(troisieme.status, 409);
+  assert.match(troisieme.erreur, /déjà entièrement créditée/);
+
+  // Entièrement créditée, la réservation peut être facturée à nouveau
+  assert.equal((await facturer('reservations', reservation.id)).facture.numero, `FAC-${annee}-000002`);
+});
+
+test('une réservation déjà facturée ne l\'est pas deux fois', async () => {
+  const reservation = await creerReservation();
+  await facturer('reservations', reservation.id);
+
+  const { status, erreur } = await facturer('reservations', reservation.id);
+  assert.equal(status, 409);
+  assert.match(erreur, new RegExp(`Déjà facturé \\(FAC-${annee}-000001\\)`));
+});
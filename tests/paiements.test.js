@@ -0,0 +1,128 @@
+// Paiements : signature des callbacks, confirmation idempotente, plafonds du registre et passage à payee.
+// La base est une instance PGlite en mémoire avec toutes les migrations.
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { creerBase } from './base.js';
+
+process.env.PAIEMENTS_CALLBACK_SECRET = 'secret_callback_de_test';
+
+const { enregistrerPaiement, confirmerPaiement, signerCorps, signatureValide } = await import('../services/paiements.js');
+
+const AUTEUR = { utilisateur_id: null, utilisateur_email: null, adresse_ip: null };
+
+let base;
+let db;
+
+const creerReservation = async (montantTotal = 220) => {
+  const result = await db.query(
+    `INSERT INTO reservations (nom, prenom, email, telephone, lieu_depart, destination, date_depart, nombre_passagers,
+       classe, montant_total, statut)
+     VALUES ('Diop', 'Awa', 'awa@example.com', '0600000001', 'Paris', 'Dakar', CURRENT_DATE + 30, 2, 'Economique', $1, 'confirmee')
+     RETURNING *`,
+    [montantTotal]
+  );
+  return result.rows[0];
+};
+
+const payer = (reservationId, { type = 'paiement', montant, methode = 'especes' }, options) =>
+  base.transaction((client) =>
+    enregistrerPaiement(client, AUTEUR, { entite: 'reservations', entite_id: reservationId, type, montant, methode }, options)
+  );
+
+const confirmer = (confirmation) => base.transaction((client) => confirmerPaiement(client, AUTEUR, confirmation));
+
+const lireReservation = async (id) => (await db.query('SELECT * FROM reservations WHERE id = $1', [id])).rows[0];
+
+before(async () => {
+  base = await creerBase();
+  db = base.db;
+});
+
+after(async () => {
+  await base?.pglite.close();
+});
+
+beforeEach(async () => {
+  await base.pglite.exec('TRUNCATE paiements, reservations, journal_audit RESTART IDENTITY CASCADE');
+});
+
+test('signature HMAC du callback : acceptée avec le secret, refusée sinon', () => {
+  const corps = JSON.stringify({ reference: 'PAY-1', succes: true });
+
+  assert.equal(signatureValide(corps, signerCorps(corps)), true);
+  assert.equal(signatureValide(corps, signerCorps(corps, 'un_autre_secret')), false);
+  assert.equal(signatureValide(corps.replace('true', 'false'), signerCorps(corps)), false);
+  assert.equal(signatureValide(corps, 'sha256=abc'), false);
+  assert.equal(signatureValide(corps, undefined), false);
+});
+
+test('callback idempotent : un paiement confirmé deux fois n\'est compté qu\'une fois', async () => {
+  const reservation = await creerReservation();
+  const { paiement } = await payer(reservation.id, { montant: 100, methode: 'mobile' }, { enAttente: true });
+  assert.equal(paiement.statut, 'en_attente');
+  assert.match(paiement.reference, /^PAY-[0-9A-F]{24}$/);
+  assert.equal(parseFloat((await lireReservation(reservation.id)).montant_paye), 0);
+
+  const premier = await confirmer({ reference: paiement.reference, succes: true, transaction_id: 'TX-1', montant: 100 });
+  assert.equal(premier.deja_traite, false);
+  assert.equal(premier.paiement.statut, 'valide');
+  assert.match(premier.paiement.numero_recu, /^REC-\d{4}-000001$/);
+
+  const second = await confirmer({ reference: paiement.reference, succes: true, transaction_id: 'TX-1', montant: 100 });
+  assert.equal(second.deja_traite, true);
+  assert.equal(second.paiement.id, paiement.id);
+  assert.equal(parseFloat((await lireReservation(reservation.id)).montant_paye), 100);
+
+  assert.equal(await confirmer({ reference: 'PAY-INCONNUE', succes: true }), null);
+});
+
+test('montant confirmé différent du montant attendu : paiement echoue sans effet sur le solde', async () => {
+  const reservation = await creerReservation();
+  const { paiement } = await payer(reservation.id, { montant: 100, methode: 'carte' }, { enAttente: true });
+
+  const { paiement: confirme } = await confirmer({ reference: paiement.reference, succes: true, montant: 10 });
+  assert.equal(confirme.statut, 'echoue');
+  assert.equal(confirme.numero_recu, null);
+  assert.match(confirme.commentaire, /Montant confirmé \(10\) différent du montant attendu/);
+  assert.equal(parseFloat((await lireReservation(reservation.id)).montant_paye), 0);
+});
+
+test('paiement supérieur au solde dû et remboursement supérieur au payé : 409', async () => {
+  const reservation = await creerReservation(220);
+
+  const tropPaye = await payer(reservation.id, { montant: 220.01 });
+  assert.equal(tropPaye.status, 409);
+  assert.match(tropPaye.erreur, /supérieur au solde dû \(220\)/);
+
+  await payer(reservation.id, { montant: 50 });
+  const tropRembourse = await payer(reservation.id, { type: 'remboursement', montant: 60 });
+  assert.equal(tropRembourse.status, 409);
+  assert.match(tropRembourse.erreur, /supérieur au montant payé \(50\)/);
+
+  const { element } = await payer(reservation.id, { type: 'remboursement', montant: 50 });
+  assert.equal(parseFloat(element.montant_paye), 0);
+  assert.equal((await db.query('SELECT COUNT(*)::int as n FROM paiements')).rows[0].n, 2);
+});
+
+test('une réservation confirmee passe payee une fois entièrement payée', async () => {
+  const reservation = await creerReservation(220);
+
+  const { element: partiel } = await payer(reservation.id, { montant: 100 });
+  assert.equal(partiel.statut_paiement, 'partiel');
+  assert.equal(partiel.statut, 'confirmee');
+
+  const { paiement } = await payer(reservation.id, { montant: 120, methode: 'mobile' }, { enAttente: true });
+  await confirmer({ reference: paiement.reference, succes: true, montant: 120 });
+
+  const apres = await lireReservation(reservation.id);
+  assert.equal(apres.statut, 'payee');
+  assert.equal(parseFloat(apres.montant_paye), 220);
+
+  const evenements = await db.query(
+    'SELECT statut, statut_precedent FROM reservation_evenements WHERE reservation_id = $1 ORDER BY id',
+    [reservation.id]
+  );
+  assert.deepEqual(evenements.rows, [{ statut: 'payee', statut_precedent: 'confirmee' }]);
+  const journal = await db.query(`SELECT action FROM journal_audit WHERE entite = 'reservations' AND entite_id = $1`, [reservation.id]);
+  assert.deepEqual(journal.rows, [{ action: 'modification' }]);
+});
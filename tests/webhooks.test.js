@@ -0,0 +1,246 @@
+// Webhooks : signature, relivraisons, désactivation automatique et relivraison manuelle.
+// La base est une instance PGlite en mémoire (migration 020), les livraisons partent vers le récepteur local.
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { PGlite } from '@electric-sql/pglite';
+
+// Seuils réduits, lus à l'import du worker
+process.env.WEBHOOKS_MAX_TENTATIVES = '3';
+process.env.WEBHOOKS_ECHECS_DESACTIVATION = '4';
+
+const { declencherWebhooks, delaiRelivraison, EVENEMENT_TEST } = await import('../services/webhooks/index.js');
+const { distribuerWebhooks, livrerMaintenant, relivrer } = await import('../services/webhooks/worker.js');
+const { demarrerRecepteur } = await import('../services/webhooks/recepteur.js');
+
+const SECRET = 'whsec_secret_de_test_0123456789';
+
+let pglite;
+let recepteur;
+
+// Même interface que le pool pg pour les requêtes utilisées par le worker
+const db = {
+  query: async (sql, params) => {
+    const result = await pglite.query(sql, params);
+    return { rows: result.rows, rowCount: result.affectedRows ?? result.rows.length };
+  }
+};
+
+const creerWebhook = async ({ secret = SECRET, evenements = ['reservation.creee'] } = {}) => {
+  const result = await db.query(
+    'INSERT INTO webhooks (url, evenements, secret) VALUES ($1, $2, $3) RETURNING *',
+    [recepteur.url, evenements, secret]
+  );
+  return result.rows[0];
+};
+
+const creerLivraison = async (webhookId, evenement = 'reservation.creee') => {
+  const result = await db.query(
+    'INSERT INTO webhooks_livraisons (webhook_id, evenement, charge) VALUES ($1, $2, $3) RETURNING *',
+    [webhookId, evenement, JSON.stringify({ id: 42, statut: 'confirmee' })]
+  );
+  return result.rows[0];
+};
+
+const lireLivraison = async (id) => (await db.query('SELECT * FROM webhooks_livraisons WHERE id = $1', [id])).rows[0];
+const lireWebhook = async (id) => (await db.query('SELECT * FROM webhooks WHERE id = $1', [id])).rows[0];
+
+// Rend les livraisons en échec immédiatement éligibles au passage suivant du worker
+const avancerHorloge = () =>
+  db.query(`UPDATE webhooks_livraisons SET prochaine_tentative = NOW() WHERE statut = 'echec'`);
+
+before(async () => {
+  pglite = new PGlite();
+  await pglite.exec('CREATE TABLE utilisateurs (id SERIAL PRIMARY KEY, nom VARCHAR(255))');
+  await pglite.exec(await readFile(new URL('../migrations/020_webhooks.up.sql', import.meta.url), 'utf8'));
+  recepteur = await demarrerRecepteur({ secret: SECRET });
+});
+
+after(async () => {
+  await recepteur?.fermer();
+  await pglite?.close();
+});
+
+beforeEach(async () => {
+  await pglite.exec('TRUNCATE webhooks RESTART IDENTITY CASCADE');
+  recepteur.recues.length = 0;
+  recepteur.statut = null;
+});
+
+test('déclenche une livraison par webhook actif abonné à l\'événement', async () => {
+  const abonne = await creerWebhook();
+  await creerWebhook({ evenements: ['colis.statut_modifie'] });
+  const inactif = await creerWebhook();
+  await db.query('UPDATE webhooks SET actif = false WHERE id = $1', [inactif.id]);
+
+  assert.equal(await declencherWebhooks(db, 'reservation.creee', { id: 1 }), 1);
+  const livraisons = await db.query('SELECT webhook_id FROM webhooks_livraisons');
+  assert.deepEqual(livraisons.rows, [{ webhook_id: abonne.id }]);
+});
+
+test('livraison signée acceptée par le récepteur', async () => {
+  const webhook = await creerWebhook();
+  const livraison = await creerLivraison(webhook.id);
+
+  assert.deepEqual(await distribuerWebhooks(db), { livrees: 1, echecs: 0, webhooks_desactives: 0 });
+
+  assert.equal(recepteur.recues.length, 1);
+  const [recue] = recepteur.recues;
+  assert.equal(recue.signee, true);
+  assert.equal(recue.id, String(livraison.id));
+  assert.equal(recue.evenement, 'reservation.creee');
+  assert.deepEqual(JSON.parse(recue.corps).donnees, { id: 42, statut: 'confirmee' });
+
+  const apres = await lireLivraison(livraison.id);
+  assert.equal(apres.statut, 'livree');
+  assert.equal(apres.tentatives, 1);
+  assert.equal(apres.dernier_code_http, 200);
+});
+
+test('signature avec un autre secret refusée (401) et livraison en échec', async () => {
+  const webhook = await creerWebhook({ secret: 'whsec_un_autre_secret_0123456789' });
+  const livraison = await creerLivraison(webhook.id);
+
+  assert.deepEqual(await distribuerWebhooks(db), { livrees: 0, echecs: 1, webhooks_desactives: 0 });
+
+  assert.equal(recepteur.recues[0].signee, false);
+  const apres = await lireLivraison(livraison.id);
+  assert.equal(apres.statut, 'echec');
+  assert.equal(apres.dernier_code_http, 401);
+  assert.equal((await lireWebhook(webhook.id)).echecs_consecutifs, 1);
+});
+
+test('relivraisons à 1 puis 2 minutes, abandon après WEBHOOKS_MAX_TENTATIVES', async () => {
+  recepteur.statut = 500;
+  const webhook = await creerWebhook();
+  const livraison = await creerLivraison(webhook.id);
+
+  for (const tentative of [1, 2]) {
+    await distribuerWebhooks(db);
+    const attente = await db.query(
+      `SELECT statut, tentatives, ROUND(EXTRACT(EPOCH FROM prochaine_tentative - NOW()) / 60)::int as minutes
+       FROM webhooks_livraisons WHERE id = $1`,
+      [livraison.id]
+    );
+    assert.deepEqual(attente.rows[0], { statut: 'echec', tentatives: tentative, minutes: delaiRelivraison(tentative) });
+
+    // Pas de nouvel envoi avant l'échéance
+    assert.deepEqual(await distribuerWebhooks(db), { livrees: 0, echecs: 0, webhooks_desactives: 0 });
+    await avancerHorloge();
+  }
+
+  await distribuerWebhooks(db);
+  const apres = await lireLivraison(livraison.id);
+  assert.equal(apres.statut, 'abandonnee');
+  assert.equal(apres.tentatives, 3);
+  assert.equal(recepteur.recues.length, 3);
+
+  await avancerHorloge();
+  assert.deepEqual(await distribuerWebhooks(db), { livrees: 0, echecs: 0, webhooks_desactives: 0 });
+  assert.deepEqual([1, 2, 3, 4, 5].map(delaiRelivraison), [1, 2, 4, 8, 16]);
+  assert.equal(delaiRelivraison(20), 360);
+});
+
+test('désactivation automatique après WEBHOOKS_ECHECS_DESACTIVATION échecs consécutifs', async () => {
+  recepteur.statut = 503;
+  const webhook = await creerWebhook();
+  const livraisons = [];
+  for (let i = 0; i < 6; i++) livraisons.push(await creerLivraison(webhook.id));
+
+  // Le 4e échec désactive le webhook : les deux dernières livraisons du lot repartent en file sans envoi
+  assert.deepEqual(await distribuerWebhooks(db), { livrees: 0, echecs: 4, webhooks_desactives: 1 });
+  assert.equal(recepteur.recues.length, 4);
+
+  const apres = await lireWebhook(webhook.id);
+  assert.equal(apres.actif, false);
+  assert.equal(apres.echecs_consecutifs, 4);
+  assert.ok(apres.desactive_le);
+  assert.match(apres.motif_desactivation, /4 échecs consécutifs/);
+
+  const restantes = await db.query(
+    'SELECT statut, tentatives FROM webhooks_livraisons WHERE id = ANY($1) ORDER BY id',
+    [livraisons.slice(4).map(l => l.id)]
+  );
+  assert.deepEqual(restantes.rows, [{ statut: 'en_attente', tentatives: 0 }, { statut: 'en_attente', tentatives: 0 }]);
+
+  // Plus rien n'est envoyé tant que le webhook est désactivé
+  await avancerHorloge();
+  assert.deepEqual(await distribuerWebhooks(db), { livrees: 0, echecs: 0, webhooks_desactives: 0 });
+});
+
+test('un succès remet à zéro les échecs consécutifs', async () => {
+  const webhook = await creerWebhook();
+  await db.query('UPDATE webhooks SET echecs_consecutifs = 3 WHERE id = $1', [webhook.id]);
+  await creerLivraison(webhook.id);
+
+  await distribuerWebhooks(db);
+  assert.equal((await lireWebhook(webhook.id)).echecs_consecutifs, 0);
+});
+
+test('un test en échec est abandonné et ne compte pas pour la désactivation', async () => {
+  recepteur.statut = 500;
+  const webhook = await creerWebhook();
+  await db.query('UPDATE webhooks SET echecs_consecutifs = 3 WHERE id = $1', [webhook.id]);
+  const livraison = await creerLivraison(webhook.id, EVENEMENT_TEST);
+
+  const { livraison: apres, tentative } = await livrerMaintenant(db, livraison.id);
+  assert.equal(tentative.succes, false);
+  assert.equal(tentative.code_http, 500);
+  assert.equal(apres.statut, 'abandonnee');
+
+  const webhookApres = await lireWebhook(webhook.id);
+  assert.equal(webhookApres.actif, true);
+  assert.equal(webhookApres.echecs_consecutifs, 3);
+
+  // Jamais reprise par le worker
+  await db.query('UPDATE webhooks_livraisons SET prochaine_tentative = NOW() WHERE id = $1', [livraison.id]);
+  assert.deepEqual(await distribuerWebhooks(db), { livrees: 0, echecs: 0, webhooks_desactives: 0 });
+  assert.equal(recepteur.recues.length, 1);
+});
+
+test('relivraison : même corps et même identifiant, tentatives numérotées par série', async () => {
+  recepteur.statut = 500;
+  const webhook = await creerWebhook();
+  const livraison = await creerLivraison(webhook.id);
+
+  for (let i = 0; i < 3; i++) {
+    await distribuerWebhooks(db);
+    await avancerHorloge();
+  }
+  assert.equal((await lireLivraison(livraison.id)).statut, 'abandonnee');
+
+  recepteur.statut = null;
+  const { livraison: relancee, erreur } = await relivrer(db, livraison.id);
+  assert.equal(erreur, undefined);
+  assert.equal(relancee.statut, 'en_attente');
+  assert.equal(relancee.relivraison, 1);
+  assert.equal(relancee.tentatives, 0);
+
+  assert.deepEqual(await distribuerWebhooks(db), { livrees: 1, echecs: 0, webhooks_desactives: 0 });
+  assert.equal((await lireLivraison(livraison.id)).statut, 'livree');
+
+  const [premiere, , , relivree] = recepteur.recues;
+  assert.equal(relivree.id, premiere.id);
+  assert.equal(relivree.corps, premiere.corps);
+  assert.equal(relivree.signee, true);
+
+  const journal = await db.query(
+    'SELECT relivraison, tentative, succes FROM webhooks_tentatives WHERE livraison_id = $1 ORDER BY id',
+    [livraison.id]
+  );
+  assert.deepEqual(journal.rows, [
+    { relivraison: 0, tentative: 1, succes: false },
+    { relivraison: 0, tentative: 2, succes: false },
+    { relivraison: 0, tentative: 3, succes: false },
+    { relivraison: 1, tentative: 1, succes: true }
+  ]);
+});
+
+test('relivraison refusée pour un webhook désactivé ou une livraison inconnue', async () => {
+  const webhook = await creerWebhook();
+  const livraison = await creerLivraison(webhook.id);
+  await db.query('UPDATE webhooks SET actif = false WHERE id = $1', [webhook.id]);
+
+  assert.equal((await relivrer(db, livraison.id)).status, 409);
+  assert.equal((await relivrer(db, 9999)).status, 404);
+});